@@ -0,0 +1,62 @@
+/**
+ * Download service worker: serves streams handed over by the page
+ * (see src/utils/streamSaver.js) as file downloads
+ */
+
+const downloads = new Map();
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'register-download') return;
+
+  const { url, filename, mimeType } = event.data;
+  const port = event.ports[0];
+
+  // Each pull asks the page for exactly one chunk, so the page never runs ahead
+  const stream = new ReadableStream({
+    pull(controller) {
+      return new Promise((resolve) => {
+        port.onmessage = ({ data }) => {
+          if (data.type === 'chunk') {
+            controller.enqueue(data.chunk);
+          } else if (data.type === 'end') {
+            controller.close();
+          } else if (data.type === 'error') {
+            controller.error(new Error(data.message));
+          }
+          resolve();
+        };
+        port.postMessage({ type: 'pull' });
+      });
+    },
+    cancel() {
+      port.postMessage({ type: 'cancel' });
+    }
+  });
+
+  downloads.set(url, { stream, filename, mimeType });
+  port.postMessage({ type: 'ready' });
+});
+
+self.addEventListener('fetch', (event) => {
+  const download = downloads.get(event.request.url);
+  if (!download) return;
+
+  downloads.delete(event.request.url);
+  event.respondWith(
+    new Response(download.stream, {
+      headers: {
+        'Content-Type': download.mimeType || 'application/octet-stream',
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.filename)}`,
+        'X-Content-Type-Options': 'nosniff'
+      }
+    })
+  );
+});
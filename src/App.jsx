@@ -1,21 +1,58 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
 import { Button } from './components/ui/Button'
 import { Upload, Download, FileText, Zap, AlertCircle, CheckCircle } from 'lucide-react'
+import { validateJsonInWorker, formatJsonInWorker, streamJsonToArchiveInWorker } from './services/workerService'
+import { formatFileSize, isAcceptedFileType } from './utils/fileUtils'
+import { INPUT_FORMATS, INPUT_FILE_EXTENSIONS, INPUT_MIME_TYPES, getInputFormat, getFileInputFormat } from './utils/inputFormats'
+import { XML_NAMESPACE_MODES, XML_ARRAY_MODES, DEFAULT_XML_OPTIONS } from './utils/xmlParser'
+
+// Wait for typing to pause before validating in the worker
+const VALIDATION_DELAY = 250
 
 function App() {
   const [jsonInput, setJsonInput] = useState('')
+  // Set from the uploaded file's extension; pasted text is detected as JSON or JSON Lines
+  const [inputFormat, setInputFormat] = useState(undefined)
   const [isLoading, setIsLoading] = useState(false)
   const [status, setStatus] = useState('')
   const [error, setError] = useState('')
+  const [validation, setValidation] = useState(null)
+  const [xmlAttributePrefix, setXmlAttributePrefix] = useState(DEFAULT_XML_OPTIONS.xmlAttributePrefix)
+  const [xmlTextKey, setXmlTextKey] = useState(DEFAULT_XML_OPTIONS.xmlTextKey)
+  const [xmlNamespaces, setXmlNamespaces] = useState(DEFAULT_XML_OPTIONS.xmlNamespaces)
+  const [xmlArrays, setXmlArrays] = useState(DEFAULT_XML_OPTIONS.xmlArrays)
+  const conversionRef = useRef(null)
 
-  const validateJSON = (text) => {
-    try {
-      JSON.parse(text)
-      return true
-    } catch {
-      return false
+  // How XML becomes JSON when validating, formatting and converting
+  const xmlOptions = useMemo(() => ({
+    xmlAttributePrefix,
+    xmlTextKey: xmlTextKey || DEFAULT_XML_OPTIONS.xmlTextKey,
+    xmlNamespaces,
+    xmlArrays
+  }), [xmlAttributePrefix, xmlTextKey, xmlNamespaces, xmlArrays])
+
+  useEffect(() => {
+    setValidation(null)
+    if (!jsonInput.trim()) return
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => {
+      validateJsonInWorker(jsonInput, { signal: controller.signal, inputFormat, ...xmlOptions })
+        .then(setValidation)
+        .catch((err) => {
+          if (err.name !== 'AbortError') setValidation({ isValid: false, errors: [err.message], inputFormat })
+        })
+    }, VALIDATION_DELAY)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
     }
-  }
+  }, [jsonInput, inputFormat, xmlOptions])
+
+  const isValidJson = validation?.isValid === true
+  const isJsonLines = validation?.inputFormat === INPUT_FORMATS.JSON_LINES
+  const inputLabel = validation ? getInputFormat(validation.inputFormat).label : ''
 
   const convertToZip = async () => {
     if (!jsonInput.trim()) {
@@ -23,80 +60,73 @@ function App() {
       return
     }
 
-    if (!validateJSON(jsonInput)) {
+    if (validation && !validation.isValid) {
       setError('Invalid JSON format')
       return
     }
 
+    const controller = new AbortController()
+    conversionRef.current = controller
+
     setIsLoading(true)
     setError('')
     setStatus('Converting JSON to ZIP...')
 
     try {
-      // Create a mock API call for JSON to ZIP conversion
-      const response = await fetch('/api/convert-to-zip', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          data: JSON.parse(jsonInput),
-          filename: 'converted-data.json'
-        })
+      const result = await streamJsonToArchiveInWorker(jsonInput, 'converted-data.zip', {
+        signal: controller.signal,
+        inputFormat,
+        ...xmlOptions,
+        onProgress: (bytes) => setStatus(`Writing ZIP... ${formatFileSize(bytes)}`)
       })
 
-      if (!response.ok) {
-        throw new Error('Conversion failed')
-      }
-
-      // Get the blob data for download
-      const blob = await response.blob()
-      
-      // Create download link
-      const url = window.URL.createObjectURL(blob)
-      const link = document.createElement('a')
-      link.href = url
-      link.download = 'converted-data.zip'
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      window.URL.revokeObjectURL(url)
-
-      setStatus('ZIP file downloaded successfully!')
+      setStatus(`ZIP file downloaded successfully! (${formatFileSize(result.size)})`)
       setTimeout(() => setStatus(''), 3000)
     } catch (err) {
-      setError('Failed to convert JSON to ZIP. Please try again.')
+      if (err.name === 'AbortError') {
+        setStatus('')
+      } else {
+        setError(`Failed to convert JSON to ZIP: ${err.message}`)
+      }
     } finally {
+      conversionRef.current = null
       setIsLoading(false)
     }
   }
 
+  const cancelConversion = () => {
+    conversionRef.current?.abort()
+  }
+
   const handleFileUpload = (event) => {
     const file = event.target.files[0]
-    if (file && file.type === 'application/json') {
+    if (file && isAcceptedFileType(file)) {
       const reader = new FileReader()
       reader.onload = (e) => {
+        setInputFormat(getFileInputFormat(file))
         setJsonInput(e.target.result)
         setError('')
       }
       reader.readAsText(file)
     } else {
-      setError('Please select a valid JSON file')
+      setError('Please select a JSON, JSON Lines, JSONC, JSON5, YAML, TOML, CSV, TSV or XML file')
     }
   }
 
   const clearInput = () => {
     setJsonInput('')
+    setInputFormat(undefined)
     setError('')
     setStatus('')
   }
 
-  const formatJSON = () => {
+  const formatJSON = async () => {
     if (!jsonInput.trim()) return
     
     try {
-      const parsed = JSON.parse(jsonInput)
-      setJsonInput(JSON.stringify(parsed, null, 2))
+      setJsonInput(await formatJsonInWorker(jsonInput, { inputFormat, ...xmlOptions }))
+      // Other formats come out as JSON; JSON Lines stay JSON Lines
+      if (inputFormat && inputFormat !== INPUT_FORMATS.JSON_LINES) setInputFormat(INPUT_FORMATS.JSON)
       setError('')
     } catch {
       setError('Cannot format invalid JSON')
@@ -128,11 +158,11 @@ function App() {
               <div className="flex items-center gap-4 flex-wrap">
                 <div className="flex-1">
                   <label className="block text-sm font-medium text-slate-700 mb-2">
-                    Upload JSON File
+                    Upload JSON, JSON Lines, JSONC, JSON5, YAML, TOML, CSV, TSV or XML File
                   </label>
                   <input
                     type="file"
-                    accept=".json,application/json"
+                    accept={[...INPUT_FILE_EXTENSIONS, ...INPUT_MIME_TYPES].join(',')}
                     onChange={handleFileUpload}
                     className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
                   />
@@ -158,6 +188,58 @@ function App() {
               </div>
             </div>
 
+            {/* How XML elements, attributes and text map to JSON keys */}
+            {inputFormat === INPUT_FORMATS.XML && (
+              <div className="px-6 py-4 border-b border-slate-200 flex flex-wrap items-center gap-4 text-sm text-slate-700">
+                <label className="flex items-center gap-2">
+                  <span>Attribute prefix</span>
+                  <input
+                    type="text"
+                    value={xmlAttributePrefix}
+                    onChange={(e) => setXmlAttributePrefix(e.target.value)}
+                    disabled={isLoading}
+                    className="w-16 px-2 py-1 border border-slate-300 rounded-md font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </label>
+                <label className="flex items-center gap-2">
+                  <span>Text key</span>
+                  <input
+                    type="text"
+                    value={xmlTextKey}
+                    onChange={(e) => setXmlTextKey(e.target.value)}
+                    placeholder={DEFAULT_XML_OPTIONS.xmlTextKey}
+                    disabled={isLoading}
+                    className="w-24 px-2 py-1 border border-slate-300 rounded-md font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </label>
+                <label className="flex items-center gap-2">
+                  <span>Namespaces</span>
+                  <select
+                    value={xmlNamespaces}
+                    onChange={(e) => setXmlNamespaces(e.target.value)}
+                    disabled={isLoading}
+                    className="px-2 py-1 border border-slate-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value={XML_NAMESPACE_MODES.PREFIX}>Keep prefixes (soap:Body)</option>
+                    <option value={XML_NAMESPACE_MODES.STRIP}>Local names (Body)</option>
+                    <option value={XML_NAMESPACE_MODES.URI}>{'Namespace URIs ({uri}Body)'}</option>
+                  </select>
+                </label>
+                <label className="flex items-center gap-2">
+                  <span>Arrays</span>
+                  <select
+                    value={xmlArrays}
+                    onChange={(e) => setXmlArrays(e.target.value)}
+                    disabled={isLoading}
+                    className="px-2 py-1 border border-slate-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value={XML_ARRAY_MODES.REPEATED}>For repeated elements</option>
+                    <option value={XML_ARRAY_MODES.ALWAYS}>For every element</option>
+                  </select>
+                </label>
+              </div>
+            )}
+
             {/* JSON Input Section */}
             <div className="p-6">
               <label className="block text-sm font-medium text-slate-700 mb-2">
@@ -176,9 +258,12 @@ function App() {
               {/* Character Count */}
               <div className="flex justify-between items-center mt-2 text-xs text-slate-500">
                 <span>{jsonInput.length} characters</span>
-                {jsonInput.trim() && (
-                  <span className={validateJSON(jsonInput) ? 'text-green-600' : 'text-red-600'}>
-                    {validateJSON(jsonInput) ? '✓ Valid JSON' : '✗ Invalid JSON'}
+                {jsonInput.trim() && !validation && <span>Checking...</span>}
+                {validation && (
+                  <span className={isValidJson ? 'text-green-600' : 'text-red-600'} title={validation.errors.join('\n')}>
+                    {isValidJson
+                      ? (isJsonLines ? `✓ Valid JSON Lines (${validation.size} lines)` : `✓ Valid ${inputLabel}`)
+                      : (isJsonLines ? `✗ Invalid JSON Lines: ${validation.errors[0]}` : `✗ Invalid ${inputLabel}`)}
                   </span>
                 )}
               </div>
@@ -204,23 +289,26 @@ function App() {
 
             {/* Convert Button */}
             <div className="p-6 bg-slate-50 border-t border-slate-200">
-              <Button
-                onClick={convertToZip}
-                disabled={!jsonInput.trim() || !validateJSON(jsonInput) || isLoading}
-                className="w-full flex items-center justify-center gap-2 py-3"
-              >
-                {isLoading ? (
-                  <>
+              {isLoading ? (
+                <div className="flex gap-2">
+                  <Button disabled className="flex-1 flex items-center justify-center gap-2 py-3">
                     <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
                     Converting...
-                  </>
-                ) : (
-                  <>
-                    <Download className="w-5 h-5" />
-                    Convert to ZIP & Download
-                  </>
-                )}
-              </Button>
+                  </Button>
+                  <Button onClick={cancelConversion} variant="outline" className="py-3">
+                    Cancel
+                  </Button>
+                </div>
+              ) : (
+                <Button
+                  onClick={convertToZip}
+                  disabled={!jsonInput.trim() || !isValidJson}
+                  className="w-full flex items-center justify-center gap-2 py-3"
+                >
+                  <Download className="w-5 h-5" />
+                  Convert to ZIP & Download
+                </Button>
+              )}
             </div>
           </div>
 
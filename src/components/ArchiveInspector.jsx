@@ -0,0 +1,397 @@
+import { useState, useCallback, useMemo } from 'react';
+import { Button } from './ui/Button';
+import DropZone from './ui/DropZone';
+import { Input } from './ui/input';
+import { Textarea } from './ui/textarea';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell, TableCaption } from './ui/table';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from './ui/dialog';
+import PasswordField from './PasswordField';
+import { Search, Loader2, AlertCircle, ArrowUp, ArrowDown, ArrowUpDown, Folder, FileText, Lock, ShieldCheck, ShieldAlert } from 'lucide-react';
+import {
+  inspectZipArchive,
+  previewZipEntry,
+  verifyArchive,
+  VERIFY_STATUSES,
+  SIGNATURE_STATUSES
+} from '../services/archiveService';
+import { importSigningKey } from '../utils/signing';
+import { formatFileSize } from '../utils/fileUtils';
+
+const COLUMNS = [
+  { key: 'path', label: 'Path' },
+  { key: 'uncompressedSize', label: 'Size', numeric: true },
+  { key: 'compressedSize', label: 'Compressed', numeric: true },
+  { key: 'ratio', label: 'Ratio', numeric: true },
+  { key: 'crc', label: 'CRC-32' },
+  { key: 'method', label: 'Method' },
+  { key: 'lastModified', label: 'Modified' },
+  { key: 'comment', label: 'Comment' }
+];
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+const compareValues = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a - b;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return collator.compare(a ?? '', b ?? '');
+};
+
+const formatRatio = (ratio) => `${Math.round(ratio * 100)}%`;
+
+const ArchiveInspector = () => {
+  const [zipFile, setZipFile] = useState(null);
+  const [archive, setArchive] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const [error, setError] = useState('');
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState({ key: 'path', direction: 'asc' });
+  const [password, setPassword] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState('');
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [verifyError, setVerifyError] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [trustedKeyText, setTrustedKeyText] = useState('');
+
+  const handleFilesSelected = useCallback(async (files) => {
+    const file = files[0] || null;
+    setZipFile(file);
+    setArchive(null);
+    setError('');
+    setVerification(null);
+    setVerifyError('');
+    if (!file) return;
+
+    setIsReading(true);
+    try {
+      setArchive(await inspectZipArchive(file));
+    } catch (err) {
+      setError(err.message);
+      console.error('Inspection error:', err);
+    } finally {
+      setIsReading(false);
+    }
+  }, []);
+
+  const rows = useMemo(() => {
+    if (!archive) return [];
+    const needle = query.trim().toLowerCase();
+    const filtered = needle
+      ? archive.entries.filter((row) =>
+        row.path.toLowerCase().includes(needle) || row.comment.toLowerCase().includes(needle))
+      : archive.entries;
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...filtered].sort((a, b) => compareValues(a[sort.key], b[sort.key]) * direction);
+  }, [archive, query, sort]);
+
+  // Verification results by path, for the per-row status icons
+  const verifiedFiles = useMemo(() => {
+    return new Map((verification?.files ?? []).map((file) => [file.path, file]));
+  }, [verification]);
+
+  const failedFiles = useMemo(() => {
+    return (verification?.files ?? []).filter((file) => file.status !== VERIFY_STATUSES.OK);
+  }, [verification]);
+
+  const handleVerify = async () => {
+    setIsVerifying(true);
+    setVerification(null);
+    setVerifyError('');
+
+    try {
+      const trustedKey = trustedKeyText.trim() ? await importSigningKey(trustedKeyText) : undefined;
+      setVerification(await verifyArchive(zipFile, { password: password || undefined, trustedKey }));
+    } catch (err) {
+      setVerifyError(err.message);
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const toggleSort = (key) => {
+    setSort((current) => ({
+      key,
+      direction: current.key === key && current.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const loadPreview = async (row) => {
+    setIsPreviewing(true);
+    setPreview(null);
+    setPreviewError('');
+
+    try {
+      setPreview(await previewZipEntry(zipFile, row.entry, { password: password || undefined }));
+    } catch (err) {
+      setPreviewError(err.message);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const openPreview = (row) => {
+    if (row.isDirectory) return;
+    setSelected(row);
+    loadPreview(row);
+  };
+
+  const closePreview = (open) => {
+    if (open) return;
+    setSelected(null);
+    setPreview(null);
+    setPreviewError('');
+  };
+
+  const renderVerifyIcon = (row) => {
+    const result = verifiedFiles.get(row.path);
+    if (result) {
+      return result.status === VERIFY_STATUSES.OK
+        ? <ShieldCheck className="h-3 w-3 text-green-600" aria-label="Verified" />
+        : <ShieldAlert className="h-3 w-3 text-red-500" aria-label={result.message} />;
+    }
+    if (verification?.unlisted.includes(row.path)) {
+      return <ShieldAlert className="h-3 w-3 text-amber-500" aria-label="Not listed in the manifest" />;
+    }
+    return null;
+  };
+
+  const renderSignature = ({ signature }) => {
+    if (signature.status === SIGNATURE_STATUSES.UNSIGNED) {
+      return <p className="text-sm text-gray-500">Not signed</p>;
+    }
+
+    const signed = signature.status === SIGNATURE_STATUSES.SIGNED;
+    const Icon = signed ? ShieldCheck : ShieldAlert;
+    return (
+      <div className={`flex items-start space-x-2 text-sm ${signed ? 'text-green-700' : 'text-red-700'}`}>
+        <Icon className="h-4 w-4 mt-0.5 shrink-0" />
+        <div>
+          <p className="font-medium">
+            {signed ? `Signed${signature.trusted ? ' by the trusted key' : ''}` : `Tampered: ${signature.message}`}
+          </p>
+          {signature.fingerprint && (
+            <p className="font-mono text-xs break-all">{signature.algorithm} · {signature.fingerprint}</p>
+          )}
+          {signed && signature.trusted === null && (
+            <p className="text-xs text-gray-500">Compare this fingerprint with the key the signer published, or paste that key above.</p>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderSortIcon = (key) => {
+    if (sort.key !== key) return <ArrowUpDown className="h-3 w-3 opacity-40" />;
+    return sort.direction === 'asc' ? <ArrowUp className="h-3 w-3" /> : <ArrowDown className="h-3 w-3" />;
+  };
+
+  return (
+    <div className="space-y-6">
+      <DropZone
+        onFilesSelected={handleFilesSelected}
+        acceptedTypes={['.zip', 'application/zip', 'application/x-zip-compressed']}
+        maxFileSize={500 * 1024 * 1024}
+        disabled={isReading}
+      />
+
+      {isReading && (
+        <div className="flex items-center justify-center space-x-2 text-gray-600">
+          <Loader2 className="h-5 w-5 animate-spin" />
+          <span>Reading archive...</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center space-x-2 p-4 bg-red-50 border border-red-200 rounded-md">
+          <AlertCircle className="h-5 w-5 text-red-500" />
+          <span className="text-red-700">{error}</span>
+        </div>
+      )}
+
+      {archive && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-600">
+            <span>{archive.fileCount} file{archive.fileCount === 1 ? '' : 's'}</span>
+            <span>{formatFileSize(archive.totalUncompressedSize)} uncompressed</span>
+            <span>{formatFileSize(archive.totalCompressedSize)} compressed</span>
+            {archive.zip64 && <span>ZIP64</span>}
+            {archive.encrypted && <span>Encrypted</span>}
+            {archive.comment && <span className="italic">“{archive.comment}”</span>}
+          </div>
+
+          {archive.hasManifest && (
+            <Textarea
+              value={trustedKeyText}
+              onChange={(e) => setTrustedKeyText(e.target.value)}
+              placeholder="Trusted signer public key (PEM or JWK, optional)"
+              className="font-mono text-xs"
+              rows={3}
+            />
+          )}
+
+          {archive.hasManifest && (
+            <div className="flex items-center space-x-3">
+              <Button variant="outline" onClick={handleVerify} disabled={isVerifying}>
+                {isVerifying ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <ShieldCheck className="h-4 w-4 mr-2" />}
+                Verify archive
+              </Button>
+              {verification && failedFiles.length === 0 && verification.unlisted.length === 0 && (
+                <span className="text-sm text-green-700">
+                  All {verification.files.length} listed files match the manifest
+                </span>
+              )}
+            </div>
+          )}
+
+          {verifyError && (
+            <div className="flex items-center space-x-2 p-4 bg-red-50 border border-red-200 rounded-md">
+              <AlertCircle className="h-5 w-5 text-red-500" />
+              <span className="text-red-700">{verifyError}</span>
+            </div>
+          )}
+
+          {verification && renderSignature(verification)}
+
+          {verification && (failedFiles.length > 0 || verification.unlisted.length > 0) && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-md text-sm text-red-700 space-y-1">
+              <p className="font-medium">Verification failed</p>
+              <ul className="list-disc pl-5 font-mono text-xs">
+                {failedFiles.map((file) => (
+                  <li key={file.path}>{file.path}: {file.message}</li>
+                ))}
+                {verification.unlisted.map((path) => (
+                  <li key={path}>{path}: not listed in the manifest</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {archive.encrypted && (
+            <PasswordField
+              id="inspect-password"
+              value={password}
+              onChange={setPassword}
+              label="Password (needed to preview or verify encrypted entries)"
+              placeholder="Archive password"
+              showStrength={false}
+            />
+          )}
+
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+            <Input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search by path or comment"
+              className="pl-9"
+            />
+          </div>
+
+          <Table>
+            <TableCaption>
+              {rows.length === archive.entries.length
+                ? 'Click a file to preview its contents'
+                : `Showing ${rows.length} of ${archive.entries.length} entries`}
+            </TableCaption>
+            <TableHeader>
+              <TableRow>
+                {COLUMNS.map((column) => (
+                  <TableHead key={column.key} className={column.numeric ? 'text-right' : undefined}>
+                    <button
+                      type="button"
+                      onClick={() => toggleSort(column.key)}
+                      className="inline-flex items-center space-x-1 hover:text-gray-900"
+                    >
+                      <span>{column.label}</span>
+                      {renderSortIcon(column.key)}
+                    </button>
+                  </TableHead>
+                ))}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {rows.map((row) => (
+                <TableRow
+                  key={row.path}
+                  onClick={() => openPreview(row)}
+                  className={row.isDirectory ? 'text-gray-500' : 'cursor-pointer'}
+                >
+                  <TableCell className="font-mono text-xs">
+                    <span className="inline-flex items-center space-x-1">
+                      {row.isDirectory ? <Folder className="h-4 w-4" /> : <FileText className="h-4 w-4" />}
+                      <span className="break-all">{row.path}</span>
+                      {row.encrypted && <Lock className="h-3 w-3 text-gray-400" />}
+                      {renderVerifyIcon(row)}
+                    </span>
+                  </TableCell>
+                  <TableCell className="text-right whitespace-nowrap">{formatFileSize(row.uncompressedSize)}</TableCell>
+                  <TableCell className="text-right whitespace-nowrap">{formatFileSize(row.compressedSize)}</TableCell>
+                  <TableCell className="text-right">{row.isDirectory ? '' : formatRatio(row.ratio)}</TableCell>
+                  <TableCell className="font-mono text-xs">{row.crc ?? '—'}</TableCell>
+                  <TableCell className="whitespace-nowrap">{row.method}</TableCell>
+                  <TableCell className="whitespace-nowrap">{row.lastModified.toLocaleString()}</TableCell>
+                  <TableCell className="text-gray-500">{row.comment}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      <Dialog open={selected !== null} onOpenChange={closePreview}>
+        <DialogContent className="max-w-3xl">
+          <DialogHeader>
+            <DialogTitle className="font-mono text-sm break-all">{selected?.path}</DialogTitle>
+            <DialogDescription>
+              {selected && `${formatFileSize(selected.uncompressedSize)} · ${selected.method}`}
+              {preview?.truncated && ' · preview truncated'}
+            </DialogDescription>
+          </DialogHeader>
+
+          {isPreviewing && (
+            <div className="flex items-center justify-center space-x-2 py-8 text-gray-600">
+              <Loader2 className="h-5 w-5 animate-spin" />
+              <span>Extracting...</span>
+            </div>
+          )}
+
+          {previewError && (
+            <div className="space-y-3">
+              <div className="flex items-center space-x-2 p-4 bg-red-50 border border-red-200 rounded-md">
+                <AlertCircle className="h-5 w-5 text-red-500" />
+                <span className="text-red-700">{previewError}</span>
+              </div>
+              {selected?.encrypted && (
+                <div className="flex items-end space-x-2">
+                  <div className="flex-1">
+                    <PasswordField
+                      id="preview-password"
+                      value={password}
+                      onChange={setPassword}
+                      label="Password"
+                      placeholder="Archive password"
+                      showStrength={false}
+                    />
+                  </div>
+                  <Button onClick={() => loadPreview(selected)} disabled={!password}>
+                    Retry
+                  </Button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {preview && (
+            <pre className="max-h-[60vh] overflow-auto rounded-md bg-gray-50 p-3 font-mono text-xs whitespace-pre-wrap break-all">
+              {preview.content}
+            </pre>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default ArchiveInspector;
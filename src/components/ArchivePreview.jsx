@@ -0,0 +1,246 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Collapsible, CollapsibleTrigger, CollapsibleContent } from './ui/collapsible';
+import { ScrollArea } from './ui/scroll-area';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from './ui/dialog';
+import { ChevronRight, ChevronDown, Folder, FileText, Loader2, AlertCircle, Eye } from 'lucide-react';
+import { planArchiveInWorker } from '../services/workerService';
+import { previewEntryBytes } from '../services/archiveService';
+import { formatFileSize, generateFilename } from '../utils/fileUtils';
+
+// Wait for typing to pause before planning the archive again
+const PLAN_DELAY = 400;
+
+/**
+ * Nests planned entries into folders. Folders named only by a file's path
+ * are created too; each folder totals the sizes of the files inside it.
+ */
+const buildTree = (entries) => {
+  const root = { name: '', path: '', children: new Map(), size: 0, compressedSize: 0 };
+
+  for (const entry of entries) {
+    const segments = entry.path.split('/').filter(Boolean);
+    const parents = [root];
+    let node = root;
+
+    segments.forEach((segment, index) => {
+      const isFile = index === segments.length - 1 && !entry.isDirectory;
+      if (!node.children.has(segment)) {
+        node.children.set(segment, isFile
+          ? { name: segment, path: entry.path, entry, size: entry.size, compressedSize: entry.compressedSize }
+          : { name: segment, path: `${segments.slice(0, index + 1).join('/')}/`, children: new Map(), size: 0, compressedSize: 0 });
+      }
+      node = node.children.get(segment);
+      if (!isFile) parents.push(node);
+    });
+
+    if (!entry.isDirectory) {
+      for (const parent of parents) {
+        parent.size += entry.size;
+        parent.compressedSize += entry.compressedSize;
+      }
+    }
+  }
+
+  return root;
+};
+
+const formatSizes = (node) => `${formatFileSize(node.size)} → ~${formatFileSize(node.compressedSize)}`;
+
+const TreeNode = ({ node, depth, onOpen }) => {
+  const [open, setOpen] = useState(true);
+  const indent = { paddingLeft: `${depth * 1.25}rem` };
+
+  if (!node.children) {
+    return (
+      <button
+        type="button"
+        onClick={() => onOpen(node.entry)}
+        style={indent}
+        className="flex w-full items-center justify-between py-1 pr-2 text-left hover:bg-gray-100 rounded"
+      >
+        <span className="flex items-center space-x-1 min-w-0">
+          <span className="w-4 shrink-0" />
+          <FileText className="h-4 w-4 shrink-0 text-gray-500" />
+          <span className="truncate">{node.name}</span>
+        </span>
+        <span className="pl-4 whitespace-nowrap text-gray-500">{formatSizes(node)}</span>
+      </button>
+    );
+  }
+
+  return (
+    <Collapsible open={open} onOpenChange={setOpen}>
+      <CollapsibleTrigger asChild>
+        <button
+          type="button"
+          style={indent}
+          className="flex w-full items-center justify-between py-1 pr-2 text-left hover:bg-gray-100 rounded"
+        >
+          <span className="flex items-center space-x-1 min-w-0">
+            {open ? <ChevronDown className="h-4 w-4 shrink-0" /> : <ChevronRight className="h-4 w-4 shrink-0" />}
+            <Folder className="h-4 w-4 shrink-0 text-blue-500" />
+            <span className="truncate">{node.name}/</span>
+          </span>
+          <span className="pl-4 whitespace-nowrap text-gray-500">{formatSizes(node)}</span>
+        </button>
+      </CollapsibleTrigger>
+      <CollapsibleContent>
+        {[...node.children.values()].map((child) => (
+          <TreeNode key={child.path} node={child} depth={depth + 1} onOpen={onOpen} />
+        ))}
+      </CollapsibleContent>
+    </Collapsible>
+  );
+};
+
+/**
+ * Shows the files a conversion will produce, re-planned whenever the input
+ * or the options change while the panel is open
+ */
+const ArchivePreview = ({ source, options, baseName = 'converted-data' }) => {
+  const [open, setOpen] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [error, setError] = useState('');
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [selected, setSelected] = useState(null);
+
+  const hasSource = source instanceof Blob || (typeof source === 'string' && source.trim() !== '');
+
+  useEffect(() => {
+    if (!hasSource) {
+      setPlan(null);
+      setError('');
+    }
+    if (!open || !hasSource) return undefined;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setIsPlanning(true);
+      try {
+        const filename = generateFilename(baseName, options.format);
+        setPlan(await planArchiveInWorker(source, filename, { ...options, signal: controller.signal }));
+        setError('');
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        setPlan(null);
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) setIsPlanning(false);
+      }
+    }, PLAN_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [open, hasSource, source, options, baseName]);
+
+  const tree = useMemo(() => (plan ? buildTree(plan.entries) : null), [plan]);
+  const preview = useMemo(() => (selected ? previewEntryBytes(selected.path, selected.data) : null), [selected]);
+
+  const fileCount = plan ? plan.entries.filter((entry) => !entry.isDirectory).length : 0;
+
+  return (
+    <Collapsible open={open} onOpenChange={setOpen} className="border border-gray-200 rounded-md">
+      <CollapsibleTrigger asChild>
+        <button
+          type="button"
+          disabled={!hasSource}
+          className="flex w-full items-center justify-between px-4 py-3 text-sm font-medium text-gray-700 disabled:opacity-50"
+        >
+          <span className="flex items-center space-x-2">
+            {open ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+            <Eye className="h-4 w-4" />
+            <span>Preview archive contents</span>
+          </span>
+          {open && plan && (
+            <span className="font-normal text-gray-500">
+              {fileCount}{plan.truncated ? '+' : ''} file{fileCount === 1 ? '' : 's'} · {formatFileSize(plan.totalSize)} → ~{formatFileSize(plan.totalCompressedSize)}
+            </span>
+          )}
+        </button>
+      </CollapsibleTrigger>
+
+      <CollapsibleContent className="border-t border-gray-200 px-2 py-2 space-y-2">
+        {isPlanning && !plan && (
+          <div className="flex items-center justify-center space-x-2 py-6 text-sm text-gray-600">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            <span>Planning archive...</span>
+          </div>
+        )}
+
+        {error && (
+          <div className="flex items-center space-x-2 p-3 bg-red-50 border border-red-200 rounded-md text-sm">
+            <AlertCircle className="h-4 w-4 text-red-500" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        )}
+
+        {tree && (
+          <ScrollArea className={`h-72 font-mono text-xs ${isPlanning ? 'opacity-60' : ''}`}>
+            {[...tree.children.values()].map((child) => (
+              <TreeNode key={child.path} node={child} depth={0} onOpen={setSelected} />
+            ))}
+          </ScrollArea>
+        )}
+
+        {plan?.renamed.length > 0 && (
+          <div className="px-2 text-xs text-amber-700">
+            <p>{plan.renamed.length} file{plan.renamed.length === 1 ? ' is' : 's are'} renamed to be safe and unique:</p>
+            <ul className="font-mono">
+              {plan.renamed.map(({ from, to }, index) => (
+                <li key={index} className="break-all">{from} → {to}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {plan?.truncated && (
+          <p className="px-2 text-xs text-gray-500">
+            Showing the first {plan.entries.length} entries; the archive holds more.
+          </p>
+        )}
+        {plan && (
+          <p className="px-2 text-xs text-gray-500">
+            Compressed sizes are estimates. Click a file to see its contents.
+          </p>
+        )}
+      </CollapsibleContent>
+
+      <Dialog open={selected !== null} onOpenChange={(isOpen) => !isOpen && setSelected(null)}>
+        <DialogContent className="max-w-3xl">
+          <DialogHeader>
+            <DialogTitle className="font-mono text-sm break-all">{selected?.path}</DialogTitle>
+            <DialogDescription>
+              {selected && formatSizes(selected)}
+              {preview?.truncated && ' · preview truncated'}
+            </DialogDescription>
+          </DialogHeader>
+          {preview && (
+            <pre className="max-h-[60vh] overflow-auto rounded-md bg-gray-50 p-3 font-mono text-xs whitespace-pre-wrap break-all">
+              {preview.content}
+            </pre>
+          )}
+        </DialogContent>
+      </Dialog>
+    </Collapsible>
+  );
+};
+
+TreeNode.propTypes = {
+  node: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    entry: PropTypes.object,
+    children: PropTypes.instanceOf(Map)
+  }).isRequired,
+  depth: PropTypes.number.isRequired,
+  onOpen: PropTypes.func.isRequired
+};
+
+ArchivePreview.propTypes = {
+  source: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Blob)]),
+  options: PropTypes.object.isRequired,
+  baseName: PropTypes.string
+};
+
+export default ArchivePreview;
@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from './ui/Button';
+import { Input } from './ui/input';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell, TableCaption } from './ui/table';
+import { Table2, AlertCircle } from 'lucide-react';
+import { CSV_COLUMN_TYPES, readCsvTable, csvTableToObjects, convertCsvValue } from '../utils/csv';
+import { INPUT_FORMATS } from '../utils/inputFormats';
+
+// Wait for typing to pause before reading the table again
+const READ_DELAY = 300;
+
+// Rows shown under the column settings
+const PREVIEW_ROWS = 5;
+
+const DELIMITER_OPTIONS = [
+  { value: '', label: 'Detect' },
+  { value: ',', label: 'Comma' },
+  { value: '\t', label: 'Tab' },
+  { value: ';', label: 'Semicolon' },
+  { value: '|', label: 'Pipe' }
+];
+
+const TYPE_LABELS = {
+  [CSV_COLUMN_TYPES.STRING]: 'Text',
+  [CSV_COLUMN_TYPES.NUMBER]: 'Number',
+  [CSV_COLUMN_TYPES.BOOLEAN]: 'Boolean',
+  [CSV_COLUMN_TYPES.DATE]: 'Date'
+};
+
+const formatCell = (value) => (value === null ? 'null' : String(value));
+
+/**
+ * Reads CSV or TSV text as a table whose columns can be renamed, retyped or
+ * skipped, then hands the rows to `onApply` as JSON array text
+ */
+const CsvMappingPanel = ({ text, format, onApply, disabled = false }) => {
+  const [delimiter, setDelimiter] = useState(format === INPUT_FORMATS.TSV ? '\t' : '');
+  // null follows header detection
+  const [header, setHeader] = useState(null);
+  const [table, setTable] = useState(null);
+  const [readError, setReadError] = useState('');
+  const [error, setError] = useState('');
+  // Column changes belong to the table they were made on
+  const [edits, setEdits] = useState({ table: null, columns: {} });
+
+  useEffect(() => {
+    setDelimiter(format === INPUT_FORMATS.TSV ? '\t' : '');
+  }, [format]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      try {
+        setTable(readCsvTable(text, { delimiter: delimiter || undefined, header: header ?? undefined }));
+        setReadError('');
+      } catch (err) {
+        setTable(null);
+        setReadError(err.message);
+      }
+      setError('');
+    }, READ_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [text, delimiter, header]);
+
+  const columnEdits = edits.table === table ? edits.columns : {};
+  const columns = table ? table.columns.map((column, index) => ({ ...column, skip: false, ...columnEdits[index] })) : [];
+  const keptCount = columns.filter((column) => !column.skip).length;
+
+  const editColumn = (index, change) => {
+    setEdits({ table, columns: { ...columnEdits, [index]: { ...columnEdits[index], ...change } } });
+    setError('');
+  };
+
+  const handleApply = () => {
+    try {
+      onApply(JSON.stringify(csvTableToObjects(table, columns), null, 2));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-3 p-4 border border-gray-200 rounded-md">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+          <Table2 className="h-4 w-4" />
+          <span>Column mapping</span>
+        </div>
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+          <label className="flex items-center space-x-2">
+            <span>Delimiter</span>
+            <select
+              value={delimiter}
+              onChange={(e) => setDelimiter(e.target.value)}
+              disabled={disabled}
+              className="px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+            >
+              {DELIMITER_OPTIONS.map((option) => (
+                <option key={option.label} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={table?.header ?? false}
+              onChange={(e) => setHeader(e.target.checked)}
+              disabled={disabled || !table}
+              className="rounded border-gray-300"
+            />
+            <span>First row is a header</span>
+          </label>
+          <Button size="sm" onClick={handleApply} disabled={disabled || !table || keptCount === 0}>
+            Create JSON array
+          </Button>
+        </div>
+      </div>
+
+      {(readError || error) && (
+        <div className="flex items-center space-x-2 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 flex-shrink-0" />
+          <span>{readError || error}</span>
+        </div>
+      )}
+
+      {table && (
+        <Table>
+          <TableCaption>
+            {`${table.rows.length} row${table.rows.length === 1 ? '' : 's'}, ${keptCount} of ${columns.length} columns kept`}
+          </TableCaption>
+          <TableHeader>
+            <TableRow>
+              {columns.map((column, index) => (
+                <TableHead key={index} className="align-top py-2 min-w-[10rem]">
+                  <div className="space-y-1">
+                    <label className="flex items-center space-x-2 text-xs font-normal">
+                      <input
+                        type="checkbox"
+                        checked={!column.skip}
+                        onChange={(e) => editColumn(index, { skip: !e.target.checked })}
+                        disabled={disabled}
+                        className="rounded border-gray-300"
+                      />
+                      <span>Keep</span>
+                    </label>
+                    <Input
+                      aria-label={`Column ${index + 1} name`}
+                      value={column.name}
+                      onChange={(e) => editColumn(index, { name: e.target.value })}
+                      disabled={disabled || column.skip}
+                      className="h-8 text-xs font-mono"
+                    />
+                    <select
+                      aria-label={`Column ${index + 1} type`}
+                      value={column.type}
+                      onChange={(e) => editColumn(index, { type: e.target.value })}
+                      disabled={disabled || column.skip}
+                      className="w-full px-2 py-1 border border-gray-300 rounded-md text-xs font-normal"
+                    >
+                      {Object.values(CSV_COLUMN_TYPES).map((type) => (
+                        <option key={type} value={type}>
+                          {TYPE_LABELS[type]}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </TableHead>
+              ))}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {table.rows.slice(0, PREVIEW_ROWS).map((row, rowIndex) => (
+              <TableRow key={rowIndex}>
+                {columns.map((column, index) => {
+                  const value = convertCsvValue(row[index] ?? '', column.type);
+                  return (
+                    <TableCell
+                      key={index}
+                      className={`font-mono text-xs whitespace-nowrap ${column.skip ? 'text-gray-300' : value === null ? 'text-gray-400 italic' : ''}`}
+                    >
+                      {formatCell(value)}
+                    </TableCell>
+                  );
+                })}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </div>
+  );
+};
+
+CsvMappingPanel.propTypes = {
+  text: PropTypes.string.isRequired,
+  format: PropTypes.string.isRequired,
+  onApply: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default CsvMappingPanel;
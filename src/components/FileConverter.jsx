@@ -1,22 +1,204 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { Button } from './ui/Button';
+import PasswordField from './PasswordField';
+import ZipExtractor from './ZipExtractor';
+import ArchiveInspector from './ArchiveInspector';
+import SigningKeyPanel from './SigningKeyPanel';
+import FilenameTemplateField from './FilenameTemplateField';
+import ArchivePreview from './ArchivePreview';
+import RecipePanel from './RecipePanel';
+import CsvMappingPanel from './CsvMappingPanel';
 import { Upload, Download, FileText, Loader2, AlertCircle, CheckCircle } from 'lucide-react';
+import { streamJsonToArchiveInWorker, formatJsonInWorker } from '../services/workerService';
+import { formatFileSize, generateFilename, isAcceptedFileType } from '../utils/fileUtils';
+import {
+  INPUT_FORMATS,
+  INPUT_FILE_EXTENSIONS,
+  INPUT_MIME_TYPES,
+  getSupportedInputFormats,
+  getFileInputFormat,
+  isLenientInputFormat,
+  isTabularInputFormat
+} from '../utils/inputFormats';
+import { ARCHIVE_FORMATS, getArchiveFormat, getSupportedArchiveFormats } from '../utils/archiveFormats';
+import { VOLUME_MODES, MIN_VOLUME_SIZE } from '../utils/zipVolumes';
+import { LEAF_FORMATS, ARRAY_MODES } from '../utils/folderMapping';
+import { ENTRY_FORMATS, getSupportedEntryFormats } from '../utils/entryFormats';
+import { COLLISION_POLICIES } from '../utils/entryNames';
+import { loadRecipes, getDefaultRecipe } from '../utils/recipes';
+import { XML_NAMESPACE_MODES, XML_ARRAY_MODES, DEFAULT_XML_OPTIONS } from '../utils/xmlParser';
+
+const COMPRESSION_LEVELS = [
+  { value: 0, label: 'Store (no compression)' },
+  { value: 1, label: 'Fast' },
+  { value: 6, label: 'Normal' },
+  { value: 9, label: 'Maximum' }
+];
+
+// Renamed entries listed in the success message
+const RENAME_REPORT_LIMIT = 3;
+
+/**
+ * Summarizes the entries written under another name, e.g. " 2 files renamed: a.json → a-1.json, ..."
+ */
+const describeRenames = (renamed = []) => {
+  if (renamed.length === 0) return '';
+  const listed = renamed.slice(0, RENAME_REPORT_LIMIT).map(({ from, to }) => `${from} → ${to}`).join(', ');
+  const more = renamed.length > RENAME_REPORT_LIMIT ? `, and ${renamed.length - RENAME_REPORT_LIMIT} more` : '';
+  return ` ${renamed.length} file${renamed.length === 1 ? '' : 's'} renamed: ${listed}${more}.`;
+};
+
+const MODES = {
+  CONVERT: 'convert',
+  EXTRACT: 'extract',
+  INSPECT: 'inspect'
+};
+
+// Files above this size are streamed from disk instead of loaded into the editor
+const STREAMING_THRESHOLD = 5 * 1024 * 1024;
+
+const MEGABYTE = 1024 * 1024;
+
+// Archives are named converted-data-<timestamp>
+const OUTPUT_BASENAME = 'converted-data';
 
 const FileConverter = () => {
   const [jsonInput, setJsonInput] = useState('');
+  // One of INPUT_FORMATS; empty detects JSON or JSON Lines from the text
+  const [inputFormat, setInputFormat] = useState('');
+  const [preserveSource, setPreserveSource] = useState(false);
+  const [xmlAttributePrefix, setXmlAttributePrefix] = useState(DEFAULT_XML_OPTIONS.xmlAttributePrefix);
+  const [xmlTextKey, setXmlTextKey] = useState(DEFAULT_XML_OPTIONS.xmlTextKey);
+  const [xmlNamespaces, setXmlNamespaces] = useState(DEFAULT_XML_OPTIONS.xmlNamespaces);
+  const [xmlArrays, setXmlArrays] = useState(DEFAULT_XML_OPTIONS.xmlArrays);
   const [isConverting, setIsConverting] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [dragActive, setDragActive] = useState(false);
+  const [format, setFormat] = useState(ARCHIVE_FORMATS.ZIP);
+  const [compressionLevel, setCompressionLevel] = useState(6);
+  const [splitArrayItems, setSplitArrayItems] = useState(false);
+  const [fileNameTemplate, setFileNameTemplate] = useState('');
+  const [createFolders, setCreateFolders] = useState(false);
+  const [splitBySelector, setSplitBySelector] = useState(false);
+  const [splitPath, setSplitPath] = useState('$.records[*]');
+  const [groupPath, setGroupPath] = useState('');
+  const [extractBinaries, setExtractBinaries] = useState(false);
+  const [outputFormat, setOutputFormat] = useState(ENTRY_FORMATS.JSON);
+  const [indent, setIndent] = useState(2);
+  const [splitOutputFormat, setSplitOutputFormat] = useState('');
+  const [collisionPolicy, setCollisionPolicy] = useState(COLLISION_POLICIES.SUFFIX);
+  const [leafFormat, setLeafFormat] = useState(LEAF_FORMATS.JSON);
+  const [maxDepth, setMaxDepth] = useState('');
+  const [arrayMode, setArrayMode] = useState(ARRAY_MODES.FILE);
+  const [deterministic, setDeterministic] = useState(false);
+  const [includeManifest, setIncludeManifest] = useState(false);
+  const [includeChecksums, setIncludeChecksums] = useState(false);
+  const [signArchive, setSignArchive] = useState(false);
+  const [signingKey, setSigningKey] = useState(null);
+  const [splitVolumes, setSplitVolumes] = useState(false);
+  const [volumeSizeMb, setVolumeSizeMb] = useState(25);
+  const [volumeMode, setVolumeMode] = useState(VOLUME_MODES.SPANNED);
+  const [sourceFile, setSourceFile] = useState(null);
+  const [bytesWritten, setBytesWritten] = useState(0);
+  const [password, setPassword] = useState('');
+  const [mode, setMode] = useState(MODES.CONVERT);
+  const [recipeName, setRecipeName] = useState(() => getDefaultRecipe(loadRecipes())?.name ?? '');
+  const conversionRef = useRef(null);
 
-  const validateJSON = (jsonString) => {
-    try {
-      JSON.parse(jsonString);
-      return true;
-    } catch (e) {
-      return false;
-    }
-  };
+  const activeFormat = useMemo(() => getArchiveFormat(format), [format]);
+  // The layout options replace one another; a selector split takes precedence
+  const splitting = activeFormat.multipleEntries && splitBySelector;
+  const foldering = activeFormat.multipleEntries && !splitting && createFolders;
+  const splittingItems = activeFormat.multipleEntries && !splitting && !foldering && splitArrayItems;
+  // A password is never dropped: with deterministic on, the archive writer rejects the pair
+  const encrypting = Boolean(activeFormat.encryption && password);
+  // The original JSONC / JSON5 text can only stand in for the whole document
+  const keepsSource = isLenientInputFormat(inputFormat) && !splitting && !foldering && !splittingItems;
+
+  // How XML becomes JSON; also used to preview file names and to format the input
+  const xmlOptions = useMemo(() => ({
+    xmlAttributePrefix,
+    xmlTextKey: xmlTextKey || DEFAULT_XML_OPTIONS.xmlTextKey,
+    xmlNamespaces,
+    xmlArrays
+  }), [xmlAttributePrefix, xmlTextKey, xmlNamespaces, xmlArrays]);
+
+  // Shared by the conversion and the archive preview, which re-plans when this changes
+  const conversionOptions = useMemo(() => {
+    return {
+      inputFormat: inputFormat || undefined,
+      preserveSource: keepsSource && preserveSource,
+      ...xmlOptions,
+      format,
+      compression: compressionLevel === 0 ? 'STORE' : 'DEFLATE',
+      compressionLevel,
+      createSeparateFiles: splittingItems,
+      fileNaming: fileNameTemplate.trim() ? 'template' : 'auto',
+      fileNameTemplate,
+      createFolders: foldering,
+      splitPath: splitting ? splitPath : undefined,
+      groupPath: splitting ? groupPath : undefined,
+      extractBinaries: activeFormat.multipleEntries && extractBinaries,
+      outputFormat,
+      indent,
+      splitOutputFormat: splitting ? splitOutputFormat || undefined : undefined,
+      collisionPolicy,
+      leafFormat,
+      maxDepth: maxDepth === '' ? undefined : Number(maxDepth),
+      arrayMode,
+      deterministic,
+      includeManifest: activeFormat.multipleEntries && includeManifest,
+      includeChecksums: activeFormat.multipleEntries && includeChecksums,
+      signingKey: activeFormat.multipleEntries && signArchive ? signingKey : undefined,
+      maxVolumeSize: activeFormat.volumes && splitVolumes ? Math.floor(volumeSizeMb * MEGABYTE) : undefined,
+      volumeMode,
+      encryption: encrypting ? 'aes-256' : 'none',
+      password: encrypting ? password : undefined
+    };
+  }, [
+    inputFormat, keepsSource, preserveSource, xmlOptions, activeFormat, format, compressionLevel, splittingItems, fileNameTemplate, foldering, splitting, splitPath,
+    groupPath, extractBinaries, outputFormat, indent, splitOutputFormat, collisionPolicy, leafFormat, maxDepth, arrayMode,
+    deterministic, includeManifest, includeChecksums, signArchive, signingKey, splitVolumes, volumeSizeMb,
+    volumeMode, encrypting, password
+  ]);
+
+  // Sets every option a recipe can hold; options the recipe leaves out go back to their defaults
+  const applyRecipeOptions = useCallback((options) => {
+    setFormat(options.format ?? ARCHIVE_FORMATS.ZIP);
+    setCompressionLevel(options.compressionLevel ?? (options.compression === 'STORE' ? 0 : 6));
+    setSplitArrayItems(options.createSeparateFiles ?? false);
+    setFileNameTemplate(options.fileNaming === 'template' ? options.fileNameTemplate ?? '' : '');
+    setCreateFolders(options.createFolders ?? false);
+    setSplitBySelector(Boolean(options.splitPath));
+    setSplitPath(options.splitPath || '$.records[*]');
+    setGroupPath(options.groupPath ?? '');
+    setExtractBinaries(options.extractBinaries ?? false);
+    setOutputFormat(options.outputFormat ?? ENTRY_FORMATS.JSON);
+    setIndent(options.indent ?? 2);
+    setSplitOutputFormat(options.splitOutputFormat ?? '');
+    setCollisionPolicy(options.collisionPolicy ?? COLLISION_POLICIES.SUFFIX);
+    setLeafFormat(options.leafFormat ?? LEAF_FORMATS.JSON);
+    setMaxDepth(options.maxDepth == null ? '' : String(options.maxDepth));
+    setArrayMode(options.arrayMode ?? ARRAY_MODES.FILE);
+    setDeterministic(options.deterministic ?? false);
+    setIncludeManifest(options.includeManifest ?? false);
+    setIncludeChecksums(options.includeChecksums ?? false);
+    setSplitVolumes(options.maxVolumeSize != null);
+    if (options.maxVolumeSize != null) setVolumeSizeMb(options.maxVolumeSize / MEGABYTE);
+    setVolumeMode(options.volumeMode ?? VOLUME_MODES.SPANNED);
+    setPreserveSource(options.preserveSource ?? false);
+    setXmlAttributePrefix(options.xmlAttributePrefix ?? DEFAULT_XML_OPTIONS.xmlAttributePrefix);
+    setXmlTextKey(options.xmlTextKey ?? DEFAULT_XML_OPTIONS.xmlTextKey);
+    setXmlNamespaces(options.xmlNamespaces ?? DEFAULT_XML_OPTIONS.xmlNamespaces);
+    setXmlArrays(options.xmlArrays ?? DEFAULT_XML_OPTIONS.xmlArrays);
+  }, []);
+
+  // The default recipe applies once, when the converter opens
+  useEffect(() => {
+    const recipe = getDefaultRecipe(loadRecipes());
+    if (recipe) applyRecipeOptions(recipe.options);
+  }, [applyRecipeOptions]);
 
   const handleDrag = useCallback((e) => {
     e.preventDefault();
@@ -28,100 +210,123 @@ const FileConverter = () => {
     }
   }, []);
 
+  const loadFile = useCallback((file) => {
+    if (!(file.type === 'application/json' || isAcceptedFileType(file))) {
+      setError('Please upload a JSON, JSON Lines, JSONC, JSON5, YAML, TOML, CSV, TSV or XML file');
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+    setInputFormat(getFileInputFormat(file) ?? '');
+
+    if (file.size > STREAMING_THRESHOLD) {
+      setSourceFile(file);
+      setJsonInput('');
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setSourceFile(null);
+      setJsonInput(event.target.result);
+    };
+    reader.readAsText(file);
+  }, []);
+
   const handleDrop = useCallback((e) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
     
     if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      const file = e.dataTransfer.files[0];
-      if (file.type === 'application/json' || file.name.endsWith('.json')) {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-          setJsonInput(event.target.result);
-          setError('');
-        };
-        reader.readAsText(file);
-      } else {
-        setError('Please upload a valid JSON file');
-      }
+      loadFile(e.dataTransfer.files[0]);
     }
-  }, []);
+  }, [loadFile]);
 
   const handleFileUpload = (e) => {
     const file = e.target.files[0];
     if (file) {
-      if (file.type === 'application/json' || file.name.endsWith('.json')) {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-          setJsonInput(event.target.result);
-          setError('');
-        };
-        reader.readAsText(file);
-      } else {
-        setError('Please upload a valid JSON file');
-      }
+      loadFile(file);
     }
   };
 
   const convertToZip = async () => {
-    if (!jsonInput.trim()) {
+    if (!sourceFile && !jsonInput.trim()) {
       setError('Please provide JSON data to convert');
       return;
     }
-
-    if (!validateJSON(jsonInput)) {
-      setError('Invalid JSON format. Please check your input.');
+    if (activeFormat.multipleEntries && signArchive && !signingKey) {
+      setError('Generate or paste a signing key, or turn off signing');
       return;
     }
 
+    // Parsing, validation and compression all happen in the archive worker
+    const controller = new AbortController();
+    conversionRef.current = controller;
+
     setIsConverting(true);
     setError('');
     setSuccess('');
+    setBytesWritten(0);
 
     try {
-      // Parse JSON to validate and format
-      const parsedJson = JSON.parse(jsonInput);
-      
-      // Create a blob with the JSON data
-      const jsonBlob = new Blob([JSON.stringify(parsedJson, null, 2)], {
-        type: 'application/json'
+      const source = sourceFile || jsonInput;
+      const filename = generateFilename(OUTPUT_BASENAME, format);
+
+      const result = await streamJsonToArchiveInWorker(source, filename, {
+        ...conversionOptions,
+        signal: controller.signal,
+        onProgress: setBytesWritten
       });
 
-      // For demonstration, we'll create a simple zip-like download
-      // In a real implementation, you'd use a library like JSZip
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `converted-data-${timestamp}.json`;
-
-      // Create download link
-      const url = URL.createObjectURL(jsonBlob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-
-      setSuccess('File converted and downloaded successfully!');
+      const renames = describeRenames(result.renamed);
+      if (result.volumes?.length > 1) {
+        setSuccess(`${result.volumes.length} volumes (${formatFileSize(result.size)}) downloaded: ${result.volumes.join(', ')}.${renames}`);
+      } else {
+        setSuccess(`${result.filename} (${formatFileSize(result.size)}) downloaded successfully!${renames}`);
+      }
     } catch (err) {
-      setError('Failed to convert file. Please try again.');
-      console.error('Conversion error:', err);
+      if (err.name !== 'AbortError') {
+        setError(`Failed to convert file: ${err.message}`);
+        console.error('Conversion error:', err);
+      }
     } finally {
+      conversionRef.current = null;
       setIsConverting(false);
     }
   };
 
+  const cancelConversion = () => {
+    conversionRef.current?.abort();
+  };
+
   const clearInput = () => {
     setJsonInput('');
+    setInputFormat('');
+    setSourceFile(null);
+    setError('');
+    setSuccess('');
+  };
+
+  const loadExtractedJson = (text) => {
+    clearInput();
+    setJsonInput(text);
+    setMode(MODES.CONVERT);
+  };
+
+  const loadCsvJson = (text) => {
+    setJsonInput(text);
+    setInputFormat(INPUT_FORMATS.JSON);
     setError('');
     setSuccess('');
   };
 
-  const formatJson = () => {
+  const formatJson = async () => {
     try {
-      const parsed = JSON.parse(jsonInput);
-      setJsonInput(JSON.stringify(parsed, null, 2));
+      setJsonInput(await formatJsonInWorker(jsonInput, { inputFormat: inputFormat || undefined, ...xmlOptions }));
+      // Other formats come out as JSON; JSON Lines stay JSON Lines
+      if (inputFormat && inputFormat !== INPUT_FORMATS.JSON_LINES) setInputFormat(INPUT_FORMATS.JSON);
       setError('');
     } catch (e) {
       setError('Invalid JSON format. Cannot format.');
@@ -133,130 +338,615 @@ const FileConverter = () => {
       <div className="text-center space-y-2">
         <h1 className="text-3xl font-bold text-gray-900">JSON to ZIP Converter</h1>
         <p className="text-gray-600">
-          Upload or paste your JSON data to convert and download as a file
+          Upload or paste your JSON data to convert and download as a ZIP archive
         </p>
       </div>
 
-      {/* File Upload Area */}
-      <div
-        className={`relative border-2 border-dashed rounded-lg p-8 text-center transition-colors ${
-          dragActive
-            ? 'border-blue-500 bg-blue-50'
-            : 'border-gray-300 hover:border-gray-400'
-        }`}
-        onDragEnter={handleDrag}
-        onDragLeave={handleDrag}
-        onDragOver={handleDrag}
-        onDrop={handleDrop}
-      >
-        <input
-          type="file"
-          accept=".json,application/json"
-          onChange={handleFileUpload}
-          className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
-        />
-        <Upload className="mx-auto h-12 w-12 text-gray-400 mb-4" />
-        <p className="text-lg font-medium text-gray-900 mb-2">
-          Drop your JSON file here, or click to browse
-        </p>
-        <p className="text-sm text-gray-500">
-          Supports .json files up to 10MB
-        </p>
+      {/* Mode Switch */}
+      <div className="flex justify-center space-x-2">
+        <Button
+          variant={mode === MODES.CONVERT ? 'default' : 'outline'}
+          onClick={() => setMode(MODES.CONVERT)}
+        >
+          JSON → ZIP
+        </Button>
+        <Button
+          variant={mode === MODES.EXTRACT ? 'default' : 'outline'}
+          onClick={() => setMode(MODES.EXTRACT)}
+        >
+          Extract ZIP → JSON
+        </Button>
+        <Button
+          variant={mode === MODES.INSPECT ? 'default' : 'outline'}
+          onClick={() => setMode(MODES.INSPECT)}
+        >
+          Inspect ZIP
+        </Button>
       </div>
 
-      {/* JSON Input Textarea */}
-      <div className="space-y-4">
-        <div className="flex justify-between items-center">
-          <label className="block text-sm font-medium text-gray-700">
-            JSON Data
-          </label>
-          <div className="flex space-x-2">
-            <Button
-              variant="outline"
-              size="sm"
-              onClick={formatJson}
-              disabled={!jsonInput.trim()}
-            >
-              <FileText className="h-4 w-4 mr-1" />
-              Format
-            </Button>
-            <Button
-              variant="outline"
-              size="sm"
-              onClick={clearInput}
-              disabled={!jsonInput.trim()}
-            >
-              Clear
+      {mode === MODES.EXTRACT && <ZipExtractor onUseAsInput={loadExtractedJson} />}
+
+      {mode === MODES.INSPECT && <ArchiveInspector />}
+
+      {mode === MODES.CONVERT && (
+        <>
+        {/* File Upload Area */}
+        <div
+          className={`relative border-2 border-dashed rounded-lg p-8 text-center transition-colors ${
+            dragActive
+              ? 'border-blue-500 bg-blue-50'
+              : 'border-gray-300 hover:border-gray-400'
+          }`}
+          onDragEnter={handleDrag}
+          onDragLeave={handleDrag}
+          onDragOver={handleDrag}
+          onDrop={handleDrop}
+        >
+          <input
+            type="file"
+            accept={[...INPUT_FILE_EXTENSIONS, ...INPUT_MIME_TYPES].join(',')}
+            onChange={handleFileUpload}
+            className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+          />
+          <Upload className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <p className="text-lg font-medium text-gray-900 mb-2">
+            Drop your JSON, JSON Lines, JSONC, JSON5, YAML, TOML, CSV, TSV or XML file here, or click to browse
+          </p>
+          <p className="text-sm text-gray-500">
+            Files over {formatFileSize(STREAMING_THRESHOLD)} are streamed straight from disk
+          </p>
+        </div>
+
+        {/* Streamed Source File */}
+        {sourceFile && (
+          <div className="flex items-center justify-between p-4 bg-blue-50 border border-blue-200 rounded-md">
+            <div className="flex items-center space-x-2 min-w-0">
+              <FileText className="h-5 w-5 text-blue-500 flex-shrink-0" />
+              <span className="text-blue-900 truncate">
+                {sourceFile.name} ({formatFileSize(sourceFile.size)}) will be streamed without loading it into the editor
+              </span>
+            </div>
+            <Button variant="outline" size="sm" onClick={clearInput}>
+              Remove
             </Button>
           </div>
-        </div>
+        )}
+
+        {/* JSON Input Textarea */}
+        <div className="space-y-4">
+          <div className="flex justify-between items-center">
+            <label className="block text-sm font-medium text-gray-700">
+              JSON Data
+            </label>
+            <div className="flex items-center space-x-2">
+              {keepsSource && (
+                <label
+                  className="flex items-center space-x-2 text-sm text-gray-700"
+                  title="Write the text as it is, comments included, instead of converting it to strict JSON"
+                >
+                  <input
+                    type="checkbox"
+                    checked={preserveSource}
+                    onChange={(e) => setPreserveSource(e.target.checked)}
+                    disabled={isConverting}
+                    className="rounded border-gray-300"
+                  />
+                  <span>Keep original text</span>
+                </label>
+              )}
+              <select
+                aria-label="Input format"
+                value={inputFormat}
+                onChange={(e) => {
+                  setInputFormat(e.target.value);
+                  setError('');
+                }}
+                disabled={isConverting}
+                className="px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+              >
+                <option value="">Detect JSON / JSON Lines</option>
+                {getSupportedInputFormats().map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={formatJson}
+                disabled={!jsonInput.trim()}
+              >
+                <FileText className="h-4 w-4 mr-1" />
+                Format
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={clearInput}
+                disabled={!jsonInput.trim()}
+              >
+                Clear
+              </Button>
+            </div>
+          </div>
         
-        <textarea
-          value={jsonInput}
-          onChange={(e) => {
-            setJsonInput(e.target.value);
-            setError('');
-            setSuccess('');
-          }}
-          placeholder="Paste your JSON data here or upload a file above..."
-          className="w-full h-64 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 font-mono text-sm resize-vertical"
-        />
-      </div>
+          <textarea
+            value={jsonInput}
+            onChange={(e) => {
+              setJsonInput(e.target.value);
+              setError('');
+              setSuccess('');
+            }}
+            placeholder="Paste your JSON data here or upload a file above..."
+            disabled={Boolean(sourceFile)}
+            className="w-full h-64 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 font-mono text-sm resize-vertical"
+          />
+
+          {/* CSV and TSV become a JSON array once their columns are mapped */}
+          {isTabularInputFormat(inputFormat) && jsonInput.trim() && (
+            <CsvMappingPanel
+              text={jsonInput}
+              format={inputFormat}
+              onApply={loadCsvJson}
+              disabled={isConverting}
+            />
+          )}
 
-      {/* Status Messages */}
-      {error && (
-        <div className="flex items-center space-x-2 p-4 bg-red-50 border border-red-200 rounded-md">
-          <AlertCircle className="h-5 w-5 text-red-500" />
-          <span className="text-red-700">{error}</span>
+          {/* How XML elements, attributes and text map to JSON keys */}
+          {inputFormat === INPUT_FORMATS.XML && (
+            <div className="flex flex-wrap items-center gap-4 p-4 border border-gray-200 rounded-md text-sm text-gray-700">
+              <label className="flex items-center space-x-2">
+                <span>Attribute prefix</span>
+                <input
+                  type="text"
+                  value={xmlAttributePrefix}
+                  onChange={(e) => setXmlAttributePrefix(e.target.value)}
+                  disabled={isConverting}
+                  className="w-16 px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+                />
+              </label>
+              <label className="flex items-center space-x-2">
+                <span>Text key</span>
+                <input
+                  type="text"
+                  value={xmlTextKey}
+                  onChange={(e) => setXmlTextKey(e.target.value)}
+                  placeholder={DEFAULT_XML_OPTIONS.xmlTextKey}
+                  disabled={isConverting}
+                  className="w-24 px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+                />
+              </label>
+              <label className="flex items-center space-x-2">
+                <span>Namespaces</span>
+                <select
+                  value={xmlNamespaces}
+                  onChange={(e) => setXmlNamespaces(e.target.value)}
+                  disabled={isConverting}
+                  className="px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+                >
+                  <option value={XML_NAMESPACE_MODES.PREFIX}>Keep prefixes (soap:Body)</option>
+                  <option value={XML_NAMESPACE_MODES.STRIP}>Local names (Body)</option>
+                  <option value={XML_NAMESPACE_MODES.URI}>{'Namespace URIs ({uri}Body)'}</option>
+                </select>
+              </label>
+              <label className="flex items-center space-x-2">
+                <span>Arrays</span>
+                <select
+                  value={xmlArrays}
+                  onChange={(e) => setXmlArrays(e.target.value)}
+                  disabled={isConverting}
+                  className="px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+                >
+                  <option value={XML_ARRAY_MODES.REPEATED}>For repeated elements</option>
+                  <option value={XML_ARRAY_MODES.ALWAYS}>For every element</option>
+                </select>
+              </label>
+            </div>
+          )}
         </div>
-      )}
 
-      {success && (
-        <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-md">
-          <CheckCircle className="h-5 w-5 text-green-500" />
-          <span className="text-green-700">{success}</span>
+        {/* Status Messages */}
+        {error && (
+          <div className="flex items-center space-x-2 p-4 bg-red-50 border border-red-200 rounded-md">
+            <AlertCircle className="h-5 w-5 text-red-500" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        )}
+
+        {success && (
+          <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-md">
+            <CheckCircle className="h-5 w-5 text-green-500" />
+            <span className="text-green-700">{success}</span>
+          </div>
+        )}
+
+        <RecipePanel
+          options={conversionOptions}
+          selected={recipeName}
+          onSelectedChange={setRecipeName}
+          onApply={applyRecipeOptions}
+          disabled={isConverting}
+        />
+
+        {/* Archive Options */}
+        <div className="flex items-center justify-center space-x-2">
+          <label htmlFor="archive-format" className="text-sm font-medium text-gray-700">
+            Format
+          </label>
+          <select
+            id="archive-format"
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+          >
+            {getSupportedArchiveFormats().map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <label htmlFor="compression-level" className="pl-4 text-sm font-medium text-gray-700">
+            Compression
+          </label>
+          <select
+            id="compression-level"
+            value={compressionLevel}
+            onChange={(e) => setCompressionLevel(Number(e.target.value))}
+            disabled={format === ARCHIVE_FORMATS.TAR}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+          >
+            {COMPRESSION_LEVELS.map((level) => (
+              <option key={level.value} value={level.value}>
+                {level.label}
+              </option>
+            ))}
+          </select>
+          <label htmlFor="output-format" className="pl-4 text-sm font-medium text-gray-700">
+            Write as
+          </label>
+          <select
+            id="output-format"
+            value={outputFormat}
+            onChange={(e) => setOutputFormat(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+          >
+            {getSupportedEntryFormats().map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <label htmlFor="indent" className="pl-4 text-sm font-medium text-gray-700">
+            Indent
+          </label>
+          <input
+            id="indent"
+            type="number"
+            min="0"
+            max="10"
+            step="1"
+            value={indent}
+            onChange={(e) => setIndent(Number(e.target.value))}
+            disabled={outputFormat !== ENTRY_FORMATS.JSON && outputFormat !== ENTRY_FORMATS.YAML}
+            className="w-16 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+          />
+          <label
+            htmlFor="collision-policy"
+            className="pl-4 text-sm font-medium text-gray-700"
+            title="What happens when two files would get the same name. Names are compared ignoring case, as on Windows and macOS"
+          >
+            Same names
+          </label>
+          <select
+            id="collision-policy"
+            value={collisionPolicy}
+            onChange={(e) => setCollisionPolicy(e.target.value)}
+            disabled={!activeFormat.multipleEntries}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+          >
+            <option value={COLLISION_POLICIES.SUFFIX}>Add -1, -2, ...</option>
+            <option value={COLLISION_POLICIES.OVERWRITE}>Keep last</option>
+            <option value={COLLISION_POLICIES.FAIL}>Stop with an error</option>
+          </select>
+          <label className="flex items-center space-x-2 pl-4 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={splittingItems}
+              onChange={(e) => setSplitArrayItems(e.target.checked)}
+              disabled={!activeFormat.multipleEntries || splitting || foldering}
+              className="rounded border-gray-300"
+            />
+            <span>One file per array item or line</span>
+          </label>
+          <label
+            className="flex items-center space-x-2 pl-4 text-sm text-gray-700"
+            title="Nested objects become folders and their values become files"
+          >
+            <input
+              type="checkbox"
+              checked={foldering}
+              onChange={(e) => setCreateFolders(e.target.checked)}
+              disabled={!activeFormat.multipleEntries || splitting}
+              className="rounded border-gray-300"
+            />
+            <span>Folders</span>
+          </label>
+          <label
+            className="flex items-center space-x-2 pl-4 text-sm text-gray-700"
+            title="Each value a JSONPath or JSON Pointer selects becomes its own file; the rest is saved as _root.json"
+          >
+            <input
+              type="checkbox"
+              checked={splitting}
+              onChange={(e) => setSplitBySelector(e.target.checked)}
+              disabled={!activeFormat.multipleEntries}
+              className="rounded border-gray-300"
+            />
+            <span>Split by selector</span>
+          </label>
+          <label
+            className="flex items-center space-x-2 pl-4 text-sm text-gray-700"
+            title="Base64 and data: URI values such as images and PDFs are saved as real files and replaced by their path"
+          >
+            <input
+              type="checkbox"
+              checked={activeFormat.multipleEntries && extractBinaries}
+              onChange={(e) => setExtractBinaries(e.target.checked)}
+              disabled={!activeFormat.multipleEntries}
+              className="rounded border-gray-300"
+            />
+            <span>Extract embedded files</span>
+          </label>
+          <label
+            className="flex items-center space-x-2 pl-4 text-sm text-gray-700"
+            title={encrypting
+              ? 'Encrypted archives use a random salt and cannot be reproducible; clear the password first'
+              : 'Fixed timestamps, sorted entries and keys: the same input always gives a byte-identical archive'}
+          >
+            <input
+              type="checkbox"
+              checked={deterministic}
+              onChange={(e) => setDeterministic(e.target.checked)}
+              disabled={encrypting && !deterministic}
+              className="rounded border-gray-300"
+            />
+            <span>Reproducible</span>
+          </label>
+          <label
+            className="flex items-center space-x-2 pl-4 text-sm text-gray-700"
+            title="Adds manifest.json with the path, size and SHA-256 of every file"
+          >
+            <input
+              type="checkbox"
+              checked={activeFormat.multipleEntries && includeManifest}
+              onChange={(e) => setIncludeManifest(e.target.checked)}
+              disabled={!activeFormat.multipleEntries}
+              className="rounded border-gray-300"
+            />
+            <span>Include manifest</span>
+          </label>
+          <label
+            className="flex items-center space-x-2 pl-4 text-sm text-gray-700"
+            title="Adds a SHA256SUMS file that `sha256sum -c` can check after extraction"
+          >
+            <input
+              type="checkbox"
+              checked={activeFormat.multipleEntries && includeChecksums}
+              onChange={(e) => setIncludeChecksums(e.target.checked)}
+              disabled={!activeFormat.multipleEntries}
+              className="rounded border-gray-300"
+            />
+            <span>SHA256SUMS</span>
+          </label>
+          <label
+            className="flex items-center space-x-2 pl-4 text-sm text-gray-700"
+            title="Signs manifest.json with your key into manifest.json.sig"
+          >
+            <input
+              type="checkbox"
+              checked={activeFormat.multipleEntries && signArchive}
+              onChange={(e) => setSignArchive(e.target.checked)}
+              disabled={!activeFormat.multipleEntries}
+              className="rounded border-gray-300"
+            />
+            <span>Sign</span>
+          </label>
         </div>
-      )}
 
-      {/* Convert Button */}
-      <div className="flex justify-center">
-        <Button
-          onClick={convertToZip}
-          disabled={!jsonInput.trim() || isConverting}
-          className="px-8 py-3 text-lg"
-        >
-          {isConverting ? (
-            <>
-              <Loader2 className="h-5 w-5 mr-2 animate-spin" />
-              Converting...
-            </>
-          ) : (
-            <>
-              <Download className="h-5 w-5 mr-2" />
-              Convert & Download
-            </>
+        {splitting && (
+          <div className="flex items-center justify-center space-x-2">
+            <label htmlFor="split-path" className="text-sm font-medium text-gray-700">
+              Split
+            </label>
+            <input
+              id="split-path"
+              type="text"
+              value={splitPath}
+              onChange={(e) => setSplitPath(e.target.value)}
+              placeholder="$.records[*] or /records"
+              className="w-56 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+            />
+            <label htmlFor="group-path" className="pl-4 text-sm font-medium text-gray-700">
+              Group into folders by
+            </label>
+            <input
+              id="group-path"
+              type="text"
+              value={groupPath}
+              onChange={(e) => setGroupPath(e.target.value)}
+              placeholder="Optional, e.g. $.country"
+              className="w-48 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+            />
+            <label htmlFor="split-output-format" className="pl-4 text-sm font-medium text-gray-700">
+              Write matches as
+            </label>
+            <select
+              id="split-output-format"
+              value={splitOutputFormat}
+              onChange={(e) => setSplitOutputFormat(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+            >
+              <option value="">Same as documents</option>
+              {getSupportedEntryFormats().map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {(splittingItems || splitting) && (
+          <FilenameTemplateField
+            value={fileNameTemplate}
+            onChange={setFileNameTemplate}
+            source={sourceFile || jsonInput}
+            splitPath={splitting ? splitPath : undefined}
+            inputFormat={inputFormat || undefined}
+            parseOptions={xmlOptions}
+            outputFormat={(splitting && splitOutputFormat) || outputFormat}
+            collisionPolicy={collisionPolicy}
+            disabled={isConverting}
+          />
+        )}
+
+        {foldering && (
+          <div className="flex items-center justify-center space-x-2">
+            <label htmlFor="leaf-format" className="text-sm font-medium text-gray-700">
+              Values as
+            </label>
+            <select
+              id="leaf-format"
+              value={leafFormat}
+              onChange={(e) => setLeafFormat(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+            >
+              <option value={LEAF_FORMATS.JSON}>JSON files</option>
+              <option value={LEAF_FORMATS.TEXT}>Text files</option>
+            </select>
+            <label htmlFor="max-depth" className="pl-4 text-sm font-medium text-gray-700">
+              Max depth
+            </label>
+            <input
+              id="max-depth"
+              type="number"
+              min="0"
+              step="1"
+              value={maxDepth}
+              onChange={(e) => setMaxDepth(e.target.value)}
+              placeholder="Unlimited"
+              className="w-28 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+            />
+            <label htmlFor="array-mode" className="pl-4 text-sm font-medium text-gray-700">
+              Arrays as
+            </label>
+            <select
+              id="array-mode"
+              value={arrayMode}
+              onChange={(e) => setArrayMode(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+            >
+              <option value={ARRAY_MODES.FILE}>One array file</option>
+              <option value={ARRAY_MODES.FILES}>Numbered files</option>
+            </select>
+          </div>
+        )}
+
+        {activeFormat.volumes && (
+          <div className="flex items-center justify-center space-x-2">
+            <label
+              className="flex items-center space-x-2 text-sm text-gray-700"
+              title="Splits the archive into several files no larger than the volume size"
+            >
+              <input
+                type="checkbox"
+                checked={splitVolumes}
+                onChange={(e) => setSplitVolumes(e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              <span>Split into volumes of</span>
+            </label>
+            <input
+              type="number"
+              aria-label="Volume size in MB"
+              min={MIN_VOLUME_SIZE / MEGABYTE}
+              step="any"
+              value={volumeSizeMb}
+              onChange={(e) => setVolumeSizeMb(Number(e.target.value))}
+              disabled={!splitVolumes}
+              className="w-24 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+            />
+            <span className="text-sm text-gray-700">MB</span>
+            <select
+              aria-label="Volume type"
+              value={volumeMode}
+              onChange={(e) => setVolumeMode(e.target.value)}
+              disabled={!splitVolumes}
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+            >
+              <option value={VOLUME_MODES.SPANNED}>Spanned (.z01, .z02, ... .zip)</option>
+              <option value={VOLUME_MODES.INDEPENDENT}>Separate ZIPs (.part01.zip, ...)</option>
+            </select>
+          </div>
+        )}
+
+        {activeFormat.encryption && (
+          <PasswordField value={password} onChange={setPassword} disabled={isConverting} />
+        )}
+
+        {activeFormat.multipleEntries && signArchive && (
+          <SigningKeyPanel signingKey={signingKey} onChange={setSigningKey} disabled={isConverting} />
+        )}
+
+        <ArchivePreview source={sourceFile || jsonInput} options={conversionOptions} baseName={OUTPUT_BASENAME} />
+
+        {/* Convert Button */}
+        <div className="flex justify-center">
+          <Button
+            onClick={convertToZip}
+            disabled={(!jsonInput.trim() && !sourceFile) || isConverting}
+            className="px-8 py-3 text-lg"
+          >
+            {isConverting ? (
+              <>
+                <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+                {bytesWritten > 0 ? `Writing ${formatFileSize(bytesWritten)}...` : 'Converting...'}
+              </>
+            ) : (
+              <>
+                <Download className="h-5 w-5 mr-2" />
+                Convert & Download
+              </>
+            )}
+          </Button>
+          {isConverting && (
+            <Button variant="outline" onClick={cancelConversion} className="ml-2 py-3">
+              Cancel
+            </Button>
           )}
-        </Button>
-      </div>
+        </div>
 
-      {/* Info Section */}
-      <div className="bg-gray-50 rounded-lg p-6 space-y-4">
-        <h3 className="text-lg font-semibold text-gray-900">How it works:</h3>
-        <ul className="space-y-2 text-sm text-gray-600">
-          <li className="flex items-start space-x-2">
-            <span className="text-blue-500 font-bold">1.</span>
-            <span>Upload a JSON file or paste your JSON data in the textarea</span>
-          </li>
-          <li className="flex items-start space-x-2">
-            <span className="text-blue-500 font-bold">2.</span>
-            <span>Click "Convert & Download" to process your data</span>
-          </li>
-          <li className="flex items-start space-x-2">
-            <span className="text-blue-500 font-bold">3.</span>
-            <span>Your file will be automatically downloaded to your device</span>
-          </li>
-        </ul>
-      </div>
+        {/* Info Section */}
+        <div className="bg-gray-50 rounded-lg p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-gray-900">How it works:</h3>
+          <ul className="space-y-2 text-sm text-gray-600">
+            <li className="flex items-start space-x-2">
+              <span className="text-blue-500 font-bold">1.</span>
+              <span>Upload a JSON file or paste your JSON data in the textarea</span>
+            </li>
+            <li className="flex items-start space-x-2">
+              <span className="text-blue-500 font-bold">2.</span>
+              <span>Click "Convert & Download" to process your data</span>
+            </li>
+            <li className="flex items-start space-x-2">
+              <span className="text-blue-500 font-bold">3.</span>
+              <span>Your ZIP, TAR or GZIP archive is built in the browser and downloaded to your device</span>
+            </li>
+          </ul>
+        </div>
+        </>
+      )}
     </div>
   );
 };
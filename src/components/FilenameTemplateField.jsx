@@ -0,0 +1,159 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FileText, AlertCircle } from 'lucide-react';
+import { compileFilenameTemplate } from '../utils/filenameTemplate';
+import { iterateJsonArrayItems } from '../utils/jsonStream';
+import { iterateJsonLines } from '../utils/jsonLines';
+import { INPUT_FORMATS, getFileInputFormat, isIncrementalInputFormat, parseInputText } from '../utils/inputFormats';
+import { selectSplitMatches } from '../utils/jsonSplit';
+import { ENTRY_FORMATS, withEntryExtension } from '../utils/entryFormats';
+import { COLLISION_POLICIES, createEntryNameResolver, sanitizeEntryPath } from '../utils/entryNames';
+
+// Items named in the preview
+const PREVIEW_COUNT = 5;
+
+/**
+ * Iterates the top-level items of an input file. Formats that cannot be read
+ * incrementally, such as YAML, are parsed in full.
+ */
+async function* iterateFileItems(file, format, parseOptions) {
+  if (format === INPUT_FORMATS.JSON_LINES) {
+    yield* iterateJsonLines(file);
+  } else if (!isIncrementalInputFormat(format)) {
+    const { data } = parseInputText(await file.text(), format, parseOptions);
+    if (Array.isArray(data)) yield* data;
+  } else {
+    yield* iterateJsonArrayItems(file);
+  }
+}
+
+/**
+ * Reads the first few items of the converter input: top-level array items or
+ * JSON Lines, without parsing a large file in full, or the matches of a split
+ * selector in pasted JSON
+ */
+const useSampleItems = (source, splitPath, inputFormat, parseOptions) => {
+  const [fileItems, setFileItems] = useState([]);
+
+  useEffect(() => {
+    if (!(source instanceof Blob) || splitPath) return undefined;
+
+    let active = true;
+    const items = iterateFileItems(source, inputFormat ?? getFileInputFormat(source), parseOptions);
+    (async () => {
+      const sample = [];
+      try {
+        for await (const item of items) {
+          sample.push(item);
+          if (sample.length === PREVIEW_COUNT) break;
+        }
+      } catch {
+        // Not an array, or invalid JSON: there is nothing to preview
+      }
+      if (active) setFileItems(sample);
+    })();
+
+    return () => {
+      active = false;
+    };
+  }, [source, splitPath, inputFormat, parseOptions]);
+
+  const textItems = useMemo(() => {
+    if (typeof source !== 'string') return [];
+    try {
+      const { data } = parseInputText(source, inputFormat, parseOptions);
+      if (splitPath) {
+        return selectSplitMatches(data, splitPath).slice(0, PREVIEW_COUNT).map((match) => match.value);
+      }
+      return Array.isArray(data) ? data.slice(0, PREVIEW_COUNT) : [];
+    } catch {
+      return [];
+    }
+  }, [source, splitPath, inputFormat, parseOptions]);
+
+  if (source instanceof Blob) return splitPath ? [] : fileItems;
+  return textItems;
+};
+
+const FilenameTemplateField = ({
+  value,
+  onChange,
+  source,
+  splitPath,
+  inputFormat,
+  parseOptions,
+  outputFormat = ENTRY_FORMATS.JSON,
+  collisionPolicy = COLLISION_POLICIES.SUFFIX,
+  disabled = false
+}) => {
+  const sampleItems = useSampleItems(source, splitPath, inputFormat, parseOptions);
+
+  const preview = useMemo(() => {
+    if (!value.trim()) return { names: [] };
+    try {
+      const render = compileFilenameTemplate(value);
+      const resolveName = createEntryNameResolver(collisionPolicy);
+      // Names are made safe the way the archive writer does it: the output format's
+      // extension, sanitized segments, and the collision policy for repeats
+      return {
+        names: sampleItems.map((item, index) => (
+          resolveName(sanitizeEntryPath(withEntryExtension(render(item, index), outputFormat)))
+        ))
+      };
+    } catch (error) {
+      return { names: [], error: error.message };
+    }
+  }, [value, sampleItems, outputFormat, collisionPolicy]);
+
+  return (
+    <div className="space-y-2">
+      <label htmlFor="filename-template" className="flex items-center space-x-1 text-sm font-medium text-gray-700">
+        <FileText className="h-4 w-4" />
+        <span>File names</span>
+      </label>
+      <input
+        id="filename-template"
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        placeholder="item-001.json, or a template such as {index:04}-{item.id}-{item.name|slug}.json"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+      />
+      <p className="text-xs text-gray-500">
+        Fields: index, item.path. Width: {'{index:04}'}. Filters: slug, lower, upper, date:YYYY-MM-DD.
+      </p>
+
+      {preview.error && (
+        <div className="flex items-center space-x-2 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 text-red-500" />
+          <span>{preview.error}</span>
+        </div>
+      )}
+
+      {preview.names.length > 0 && (
+        <ul className="text-xs font-mono text-gray-700 bg-gray-50 border border-gray-200 rounded-md p-2 space-y-0.5">
+          {preview.names.map((name, index) => (
+            // Overwritten names repeat, so items are keyed by position
+            <li key={index}>{name}</li>
+          ))}
+          {preview.names.length === PREVIEW_COUNT && <li className="text-gray-400">…</li>}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+FilenameTemplateField.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  source: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Blob)]),
+  splitPath: PropTypes.string,
+  inputFormat: PropTypes.string,
+  parseOptions: PropTypes.object,
+  outputFormat: PropTypes.string,
+  collisionPolicy: PropTypes.string,
+  disabled: PropTypes.bool
+};
+
+export default FilenameTemplateField;
@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Eye, EyeOff, Lock } from 'lucide-react';
+import { estimatePasswordStrength } from '../utils/passwordStrength';
+
+const STRENGTH_COLORS = ['bg-red-500', 'bg-orange-500', 'bg-yellow-500', 'bg-green-500', 'bg-emerald-600'];
+
+const PasswordField = ({
+  value,
+  onChange,
+  disabled = false,
+  id = 'archive-password',
+  label = 'Password (optional, AES-256 encryption)',
+  placeholder = 'Leave empty for an unencrypted archive',
+  showStrength = true
+}) => {
+  const [visible, setVisible] = useState(false);
+  const strength = estimatePasswordStrength(value);
+
+  return (
+    <div className="space-y-2">
+      <label htmlFor={id} className="flex items-center space-x-1 text-sm font-medium text-gray-700">
+        <Lock className="h-4 w-4" />
+        <span>{label}</span>
+      </label>
+      <div className="relative">
+        <input
+          id={id}
+          type={visible ? 'text' : 'password'}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          autoComplete={showStrength ? 'new-password' : 'current-password'}
+          placeholder={placeholder}
+          className="w-full px-3 py-2 pr-10 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+        />
+        <button
+          type="button"
+          onClick={() => setVisible(!visible)}
+          className="absolute inset-y-0 right-0 flex items-center px-3 text-gray-400 hover:text-gray-600"
+          aria-label={visible ? 'Hide password' : 'Show password'}
+        >
+          {visible ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+        </button>
+      </div>
+
+      {showStrength && value && (
+        <div className="space-y-1">
+          <div className="flex space-x-1">
+            {STRENGTH_COLORS.map((color, index) => (
+              <div
+                key={color}
+                className={`h-1.5 flex-1 rounded ${index <= strength.score ? STRENGTH_COLORS[strength.score] : 'bg-gray-200'}`}
+              />
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">
+            {strength.label} (~{strength.entropyBits} bits). Archives open in 7-Zip, WinZip and other AES-capable tools.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+PasswordField.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  id: PropTypes.string,
+  label: PropTypes.string,
+  placeholder: PropTypes.string,
+  showStrength: PropTypes.bool
+};
+
+export default PasswordField;
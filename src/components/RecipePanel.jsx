@@ -0,0 +1,181 @@
+import { useState, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from './ui/Button';
+import { BookMarked, Save, Star, Trash2, Download, Upload, AlertCircle } from 'lucide-react';
+import {
+  loadRecipes,
+  saveRecipes,
+  createRecipe,
+  findRecipe,
+  addRecipe,
+  removeRecipe,
+  setDefaultRecipe,
+  mergeRecipes,
+  parseRecipeFile,
+  serializeRecipeFile
+} from '../utils/recipes';
+import { downloadBlob } from '../utils/fileUtils';
+
+/**
+ * Saves the current conversion options as named recipes and applies them again.
+ * `selected` names the recipe last applied or saved, if any.
+ */
+const RecipePanel = ({ options, selected, onSelectedChange, onApply, disabled = false }) => {
+  const [library, setLibrary] = useState(loadRecipes);
+  const [name, setName] = useState(selected);
+  const [error, setError] = useState(() => library.loadError ?? '');
+  const [notice, setNotice] = useState('');
+  const fileInputRef = useRef(null);
+
+  const runRecipeTask = async (task) => {
+    setError('');
+    setNotice('');
+    try {
+      await task();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const commit = (next) => {
+    saveRecipes(next);
+    setLibrary(next);
+  };
+
+  const handleSelect = (value) => {
+    onSelectedChange(value);
+    setError('');
+    setNotice('');
+    const recipe = findRecipe(library, value);
+    if (recipe) {
+      onApply(recipe.options);
+      setName(recipe.name);
+    }
+  };
+
+  const handleSave = () => runRecipeTask(() => {
+    const recipe = createRecipe(name, options);
+    const replaced = findRecipe(library, recipe.name);
+    commit(addRecipe(library, recipe));
+    onSelectedChange(recipe.name);
+    setName(recipe.name);
+    setNotice(replaced ? `Updated "${recipe.name}"` : `Saved "${recipe.name}"`);
+  });
+
+  const handleDelete = () => runRecipeTask(() => {
+    commit(removeRecipe(library, selected));
+    setNotice(`Deleted "${selected}"`);
+    onSelectedChange('');
+  });
+
+  const handleToggleDefault = () => runRecipeTask(() => {
+    const isDefault = library.defaultRecipe === selected;
+    commit(setDefaultRecipe(library, isDefault ? null : selected));
+  });
+
+  const handleExport = () => {
+    downloadBlob(new Blob([serializeRecipeFile(library)], { type: 'application/json' }), 'recipes.json');
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    runRecipeTask(async () => {
+      const imported = parseRecipeFile(await file.text());
+      commit(mergeRecipes(library, imported));
+      const count = imported.recipes.length;
+      setNotice(`Imported ${count} recipe${count === 1 ? '' : 's'} from ${file.name}`);
+    });
+  };
+
+  const isDefault = selected !== '' && library.defaultRecipe === selected;
+
+  return (
+    <div className="space-y-3 p-4 border border-gray-200 rounded-md">
+      <div className="flex items-center space-x-1 text-sm font-medium text-gray-700">
+        <BookMarked className="h-4 w-4" />
+        <span>Recipes</span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          aria-label="Recipe"
+          value={selected}
+          onChange={(e) => handleSelect(e.target.value)}
+          disabled={disabled || library.recipes.length === 0}
+          className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+        >
+          <option value="">{library.recipes.length === 0 ? 'No saved recipes' : 'Choose a recipe…'}</option>
+          {library.recipes.map((recipe) => (
+            <option key={recipe.name} value={recipe.name}>
+              {recipe.name}{recipe.name === library.defaultRecipe ? ' (default)' : ''}
+            </option>
+          ))}
+        </select>
+        <Button variant="outline" size="sm" onClick={handleToggleDefault} disabled={disabled || !selected}>
+          <Star className={`h-4 w-4 ${isDefault ? 'fill-current text-amber-500' : ''}`} />
+          {isDefault ? 'Default' : 'Make default'}
+        </Button>
+        <Button variant="ghost" size="sm" onClick={handleDelete} disabled={disabled || !selected}>
+          <Trash2 className="h-4 w-4" />
+          Delete
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          aria-label="Recipe name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          disabled={disabled}
+          placeholder="Recipe name, e.g. Daily export"
+          className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+        />
+        <Button variant="outline" size="sm" onClick={handleSave} disabled={disabled || !name.trim()}>
+          <Save className="h-4 w-4" />
+          Save current settings
+        </Button>
+        <Button variant="outline" size="sm" onClick={handleExport} disabled={library.recipes.length === 0}>
+          <Download className="h-4 w-4" />
+          Export
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => fileInputRef.current?.click()} disabled={disabled}>
+          <Upload className="h-4 w-4" />
+          Import
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Recipes are kept in this browser. Passwords and signing keys are never saved in a recipe.
+      </p>
+
+      {notice && <p className="text-sm text-green-700">{notice}</p>}
+      {error && (
+        <div className="flex items-center space-x-2 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 text-red-500" />
+          <span>{error}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+RecipePanel.propTypes = {
+  options: PropTypes.object.isRequired,
+  selected: PropTypes.string,
+  onSelectedChange: PropTypes.func.isRequired,
+  onApply: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default RecipePanel;
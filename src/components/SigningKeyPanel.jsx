@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from './ui/Button';
+import { Textarea } from './ui/textarea';
+import { KeyRound, Download, AlertCircle, Loader2 } from 'lucide-react';
+import {
+  SIGNATURE_ALGORITHMS,
+  generateSigningKeyPair,
+  importSigningKey,
+  exportKeyPem,
+  exportKeyJwk,
+  getPublicKey,
+  getKeyFingerprint
+} from '../utils/signing';
+import { downloadBlob } from '../utils/fileUtils';
+
+const SigningKeyPanel = ({ signingKey, onChange, disabled = false }) => {
+  const [algorithm, setAlgorithm] = useState(SIGNATURE_ALGORITHMS.ECDSA_P256);
+  const [keyText, setKeyText] = useState('');
+  const [fingerprint, setFingerprint] = useState('');
+  const [error, setError] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    setFingerprint('');
+    if (signingKey) {
+      getKeyFingerprint(signingKey).then((value) => {
+        if (active) setFingerprint(value);
+      });
+    }
+    return () => {
+      active = false;
+    };
+  }, [signingKey]);
+
+  const runKeyTask = async (task) => {
+    setIsWorking(true);
+    setError('');
+    try {
+      await task();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleGenerate = () => runKeyTask(async () => {
+    const { privateKey } = await generateSigningKeyPair(algorithm);
+    setKeyText('');
+    onChange(privateKey);
+  });
+
+  const handleImport = () => runKeyTask(async () => {
+    const key = await importSigningKey(keyText);
+    if (key.type !== 'private') {
+      throw new Error('Signing needs the private key; public keys are only used to verify');
+    }
+    setKeyText('');
+    onChange(key);
+  });
+
+  const handleExport = (kind) => runKeyTask(async () => {
+    const publicKey = await getPublicKey(signingKey);
+    const exports = {
+      'private-pem': async () => [await exportKeyPem(signingKey), 'signing-key.pem', 'application/x-pem-file'],
+      'public-pem': async () => [await exportKeyPem(publicKey), 'signing-key.pub.pem', 'application/x-pem-file'],
+      'public-jwk': async () => [JSON.stringify(await exportKeyJwk(publicKey), null, 2), 'signing-key.pub.jwk', 'application/jwk+json']
+    };
+    const [text, filename, type] = await exports[kind]();
+    downloadBlob(new Blob([text], { type }), filename);
+  });
+
+  return (
+    <div className="space-y-3 p-4 border border-gray-200 rounded-md">
+      <div className="flex items-center space-x-1 text-sm font-medium text-gray-700">
+        <KeyRound className="h-4 w-4" />
+        <span>Signing key</span>
+      </div>
+
+      {signingKey ? (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-700">
+            Fingerprint: <code className="font-mono text-xs break-all">{fingerprint || '…'}</code>
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <Button variant="outline" size="sm" onClick={() => handleExport('private-pem')} disabled={isWorking}>
+              <Download className="h-4 w-4" />
+              Private key (PEM)
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => handleExport('public-pem')} disabled={isWorking}>
+              <Download className="h-4 w-4" />
+              Public key (PEM)
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => handleExport('public-jwk')} disabled={isWorking}>
+              <Download className="h-4 w-4" />
+              Public key (JWK)
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => onChange(null)} disabled={disabled}>
+              Use another key
+            </Button>
+          </div>
+          <p className="text-xs text-gray-500">
+            The key stays in this page only. Save the private key to sign later archives as the same signer,
+            and share the public key so others can check the fingerprint.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={algorithm}
+              onChange={(e) => setAlgorithm(e.target.value)}
+              disabled={disabled || isWorking}
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+            >
+              <option value={SIGNATURE_ALGORITHMS.ECDSA_P256}>ECDSA P-256</option>
+              <option value={SIGNATURE_ALGORITHMS.ED25519}>Ed25519</option>
+            </select>
+            <Button variant="outline" size="sm" onClick={handleGenerate} disabled={disabled || isWorking}>
+              {isWorking ? <Loader2 className="h-4 w-4 animate-spin" /> : <KeyRound className="h-4 w-4" />}
+              Generate key pair
+            </Button>
+          </div>
+          <Textarea
+            value={keyText}
+            onChange={(e) => setKeyText(e.target.value)}
+            placeholder="…or paste a private key (PKCS#8 PEM or JWK)"
+            className="font-mono text-xs"
+            rows={4}
+            disabled={disabled}
+          />
+          <Button variant="outline" size="sm" onClick={handleImport} disabled={disabled || isWorking || !keyText.trim()}>
+            Use pasted key
+          </Button>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center space-x-2 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 text-red-500" />
+          <span>{error}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+SigningKeyPanel.propTypes = {
+  signingKey: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default SigningKeyPanel;
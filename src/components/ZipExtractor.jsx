@@ -0,0 +1,160 @@
+import { useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from './ui/Button';
+import DropZone from './ui/DropZone';
+import PasswordField from './PasswordField';
+import { Download, FileJson, Loader2, AlertCircle, CheckCircle, ArrowLeftRight } from 'lucide-react';
+import { extractJsonFromZip, EXTRACT_SHAPES } from '../services/archiveService';
+import { SPANNED_VOLUME_EXTENSIONS } from '../utils/zipVolumes';
+import { downloadBlob, removeFileExtension } from '../utils/fileUtils';
+
+const ACCEPTED_TYPES = ['.zip', 'application/zip', 'application/x-zip-compressed', ...SPANNED_VOLUME_EXTENSIONS];
+
+const ZipExtractor = ({ onUseAsInput }) => {
+  const [zipFiles, setZipFiles] = useState([]);
+  const [shape, setShape] = useState(EXTRACT_SHAPES.OBJECT);
+  const [password, setPassword] = useState('');
+  const [isExtracting, setIsExtracting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleFilesSelected = useCallback((files) => {
+    setZipFiles(files);
+    setResult(null);
+    setError('');
+  }, []);
+
+  const extract = async () => {
+    if (zipFiles.length === 0) {
+      setError('Please select a ZIP archive to extract');
+      return;
+    }
+
+    setIsExtracting(true);
+    setError('');
+    setResult(null);
+
+    try {
+      // Several files are the volumes of one split archive, or separate archives to merge
+      const source = zipFiles.length === 1 ? zipFiles[0] : zipFiles;
+      const extracted = await extractJsonFromZip(source, { shape, password: password || undefined });
+      setResult({ ...extracted, text: JSON.stringify(extracted.data, null, 2) });
+    } catch (err) {
+      setError(err.message);
+      console.error('Extraction error:', err);
+    } finally {
+      setIsExtracting(false);
+    }
+  };
+
+  const downloadJson = () => {
+    const blob = new Blob([result.text], { type: 'application/json' });
+    const archive = zipFiles.find((file) => /\.zip$/i.test(file.name)) || zipFiles[0];
+    downloadBlob(blob, `${removeFileExtension(archive.name).replace(/\.part\d+$/i, '')}.json`);
+  };
+
+  return (
+    <div className="space-y-6">
+      <DropZone
+        onFilesSelected={handleFilesSelected}
+        acceptedTypes={ACCEPTED_TYPES}
+        acceptedTypesLabel=".zip (or all volumes of a split archive)"
+        maxFileSize={500 * 1024 * 1024}
+        multiple
+        disabled={isExtracting}
+      />
+
+      <div className="flex flex-wrap items-center justify-center gap-4">
+        <span className="text-sm font-medium text-gray-700">Output shape</span>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="radio"
+            name="extract-shape"
+            checked={shape === EXTRACT_SHAPES.OBJECT}
+            onChange={() => setShape(EXTRACT_SHAPES.OBJECT)}
+          />
+          <span>Single document keyed by path</span>
+        </label>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="radio"
+            name="extract-shape"
+            checked={shape === EXTRACT_SHAPES.ARRAY}
+            onChange={() => setShape(EXTRACT_SHAPES.ARRAY)}
+          />
+          <span>Array (batch conversion shape)</span>
+        </label>
+      </div>
+
+      <PasswordField
+        id="extract-password"
+        value={password}
+        onChange={setPassword}
+        disabled={isExtracting}
+        label="Password (only for encrypted archives)"
+        placeholder="Leave empty if the archive is not encrypted"
+        showStrength={false}
+      />
+
+      {error && (
+        <div className="flex items-center space-x-2 p-4 bg-red-50 border border-red-200 rounded-md">
+          <AlertCircle className="h-5 w-5 text-red-500" />
+          <span className="text-red-700">{error}</span>
+        </div>
+      )}
+
+      <div className="flex justify-center">
+        <Button onClick={extract} disabled={zipFiles.length === 0 || isExtracting} className="px-8 py-3 text-lg">
+          {isExtracting ? (
+            <>
+              <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+              Extracting...
+            </>
+          ) : (
+            <>
+              <FileJson className="h-5 w-5 mr-2" />
+              Extract JSON
+            </>
+          )}
+        </Button>
+      </div>
+
+      {result && (
+        <div className="space-y-4">
+          <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-md">
+            <CheckCircle className="h-5 w-5 text-green-500" />
+            <span className="text-green-700">
+              Extracted {result.files.length} JSON file{result.files.length === 1 ? '' : 's'}
+              {result.skipped.length > 0 && ` (skipped ${result.skipped.length} non-JSON: ${result.skipped.join(', ')})`}
+            </span>
+          </div>
+
+          <textarea
+            value={result.text}
+            readOnly
+            className="w-full h-64 px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono text-sm resize-vertical bg-gray-50"
+          />
+
+          <div className="flex justify-center space-x-2">
+            <Button variant="outline" onClick={downloadJson}>
+              <Download className="h-4 w-4 mr-1" />
+              Download JSON
+            </Button>
+            {onUseAsInput && (
+              <Button variant="outline" onClick={() => onUseAsInput(result.text)}>
+                <ArrowLeftRight className="h-4 w-4 mr-1" />
+                Use as converter input
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+ZipExtractor.propTypes = {
+  onUseAsInput: PropTypes.func
+};
+
+export default ZipExtractor;
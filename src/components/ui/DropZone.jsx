@@ -1,11 +1,14 @@
 import React, { useState, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
 import { Upload, File, X, AlertCircle } from 'lucide-react';
 import { Button } from './Button';
-import { handleFileDrop, isDragEventWithFiles, validateFileType, validateFileSize, formatFileSize } from '../../utils/fileUtils';
+import { handleFileDrop, isDragEventWithFiles, isAcceptedFileType, validateFileSize, formatFileSize } from '../../utils/fileUtils';
+import { INPUT_FILE_EXTENSIONS } from '../../utils/inputFormats';
 
 const DropZone = ({ 
   onFilesSelected, 
-  acceptedTypes = ['.json'], 
+  acceptedTypes = INPUT_FILE_EXTENSIONS, 
+  acceptedTypesLabel = acceptedTypes.join(', '),
   maxFileSize = 10 * 1024 * 1024, // 10MB
   multiple = false,
   disabled = false,
@@ -20,22 +23,19 @@ const DropZone = ({
     const validFiles = [];
     const fileErrors = [];
 
-    Array.from(fileList).forEach((file, index) => {
-      const typeValidation = validateFileType(file, acceptedTypes);
-      const sizeValidation = validateFileSize(file, maxFileSize);
-
-      if (!typeValidation.isValid) {
+    Array.from(fileList).forEach((file) => {
+      if (!isAcceptedFileType(file, acceptedTypes)) {
         fileErrors.push({
           file: file.name,
-          message: typeValidation.error
+          message: `Unsupported file type. Expected ${acceptedTypesLabel}`
         });
         return;
       }
 
-      if (!sizeValidation.isValid) {
+      if (!validateFileSize(file, maxFileSize)) {
         fileErrors.push({
           file: file.name,
-          message: sizeValidation.error
+          message: `File exceeds the ${formatFileSize(maxFileSize)} limit`
         });
         return;
       }
@@ -44,7 +44,7 @@ const DropZone = ({
     });
 
     return { validFiles, errors: fileErrors };
-  }, [acceptedTypes, maxFileSize]);
+  }, [acceptedTypes, acceptedTypesLabel, maxFileSize]);
 
   const handleDragEnter = useCallback((e) => {
     e.preventDefault();
@@ -176,7 +176,7 @@ const DropZone = ({
               {isDragOver ? 'Drop files here' : 'Drop files or click to browse'}
             </h3>
             <p className="text-sm text-gray-500 dark:text-gray-400">
-              Supports {acceptedTypes.join(', ')} files up to {formatFileSize(maxFileSize)}
+              Supports {acceptedTypesLabel} files up to {formatFileSize(maxFileSize)}
               {multiple && ' (multiple files allowed)'}
             </p>
           </div>
@@ -258,4 +258,14 @@ const DropZone = ({
   );
 };
 
+DropZone.propTypes = {
+  onFilesSelected: PropTypes.func.isRequired,
+  acceptedTypes: PropTypes.arrayOf(PropTypes.string),
+  acceptedTypesLabel: PropTypes.string,
+  maxFileSize: PropTypes.number,
+  multiple: PropTypes.bool,
+  disabled: PropTypes.bool,
+  className: PropTypes.string
+};
+
 export default DropZone;
\ No newline at end of file
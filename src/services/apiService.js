@@ -1,3 +1,11 @@
+import { saveStream } from '../utils/streamSaver';
+import { ARCHIVE_FORMATS, getArchiveExtension, getSupportedArchiveFormats } from '../utils/archiveFormats';
+import { LEAF_FORMATS, ARRAY_MODES } from '../utils/folderMapping';
+import { ENTRY_FORMATS } from '../utils/entryFormats';
+import { COLLISION_POLICIES } from '../utils/entryNames';
+import { applyRecipe } from '../utils/recipes';
+import { isAcceptedFileType, removeFileExtension } from '../utils/fileUtils';
+
 // API configuration
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
@@ -54,27 +62,84 @@ const handleResponse = async (response) => {
   return response;
 };
 
+/**
+ * Expands the `recipe` option into the saved recipe's options
+ */
+const resolveRecipeOptions = (options) => {
+  try {
+    return applyRecipe(options);
+  } catch (error) {
+    throw new ApiError(error.message, 400);
+  }
+};
+
+// Secrets stay in the browser: the signing key is a CryptoKey, and the password
+// is only sent with the server-side encryption it is for
+const CLIENT_ONLY_OPTIONS = ['password', 'signingKey'];
+
+/**
+ * Drops the options that must not be sent to the server
+ */
+const toRequestOptions = (options) => Object.fromEntries(
+  Object.entries(options).filter(([key]) => !CLIENT_ONLY_OPTIONS.includes(key))
+);
+
+/**
+ * Save a download response as it arrives, without reading it into memory
+ */
+const saveDownloadResponse = (response, filename) => {
+  return saveStream(response.body, filename, {
+    mimeType: response.headers.get('content-type') || 'application/zip'
+  });
+};
+
 /**
  * Convert JSON data to ZIP file and trigger download
  * @param {Object} jsonData - The JSON data to convert to ZIP
  * @param {string} filename - Optional filename for the ZIP file
- * @param {Object} options - Additional options for the conversion
+ * @param {Object} requestOptions - Additional options for the conversion
+ *   (password with encryption: 'aes-256' produces a WinZip AE-2 encrypted archive;
+ *   includeManifest / includeChecksums embed manifest.json / SHA256SUMS;
+ *   createFolders maps nested objects to folders, shaped by leafFormat, maxDepth and arrayMode;
+ *   splitPath writes each JSONPath / JSON Pointer match as a file, grouped by groupPath;
+ *   extractBinaries decodes embedded base64 / data: URI values into files;
+ *   outputFormat and indent choose how documents are written, splitOutputFormat how split matches are;
+ *   collisionPolicy ('suffix', 'overwrite' or 'fail') handles entries with the same name;
+ *   recipe: '<name>' starts from a saved recipe, which the other options override)
  * @returns {Promise<void>}
  */
-export const convertJsonToZip = async (jsonData, filename = 'data.zip', options = {}) => {
+export const convertJsonToZip = async (jsonData, filename = 'data.zip', requestOptions = {}) => {
   try {
     if (!jsonData || typeof jsonData !== 'object') {
       throw new ApiError('Invalid JSON data provided', 400);
     }
+    const options = resolveRecipeOptions(requestOptions);
+
+    const encryption = options.encryption || (options.password ? 'aes-256' : 'none');
+    if (encryption !== 'none' && !options.password) {
+      throw new ApiError(`A password is required for ${encryption} encryption`, 400);
+    }
 
     const requestBody = {
       data: jsonData,
       filename: filename,
       options: {
+        format: options.format || ARCHIVE_FORMATS.ZIP,
         compression: options.compression || 'DEFLATE',
         compressionLevel: options.compressionLevel || 6,
         createFolders: options.createFolders || false,
-        ...options
+        leafFormat: options.leafFormat || LEAF_FORMATS.JSON,
+        // JSON has no Infinity; null means no depth limit
+        maxDepth: options.maxDepth ?? null,
+        arrayMode: options.arrayMode || ARRAY_MODES.FILE,
+        outputFormat: options.outputFormat || ENTRY_FORMATS.JSON,
+        indent: options.indent ?? 2,
+        collisionPolicy: options.collisionPolicy || COLLISION_POLICIES.SUFFIX,
+        includeManifest: options.includeManifest || false,
+        includeChecksums: options.includeChecksums || false,
+        ...toRequestOptions(options),
+        encryption,
+        password: encryption === 'none' ? undefined : options.password
       }
     };
 
@@ -88,27 +153,13 @@ export const convertJsonToZip = async (jsonData, filename = 'data.zip', options
 
     await handleResponse(response);
 
-    // Get the blob data for download
-    const blob = await response.blob();
-    
-    // Create download link
-    const downloadUrl = window.URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = downloadUrl;
-    link.download = filename;
-    
-    // Trigger download
-    document.body.appendChild(link);
-    link.click();
-    
-    // Cleanup
-    document.body.removeChild(link);
-    window.URL.revokeObjectURL(downloadUrl);
+    // Stream the archive to disk instead of buffering it as a blob
+    const { size } = await saveDownloadResponse(response, filename);
 
     return {
       success: true,
       filename: filename,
-      size: blob.size
+      size: size
     };
 
   } catch (error) {
@@ -119,16 +170,17 @@ export const convertJsonToZip = async (jsonData, filename = 'data.zip', options
 
 /**
  * Upload and convert JSON file to ZIP
- * @param {File} file - The JSON file to upload and convert
+ * @param {File} file - The file to upload and convert, in any accepted input format
  * @param {string} outputFilename - Optional output filename for the ZIP
- * @param {Object} options - Additional conversion options
+ * @param {Object} requestOptions - Additional conversion options (recipe: '<name>' starts from a saved recipe)
  * @returns {Promise<Object>}
  */
-export const uploadAndConvertJson = async (file, outputFilename = null, options = {}) => {
+export const uploadAndConvertJson = async (file, outputFilename = null, requestOptions = {}) => {
   try {
-    if (!file || file.type !== 'application/json') {
-      throw new ApiError('Please provide a valid JSON file', 400);
+    if (!file || !isAcceptedFileType(file)) {
+      throw new ApiError('Please provide a JSON, JSON Lines, JSONC, JSON5, YAML, TOML, CSV, TSV or XML file', 400);
     }
+    const options = toRequestOptions(resolveRecipeOptions(requestOptions));
 
     const formData = new FormData();
     formData.append('file', file);
@@ -148,29 +200,17 @@ export const uploadAndConvertJson = async (file, outputFilename = null, options
 
     await handleResponse(response);
 
-    // Get the blob data for download
-    const blob = await response.blob();
-    const filename = outputFilename || `${file.name.replace('.json', '')}.zip`;
-    
-    // Create download link
-    const downloadUrl = window.URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = downloadUrl;
-    link.download = filename;
-    
-    // Trigger download
-    document.body.appendChild(link);
-    link.click();
-    
-    // Cleanup
-    document.body.removeChild(link);
-    window.URL.revokeObjectURL(downloadUrl);
+    const filename = outputFilename ||
+      `${removeFileExtension(file.name)}.${getArchiveExtension(options.format || ARCHIVE_FORMATS.ZIP)}`;
+
+    // Stream the archive to disk instead of buffering it as a blob
+    const { size } = await saveDownloadResponse(response, filename);
 
     return {
       success: true,
       originalFile: file.name,
       outputFile: filename,
-      size: blob.size
+      size: size
     };
 
   } catch (error) {
@@ -205,24 +245,36 @@ export const getConversionStatus = async (jobId) => {
  * Convert multiple JSON objects to a single ZIP file
  * @param {Array} jsonArray - Array of JSON objects to convert
  * @param {string} filename - Output ZIP filename
- * @param {Object} options - Conversion options
+ * @param {Object} requestOptions - Conversion options (fileNaming: 'template' names each
+ *   file with fileNameTemplate, e.g. '{index:04}-{item.id}.json'; outputFormat and
+ *   indent choose how each file is written, e.g. 'yaml'; collisionPolicy handles
+ *   files with the same name: 'suffix', 'overwrite' or 'fail'; recipe: '<name>' starts
+ *   from a saved recipe, which the other options override)
  * @returns {Promise<Object>}
  */
-export const convertMultipleJsonToZip = async (jsonArray, filename = 'batch-data.zip', options = {}) => {
+export const convertMultipleJsonToZip = async (jsonArray, filename = 'batch-data.zip', requestOptions = {}) => {
   try {
     if (!Array.isArray(jsonArray) || jsonArray.length === 0) {
       throw new ApiError('Please provide a non-empty array of JSON objects', 400);
     }
+    const options = resolveRecipeOptions(requestOptions);
 
     const requestBody = {
       data: jsonArray,
       filename: filename,
       options: {
+        format: options.format || ARCHIVE_FORMATS.ZIP,
         compression: options.compression || 'DEFLATE',
         compressionLevel: options.compressionLevel || 6,
         createSeparateFiles: options.createSeparateFiles || true,
         fileNaming: options.fileNaming || 'auto',
-        ...options
+        fileNameTemplate: options.fileNameTemplate,
+        outputFormat: options.outputFormat || ENTRY_FORMATS.JSON,
+        indent: options.indent ?? 2,
+        collisionPolicy: options.collisionPolicy || COLLISION_POLICIES.SUFFIX,
+        includeManifest: options.includeManifest || false,
+        includeChecksums: options.includeChecksums || false,
+        ...toRequestOptions(options)
       }
     };
 
@@ -236,28 +288,14 @@ export const convertMultipleJsonToZip = async (jsonArray, filename = 'batch-data
 
     await handleResponse(response);
 
-    // Get the blob data for download
-    const blob = await response.blob();
-    
-    // Create download link
-    const downloadUrl = window.URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = downloadUrl;
-    link.download = filename;
-    
-    // Trigger download
-    document.body.appendChild(link);
-    link.click();
-    
-    // Cleanup
-    document.body.removeChild(link);
-    window.URL.revokeObjectURL(downloadUrl);
+    // Stream the archive to disk instead of buffering it as a blob
+    const { size } = await saveDownloadResponse(response, filename);
 
     return {
       success: true,
       filename: filename,
       itemsProcessed: jsonArray.length,
-      size: blob.size
+      size: size
     };
 
   } catch (error) {
@@ -291,7 +329,8 @@ export const validateJsonData = async (jsonData) => {
 };
 
 /**
- * Get supported conversion formats
+ * Get supported conversion formats. When the server cannot be reached, the
+ * formats the browser builds itself are reported instead (source: 'client').
  * @returns {Promise<Object>}
  */
 export const getSupportedFormats = async () => {
@@ -301,8 +340,16 @@ export const getSupportedFormats = async () => {
     return await response.json();
 
   } catch (error) {
+    // Network failures and gateway errors mean the server is unavailable
+    if (!(error instanceof ApiError) || error.status >= 502) {
+      return {
+        formats: getSupportedArchiveFormats(),
+        source: 'client'
+      };
+    }
+
     console.error('Error getting supported formats:', error);
-    throw error instanceof ApiError ? error : new ApiError('Failed to get supported formats', 500);
+    throw error;
   }
 };
 
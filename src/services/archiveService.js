@@ -0,0 +1,1078 @@
+import { createZipArchive, resolveCompressionMethod } from '../utils/zipWriter';
+import { createZipStream } from '../utils/zipStream';
+import { createZipVolumeStream, resolveVolumeOptions, getVolumeFilename, orderSpannedVolumes } from '../utils/zipVolumes';
+import { generateFolderEntries, resolveFolderOptions } from '../utils/folderMapping';
+import { compileFilenameTemplate } from '../utils/filenameTemplate';
+import { COLLISION_POLICIES, generateSafeEntries } from '../utils/entryNames';
+import { generateSplitEntries, resolveSplitOptions } from '../utils/jsonSplit';
+import { generateEntriesWithBinaries } from '../utils/binaryExtraction';
+import { createTarStream } from '../utils/tarWriter';
+import { createGzipStream, generateGzipChunks } from '../utils/gzip';
+import { createStreamFromIterator, readStreamChunks, toUint8Array } from '../utils/streamUtils';
+import { ARCHIVE_FORMATS, getArchiveFormat, removeArchiveExtension } from '../utils/archiveFormats';
+import { assertEntryFormatOptions, isCustomEntryFormat, serializeEntry, withEntryExtension } from '../utils/entryFormats';
+import { resolveSourceDate, orderEntries } from '../utils/deterministic';
+import { MANIFEST_FILENAME, CHECKSUMS_FILENAME, parseManifest, parseChecksums, withIntegrityManifest } from '../utils/manifest';
+import { toHex } from '../utils/sha256';
+import { SIGNATURE_FILENAME, verifyManifestSignature } from '../utils/signing';
+import { iterateJsonArrayItems } from '../utils/jsonStream';
+import { iterateJsonLines } from '../utils/jsonLines';
+import {
+  INPUT_FORMATS,
+  getInputFormat,
+  getFileInputFormat,
+  isIncrementalInputFormat,
+  isLenientInputFormat,
+  parseInputText
+} from '../utils/inputFormats';
+import { readZipArchive, readZipEntry, readZipEntryAsText, joinZipVolumes } from '../utils/zipReader';
+import { ZIP_METHODS, ZIP_METHOD_NAMES } from '../utils/zipFormat';
+import { formatCrc32 } from '../utils/crc32';
+import { AES_VENDOR_VERSIONS } from '../utils/zipCrypto';
+import { saveStream, saveVolumes } from '../utils/streamSaver';
+import { downloadBlob, getFileExtension } from '../utils/fileUtils';
+
+/**
+ * Custom error class for client-side archive errors
+ */
+class ArchiveError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.cause = cause;
+  }
+}
+
+// Written next to the documents by includeManifest, includeChecksums and signingKey
+const INTEGRITY_FILENAMES = [MANIFEST_FILENAME, CHECKSUMS_FILENAME, SIGNATURE_FILENAME];
+
+/**
+ * Applies the same option defaults the conversion endpoints use
+ * @param {Object} options - Conversion options
+ * @returns {Object} - Options with defaults filled in
+ */
+export const normalizeArchiveOptions = (options = {}) => ({
+  ...options,
+  format: options.format || ARCHIVE_FORMATS.ZIP,
+  compression: options.compression || 'DEFLATE',
+  compressionLevel: options.compressionLevel ?? 6
+});
+
+/**
+ * How batch entries are named: item-001.json, or a filename template
+ */
+export const FILE_NAMING = {
+  AUTO: 'auto',
+  TEMPLATE: 'template'
+};
+
+/**
+ * Looks up the requested output format and rejects options it cannot honour
+ * @param {Object} options - Normalized conversion options
+ * @returns {Object} - The format description from getArchiveFormat
+ */
+const resolveArchiveFormat = (options) => {
+  let format;
+  try {
+    format = getArchiveFormat(options.format);
+  } catch (error) {
+    throw new ArchiveError(error.message, error);
+  }
+
+  const encrypted = options.password || (options.encryption && options.encryption !== 'none');
+  if (encrypted && !format.encryption) {
+    throw new ArchiveError(`${format.label} archives cannot be encrypted; choose ZIP for password protection`);
+  }
+  if (options.createSeparateFiles && !format.multipleEntries) {
+    throw new ArchiveError(`${format.label} cannot split array items; choose TAR.GZ to keep one file per array item`);
+  }
+  try {
+    assertEntryFormatOptions(options);
+  } catch (error) {
+    throw new ArchiveError(error.message, error);
+  }
+  if (options.inputFormat) {
+    try {
+      getInputFormat(options.inputFormat);
+    } catch (error) {
+      throw new ArchiveError(error.message, error);
+    }
+  }
+  if (options.collisionPolicy && !Object.values(COLLISION_POLICIES).includes(options.collisionPolicy)) {
+    throw new ArchiveError(`Unsupported collision policy: ${options.collisionPolicy}`);
+  }
+  if (options.fileNaming && !Object.values(FILE_NAMING).includes(options.fileNaming)) {
+    throw new ArchiveError(`Unsupported file naming: ${options.fileNaming}`);
+  }
+  if (options.fileNaming === FILE_NAMING.TEMPLATE) {
+    try {
+      compileFilenameTemplate(options.fileNameTemplate);
+    } catch (error) {
+      throw new ArchiveError(`Invalid filename template: ${error.message}`, error);
+    }
+  }
+  if (options.extractBinaries && !format.multipleEntries) {
+    throw new ArchiveError(`${format.label} cannot hold extracted files alongside the document; choose TAR.GZ to extract them`);
+  }
+  if (options.splitPath) {
+    if (!format.multipleEntries) {
+      throw new ArchiveError(`${format.label} cannot hold split documents; choose TAR.GZ to split by selector`);
+    }
+    if (options.createSeparateFiles || options.createFolders) {
+      throw new ArchiveError('Splitting by selector replaces one file per array item and folders; turn those off');
+    }
+    try {
+      resolveSplitOptions(options);
+    } catch (error) {
+      throw new ArchiveError(error.message, error);
+    }
+  }
+  if (options.createFolders) {
+    if (!format.multipleEntries) {
+      throw new ArchiveError(`${format.label} cannot hold a folder hierarchy; choose TAR.GZ to create folders`);
+    }
+    if (options.createSeparateFiles) {
+      throw new ArchiveError('Choose either one file per array item or folders; folders already split a top-level array');
+    }
+    try {
+      resolveFolderOptions(options);
+    } catch (error) {
+      throw new ArchiveError(error.message, error);
+    }
+  }
+  if ((options.includeManifest || options.includeChecksums || options.signingKey) && !format.multipleEntries) {
+    throw new ArchiveError(`${format.label} cannot hold a manifest alongside the document; choose TAR.GZ to include one`);
+  }
+  if (options.deterministic && encrypted) {
+    throw new ArchiveError('Encrypted archives use a random salt and cannot be deterministic');
+  }
+  if (options.deterministic && options.signingKey?.algorithm.name === 'ECDSA') {
+    throw new ArchiveError('ECDSA signatures are randomized; sign with an Ed25519 key for reproducible archives');
+  }
+  if (options.maxVolumeSize != null) {
+    if (!format.volumes) {
+      throw new ArchiveError(`${format.label} archives cannot be split into volumes; choose ZIP`);
+    }
+    try {
+      resolveVolumeOptions(options);
+    } catch (error) {
+      throw new ArchiveError(error.message, error);
+    }
+  }
+
+  return format;
+};
+
+/**
+ * Compresses the first entry on its own, for single-document GZIP output
+ */
+async function* generateGzipDocument(entries, options) {
+  for await (const entry of entries) {
+    yield* generateGzipChunks(entry.data, {
+      name: entry.name,
+      lastModified: options.deterministic ? resolveSourceDate(options) : entry.lastModified,
+      compressionLevel: options.compressionLevel
+    });
+    return;
+  }
+  throw new Error('At least one entry is required to create an archive');
+}
+
+/**
+ * Serializes every entry carrying a parsed value in its format (the entry's
+ * own, else outputFormat) and gives it that format's extension
+ */
+async function* serializeEntries(entries, options) {
+  for await (const entry of entries) {
+    if (!('value' in entry)) {
+      yield entry;
+      continue;
+    }
+
+    const { value, format = options.outputFormat, ...rest } = entry;
+    let data;
+    try {
+      data = serializeEntry(value, format, options);
+    } catch (error) {
+      throw new Error(`${entry.name}: ${error.message}`);
+    }
+    yield { ...rest, name: withEntryExtension(entry.name, format), data };
+  }
+}
+
+/**
+ * Turns layout entries into archive entries. With extractBinaries, embedded
+ * base64 files become entries of their own; documents are serialized; then
+ * names are made safe and unique under collisionPolicy, reporting each
+ * rename to onEntryRenamed.
+ */
+const prepareEntries = (entries, options) => {
+  const source = options.extractBinaries ? generateEntriesWithBinaries(entries) : entries;
+  const includesManifest = options.includeManifest || options.includeChecksums || options.signingKey;
+  return generateSafeEntries(serializeEntries(source, options), {
+    collisionPolicy: options.collisionPolicy,
+    reserved: includesManifest ? INTEGRITY_FILENAMES : [],
+    onEntryRenamed: options.onEntryRenamed
+  });
+};
+
+/**
+ * Prepares entries that are all in memory anyway, keeping them in an array
+ */
+const collectEntries = async (entries, options) => {
+  const prepared = [];
+  for await (const entry of prepareEntries(entries, options)) {
+    prepared.push(entry);
+  }
+  return prepared;
+};
+
+/**
+ * Streams prepared entries into an archive of the requested format
+ */
+const createArchiveStream = (entries, options) => {
+  const { format, ...archiveOptions } = options;
+
+  switch (format) {
+    case ARCHIVE_FORMATS.TAR:
+      return createTarStream(entries, archiveOptions);
+    case ARCHIVE_FORMATS.TAR_GZ:
+      return createGzipStream(createTarStream(entries, archiveOptions), { compressionLevel: archiveOptions.compressionLevel });
+    case ARCHIVE_FORMATS.GZIP:
+      return createStreamFromIterator(generateGzipDocument(entries, archiveOptions));
+    default:
+      return createZipStream(entries, archiveOptions);
+  }
+};
+
+/**
+ * Builds a complete archive of the requested format in memory
+ */
+const buildArchive = async (entries, options) => {
+  const { format, ...archiveOptions } = options;
+  if (archiveOptions.maxVolumeSize != null) {
+    throw new Error('Split volumes are saved as separate files; use streamJsonToZip');
+  }
+  const prepared = await collectEntries(entries, archiveOptions);
+  if (format === ARCHIVE_FORMATS.ZIP) {
+    return createZipArchive(prepared, archiveOptions);
+  }
+
+  const blob = await new Response(createArchiveStream(prepared, options)).blob();
+  return new Blob([blob], { type: getArchiveFormat(format).mimeType });
+};
+
+/**
+ * Build an archive containing a single JSON document, entirely in the browser
+ * @param {Object} jsonData - The JSON data to package
+ * @param {string} filename - Archive filename; the entry is named after it
+ * @param {Object} options - Conversion options (format, compression, compressionLevel, deterministic;
+ *   createFolders with leafFormat, maxDepth and arrayMode maps the tree onto folders;
+ *   splitPath, e.g. '$.records[*]', writes each match as a file, grouped into folders by groupPath;
+ *   extractBinaries writes embedded base64 / data: URI files as entries of their own;
+ *   outputFormat ('json', 'json-min', 'ndjson', 'yaml' or 'csv') and indent set how documents are
+ *   written, and splitOutputFormat overrides outputFormat for split matches)
+ * @returns {Promise<Blob>}
+ */
+export const createJsonZip = async (jsonData, filename = 'data.zip', options = {}) => {
+  if (!jsonData || typeof jsonData !== 'object') {
+    throw new ArchiveError('Invalid JSON data provided');
+  }
+
+  const archiveOptions = normalizeArchiveOptions(options);
+  const format = resolveArchiveFormat(archiveOptions);
+
+  try {
+    const entries = archiveOptions.createFolders || archiveOptions.splitPath
+      ? [...generateDocumentEntries(jsonData, archiveOptions)]
+      : [{ name: `${removeArchiveExtension(filename)}.json`, value: jsonData }];
+    return await buildArchive(entries, archiveOptions);
+  } catch (error) {
+    throw new ArchiveError(`Failed to build ${format.label} archive: ${error.message}`, error);
+  }
+};
+
+/**
+ * Convert JSON data to a ZIP file locally and trigger download
+ * @param {Object} jsonData - The JSON data to convert to ZIP
+ * @param {string} filename - Filename for the ZIP file
+ * @param {Object} options - Conversion options (compression, compressionLevel)
+ * @returns {Promise<Object>}
+ */
+export const convertJsonToZipLocally = async (jsonData, filename = 'data.zip', options = {}) => {
+  const blob = await createJsonZip(jsonData, filename, options);
+  downloadBlob(blob, filename);
+
+  return {
+    success: true,
+    filename: filename,
+    size: blob.size
+  };
+};
+
+/**
+ * Formats one batch entry name (fileNaming: 'auto')
+ * @param {number} index - Zero-based item index
+ * @param {number} width - Digits to pad the item number to
+ * @param {string} baseName - Prefix for the entry
+ * @returns {string} - Entry name, e.g. item-001.json
+ */
+export const formatBatchEntryName = (index, width, baseName = 'item') => {
+  return `${baseName}-${String(index + 1).padStart(width, '0')}.json`;
+};
+
+/**
+ * Generates entry names for batch conversions (fileNaming: 'auto')
+ * @param {number} count - Number of items
+ * @param {string} baseName - Prefix for each entry
+ * @returns {string[]} - Zero-padded entry names, e.g. item-001.json
+ */
+export const generateBatchEntryNames = (count, baseName = 'item') => {
+  const width = String(count).length;
+  return Array.from({ length: count }, (_, index) => formatBatchEntryName(index, width, baseName));
+};
+
+/**
+ * Returns the naming function for batch entries: the fileNameTemplate with
+ * fileNaming: 'template', otherwise item names padded to `width` digits
+ */
+const createBatchEntryNamer = (options, width) => {
+  if (options.fileNaming === FILE_NAMING.TEMPLATE) {
+    return compileFilenameTemplate(options.fileNameTemplate);
+  }
+  return (item, index) => formatBatchEntryName(index, width);
+};
+
+/**
+ * Lays a parsed document out as folders (createFolders) or as one file per
+ * selector match (splitPath)
+ */
+function* generateDocumentEntries(jsonData, options) {
+  if (options.splitPath) {
+    const createNamer = (count) => createBatchEntryNamer(options, String(count).length);
+    yield* generateSplitEntries(jsonData, options, createNamer);
+  } else {
+    yield* generateFolderEntries(jsonData, options);
+  }
+}
+
+/**
+ * Build an archive from an array of JSON objects, entirely in the browser.
+ * ZIP archives over 65,535 entries or 4 GB are written as ZIP64 automatically.
+ * @param {Array} jsonArray - Array of JSON objects to package
+ * @param {string} filename - Output archive filename
+ * @param {Object} options - Conversion options (format, compression, compressionLevel, createSeparateFiles, deterministic;
+ *   fileNaming: 'template' names each file with fileNameTemplate, e.g. '{index:04}-{item.name|slug}.json')
+ * @returns {Promise<Blob>}
+ */
+export const createBatchJsonZip = async (jsonArray, filename = 'batch-data.zip', options = {}) => {
+  if (!Array.isArray(jsonArray) || jsonArray.length === 0) {
+    throw new ArchiveError('Please provide a non-empty array of JSON objects');
+  }
+
+  const { createSeparateFiles = !(options.createFolders || options.splitPath), ...archiveOptions } = normalizeArchiveOptions(options);
+  const format = resolveArchiveFormat({ ...archiveOptions, createSeparateFiles });
+  const baseName = removeArchiveExtension(filename);
+
+  try {
+    let entries;
+    if (archiveOptions.createFolders || archiveOptions.splitPath) {
+      entries = [...generateDocumentEntries(jsonArray, archiveOptions)];
+    } else if (createSeparateFiles) {
+      const nameEntry = createBatchEntryNamer(archiveOptions, String(jsonArray.length).length);
+      entries = jsonArray.map((item, index) => ({ name: nameEntry(item, index), value: item }));
+    } else {
+      entries = [{ name: `${baseName}.json`, value: jsonArray }];
+    }
+    return await buildArchive(entries, archiveOptions);
+  } catch (error) {
+    throw new ArchiveError(`Failed to build ${format.label} archive: ${error.message}`, error);
+  }
+};
+
+/**
+ * Convert multiple JSON objects to a single ZIP file locally and trigger download
+ * @param {Array} jsonArray - Array of JSON objects to convert
+ * @param {string} filename - Output ZIP filename
+ * @param {Object} options - Conversion options
+ * @returns {Promise<Object>}
+ */
+export const convertMultipleJsonToZipLocally = async (jsonArray, filename = 'batch-data.zip', options = {}) => {
+  const blob = await createBatchJsonZip(jsonArray, filename, options);
+  downloadBlob(blob, filename);
+
+  return {
+    success: true,
+    filename: filename,
+    itemsProcessed: jsonArray.length,
+    size: blob.size
+  };
+};
+
+// Item count is unknown while streaming, so names are padded to a fixed width
+const STREAMED_ENTRY_NAME_WIDTH = 6;
+
+/**
+ * The input format of a source file: the inputFormat option, else what its
+ * name or type says; undefined leaves it to be detected from the text
+ */
+const getSourceFileFormat = (file, options) => options.inputFormat ?? getFileInputFormat(file);
+
+/**
+ * Parses a whole source file; JSON Lines become an array of their lines,
+ * and a YAML stream of several documents an array of its documents
+ */
+const readSourceFile = async (file, options) => {
+  return parseInputText(await file.text(), getSourceFileFormat(file, options), options).data;
+};
+
+/**
+ * Lazily produces the documents of a JSON source. Files are read
+ * incrementally; with createSeparateFiles each top-level array item, or
+ * each line of a JSON Lines file, becomes its own entry. Otherwise the lines
+ * are collected into one array. Other formats are parsed whole: each
+ * document of a YAML stream becomes its own entry, and with preserveSource
+ * JSONC / JSON5 text is written as it is instead of as strict JSON.
+ * Entries come out in name order.
+ */
+async function* generateStreamedEntries(source, filename, createSeparateFiles, options) {
+  const baseName = removeArchiveExtension(filename);
+
+  if (source instanceof Blob) {
+    const sourceFormat = getSourceFileFormat(source, options);
+    if (!isIncrementalInputFormat(sourceFormat)) {
+      // Parsed even when the text is kept, so invalid input is still rejected
+      const { data, documents = [data] } = parseInputText(await source.text(), sourceFormat, options);
+      if (options.preserveSource && isLenientInputFormat(sourceFormat) && !createSeparateFiles) {
+        const [extension] = getInputFormat(sourceFormat).extensions;
+        yield { name: `${baseName}${extension}`, data: source, lastModified: source.lastModified };
+        return;
+      }
+      if (documents.length > 1) {
+        const nameEntry = createBatchEntryNamer(options, String(documents.length).length);
+        for (let index = 0; index < documents.length; index++) {
+          yield { name: nameEntry(documents[index], index), value: documents[index] };
+        }
+        return;
+      }
+      yield* generateStreamedEntries(data, filename, createSeparateFiles, options);
+      return;
+    }
+
+    const isJsonLines = sourceFormat === INPUT_FORMATS.JSON_LINES;
+    if (!createSeparateFiles) {
+      // The file is copied as it is unless it has to be written in another format
+      yield isCustomEntryFormat(options) || isJsonLines
+        ? { name: `${baseName}.json`, value: await readSourceFile(source, options), lastModified: source.lastModified }
+        : { name: `${baseName}.json`, data: source, lastModified: source.lastModified };
+      return;
+    }
+
+    const nameEntry = createBatchEntryNamer(options, STREAMED_ENTRY_NAME_WIDTH);
+    const items = isJsonLines ? iterateJsonLines(source) : iterateJsonArrayItems(source);
+    let index = 0;
+    for await (const item of items) {
+      yield { name: nameEntry(item, index++), value: item };
+    }
+    return;
+  }
+
+  if (createSeparateFiles && Array.isArray(source)) {
+    const nameEntry = createBatchEntryNamer(options, String(source.length).length);
+    for (let index = 0; index < source.length; index++) {
+      yield { name: nameEntry(source[index], index), value: source[index] };
+    }
+    return;
+  }
+
+  yield { name: `${baseName}.json`, value: source };
+}
+
+/**
+ * Produces the prepared archive entries for a JSON source. Folders and
+ * selector splits need the whole tree, so a file is parsed in full first;
+ * their entries are then all in memory and sorted for deterministic archives.
+ */
+async function* generateJsonEntries(source, filename, createSeparateFiles, options) {
+  if (options.createFolders || options.splitPath) {
+    const data = source instanceof Blob ? await readSourceFile(source, options) : source;
+    yield* orderEntries(await collectEntries(generateDocumentEntries(data, options), options), options);
+    return;
+  }
+
+  yield* prepareEntries(generateStreamedEntries(source, filename, createSeparateFiles, options), options);
+}
+
+/**
+ * Create an archive stream for JSON data or a JSON file without holding the archive in memory
+ * @param {Object|Array|File|Blob} source - Parsed JSON data, or a JSON file read incrementally
+ * @param {string} filename - Output archive filename
+ * @param {Object} options - Conversion options (format, compression, compressionLevel, createSeparateFiles,
+ *   createFolders, splitPath, extractBinaries, outputFormat, indent, splitOutputFormat, deterministic;
+ *   collisionPolicy ('suffix', 'overwrite' or 'fail') handles repeated names, and onEntryRenamed({from, to})
+ *   reports entries written under another name; inputFormat says how a file is read, and preserveSource
+ *   keeps the original text of a whole JSONC / JSON5 document instead of writing strict JSON)
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export const createJsonZipStream = (source, filename = 'data.zip', options = {}) => {
+  if (!source || typeof source !== 'object') {
+    throw new ArchiveError('Invalid JSON data provided');
+  }
+
+  const { createSeparateFiles = false, ...archiveOptions } = normalizeArchiveOptions(options);
+  resolveArchiveFormat({ ...archiveOptions, createSeparateFiles });
+  return createArchiveStream(generateJsonEntries(source, filename, createSeparateFiles, archiveOptions), archiveOptions);
+};
+
+/**
+ * Create a ZIP archive split into volumes of at most maxVolumeSize bytes
+ * @param {Object|Array|File|Blob} source - Parsed JSON data, or a JSON file read incrementally
+ * @param {string} filename - Output archive filename; volumes are named after it
+ * @param {Object} options - Conversion options, with maxVolumeSize and volumeMode ('spanned' or 'independent')
+ * @returns {ReadableStream<{name: string, data: Blob}>} - The volumes in order
+ */
+export const createJsonZipVolumes = (source, filename = 'data.zip', options = {}) => {
+  if (!source || typeof source !== 'object') {
+    throw new ArchiveError('Invalid JSON data provided');
+  }
+
+  const { createSeparateFiles = false, format, ...archiveOptions } = normalizeArchiveOptions(options);
+  if (archiveOptions.maxVolumeSize == null) {
+    throw new ArchiveError('Set maxVolumeSize to split the archive into volumes');
+  }
+  resolveArchiveFormat({ ...archiveOptions, format, createSeparateFiles });
+
+  const volumes = createZipVolumeStream(generateJsonEntries(source, filename, createSeparateFiles, archiveOptions), archiveOptions);
+  return volumes.pipeThrough(new TransformStream({
+    transform(volume, controller) {
+      controller.enqueue({ name: getVolumeFilename(filename, volume, archiveOptions.volumeMode), data: volume.data });
+    }
+  }));
+};
+
+// Files listed by planJsonArchive; larger archives are cut short
+const PLAN_ENTRY_LIMIT = 500;
+
+/**
+ * Measures data compressed with the same raw DEFLATE the writers use
+ */
+const estimateCompressedSize = async (bytes) => {
+  let size = 0;
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  for await (const chunk of readStreamChunks(stream)) {
+    size += chunk.length;
+  }
+  return size;
+};
+
+/**
+ * Lists the files an archive would contain, with their contents, without
+ * building it. Compressed sizes are estimated per file; TAR.GZ compresses the
+ * whole archive at once, and encryption adds a few bytes per file.
+ * @param {Object|Array|File|Blob} source - Parsed JSON data, or a JSON file
+ * @param {string} filename - Output archive filename
+ * @param {Object} options - Conversion options, as for createJsonZipStream
+ * @returns {Promise<{entries: Array<{path: string, isDirectory: boolean, size: number, compressedSize: number,
+ *   data: Uint8Array}>, truncated: boolean, totalSize: number, totalCompressedSize: number,
+ *   renamed: Array<{from: string, to: string}>}>}
+ */
+export const planJsonArchive = async (source, filename = 'data.zip', options = {}) => {
+  if (!source || typeof source !== 'object') {
+    throw new ArchiveError('Invalid JSON data provided');
+  }
+
+  const { createSeparateFiles = false, ...archiveOptions } = normalizeArchiveOptions(options);
+  const format = resolveArchiveFormat({ ...archiveOptions, createSeparateFiles });
+  const compressed = format.id === ARCHIVE_FORMATS.ZIP
+    ? resolveCompressionMethod(archiveOptions) !== ZIP_METHODS.STORE
+    : format.id !== ARCHIVE_FORMATS.TAR;
+  // A GZIP file holds the first document only
+  const limit = format.multipleEntries ? PLAN_ENTRY_LIMIT : 1;
+
+  const entries = [];
+  const renamed = [];
+  let truncated = false;
+  try {
+    const planOptions = { ...archiveOptions, onEntryRenamed: (rename) => renamed.push(rename) };
+    const planned = withIntegrityManifest(generateJsonEntries(source, filename, createSeparateFiles, planOptions), planOptions);
+    for await (const entry of planned) {
+      if (entries.length === limit) {
+        truncated = format.multipleEntries;
+        break;
+      }
+      const isDirectory = entry.name.endsWith('/');
+      const data = await toUint8Array(entry.data);
+      const compressedSize = compressed && !isDirectory ? await estimateCompressedSize(data) : data.length;
+      entries.push({ path: entry.name, isDirectory, size: data.length, compressedSize, data });
+    }
+  } catch (error) {
+    throw new ArchiveError(`Failed to plan ${format.label} archive: ${error.message}`, error);
+  }
+
+  return {
+    entries,
+    truncated,
+    totalSize: entries.reduce((total, entry) => total + entry.size, 0),
+    totalCompressedSize: entries.reduce((total, entry) => total + entry.compressedSize, 0),
+    renamed
+  };
+};
+
+/**
+ * Stream JSON data or a JSON file into an archive and save it as it is generated.
+ * With maxVolumeSize, each volume is downloaded as its own file.
+ * @param {Object|Array|File|Blob} source - Parsed JSON data, or a JSON file read incrementally
+ * @param {string} filename - Output archive filename
+ * @param {Object} options - Conversion options, plus onProgress(bytesWritten)
+ * @returns {Promise<Object>} - The result lists entries written under another name in `renamed`
+ */
+export const streamJsonToZip = async (source, filename = 'data.zip', options = {}) => {
+  const { onProgress, onEntryRenamed, ...archiveOptions } = options;
+  const renamed = [];
+  const conversionOptions = {
+    ...archiveOptions,
+    onEntryRenamed: (rename) => {
+      renamed.push(rename);
+      onEntryRenamed?.(rename);
+    }
+  };
+
+  try {
+    if (conversionOptions.maxVolumeSize != null) {
+      const { size, method, files } = await saveVolumes(createJsonZipVolumes(source, filename, conversionOptions), { onProgress });
+      return {
+        success: true,
+        filename: files[files.length - 1],
+        size: size,
+        saveMethod: method,
+        volumes: files,
+        renamed
+      };
+    }
+
+    const stream = createJsonZipStream(source, filename, conversionOptions);
+    const { mimeType } = getArchiveFormat(conversionOptions.format);
+    const { size, method } = await saveStream(stream, filename, { mimeType, onProgress });
+
+    return {
+      success: true,
+      filename: filename,
+      size: size,
+      saveMethod: method,
+      renamed
+    };
+  } catch (error) {
+    if (error instanceof ArchiveError || error.name === 'AbortError') throw error;
+    throw new ArchiveError(`Failed to stream archive: ${error.message}`, error);
+  }
+};
+
+/**
+ * Output shapes for ZIP to JSON extraction
+ */
+export const EXTRACT_SHAPES = {
+  OBJECT: 'object',
+  ARRAY: 'array'
+};
+
+/**
+ * Opens the archives to extract from. A spanned set (.z01, .z02, ..., .zip) is
+ * joined into one archive; other lists are independent archives read in turn.
+ */
+const readArchiveSources = async (source) => {
+  if (!Array.isArray(source)) {
+    return [{ source, archive: await readZipArchive(source) }];
+  }
+  if (source.length === 0) {
+    throw new Error('No archive files were given');
+  }
+
+  const spanned = orderSpannedVolumes(source);
+  if (spanned) {
+    const joined = joinZipVolumes(spanned);
+    return [{ source: joined, archive: await readZipArchive(joined) }];
+  }
+
+  const archives = [];
+  for (const part of source) {
+    try {
+      archives.push({ source: part, archive: await readZipArchive(part) });
+    } catch (error) {
+      throw new Error(`${part.name}: ${error.message}`);
+    }
+  }
+  return archives;
+};
+
+/**
+ * Read the JSON files back out of a ZIP archive
+ * @param {File|Blob|ArrayBuffer|File[]} source - The ZIP archive, all volumes of a spanned
+ *   archive, or several independent archives whose contents are merged
+ * @param {Object} options - Extraction options
+ * @param {string} options.shape - 'object' keys documents by path; 'array' lists them in
+ *   path order, matching the input of convertMultipleJsonToZip
+ * @param {string} options.password - Password for encrypted archives
+ * @returns {Promise<{data: Object|Array, files: string[], skipped: string[]}>} - skipped lists the
+ *   other files, including the manifest, checksums and signature
+ */
+export const extractJsonFromZip = async (source, options = {}) => {
+  const { shape = EXTRACT_SHAPES.OBJECT, password } = options;
+
+  let archives;
+  try {
+    archives = await readArchiveSources(source);
+  } catch (error) {
+    throw new ArchiveError(`Failed to read ZIP archive: ${error.message}`, error);
+  }
+
+  const files = archives.flatMap(({ source: archiveSource, archive }) => archive.entries
+    .filter((entry) => !entry.isDirectory)
+    .map((entry) => ({ source: archiveSource, entry })));
+  const seen = new Set();
+  for (const { entry } of files) {
+    if (seen.has(entry.name)) {
+      throw new ArchiveError(`${entry.name} appears in more than one archive`);
+    }
+    seen.add(entry.name);
+  }
+
+  // The manifest describes the documents rather than being one of them
+  const jsonEntries = files
+    .filter(({ entry }) => getFileExtension(entry.name) === 'json' && !INTEGRITY_FILENAMES.includes(entry.name))
+    .sort((a, b) => a.entry.name.localeCompare(b.entry.name, undefined, { numeric: true }));
+
+  if (jsonEntries.length === 0) {
+    throw new ArchiveError('The archive contains no JSON files');
+  }
+
+  const documents = [];
+  for (const { source: archiveSource, entry } of jsonEntries) {
+    let text;
+    try {
+      text = await readZipEntryAsText(archiveSource, entry, { password });
+    } catch (error) {
+      throw new ArchiveError(`Failed to extract ${entry.name}: ${error.message}`, error);
+    }
+
+    try {
+      documents.push({ path: entry.name, data: JSON.parse(text) });
+    } catch (error) {
+      throw new ArchiveError(`${entry.name} is not valid JSON: ${error.message}`, error);
+    }
+  }
+
+  let data;
+  if (shape === EXTRACT_SHAPES.ARRAY) {
+    // A batch written with createSeparateFiles: false holds the whole array in one file
+    data = documents.length === 1 && Array.isArray(documents[0].data)
+      ? documents[0].data
+      : documents.map((document) => document.data);
+  } else {
+    data = Object.fromEntries(documents.map((document) => [document.path, document.data]));
+  }
+
+  return {
+    data,
+    files: documents.map((document) => document.path),
+    skipped: files.filter((file) => !jsonEntries.includes(file)).map(({ entry }) => entry.name)
+  };
+};
+
+/**
+ * Describes an entry's storage method, e.g. "Deflated" or "AES-256 + Deflated"
+ */
+const describeEntryMethod = (entry) => {
+  const method = ZIP_METHOD_NAMES[entry.compressionMethod] || `Method ${entry.compressionMethod}`;
+  if (entry.aes) return `AES-${entry.aes.bits} + ${method}`;
+  return entry.encrypted ? `Encrypted + ${method}` : method;
+};
+
+/**
+ * List an archive's entries with the details shown by the inspector
+ * @param {File|Blob|ArrayBuffer} source - The ZIP archive
+ * @returns {Promise<Object>} - Archive summary and one row per entry
+ */
+export const inspectZipArchive = async (source) => {
+  let archive;
+  try {
+    archive = await readZipArchive(source);
+  } catch (error) {
+    throw new ArchiveError(`Failed to read ZIP archive: ${error.message}`, error);
+  }
+
+  const entries = archive.entries.map((entry) => ({
+    path: entry.name,
+    isDirectory: entry.isDirectory,
+    uncompressedSize: entry.uncompressedSize,
+    compressedSize: entry.compressedSize,
+    ratio: entry.uncompressedSize > 0 ? 1 - entry.compressedSize / entry.uncompressedSize : 0,
+    // AE-2 entries store a zero CRC; integrity is covered by the auth code
+    crc: entry.aes?.vendorVersion === AES_VENDOR_VERSIONS.AE2 ? null : formatCrc32(entry.crc),
+    method: describeEntryMethod(entry),
+    lastModified: entry.lastModified,
+    comment: entry.comment,
+    encrypted: entry.encrypted,
+    entry
+  }));
+
+  const files = entries.filter((row) => !row.isDirectory);
+
+  return {
+    entries,
+    comment: archive.comment,
+    zip64: archive.zip64,
+    encrypted: files.some((row) => row.encrypted),
+    hasManifest: files.some((row) => INTEGRITY_FILENAMES.includes(row.path)),
+    fileCount: files.length,
+    totalUncompressedSize: files.reduce((total, row) => total + row.uncompressedSize, 0),
+    totalCompressedSize: files.reduce((total, row) => total + row.compressedSize, 0)
+  };
+};
+
+// Previews show at most this many bytes of an entry
+const PREVIEW_LIMIT = 256 * 1024;
+
+const formatHexDump = (bytes) => {
+  const lines = [];
+  for (let offset = 0; offset < bytes.length; offset += 16) {
+    const row = Array.from(bytes.subarray(offset, offset + 16));
+    const hex = row.map((byte) => byte.toString(16).padStart(2, '0')).join(' ');
+    const ascii = row.map((byte) => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Extract one entry for preview: pretty-printed JSON, plain text or a hex dump
+ * @param {File|Blob|ArrayBuffer} source - The ZIP archive
+ * @param {Object} entry - Entry metadata (the `entry` field of an inspector row)
+ * @param {Object} options - Read options (password)
+ * @returns {Promise<{kind: string, content: string, truncated: boolean}>}
+ */
+export const previewZipEntry = async (source, entry, options = {}) => {
+  let bytes;
+  try {
+    bytes = await readZipEntry(source, entry, options);
+  } catch (error) {
+    throw new ArchiveError(`Failed to extract ${entry.name}: ${error.message}`, error);
+  }
+
+  return previewEntryBytes(entry.name, bytes);
+};
+
+/**
+ * Formats file contents for preview: pretty-printed JSON, plain text or a hex dump
+ * @param {string} name - The file name; .json files are pretty-printed
+ * @param {Uint8Array} bytes - The file contents
+ * @returns {{kind: string, content: string, truncated: boolean}}
+ */
+export const previewEntryBytes = (name, bytes) => {
+  const truncated = bytes.length > PREVIEW_LIMIT;
+  const visible = truncated ? bytes.subarray(0, PREVIEW_LIMIT) : bytes;
+
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(visible, { stream: truncated });
+  } catch {
+    return { kind: 'binary', content: formatHexDump(visible.subarray(0, 4096)), truncated: bytes.length > 4096 };
+  }
+
+  if (!truncated && getFileExtension(name) === 'json') {
+    try {
+      return { kind: 'json', content: JSON.stringify(JSON.parse(text), null, 2), truncated };
+    } catch {
+      // Fall through and show the raw text of malformed JSON
+    }
+  }
+
+  return { kind: 'text', content: text, truncated };
+};
+
+/**
+ * Statuses reported per file by verifyArchive
+ */
+export const VERIFY_STATUSES = {
+  OK: 'ok',
+  MISMATCH: 'mismatch',
+  MISSING: 'missing',
+  UNREADABLE: 'unreadable'
+};
+
+/**
+ * Signature outcomes reported by verifyArchive
+ */
+export const SIGNATURE_STATUSES = {
+  SIGNED: 'signed',
+  UNSIGNED: 'unsigned',
+  TAMPERED: 'tampered'
+};
+
+/**
+ * Reads one of the integrity files, wrapping failures with the file's name
+ * @returns {Promise<{bytes: Uint8Array, value: any}>} - The raw bytes and the parsed contents
+ */
+const readIntegrityFile = async (source, entry, options, parse) => {
+  try {
+    const bytes = await readZipEntry(source, entry, options);
+    return { bytes, value: parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes)) };
+  } catch (error) {
+    throw new ArchiveError(`Failed to read ${entry.name}: ${error.message}`, error);
+  }
+};
+
+/**
+ * Compares one file against its expected size and hashes
+ */
+const verifyArchiveFile = async (source, entry, expected, options) => {
+  if (!entry) {
+    return { status: VERIFY_STATUSES.MISSING, message: 'Listed in the manifest but not in the archive' };
+  }
+
+  let bytes;
+  try {
+    bytes = await readZipEntry(source, entry, options);
+  } catch (error) {
+    return { status: VERIFY_STATUSES.UNREADABLE, message: error.message };
+  }
+
+  const actualSha256 = toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+  const problems = [];
+
+  if (expected.size != null && expected.size !== bytes.length) {
+    problems.push(`size is ${bytes.length}, expected ${expected.size}`);
+  }
+  if (expected.sha256 && expected.sha256 !== actualSha256) {
+    problems.push(`SHA-256 does not match ${MANIFEST_FILENAME}`);
+  }
+  if (expected.checksum && expected.checksum !== actualSha256) {
+    problems.push(`SHA-256 does not match ${CHECKSUMS_FILENAME}`);
+  }
+
+  return {
+    status: problems.length === 0 ? VERIFY_STATUSES.OK : VERIFY_STATUSES.MISMATCH,
+    message: problems.join('; '),
+    actualSha256
+  };
+};
+
+/**
+ * Checks manifest.json.sig against the manifest bytes. A valid signature only
+ * counts as signed when the files also match the manifest it covers.
+ */
+const verifyArchiveSignature = async (source, signatureEntry, manifestBytes, filesIntact, options) => {
+  if (!signatureEntry) {
+    return { status: SIGNATURE_STATUSES.UNSIGNED, message: 'The archive is not signed' };
+  }
+  if (!manifestBytes) {
+    return { status: SIGNATURE_STATUSES.TAMPERED, message: `${SIGNATURE_FILENAME} is present but ${MANIFEST_FILENAME} is missing` };
+  }
+
+  const { value: signatureText } = await readIntegrityFile(source, signatureEntry, options, (text) => text);
+  let result;
+  try {
+    result = await verifyManifestSignature(manifestBytes, signatureText, { trustedKey: options.trustedKey });
+  } catch (error) {
+    return { status: SIGNATURE_STATUSES.TAMPERED, message: `Unusable signature: ${error.message}` };
+  }
+
+  const { valid, trusted, algorithm, fingerprint } = result;
+  if (!valid || trusted === false) {
+    return { status: SIGNATURE_STATUSES.TAMPERED, message: result.message, algorithm, fingerprint, trusted };
+  }
+  if (!filesIntact) {
+    return {
+      status: SIGNATURE_STATUSES.TAMPERED,
+      message: 'The signature is valid, but the files no longer match the signed manifest',
+      algorithm,
+      fingerprint,
+      trusted
+    };
+  }
+  return { status: SIGNATURE_STATUSES.SIGNED, message: result.message, algorithm, fingerprint, trusted };
+};
+
+/**
+ * Re-read a ZIP archive and check its files against the embedded manifest.json
+ * and/or SHA256SUMS, and the manifest against its signature
+ * @param {File|Blob|ArrayBuffer} source - The ZIP archive
+ * @param {Object} options - Read options (password), plus trustedKey to require a specific signer
+ * @returns {Promise<{valid: boolean, manifest: Object|null, files: Object[], unlisted: string[], signature: Object}>}
+ *   One result per listed file ({path, status, message}), archive files no list mentions, and the
+ *   signature outcome ({status, message, algorithm, fingerprint, trusted})
+ */
+export const verifyArchive = async (source, options = {}) => {
+  let archive;
+  try {
+    archive = await readZipArchive(source);
+  } catch (error) {
+    throw new ArchiveError(`Failed to read ZIP archive: ${error.message}`, error);
+  }
+
+  const byName = new Map(archive.entries.map((entry) => [entry.name, entry]));
+  const manifestEntry = byName.get(MANIFEST_FILENAME);
+  const checksumsEntry = byName.get(CHECKSUMS_FILENAME);
+  const signatureEntry = byName.get(SIGNATURE_FILENAME);
+
+  if (!manifestEntry && !checksumsEntry && !signatureEntry) {
+    throw new ArchiveError(`The archive has no ${MANIFEST_FILENAME} or ${CHECKSUMS_FILENAME} to verify against`);
+  }
+
+  const manifestFile = manifestEntry ? await readIntegrityFile(source, manifestEntry, options, parseManifest) : null;
+  const manifest = manifestFile?.value ?? null;
+  const checksums = checksumsEntry
+    ? (await readIntegrityFile(source, checksumsEntry, options, parseChecksums)).value
+    : new Map();
+
+  // Expected values per path, merged from both lists
+  const expected = new Map();
+  for (const file of manifest?.files ?? []) {
+    expected.set(file.path, { size: file.size, sha256: file.sha256 });
+  }
+  for (const [path, checksum] of checksums) {
+    expected.set(path, { ...expected.get(path), checksum });
+  }
+
+  const files = [];
+  for (const [path, values] of expected) {
+    files.push({ path, ...(await verifyArchiveFile(source, byName.get(path), values, options)) });
+  }
+
+  const unlisted = archive.entries
+    .filter((entry) => !entry.isDirectory && !expected.has(entry.name))
+    .filter((entry) => ![manifestEntry, checksumsEntry, signatureEntry].includes(entry))
+    .map((entry) => entry.name);
+
+  const filesIntact = unlisted.length === 0 && files.every((file) => file.status === VERIFY_STATUSES.OK);
+  const signature = await verifyArchiveSignature(source, signatureEntry, manifestFile?.bytes, filesIntact, options);
+
+  return {
+    valid: filesIntact && signature.status !== SIGNATURE_STATUSES.TAMPERED,
+    manifest,
+    files,
+    unlisted,
+    signature
+  };
+};
+
+export { ArchiveError };
+
+export default {
+  normalizeArchiveOptions,
+  createJsonZip,
+  convertJsonToZipLocally,
+  formatBatchEntryName,
+  generateBatchEntryNames,
+  createBatchJsonZip,
+  convertMultipleJsonToZipLocally,
+  createJsonZipStream,
+  planJsonArchive,
+  createJsonZipVolumes,
+  streamJsonToZip,
+  extractJsonFromZip,
+  inspectZipArchive,
+  previewZipEntry,
+  previewEntryBytes,
+  verifyArchive,
+  ArchiveError
+};
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { createJsonZip, createJsonZipStream, createBatchJsonZip, extractJsonFromZip, verifyArchive, EXTRACT_SHAPES, VERIFY_STATUSES } from './archiveService';
+import { createZipArchive } from '../utils/zipWriter';
+
+const doc = {
+  records: [
+    { id: 1, country: 'DE' },
+    { id: 2, country: 'FR' },
+    { id: 3 }
+  ]
+};
+
+describe('extractJsonFromZip', () => {
+  it('gives a batch back as an array in entry order', async () => {
+    const items = Array.from({ length: 12 }, (_, index) => ({ index }));
+    const archive = await createBatchJsonZip(items, 'batch.zip');
+    const { data, files } = await extractJsonFromZip(archive, { shape: EXTRACT_SHAPES.ARRAY });
+    expect(data).toEqual(items);
+    expect(files[0]).toBe('item-01.json');
+  });
+
+  it('gives the array back from a single-file batch', async () => {
+    const archive = await createBatchJsonZip([1, 2], 'batch.zip', { createSeparateFiles: false });
+    expect((await extractJsonFromZip(archive, { shape: EXTRACT_SHAPES.ARRAY })).data).toEqual([1, 2]);
+  });
+
+  it('reads encrypted archives with the password', async () => {
+    const archive = await createJsonZip({ a: 1 }, 'secret.zip', { password: 'pw' });
+    expect((await extractJsonFromZip(archive, { password: 'pw' })).data).toEqual({ 'secret.json': { a: 1 } });
+  });
+
+  it('merges independent archives and rejects a repeated path', async () => {
+    const first = new File([await createZipArchive([{ name: 'a.json', data: '1' }])], 'first.zip');
+    const second = new File([await createZipArchive([{ name: 'b.json', data: '2' }, { name: 'notes.txt', data: 'x' }])], 'second.zip');
+    const { data, skipped } = await extractJsonFromZip([first, second]);
+    expect(data).toEqual({ 'a.json': 1, 'b.json': 2 });
+    expect(skipped).toEqual(['notes.txt']);
+
+    await expect(extractJsonFromZip([first, new File([first], 'copy.zip')])).rejects.toThrow('a.json appears in more than one archive');
+  });
+
+  it('reports archives without JSON and invalid documents', async () => {
+    await expect(extractJsonFromZip(await createZipArchive([{ name: 'a.txt', data: 'x' }]))).rejects.toThrow('The archive contains no JSON files');
+    await expect(extractJsonFromZip(await createZipArchive([{ name: 'a.json', data: '{' }]))).rejects.toThrow('a.json is not valid JSON');
+  });
+});
+
+describe('archive to JSON round trip', () => {
+  it('extracts split documents without the manifest or checksums', async () => {
+    const archive = await createJsonZip(doc, 'records.zip', {
+      splitPath: '$.records[*]',
+      groupPath: '$.country',
+      includeManifest: true,
+      includeChecksums: true
+    });
+
+    expect((await verifyArchive(archive)).valid).toBe(true);
+
+    const { data, files, skipped } = await extractJsonFromZip(archive);
+    expect(files).toEqual(['_root.json', '_ungrouped/item-3.json', 'DE/item-1.json', 'FR/item-2.json']);
+    expect(data).toEqual({
+      '_root.json': { records: [] },
+      '_ungrouped/item-3.json': { id: 3 },
+      'DE/item-1.json': { id: 1, country: 'DE' },
+      'FR/item-2.json': { id: 2, country: 'FR' }
+    });
+    expect(skipped).toEqual(['manifest.json', 'SHA256SUMS']);
+  });
+
+  it('keeps leading underscores in templated names of a streamed archive', async () => {
+    const stream = createJsonZipStream(new Blob([JSON.stringify(doc)]), 'records.zip', {
+      splitPath: '$.records[*]',
+      fileNaming: 'template',
+      fileNameTemplate: '_{item.id}.json',
+      includeManifest: true
+    });
+    const archive = await new Response(stream).blob();
+
+    const { data, files, skipped } = await extractJsonFromZip(archive, { shape: 'array' });
+    expect(files).toEqual(['_1.json', '_2.json', '_3.json', '_root.json']);
+    expect(data).toEqual([...doc.records, { records: [] }]);
+    expect(skipped).toEqual(['manifest.json']);
+  });
+});
+
+describe('verifyArchive', () => {
+  it('reports changed, missing and unlisted files', async () => {
+    const manifest = {
+      version: 1,
+      algorithm: 'SHA-256',
+      files: [
+        { path: 'a.json', size: 1, sha256: '0'.repeat(64) },
+        { path: 'gone.json', size: 1, sha256: '0'.repeat(64) }
+      ]
+    };
+    const archive = await createZipArchive([
+      { name: 'a.json', data: '1' },
+      { name: 'extra.json', data: '2' },
+      { name: 'manifest.json', data: JSON.stringify(manifest) }
+    ]);
+
+    const { valid, files, unlisted } = await verifyArchive(archive);
+    expect(valid).toBe(false);
+    expect(files.map((file) => [file.path, file.status])).toEqual([
+      ['a.json', VERIFY_STATUSES.MISMATCH],
+      ['gone.json', VERIFY_STATUSES.MISSING]
+    ]);
+    expect(unlisted).toEqual(['extra.json']);
+  });
+});
@@ -0,0 +1,356 @@
+import { createJsonZipStream, createJsonZipVolumes, planJsonArchive } from './archiveService';
+import { parseJsonText, validateJsonText, formatJsonText, decodeConversionText } from '../workers/jsonOperations';
+import { saveStream, saveVolumes } from '../utils/streamSaver';
+import { getArchiveFormat } from '../utils/archiveFormats';
+import { getFileInputFormat, isDomInputFormat } from '../utils/inputFormats';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+let worker = null;
+let nextTaskId = 1;
+
+// Message handlers of in-flight tasks, by id
+const tasks = new Map();
+
+/**
+ * Checks whether work can be moved off the main thread
+ * @returns {boolean}
+ */
+export const isWorkerSupported = () => typeof Worker !== 'undefined';
+
+/**
+ * Tells whether a task runs in the page: when workers are not supported, and
+ * for input such as XML that only the page's DOMParser can read
+ */
+const runsInPage = (source, inputFormat) => {
+  const format = inputFormat ?? (source instanceof Blob ? getFileInputFormat(source) : undefined);
+  return !isWorkerSupported() || isDomInputFormat(format);
+};
+
+const createAbortError = () => new DOMException('The operation was cancelled', 'AbortError');
+
+const deserializeError = ({ name, message }) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+/**
+ * Starts the worker on first use; a crashed worker fails its tasks and is replaced next time
+ */
+const getWorker = () => {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('../workers/archiveWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (event) => {
+    tasks.get(event.data.id)?.(event.data);
+  };
+  worker.onerror = (event) => {
+    const error = new Error(event.message || 'The archive worker crashed');
+    for (const handler of tasks.values()) {
+      handler({ type: 'error', error: { name: error.name, message: error.message } });
+    }
+    tasks.clear();
+    worker.terminate();
+    worker = null;
+  };
+
+  return worker;
+};
+
+/**
+ * Lets a signal stop a stream built in the page, as it stops worker tasks: the
+ * stream fails with an AbortError and the archive writer behind it is cancelled
+ */
+const withAbortSignal = (stream, signal) => {
+  if (!signal) return stream;
+  const reader = stream.getReader();
+  let onAbort;
+
+  return new ReadableStream({
+    start(controller) {
+      onAbort = () => {
+        controller.error(createAbortError());
+        reader.cancel().catch(() => {});
+      };
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    },
+    async pull(controller) {
+      const { value, done } = await reader.read();
+      if (signal.aborted) return;
+      if (done) {
+        signal.removeEventListener('abort', onAbort);
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      signal.removeEventListener('abort', onAbort);
+      return reader.cancel(reason);
+    }
+  });
+};
+
+/**
+ * Packs a JSON source for the worker. Text is encoded into a transferable buffer;
+ * files are sent as handles and read inside the worker.
+ */
+const encodeSource = (source) => {
+  if (typeof source === 'string') {
+    const { buffer } = textEncoder.encode(source);
+    return { source: { kind: 'text', buffer }, transfer: [buffer] };
+  }
+  if (source instanceof Blob) {
+    return { source: { kind: 'file', file: source }, transfer: [] };
+  }
+  return { source: { kind: 'data', data: source }, transfer: [] };
+};
+
+/**
+ * Runs a request/response task in the worker
+ */
+const runTask = (operation, payload, transfer, { signal, onProgress } = {}) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const id = nextTaskId++;
+    const onAbort = () => {
+      tasks.delete(id);
+      getWorker().postMessage({ id, type: 'cancel' });
+      reject(createAbortError());
+    };
+    const finish = () => {
+      tasks.delete(id);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    tasks.set(id, (message) => {
+      if (message.type === 'progress') {
+        onProgress?.(message);
+      } else if (message.type === 'result') {
+        finish();
+        resolve(message.result);
+      } else if (message.type === 'error') {
+        finish();
+        reject(deserializeError(message.error));
+      }
+    });
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    getWorker().postMessage({ id, type: 'run', operation, payload }, transfer);
+  });
+};
+
+/**
+ * Validate JSON or JSON Lines text without blocking the page
+ * @param {string} text - The JSON text
+ * @param {Object} options - Task options (signal, inputFormat; JSON Lines are detected without it),
+ *   plus conversion options such as the XML conventions
+ * @returns {Promise<{isValid: boolean, errors: string[], inputFormat: string, type?: string, size?: number}>}
+ */
+export const validateJsonInWorker = async (text, options = {}) => {
+  const { inputFormat, signal, ...parseOptions } = options;
+  if (runsInPage(text, inputFormat)) return validateJsonText(text, inputFormat, parseOptions);
+
+  const { source, transfer } = encodeSource(text);
+  return runTask('validate', { source, inputFormat }, transfer, { signal });
+};
+
+/**
+ * Parse JSON text or a JSON file without blocking the page; JSON Lines give an array of their lines
+ * @param {string|File|Blob} source - The JSON text or file
+ * @param {Object} options - Task options (signal, inputFormat, onProgress({phase, loaded, total}) while a file is read),
+ *   plus conversion options such as the XML conventions
+ * @returns {Promise<any>} - The parsed value
+ */
+export const parseJsonInWorker = async (source, options = {}) => {
+  const { inputFormat, signal, onProgress, ...parseOptions } = options;
+  if (runsInPage(source, inputFormat)) {
+    if (typeof source === 'string') return parseJsonText(source, inputFormat, parseOptions);
+    return parseJsonText(await source.text(), inputFormat ?? getFileInputFormat(source), parseOptions);
+  }
+
+  const encoded = encodeSource(source);
+  return runTask('parse', { source: encoded.source, inputFormat }, encoded.transfer, { signal, onProgress });
+};
+
+/**
+ * Re-indent JSON text without blocking the page; JSON Lines keep one value per line
+ * @param {string} text - The JSON text
+ * @param {Object} options - Task options (signal, indent, inputFormat), plus conversion options such as the XML conventions
+ * @returns {Promise<string>} - The formatted JSON
+ */
+export const formatJsonInWorker = async (text, options = {}) => {
+  const { indent = 2, inputFormat, signal, ...parseOptions } = options;
+  if (runsInPage(text, inputFormat)) return formatJsonText(text, indent, inputFormat, parseOptions);
+
+  const { source, transfer } = encodeSource(text);
+  const { buffer } = await runTask('format', { source, indent, inputFormat }, transfer, { signal });
+  return textDecoder.decode(buffer);
+};
+
+/**
+ * List the files an archive would contain, with their contents and sizes, without blocking the page
+ * @param {string|Object|Array|File|Blob} source - JSON text, parsed data, or a JSON file
+ * @param {string} filename - Output archive filename
+ * @param {Object} options - Conversion options, plus signal
+ * @returns {Promise<Object>} - The plan, as returned by planJsonArchive
+ */
+export const planArchiveInWorker = async (source, filename, options = {}) => {
+  const { signal, ...archiveOptions } = options;
+
+  if (runsInPage(source, archiveOptions.inputFormat)) {
+    const data = typeof source === 'string' ? decodeConversionText(source, archiveOptions) : source;
+    return planJsonArchive(data, filename, archiveOptions);
+  }
+
+  const encoded = encodeSource(source);
+  return runTask('plan', { source: encoded.source, filename, options: archiveOptions }, encoded.transfer, { signal });
+};
+
+/**
+ * Build an archive in the worker, exposed as a stream that pulls one chunk at a
+ * time so the worker never runs ahead of the consumer. With maxVolumeSize the
+ * stream yields one {name, data} volume per chunk instead of archive bytes.
+ * @param {string|Object|Array|File|Blob} source - JSON text, parsed data, or a JSON file
+ * @param {string} filename - Output archive filename
+ * @param {Object} options - Conversion options, plus signal, onProgress({phase, loaded}) and onEntryRenamed({from, to})
+ * @returns {ReadableStream<Uint8Array>|ReadableStream<{name: string, data: Blob}>}
+ */
+export const createArchiveStreamInWorker = (source, filename, options = {}) => {
+  const { signal, onProgress, onEntryRenamed, ...archiveOptions } = options;
+
+  if (runsInPage(source, archiveOptions.inputFormat)) {
+    const data = typeof source === 'string' ? decodeConversionText(source, archiveOptions) : source;
+    const stream = archiveOptions.maxVolumeSize != null
+      ? createJsonZipVolumes(data, filename, { ...archiveOptions, onEntryRenamed })
+      : createJsonZipStream(data, filename, { ...archiveOptions, onEntryRenamed });
+    return withAbortSignal(stream, signal);
+  }
+
+  const id = nextTaskId++;
+  const encoded = encodeSource(source);
+  let pending = null;
+  let failure = null;
+
+  const settle = (outcome) => {
+    const current = pending;
+    pending = null;
+    if (!current) return;
+    if (outcome.error) current.reject(outcome.error);
+    else current.resolve(outcome);
+  };
+
+  const fail = (error) => {
+    failure = error;
+    tasks.delete(id);
+    settle({ error });
+  };
+
+  const onAbort = () => {
+    getWorker().postMessage({ id, type: 'cancel' });
+    fail(createAbortError());
+  };
+
+  tasks.set(id, (message) => {
+    if (message.type === 'progress') {
+      onProgress?.(message);
+    } else if (message.type === 'renamed') {
+      onEntryRenamed?.({ from: message.from, to: message.to });
+    } else if (message.type === 'chunk') {
+      settle({ chunk: message.chunk });
+    } else if (message.type === 'done') {
+      tasks.delete(id);
+      signal?.removeEventListener('abort', onAbort);
+      settle({ done: true });
+    } else if (message.type === 'error') {
+      signal?.removeEventListener('abort', onAbort);
+      fail(deserializeError(message.error));
+    }
+  });
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+  getWorker().postMessage(
+    { id, type: 'run', operation: 'build', payload: { source: encoded.source, filename, options: archiveOptions } },
+    encoded.transfer
+  );
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (failure) throw failure;
+
+      const next = new Promise((resolve, reject) => {
+        pending = { resolve, reject };
+      });
+      getWorker().postMessage({ id, type: 'pull' });
+
+      const { chunk, done } = await next;
+      if (done) controller.close();
+      else controller.enqueue(chunk);
+    },
+    cancel() {
+      tasks.delete(id);
+      signal?.removeEventListener('abort', onAbort);
+      getWorker().postMessage({ id, type: 'cancel' });
+    }
+  });
+};
+
+/**
+ * Build an archive in the worker, or in the page where createArchiveStreamInWorker must, and save it as it is generated
+ * @param {string|Object|Array|File|Blob} source - JSON text, parsed data, or a JSON file
+ * @param {string} filename - Output archive filename
+ * @param {Object} options - Conversion options, plus signal, onProgress(bytesWritten) and onEntryRenamed({from, to})
+ * @returns {Promise<Object>} - Includes renamed, the entries written under another name
+ */
+export const streamJsonToArchiveInWorker = async (source, filename, options = {}) => {
+  const { onProgress, signal, onEntryRenamed, ...conversionOptions } = options;
+
+  const renamed = [];
+  const stream = createArchiveStreamInWorker(source, filename, {
+    ...conversionOptions,
+    signal,
+    onEntryRenamed: (rename) => {
+      renamed.push(rename);
+      onEntryRenamed?.(rename);
+    }
+  });
+  if (conversionOptions.maxVolumeSize != null) {
+    const { size, method, files } = await saveVolumes(stream, { onProgress });
+    return {
+      success: true,
+      filename: files[files.length - 1],
+      size: size,
+      saveMethod: method,
+      volumes: files,
+      renamed
+    };
+  }
+
+  const { mimeType } = getArchiveFormat(conversionOptions.format);
+  const { size, method } = await saveStream(stream, filename, { mimeType, onProgress });
+
+  return {
+    success: true,
+    filename: filename,
+    size: size,
+    saveMethod: method,
+    renamed
+  };
+};
+
+export default {
+  isWorkerSupported,
+  validateJsonInWorker,
+  parseJsonInWorker,
+  formatJsonInWorker,
+  planArchiveInWorker,
+  createArchiveStreamInWorker,
+  streamJsonToArchiveInWorker
+};
@@ -0,0 +1,159 @@
+/**
+ * AES block cipher (FIPS-197, encryption direction only).
+ *
+ * WebCrypto has no raw block mode and its AES-CTR counter is big-endian,
+ * while WinZip AE-2 increments a little-endian counter, so the keystream
+ * for ZIP encryption is generated here.
+ */
+
+const SBOX = new Uint8Array(256);
+const T0 = new Uint32Array(256);
+const T1 = new Uint32Array(256);
+const T2 = new Uint32Array(256);
+const T3 = new Uint32Array(256);
+
+const xtime = (value) => ((value << 1) ^ (value & 0x80 ? 0x1b : 0)) & 0xff;
+
+// Builds the S-box from GF(2^8) inverses and the combined SubBytes/MixColumns tables
+(() => {
+  const rotl8 = (value, shift) => ((value << shift) | (value >>> (8 - shift))) & 0xff;
+  let p = 1;
+  let q = 1;
+
+  do {
+    p = p ^ xtime(p);
+    q ^= q << 1;
+    q ^= q << 2;
+    q ^= q << 4;
+    q &= 0xff;
+    if (q & 0x80) q ^= 0x09;
+    SBOX[p] = q ^ rotl8(q, 1) ^ rotl8(q, 2) ^ rotl8(q, 3) ^ rotl8(q, 4) ^ 0x63;
+  } while (p !== 1);
+  SBOX[0] = 0x63;
+
+  for (let x = 0; x < 256; x++) {
+    const s = SBOX[x];
+    const s2 = xtime(s);
+    const word = ((s2 << 24) | (s << 16) | (s << 8) | (s2 ^ s)) >>> 0;
+    T0[x] = word;
+    T1[x] = ((word >>> 8) | (word << 24)) >>> 0;
+    T2[x] = ((word >>> 16) | (word << 16)) >>> 0;
+    T3[x] = ((word >>> 24) | (word << 8)) >>> 0;
+  }
+})();
+
+const subWord = (word) => (
+  (SBOX[word >>> 24] << 24) |
+  (SBOX[(word >>> 16) & 0xff] << 16) |
+  (SBOX[(word >>> 8) & 0xff] << 8) |
+  SBOX[word & 0xff]
+) >>> 0;
+
+const finalRoundWord = (a, b, c, d) => (
+  (SBOX[a >>> 24] << 24) |
+  (SBOX[(b >>> 16) & 0xff] << 16) |
+  (SBOX[(c >>> 8) & 0xff] << 8) |
+  SBOX[d & 0xff]
+);
+
+const writeWord = (output, offset, word) => {
+  output[offset] = word >>> 24;
+  output[offset + 1] = (word >>> 16) & 0xff;
+  output[offset + 2] = (word >>> 8) & 0xff;
+  output[offset + 3] = word & 0xff;
+};
+
+/**
+ * Expands a 128, 192 or 256-bit key into the round key schedule
+ * @param {Uint8Array} key - 16, 24 or 32 key bytes
+ * @returns {{roundKeys: Uint32Array, rounds: number}} - Expanded key
+ */
+export const expandAesKey = (key) => {
+  if (![16, 24, 32].includes(key.length)) {
+    throw new Error(`Invalid AES key length: ${key.length * 8} bits`);
+  }
+
+  const keyWords = key.length / 4;
+  const rounds = keyWords + 6;
+  const roundKeys = new Uint32Array(4 * (rounds + 1));
+  const view = new DataView(key.buffer, key.byteOffset, key.byteLength);
+  let rcon = 1;
+
+  for (let i = 0; i < keyWords; i++) {
+    roundKeys[i] = view.getUint32(i * 4);
+  }
+
+  for (let i = keyWords; i < roundKeys.length; i++) {
+    let temp = roundKeys[i - 1];
+    if (i % keyWords === 0) {
+      temp = subWord(((temp << 8) | (temp >>> 24)) >>> 0) ^ (rcon << 24);
+      rcon = xtime(rcon);
+    } else if (keyWords > 6 && i % keyWords === 4) {
+      temp = subWord(temp);
+    }
+    roundKeys[i] = (roundKeys[i - keyWords] ^ temp) >>> 0;
+  }
+
+  return { roundKeys, rounds };
+};
+
+/**
+ * Encrypts one 16-byte block
+ * @param {{roundKeys: Uint32Array, rounds: number}} expandedKey - From expandAesKey
+ * @param {Uint8Array} input - 16 plaintext bytes
+ * @param {Uint8Array} output - Receives 16 ciphertext bytes (may be the input)
+ */
+export const encryptAesBlock = ({ roundKeys, rounds }, input, output) => {
+  let s0 = ((input[0] << 24) | (input[1] << 16) | (input[2] << 8) | input[3]) ^ roundKeys[0];
+  let s1 = ((input[4] << 24) | (input[5] << 16) | (input[6] << 8) | input[7]) ^ roundKeys[1];
+  let s2 = ((input[8] << 24) | (input[9] << 16) | (input[10] << 8) | input[11]) ^ roundKeys[2];
+  let s3 = ((input[12] << 24) | (input[13] << 16) | (input[14] << 8) | input[15]) ^ roundKeys[3];
+
+  let k = 4;
+  for (let round = 1; round < rounds; round++) {
+    const t0 = T0[s0 >>> 24] ^ T1[(s1 >>> 16) & 0xff] ^ T2[(s2 >>> 8) & 0xff] ^ T3[s3 & 0xff] ^ roundKeys[k];
+    const t1 = T0[s1 >>> 24] ^ T1[(s2 >>> 16) & 0xff] ^ T2[(s3 >>> 8) & 0xff] ^ T3[s0 & 0xff] ^ roundKeys[k + 1];
+    const t2 = T0[s2 >>> 24] ^ T1[(s3 >>> 16) & 0xff] ^ T2[(s0 >>> 8) & 0xff] ^ T3[s1 & 0xff] ^ roundKeys[k + 2];
+    const t3 = T0[s3 >>> 24] ^ T1[(s0 >>> 16) & 0xff] ^ T2[(s1 >>> 8) & 0xff] ^ T3[s2 & 0xff] ^ roundKeys[k + 3];
+    s0 = t0;
+    s1 = t1;
+    s2 = t2;
+    s3 = t3;
+    k += 4;
+  }
+
+  // Final round: SubBytes and ShiftRows without MixColumns
+  writeWord(output, 0, finalRoundWord(s0, s1, s2, s3) ^ roundKeys[k]);
+  writeWord(output, 4, finalRoundWord(s1, s2, s3, s0) ^ roundKeys[k + 1]);
+  writeWord(output, 8, finalRoundWord(s2, s3, s0, s1) ^ roundKeys[k + 2]);
+  writeWord(output, 12, finalRoundWord(s3, s0, s1, s2) ^ roundKeys[k + 3]);
+};
+
+/**
+ * Applies AES-CTR with a little-endian counter starting at 1 (WinZip AE-x).
+ * Encryption and decryption are the same operation.
+ * @param {Uint8Array} key - 16, 24 or 32 key bytes
+ * @param {Uint8Array} data - Input bytes
+ * @returns {Uint8Array} - Output bytes of the same length
+ */
+export const aesCtrLittleEndian = (key, data) => {
+  const expandedKey = expandAesKey(key);
+  const output = new Uint8Array(data.length);
+  const counter = new Uint8Array(16);
+  const keystream = new Uint8Array(16);
+
+  for (let offset = 0; offset < data.length; offset += 16) {
+    for (let i = 0; i < 16; i++) {
+      counter[i] = (counter[i] + 1) & 0xff;
+      if (counter[i] !== 0) break;
+    }
+
+    encryptAesBlock(expandedKey, counter, keystream);
+    const end = Math.min(offset + 16, data.length);
+    for (let i = offset; i < end; i++) {
+      output[i] = data[i] ^ keystream[i - offset];
+    }
+  }
+
+  return output;
+};
@@ -0,0 +1,89 @@
+/**
+ * Output archive formats and how their files are named
+ */
+
+export const ARCHIVE_FORMATS = {
+  ZIP: 'zip',
+  TAR: 'tar',
+  TAR_GZ: 'tar.gz',
+  GZIP: 'gzip'
+};
+
+const FORMAT_DETAILS = {
+  [ARCHIVE_FORMATS.ZIP]: {
+    label: 'ZIP',
+    extension: 'zip',
+    mimeType: 'application/zip',
+    multipleEntries: true,
+    encryption: true,
+    volumes: true
+  },
+  [ARCHIVE_FORMATS.TAR]: {
+    label: 'TAR (POSIX pax)',
+    extension: 'tar',
+    mimeType: 'application/x-tar',
+    multipleEntries: true,
+    encryption: false,
+    volumes: false
+  },
+  [ARCHIVE_FORMATS.TAR_GZ]: {
+    label: 'TAR.GZ',
+    extension: 'tar.gz',
+    mimeType: 'application/gzip',
+    multipleEntries: true,
+    encryption: false,
+    volumes: false
+  },
+  [ARCHIVE_FORMATS.GZIP]: {
+    label: 'GZIP (single document)',
+    extension: 'json.gz',
+    mimeType: 'application/gzip',
+    multipleEntries: false,
+    encryption: false,
+    volumes: false
+  }
+};
+
+// Longest suffixes first so "data.tar.gz" loses both parts
+const ARCHIVE_EXTENSION_PATTERN = /\.(tar\.gz|json\.gz|tgz|tar|zip|gz)$/i;
+
+/**
+ * Looks up an output format
+ * @param {string} format - One of ARCHIVE_FORMATS
+ * @returns {{id: string, label: string, extension: string, mimeType: string, multipleEntries: boolean, encryption: boolean, volumes: boolean}}
+ */
+export const getArchiveFormat = (format = ARCHIVE_FORMATS.ZIP) => {
+  const details = FORMAT_DETAILS[format];
+  if (!details) {
+    throw new Error(`Unsupported archive format: ${format}`);
+  }
+  return { id: format, ...details };
+};
+
+/**
+ * Gets the file extension for an output format, e.g. "tar.gz"
+ * @param {string} format - One of ARCHIVE_FORMATS
+ * @returns {string} - Extension without the leading dot
+ */
+export const getArchiveExtension = (format) => getArchiveFormat(format).extension;
+
+/**
+ * Lists every format the browser can build without the server
+ * @returns {Object[]} - Format descriptions, as returned by getArchiveFormat
+ */
+export const getSupportedArchiveFormats = () => {
+  return Object.keys(FORMAT_DETAILS).map((format) => getArchiveFormat(format));
+};
+
+/**
+ * Removes an archive extension, including double ones like ".tar.gz"
+ * @param {string} filename - The archive filename
+ * @returns {string} - Filename without the archive extension
+ */
+export const removeArchiveExtension = (filename) => {
+  if (ARCHIVE_EXTENSION_PATTERN.test(filename)) {
+    return filename.replace(ARCHIVE_EXTENSION_PATTERN, '');
+  }
+  const lastDotIndex = filename.lastIndexOf('.');
+  return lastDotIndex > 0 ? filename.substring(0, lastDotIndex) : filename;
+};
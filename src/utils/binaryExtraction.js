@@ -0,0 +1,186 @@
+/**
+ * Moves embedded files out of JSON documents (the `extractBinaries` option).
+ * String values holding a data: URI, or bare base64 whose decoded bytes start
+ * with a known file signature, are written as binary entries next to the
+ * document and replaced by their relative path:
+ *   item.json  {"photo": "data:image/png;base64,iVBOR..."}
+ *   ->  item.json        {"photo": "item_files/photo.png"}
+ *       item_files/photo.png
+ */
+
+import { sanitizeFilename } from './fileUtils';
+import { compareEntryNames } from './deterministic';
+
+// Extensions for common MIME types; anything else is written as .bin
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/tiff': 'tif',
+  'image/x-icon': 'ico',
+  'image/avif': 'avif',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/gzip': 'gz',
+  'application/json': 'json',
+  'application/xml': 'xml',
+  'text/plain': 'txt',
+  'text/csv': 'csv',
+  'text/html': 'html',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'video/mp4': 'mp4',
+  'font/woff2': 'woff2'
+};
+
+// Leading bytes of formats recognised in bare base64, checked in order
+const FILE_SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] },
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'application/gzip', bytes: [0x1f, 0x8b, 0x08] },
+  { mimeType: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { mimeType: 'video/mp4', bytes: [], at4: [0x66, 0x74, 0x79, 0x70] }
+];
+
+// Shorter bare base64 strings are left alone, so ids and hashes are not mistaken for files
+export const MIN_BASE64_LENGTH = 64;
+
+const DATA_URI_PATTERN = /^data:([\w!#$&^.+-]+\/[\w!#$&^.+-]+)?((?:;[\w!#$&^.+-]+=[^;,]*)*)(;base64)?,(.*)$/is;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const decodeBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const startsWith = (bytes, signature, offset = 0) => signature.every((byte, index) => bytes[offset + index] === byte);
+
+const sniffMimeType = (bytes) => {
+  const match = FILE_SIGNATURES.find((signature) => startsWith(bytes, signature.bytes) &&
+    (!signature.at4 || startsWith(bytes, signature.at4, 4)) &&
+    (!signature.at8 || startsWith(bytes, signature.at8, 8)));
+  return match?.mimeType ?? null;
+};
+
+/**
+ * Recognises an embedded file in a string value
+ * @param {string} value - A JSON string value
+ * @returns {{mimeType: string, bytes: Uint8Array}|null} - The decoded file, or null if the value is plain text
+ */
+export const detectEmbeddedFile = (value) => {
+  const dataUri = DATA_URI_PATTERN.exec(value);
+  if (dataUri) {
+    const [, mimeType = 'text/plain', , base64, payload] = dataUri;
+    try {
+      const bytes = base64
+        ? decodeBase64(payload.replace(/\s+/g, ''))
+        : new TextEncoder().encode(decodeURIComponent(payload));
+      return { mimeType: mimeType.toLowerCase(), bytes };
+    } catch {
+      // Malformed data: URIs stay as they are
+      return null;
+    }
+  }
+
+  if (value.length < MIN_BASE64_LENGTH || value.length % 4 !== 0 || !BASE64_PATTERN.test(value)) {
+    return null;
+  }
+  // Only the first bytes are needed to recognise the format
+  const mimeType = sniffMimeType(decodeBase64(value.slice(0, 16)));
+  return mimeType ? { mimeType, bytes: decodeBase64(value) } : null;
+};
+
+/**
+ * Returns the file extension for a MIME type
+ * @param {string} mimeType - e.g. image/png
+ * @returns {string} - e.g. png; bin when the type is unknown
+ */
+export const getMimeExtension = (mimeType) => MIME_EXTENSIONS[mimeType] || 'bin';
+
+/**
+ * Replaces embedded files in a document with relative paths
+ * @param {*} document - The parsed JSON document
+ * @param {string} folder - Folder the files are written to, relative to the document
+ * @returns {{document: *, files: Array<{path: string, bytes: Uint8Array}>}} - The rewritten
+ *   document and the extracted files, with paths relative to the document
+ */
+export const extractEmbeddedFiles = (document, folder) => {
+  const files = [];
+  const used = new Set();
+
+  const claimPath = (keys, mimeType) => {
+    const stem = keys.map((key) => sanitizeFilename(String(key)) || '_').join('.') || 'value';
+    const extension = getMimeExtension(mimeType);
+    let path = `${folder}/${stem}.${extension}`;
+    for (let copy = 2; used.has(path); copy++) {
+      path = `${folder}/${stem}-${copy}.${extension}`;
+    }
+    used.add(path);
+    return path;
+  };
+
+  const visit = (value, keys) => {
+    if (typeof value === 'string') {
+      const file = detectEmbeddedFile(value);
+      if (!file) return value;
+      const path = claimPath(keys, file.mimeType);
+      files.push({ path, bytes: file.bytes });
+      return path;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => visit(item, [...keys, index]));
+    }
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, visit(child, [...keys, key])]));
+    }
+    return value;
+  };
+
+  return { document: visit(document, []), files };
+};
+
+/**
+ * Rewrites the JSON entries of an archive, following each with the files
+ * extracted from it, in name order. Other entries pass through unchanged.
+ * @param {Iterable|AsyncIterable} entries - Archive entries, with JSON documents as parsed values,
+ *   text or Blobs
+ * @returns {AsyncGenerator<{name: string, data?: *, value?: *}>} - Rewritten documents carry their
+ *   value, which replaces their data when serialized
+ */
+export async function* generateEntriesWithBinaries(entries) {
+  for await (const entry of entries) {
+    const parsed = 'value' in entry;
+    if (!parsed && (!/\.json$/i.test(entry.name) || entry.data == null)) {
+      yield entry;
+      continue;
+    }
+
+    let value = entry.value;
+    if (!parsed) {
+      let text = entry.data;
+      if (text instanceof Blob) text = await text.text();
+      else if (typeof text !== 'string') text = new TextDecoder().decode(text);
+      value = JSON.parse(text);
+    }
+
+    const slash = entry.name.lastIndexOf('/') + 1;
+    const directory = entry.name.slice(0, slash);
+    const folder = `${entry.name.slice(slash).replace(/\.json$/i, '')}_files`;
+    const { document, files } = extractEmbeddedFiles(value, folder);
+
+    if (files.length === 0) {
+      yield entry;
+      continue;
+    }
+
+    yield { ...entry, value: document };
+    files.sort((a, b) => compareEntryNames(a.path, b.path));
+    for (const { path, bytes } of files) {
+      yield { name: `${directory}${path}`, data: bytes, lastModified: entry.lastModified };
+    }
+  }
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { detectEmbeddedFile, extractEmbeddedFiles, generateEntriesWithBinaries, getMimeExtension } from './binaryExtraction';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+// 48 bytes encode to 64 base64 characters, the shortest length that is sniffed
+const pngBytes = Uint8Array.from({ length: 48 }, (_, index) => PNG_SIGNATURE[index] ?? index);
+const pngBase64 = toBase64(pngBytes);
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('detectEmbeddedFile', () => {
+  it('decodes base64 and percent-encoded data URIs', () => {
+    expect(detectEmbeddedFile(`data:image/PNG;base64,${pngBase64}`)).toEqual({ mimeType: 'image/png', bytes: pngBytes });
+    expect(detectEmbeddedFile('data:,hello%20world')).toEqual({
+      mimeType: 'text/plain',
+      bytes: new TextEncoder().encode('hello world')
+    });
+    expect(detectEmbeddedFile('data:text/plain,%E0%A4%A')).toBeNull();
+  });
+
+  it('recognises bare base64 only by a known file signature', () => {
+    expect(detectEmbeddedFile(pngBase64)).toEqual({ mimeType: 'image/png', bytes: pngBytes });
+    expect(detectEmbeddedFile(pngBase64.slice(0, 60))).toBeNull();
+    expect(detectEmbeddedFile(toBase64(new Uint8Array(48)))).toBeNull();
+    expect(detectEmbeddedFile('plain text')).toBeNull();
+  });
+
+  it('maps MIME types to extensions', () => {
+    expect(getMimeExtension('image/jpeg')).toBe('jpg');
+    expect(getMimeExtension('application/x-unknown')).toBe('bin');
+  });
+});
+
+describe('extractEmbeddedFiles', () => {
+  it('replaces files with paths named by their keys', () => {
+    const { document, files } = extractEmbeddedFiles({
+      photo: pngBase64,
+      gallery: [`data:image/png;base64,${pngBase64}`, 'caption'],
+      'a/b': 'data:text/plain,x'
+    }, 'item_files');
+
+    expect(document).toEqual({
+      photo: 'item_files/photo.png',
+      gallery: ['item_files/gallery.0.png', 'caption'],
+      'a/b': 'item_files/a_b.txt'
+    });
+    expect(files.map(({ path }) => path)).toEqual(['item_files/photo.png', 'item_files/gallery.0.png', 'item_files/a_b.txt']);
+  });
+
+  it('numbers paths that would collide', () => {
+    const { files } = extractEmbeddedFiles({ 'a.b': pngBase64, a: { b: pngBase64 } }, 'f');
+    expect(files.map(({ path }) => path)).toEqual(['f/a.b.png', 'f/a.b-2.png']);
+  });
+});
+
+describe('generateEntriesWithBinaries', () => {
+  it('follows each rewritten document with its files in name order', async () => {
+    const entries = await collect(generateEntriesWithBinaries([
+      { name: 'docs/item.json', data: JSON.stringify({ z: pngBase64, a: 'data:,x' }), lastModified: 5 },
+      { name: 'plain.json', value: { text: 'hello' } },
+      { name: 'notes.txt', data: pngBase64 }
+    ]));
+
+    expect(entries.map(({ name }) => name)).toEqual([
+      'docs/item.json',
+      'docs/item_files/a.txt',
+      'docs/item_files/z.png',
+      'plain.json',
+      'notes.txt'
+    ]);
+    expect(entries[0].value).toEqual({ z: 'item_files/z.png', a: 'item_files/a.txt' });
+    expect(entries[2]).toEqual({ name: 'docs/item_files/z.png', data: pngBytes, lastModified: 5 });
+  });
+});
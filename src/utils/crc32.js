@@ -0,0 +1,38 @@
+/**
+ * CRC-32 checksum (IEEE 802.3 polynomial) as used by ZIP and GZIP
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 of a byte array
+ * @param {Uint8Array} data - The bytes to checksum
+ * @param {number} crc - Running CRC from a previous chunk (default 0)
+ * @returns {number} - Unsigned 32-bit CRC
+ */
+export const crc32 = (data, crc = 0) => {
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Formats a CRC-32 value as an 8-digit hex string
+ * @param {number} crc - The CRC value
+ * @returns {string} - Hex representation, e.g. "cbf43926"
+ */
+export const formatCrc32 = (crc) => {
+  return (crc >>> 0).toString(16).padStart(8, '0');
+};
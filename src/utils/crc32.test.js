@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, formatCrc32 } from './crc32';
+
+const encoder = new TextEncoder();
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(formatCrc32(crc32(encoder.encode('123456789')))).toBe('cbf43926');
+  });
+
+  it('is zero for no bytes', () => {
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  it('continues a running checksum across chunks', () => {
+    const bytes = encoder.encode('The quick brown fox jumps over the lazy dog');
+    expect(crc32(bytes.subarray(10), crc32(bytes.subarray(0, 10)))).toBe(crc32(bytes));
+    expect(formatCrc32(crc32(bytes))).toBe('414fa339');
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * CSV (RFC 4180) input and output. Input is read as a table of text fields,
+ * whose columns get a type inferred from their values and can be renamed or
+ * skipped before the rows become JSON objects; output takes arrays of flat
+ * JSON objects.
+ */
+
+export const CSV_DELIMITERS = [',', '\t', ';', '|'];
+
+export const CSV_COLUMN_TYPES = {
+  STRING: 'string',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  DATE: 'date'
+};
+
+// Delimiter and header detection look at the first records only
+const SAMPLE_LENGTH = 64 * 1024;
+const SAMPLE_RECORDS = 20;
+
+const NULL_PATTERN = /^null$/i;
+const BOOLEAN_PATTERN = /^(?:true|false)$/i;
+// Numbers as JSON writes them; a leading zero ("00501") marks an identifier, not a number
+const NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][-+]?\d+)?$/;
+const DATE_PATTERN = /^(\d{4})([-/])(\d{2})\2(\d{2})(?:[T ]((\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)(Z|[-+]\d{2}:?\d{2})?)?$/i;
+
+// Checked in this order; a column whose values fit none of them holds strings
+const INFERRED_TYPES = [CSV_COLUMN_TYPES.NUMBER, CSV_COLUMN_TYPES.BOOLEAN, CSV_COLUMN_TYPES.DATE];
+
+const formatField = (value, delimiter) => {
+  const text = value == null ? '' : String(value);
+  const needsQuotes = text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text) || text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes an array of flat objects as CSV. The header lists every key in
+ * the order first seen; missing values and nulls are empty fields.
+ * @param {Array<Object>} rows - The records
+ * @param {Object} options - Output options
+ * @param {string} options.delimiter - Field separator (default ',')
+ * @param {boolean} options.sortKeys - Order the columns by name
+ * @returns {string} - CSV text with CRLF line endings
+ */
+export const stringifyCsv = (rows, { delimiter = ',', sortKeys = false } = {}) => {
+  if (!Array.isArray(rows)) {
+    throw new Error('CSV needs an array of objects');
+  }
+
+  const columns = new Set();
+  rows.forEach((row, index) => {
+    if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`CSV needs an array of objects; item ${index + 1} is ${Array.isArray(row) ? 'an array' : JSON.stringify(row)}`);
+    }
+    for (const [key, value] of Object.entries(row)) {
+      if (value !== null && typeof value === 'object') {
+        throw new Error(`CSV needs flat objects; "${key}" in item ${index + 1} is nested`);
+      }
+      columns.add(key);
+    }
+  });
+
+  const header = sortKeys ? [...columns].sort() : [...columns];
+  if (header.length === 0) return '';
+
+  const lines = [header, ...rows.map((row) => header.map((key) => row[key]))]
+    .map((fields) => fields.map((field) => formatField(field, delimiter)).join(delimiter));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Splits CSV text into records of text fields. Quoted fields may hold
+ * delimiters, line breaks and doubled quotes; blank lines are skipped.
+ * @param {string} text - The CSV text
+ * @param {Object} options - Read options
+ * @param {string} options.delimiter - Field separator (default ',')
+ * @param {number} options.limit - Stop after this many records
+ * @returns {string[][]} - The records
+ */
+export const parseCsvRows = (text, { delimiter = ',', limit = Infinity } = {}) => {
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new Error(`Unsupported CSV delimiter: ${JSON.stringify(delimiter)}`);
+  }
+  const rows = [];
+  let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const fail = (message, at = pos) => {
+    const before = text.slice(0, at);
+    const line = before.split(/\r\n?|\n/).length;
+    const column = at - Math.max(before.lastIndexOf('\n'), before.lastIndexOf('\r'));
+    throw new SyntaxError(`Invalid CSV: ${message} at line ${line}, column ${column}`);
+  };
+
+  const parseQuoted = () => {
+    const start = pos;
+    let value = '';
+    pos++;
+    for (;;) {
+      const end = text.indexOf('"', pos);
+      if (end === -1) fail('Unterminated quoted field', start);
+      value += text.slice(pos, end);
+      pos = end + 1;
+      if (text[pos] !== '"') return value;
+      value += '"';
+      pos++;
+    }
+  };
+
+  while (pos < text.length && rows.length < limit) {
+    const row = [];
+    for (;;) {
+      let field;
+      if (text[pos] === '"') {
+        field = parseQuoted();
+        if (pos < text.length && text[pos] !== delimiter && text[pos] !== '\n' && text[pos] !== '\r') {
+          fail(`Unexpected character ${JSON.stringify(text[pos])} after a quoted field`);
+        }
+      } else {
+        // A quote inside an unquoted field is kept as it is
+        let end = pos;
+        while (end < text.length && text[end] !== delimiter && text[end] !== '\n' && text[end] !== '\r') end++;
+        field = text.slice(pos, end);
+        pos = end;
+      }
+      row.push(field);
+      if (text[pos] !== delimiter) break;
+      pos++;
+    }
+
+    if (text[pos] === '\r') pos++;
+    if (text[pos] === '\n') pos++;
+    // Blank lines hold no record
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Picks the delimiter that splits the first records into the most equal, and
+ * then the most, fields
+ * @param {string} text - The CSV text
+ * @returns {string} - One of CSV_DELIMITERS; ',' when none splits the text
+ */
+export const detectCsvDelimiter = (text) => {
+  // Long text is cut after a line break, so the last sampled record is whole
+  const sample = text.length > SAMPLE_LENGTH ? text.slice(0, text.lastIndexOf('\n', SAMPLE_LENGTH) + 1) : text;
+  let best = { delimiter: ',', score: 0, columns: 1 };
+
+  for (const delimiter of CSV_DELIMITERS) {
+    let rows;
+    try {
+      rows = parseCsvRows(sample, { delimiter, limit: SAMPLE_RECORDS });
+    } catch {
+      continue;
+    }
+    const columns = rows[0]?.length ?? 0;
+    if (columns < 2) continue;
+    const score = rows.filter((row) => row.length === columns).length / rows.length;
+    if (score > best.score || (score === best.score && columns > best.columns)) {
+      best = { delimiter, score, columns };
+    }
+  }
+  return best.delimiter;
+};
+
+const isNullField = (text) => text === '' || NULL_PATTERN.test(text);
+
+// ISO 8601 dates and date-times, also with slashes or a space; the result is ISO 8601 text
+const parseDate = (text) => {
+  const match = DATE_PATTERN.exec(text);
+  if (!match) return undefined;
+  const [, year, , month, day, time, hours, minutes, seconds = '00', zone = ''] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return undefined;
+  if (time && (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59)) return undefined;
+
+  const iso = `${year}-${month}-${day}`;
+  if (!time) return iso;
+  const offset = /^z$/i.test(zone) ? 'Z' : zone.replace(/^([-+]\d{2})(\d{2})$/, '$1:$2');
+  return `${iso}T${time}${offset}`;
+};
+
+const CONVERTERS = {
+  [CSV_COLUMN_TYPES.STRING]: (text) => text,
+  [CSV_COLUMN_TYPES.NUMBER]: (text) => {
+    if (!NUMBER_PATTERN.test(text)) return undefined;
+    const value = Number(text);
+    // Integers JavaScript cannot hold exactly stay text, as do numbers too large for JSON
+    if (!Number.isFinite(value) || (/^-?\d+$/.test(text) && !Number.isSafeInteger(value))) return undefined;
+    return value;
+  },
+  [CSV_COLUMN_TYPES.BOOLEAN]: (text) => (BOOLEAN_PATTERN.test(text) ? text.toLowerCase() === 'true' : undefined),
+  [CSV_COLUMN_TYPES.DATE]: parseDate
+};
+
+/**
+ * Converts a field to a column type. Empty and "null" fields are null; a
+ * field that does not fit the type stays text.
+ * @param {string} text - The field
+ * @param {string} type - One of CSV_COLUMN_TYPES
+ * @returns {string|number|boolean|null}
+ */
+export const convertCsvValue = (text, type = CSV_COLUMN_TYPES.STRING) => {
+  const convert = CONVERTERS[type];
+  if (!convert) {
+    throw new Error(`Unsupported column type: ${type}`);
+  }
+  if (isNullField(text)) return null;
+  return convert(text) ?? text;
+};
+
+/**
+ * Infers a column type: the first of number, boolean and date that every
+ * non-null value fits, or string
+ * @param {string[]} values - The column's fields
+ * @returns {string} - One of CSV_COLUMN_TYPES
+ */
+export const inferCsvColumnType = (values) => {
+  const present = values.filter((text) => !isNullField(text));
+  if (present.length === 0) return CSV_COLUMN_TYPES.STRING;
+  return INFERRED_TYPES.find((type) => present.every((text) => CONVERTERS[type](text) !== undefined)) ?? CSV_COLUMN_TYPES.STRING;
+};
+
+/**
+ * Tells whether the first record names the columns: its fields are all
+ * present and neither numbers, booleans nor dates. Repeated names still make
+ * a header; readCsvTable tells them apart.
+ * @param {string[][]} rows - The records
+ * @returns {boolean}
+ */
+export const detectCsvHeader = ([first]) => {
+  if (!first || first.some((field) => field.trim() === '')) return false;
+  return first.every((field) => inferCsvColumnType([field]) === CSV_COLUMN_TYPES.STRING);
+};
+
+// Header names are made unique and non-empty, so every column has a key
+const nameColumns = (header, count) => {
+  const used = new Set();
+  return Array.from({ length: count }, (_, index) => {
+    const base = header?.[index]?.trim() || `column${index + 1}`;
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix++) name = `${base}_${suffix}`;
+    used.add(name);
+    return name;
+  });
+};
+
+/**
+ * Reads CSV text as a table: the records, and a name and inferred type for each column
+ * @param {string} text - The CSV text
+ * @param {Object} options - Read options
+ * @param {string} options.delimiter - Field separator (default: detected)
+ * @param {boolean} options.header - Whether the first record names the columns (default: detected)
+ * @returns {{delimiter: string, header: boolean, columns: Array<{name: string, type: string}>, rows: string[][]}}
+ */
+export const readCsvTable = (text, { delimiter = undefined, header = undefined } = {}) => {
+  const separator = delimiter ?? detectCsvDelimiter(text);
+  const records = parseCsvRows(text, { delimiter: separator });
+  const hasHeader = header ?? detectCsvHeader(records);
+  const rows = hasHeader ? records.slice(1) : records;
+
+  const count = Math.max(0, ...records.map((record) => record.length));
+  const names = nameColumns(hasHeader ? records[0] : undefined, count);
+  const columns = names.map((name, index) => ({
+    name,
+    type: inferCsvColumnType(rows.map((row) => row[index] ?? ''))
+  }));
+  return { delimiter: separator, header: hasHeader, columns, rows };
+};
+
+/**
+ * Turns the rows of a CSV table into JSON objects
+ * @param {Object} table - A table from readCsvTable
+ * @param {Array<{name: string, type: string, skip?: boolean}>} columns - How to map each column,
+ *   in table order: its key, its type, and whether to leave it out (default: the table's columns)
+ * @returns {Object[]} - One object per row; missing fields are null
+ */
+export const csvTableToObjects = (table, columns = table.columns) => {
+  const kept = columns
+    .map((column, index) => ({ ...column, name: String(column.name ?? '').trim(), index }))
+    .filter((column) => !column.skip);
+
+  const names = new Set();
+  for (const column of kept) {
+    if (!column.name) {
+      throw new Error(`Column ${column.index + 1} needs a name`);
+    }
+    if (names.has(column.name)) {
+      throw new Error(`Two columns are named "${column.name}"`);
+    }
+    names.add(column.name);
+  }
+
+  return table.rows.map((row) => {
+    const item = {};
+    for (const { name, type, index } of kept) {
+      const value = convertCsvValue(row[index] ?? '', type);
+      // "__proto__" would replace the object's prototype instead of adding a key
+      Object.defineProperty(item, name, { value, writable: true, enumerable: true, configurable: true });
+    }
+    return item;
+  });
+};
+
+/**
+ * Parses CSV text into an array of JSON objects with every column kept
+ * @param {string} text - The CSV text
+ * @param {Object} options - Read options, as for readCsvTable
+ * @returns {Object[]}
+ */
+export const parseCsv = (text, options = {}) => csvTableToObjects(readCsvTable(text, options));
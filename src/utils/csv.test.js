@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CSV_COLUMN_TYPES,
+  stringifyCsv,
+  parseCsvRows,
+  detectCsvDelimiter,
+  convertCsvValue,
+  inferCsvColumnType,
+  detectCsvHeader,
+  readCsvTable,
+  csvTableToObjects,
+  parseCsv
+} from './csv';
+
+const { STRING, NUMBER, BOOLEAN, DATE } = CSV_COLUMN_TYPES;
+
+describe('stringifyCsv', () => {
+  it('writes every key seen as a column, in first-seen order', () => {
+    expect(stringifyCsv([{ a: 1, b: 'x' }, { c: true, a: null }])).toBe('a,b,c\r\n1,x,\r\n,,true\r\n');
+    expect(stringifyCsv([{ b: 1, a: 2 }], { sortKeys: true, delimiter: ';' })).toBe('a;b\r\n2;1\r\n');
+    expect(stringifyCsv([])).toBe('');
+  });
+
+  it('quotes fields holding delimiters, quotes, line breaks or edge spaces', () => {
+    expect(stringifyCsv([{ v: 'a,b' }, { v: 'say "hi"' }, { v: 'two\nlines' }, { v: ' pad' }])).toBe(
+      'v\r\n"a,b"\r\n"say ""hi"""\r\n"two\nlines"\r\n" pad"\r\n'
+    );
+  });
+
+  it('rejects anything but an array of flat objects', () => {
+    expect(() => stringifyCsv({ a: 1 })).toThrow('CSV needs an array of objects');
+    expect(() => stringifyCsv([{ a: 1 }, [1]])).toThrow('item 2 is an array');
+    expect(() => stringifyCsv([{ a: { b: 1 } }])).toThrow('"a" in item 1 is nested');
+  });
+});
+
+describe('parseCsvRows', () => {
+  it('reads quoted fields with delimiters, line breaks and doubled quotes', () => {
+    expect(parseCsvRows('\uFEFFa,b\r\n"x,1","say ""hi""\nthere"\r\n\r\nlast,\n')).toEqual([
+      ['a', 'b'],
+      ['x,1', 'say "hi"\nthere'],
+      ['last', '']
+    ]);
+    expect(parseCsvRows('a\tb\rc\td', { delimiter: '\t' })).toEqual([['a', 'b'], ['c', 'd']]);
+    expect(parseCsvRows('1\n2\n3', { limit: 2 })).toEqual([['1'], ['2']]);
+    expect(parseCsvRows('a"b,c')).toEqual([['a"b', 'c']]);
+  });
+
+  it('reports broken quoting and bad delimiters', () => {
+    expect(() => parseCsvRows('a\n"open,b')).toThrow('Invalid CSV: Unterminated quoted field at line 2, column 1');
+    expect(() => parseCsvRows('"a"b')).toThrow('Unexpected character "b" after a quoted field at line 1, column 4');
+    expect(() => parseCsvRows('a', { delimiter: '"' })).toThrow('Unsupported CSV delimiter: "\\""');
+  });
+});
+
+describe('detectCsvDelimiter', () => {
+  it('picks the delimiter that splits records evenly', () => {
+    expect(detectCsvDelimiter('a;b;c\n1;2,5;3\n4;5;6')).toBe(';');
+    expect(detectCsvDelimiter('name\tnote\nx\t"a, b, c"')).toBe('\t');
+    expect(detectCsvDelimiter('single column\nvalue')).toBe(',');
+  });
+});
+
+describe('column types', () => {
+  it('converts fields, keeping ones that do not fit as text', () => {
+    expect(convertCsvValue('1.5e3', NUMBER)).toBe(1500);
+    expect(convertCsvValue('00501', NUMBER)).toBe('00501');
+    expect(convertCsvValue('9007199254740993', NUMBER)).toBe('9007199254740993');
+    expect(convertCsvValue('TRUE', BOOLEAN)).toBe(true);
+    expect(convertCsvValue('2024/02/29 08:30', DATE)).toBe('2024-02-29T08:30');
+    expect(convertCsvValue('2024-01-02T03:04:05+0100', DATE)).toBe('2024-01-02T03:04:05+01:00');
+    expect(convertCsvValue('2023-02-29', DATE)).toBe('2023-02-29');
+    expect(convertCsvValue('NULL', STRING)).toBeNull();
+    expect(() => convertCsvValue('x', 'money')).toThrow('Unsupported column type: money');
+  });
+
+  it('infers the first type every present value fits', () => {
+    expect(inferCsvColumnType(['1', '', '-2.5', 'null'])).toBe(NUMBER);
+    expect(inferCsvColumnType(['true', 'False'])).toBe(BOOLEAN);
+    expect(inferCsvColumnType(['2024-01-01', '2024-13-01'])).toBe(STRING);
+    expect(inferCsvColumnType(['2024-01-01', '1999-12-31'])).toBe(DATE);
+    expect(inferCsvColumnType(['', 'null'])).toBe(STRING);
+  });
+
+  it('takes a first record of names as a header', () => {
+    expect(detectCsvHeader([['id', 'name'], ['1', 'a']])).toBe(true);
+    expect(detectCsvHeader([['id', 'id'], ['1', '2']])).toBe(true);
+    expect(detectCsvHeader([['1', 'a']])).toBe(false);
+    expect(detectCsvHeader([['id', '']])).toBe(false);
+    expect(detectCsvHeader([])).toBe(false);
+  });
+});
+
+describe('readCsvTable', () => {
+  it('names and types the columns', () => {
+    expect(readCsvTable('id,name,name,active\n1,a,b,true\n2,c,,false')).toEqual({
+      delimiter: ',',
+      header: true,
+      columns: [
+        { name: 'id', type: NUMBER },
+        { name: 'name', type: STRING },
+        { name: 'name_2', type: STRING },
+        { name: 'active', type: BOOLEAN }
+      ],
+      rows: [['1', 'a', 'b', 'true'], ['2', 'c', '', 'false']]
+    });
+  });
+
+  it('names the columns of a table without a header', () => {
+    expect(readCsvTable('id;;\n1;2;3')).toMatchObject({ delimiter: ';', header: false });
+
+    const table = readCsvTable('1,2\n3,4,5', { header: false });
+    expect(table.columns.map(({ name }) => name)).toEqual(['column1', 'column2', 'column3']);
+    expect(table.rows).toHaveLength(2);
+  });
+});
+
+describe('csvTableToObjects', () => {
+  const table = readCsvTable('id,name,score\n1,Ann,9.5\n2,Bo');
+
+  it('converts rows with the table columns, missing fields as null', () => {
+    expect(csvTableToObjects(table)).toEqual([
+      { id: 1, name: 'Ann', score: 9.5 },
+      { id: 2, name: 'Bo', score: null }
+    ]);
+    expect(parseCsv('a\n1')).toEqual([{ a: 1 }]);
+  });
+
+  it('renames, retypes and skips columns', () => {
+    const columns = [{ name: ' key ', type: STRING }, { name: 'name', skip: true }, { name: '__proto__', type: STRING }];
+    const [first] = csvTableToObjects(table, columns);
+    expect(Object.keys(first)).toEqual(['key', '__proto__']);
+    expect(first.key).toBe('1');
+    expect(Object.getPrototypeOf(first)).toBe(Object.prototype);
+  });
+
+  it('needs a unique name for every kept column', () => {
+    expect(() => csvTableToObjects(table, [{ name: 'a' }, { name: ' ' }])).toThrow('Column 2 needs a name');
+    expect(() => csvTableToObjects(table, [{ name: 'a' }, { name: 'a' }])).toThrow('Two columns are named "a"');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Helpers for reproducible archives: a fixed timestamp, canonical entry
+ * order and canonical JSON, so identical input gives byte-identical output
+ */
+
+const textEncoder = new TextEncoder();
+
+// 1980-01-01T00:00:00Z, the earliest time a ZIP header can hold
+export const DEFAULT_SOURCE_DATE_EPOCH = 315532800;
+
+/**
+ * Resolves the timestamp written for every entry in deterministic mode, like
+ * the SOURCE_DATE_EPOCH convention: the `sourceDateEpoch` option, then the
+ * VITE_SOURCE_DATE_EPOCH build variable, then 1980-01-01
+ * @param {object} options - Archive options
+ * @returns {Date} - The fixed entry timestamp
+ */
+export const resolveSourceDate = (options = {}) => {
+  const epoch = options.sourceDateEpoch ?? import.meta.env?.VITE_SOURCE_DATE_EPOCH ?? DEFAULT_SOURCE_DATE_EPOCH;
+  const seconds = Number(epoch);
+
+  if (!Number.isInteger(seconds) || seconds < 0) {
+    throw new Error(`Invalid source date epoch: ${epoch}`);
+  }
+
+  return new Date(seconds * 1000);
+};
+
+/**
+ * Rejects options that cannot produce reproducible output
+ * @param {object} options - Archive options
+ */
+export const assertDeterministicOptions = (options = {}) => {
+  if (!options.deterministic) return;
+
+  if (options.password || (options.encryption && options.encryption !== 'none')) {
+    throw new Error('Encrypted archives use a random salt and cannot be deterministic');
+  }
+  if (options.signingKey?.algorithm.name === 'ECDSA') {
+    throw new Error('ECDSA signatures are randomized; sign with an Ed25519 key for reproducible archives');
+  }
+};
+
+/**
+ * Orders names by their UTF-8 bytes, which is how they appear in the archive
+ * @param {string} a - First entry name
+ * @param {string} b - Second entry name
+ * @returns {number} - Negative, zero or positive, as for Array.prototype.sort
+ */
+export const compareEntryNames = (a, b) => {
+  const left = textEncoder.encode(a);
+  const right = textEncoder.encode(b);
+  const length = Math.min(left.length, right.length);
+
+  for (let i = 0; i < length; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return left.length - right.length;
+};
+
+/**
+ * Passes streamed entries through, failing if one arrives out of order
+ */
+async function* requireOrderedEntries(entries) {
+  let previous = null;
+
+  for await (const entry of entries) {
+    if (previous !== null && compareEntryNames(previous, entry.name) > 0) {
+      throw new Error(`Deterministic archives need entries in name order: "${entry.name}" came after "${previous}"`);
+    }
+    previous = entry.name;
+    yield entry;
+  }
+}
+
+/**
+ * Puts entries in canonical order when the deterministic option is set.
+ * Arrays are sorted; streamed entries are never buffered, so they must
+ * already arrive sorted.
+ * @param {Array|Iterable|AsyncIterable} entries - Entry sources
+ * @param {object} options - Archive options
+ * @returns {Array|AsyncIterable} - Entries in archive order
+ */
+export const orderEntries = (entries, options = {}) => {
+  if (!options.deterministic) return entries;
+  if (Array.isArray(entries)) {
+    return [...entries].sort((a, b) => compareEntryNames(a.name, b.name));
+  }
+  return requireOrderedEntries(entries);
+};
+
+/**
+ * JSON.stringify replacer that emits object keys in sorted order
+ */
+const sortObjectKeys = (key, value) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+
+  const sorted = {};
+  for (const name of Object.keys(value).sort()) {
+    sorted[name] = value[name];
+  }
+  return sorted;
+};
+
+/**
+ * Serializes JSON with sorted object keys. JavaScript still lists
+ * integer-like keys first, but the result is stable for equal input.
+ * @param {any} value - The value to serialize
+ * @param {number} indent - Spaces per level
+ * @returns {string} - Canonical JSON text
+ */
+export const stringifyCanonicalJson = (value, indent = 2) => {
+  return JSON.stringify(value, sortObjectKeys, indent);
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { resolveSourceDate, orderEntries, compareEntryNames, stringifyCanonicalJson, assertDeterministicOptions, DEFAULT_SOURCE_DATE_EPOCH } from './deterministic';
+import { createZipArchive } from './zipWriter';
+import { createTarArchive } from './tarWriter';
+
+const toHex = async (blob) => Array.from(new Uint8Array(await blob.arrayBuffer()), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+describe('deterministic archives', () => {
+  it.each([
+    ['ZIP', createZipArchive],
+    ['tar', createTarArchive]
+  ])('writes byte-identical %s output for the same entries in any order', async (_, createArchive) => {
+    const entries = [
+      { name: 'b.json', data: '2', lastModified: new Date('2024-05-01') },
+      { name: 'a.json', data: '1', lastModified: Date.now() }
+    ];
+    const first = await createArchive(entries, { deterministic: true });
+    const second = await createArchive([...entries].reverse(), { deterministic: true });
+    expect(await toHex(first)).toBe(await toHex(second));
+  });
+
+  it('rejects options that add randomness', () => {
+    expect(() => assertDeterministicOptions({ deterministic: true, password: 'pw' })).toThrow('cannot be deterministic');
+    expect(() => assertDeterministicOptions({ deterministic: true, signingKey: { algorithm: { name: 'ECDSA' } } })).toThrow('ECDSA signatures are randomized');
+    expect(() => assertDeterministicOptions({ password: 'pw' })).not.toThrow();
+  });
+});
+
+describe('resolveSourceDate', () => {
+  it('defaults to 1980 and accepts whole seconds', () => {
+    expect(resolveSourceDate().getTime()).toBe(DEFAULT_SOURCE_DATE_EPOCH * 1000);
+    expect(resolveSourceDate({ sourceDateEpoch: '1700000000' }).toISOString()).toBe('2023-11-14T22:13:20.000Z');
+    expect(() => resolveSourceDate({ sourceDateEpoch: -1 })).toThrow('Invalid source date epoch: -1');
+  });
+});
+
+describe('entry order', () => {
+  it('compares names by their UTF-8 bytes', () => {
+    expect(['é.json', 'z.json', 'Z.json', 'a/b.json', 'a.json'].sort(compareEntryNames))
+      .toEqual(['Z.json', 'a.json', 'a/b.json', 'z.json', 'é.json']);
+  });
+
+  it('sorts arrays and requires streamed entries to arrive sorted', async () => {
+    expect(orderEntries([{ name: 'b' }, { name: 'a' }], { deterministic: true }).map((entry) => entry.name)).toEqual(['a', 'b']);
+
+    async function* unsorted() {
+      yield { name: 'b' };
+      yield { name: 'a' };
+    }
+    const read = async () => {
+      const names = [];
+      for await (const entry of orderEntries(unsorted(), { deterministic: true })) names.push(entry.name);
+      return names;
+    };
+    await expect(read()).rejects.toThrow('"a" came after "b"');
+  });
+});
+
+describe('stringifyCanonicalJson', () => {
+  it('sorts object keys at every level', () => {
+    expect(stringifyCanonicalJson({ b: 1, a: { d: [{ z: 1, y: 2 }], c: null } }, 0)).toBe('{"a":{"c":null,"d":[{"y":2,"z":1}]},"b":1}');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Serializations for the documents inside an archive (the `outputFormat`
+ * option) and the extension each entry gets
+ */
+
+import { stringifyCanonicalJson } from './deterministic';
+import { stringifyYaml } from './yaml';
+import { stringifyCsv } from './csv';
+
+export const ENTRY_FORMATS = {
+  JSON: 'json',
+  JSON_MIN: 'json-min',
+  NDJSON: 'ndjson',
+  YAML: 'yaml',
+  CSV: 'csv'
+};
+
+const FORMAT_DETAILS = {
+  [ENTRY_FORMATS.JSON]: {
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json'
+  },
+  [ENTRY_FORMATS.JSON_MIN]: {
+    label: 'JSON (minified)',
+    extension: 'json',
+    mimeType: 'application/json'
+  },
+  [ENTRY_FORMATS.NDJSON]: {
+    label: 'NDJSON (arrays)',
+    extension: 'ndjson',
+    mimeType: 'application/x-ndjson'
+  },
+  [ENTRY_FORMATS.YAML]: {
+    label: 'YAML',
+    extension: 'yaml',
+    mimeType: 'application/yaml'
+  },
+  [ENTRY_FORMATS.CSV]: {
+    label: 'CSV (arrays of flat objects)',
+    extension: 'csv',
+    mimeType: 'text/csv'
+  }
+};
+
+// JSON.stringify caps indentation at 10 spaces
+const MAX_INDENT = 10;
+
+/**
+ * Looks up an entry format
+ * @param {string} format - One of ENTRY_FORMATS
+ * @returns {{id: string, label: string, extension: string, mimeType: string}}
+ */
+export const getEntryFormat = (format = ENTRY_FORMATS.JSON) => {
+  const details = FORMAT_DETAILS[format];
+  if (!details) {
+    throw new Error(`Unsupported output format: ${format}`);
+  }
+  return { id: format, ...details };
+};
+
+/**
+ * Lists every entry format
+ * @returns {Object[]} - Format descriptions, as returned by getEntryFormat
+ */
+export const getSupportedEntryFormats = () => {
+  return Object.keys(FORMAT_DETAILS).map((format) => getEntryFormat(format));
+};
+
+/**
+ * Checks the `outputFormat`, `splitOutputFormat` and `indent` options
+ * @param {object} options - Archive options
+ */
+export const assertEntryFormatOptions = (options = {}) => {
+  getEntryFormat(options.outputFormat);
+  if (options.splitOutputFormat) getEntryFormat(options.splitOutputFormat);
+
+  const { indent } = options;
+  if (indent != null && (!Number.isInteger(indent) || indent < 0 || indent > MAX_INDENT)) {
+    throw new Error(`Indent must be a whole number of spaces from 0 to ${MAX_INDENT}`);
+  }
+};
+
+/**
+ * Tells whether documents are written as something other than the default
+ * two-space JSON, so a source file cannot be copied into the archive as it is
+ * @param {object} options - Archive options
+ * @returns {boolean}
+ */
+export const isCustomEntryFormat = (options = {}) => {
+  return (options.outputFormat ?? ENTRY_FORMATS.JSON) !== ENTRY_FORMATS.JSON || (options.indent ?? 2) !== 2;
+};
+
+const stringifyJson = (value, indent, deterministic) => {
+  return deterministic ? stringifyCanonicalJson(value, indent) : JSON.stringify(value, null, indent);
+};
+
+/**
+ * Serializes a document in an entry format
+ * @param {*} value - The parsed document
+ * @param {string} format - One of ENTRY_FORMATS
+ * @param {object} options - Archive options: indent (default 2) and deterministic, which sorts keys
+ * @returns {string} - The entry contents
+ */
+export const serializeEntry = (value, format = ENTRY_FORMATS.JSON, options = {}) => {
+  const { indent = 2, deterministic = false } = options;
+
+  switch (format) {
+    case ENTRY_FORMATS.JSON_MIN:
+      return stringifyJson(value, 0, deterministic);
+    case ENTRY_FORMATS.NDJSON:
+      if (!Array.isArray(value)) {
+        const kind = value === null ? 'null' : typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+        throw new Error(`NDJSON needs an array, not ${kind}`);
+      }
+      return value.map((item) => `${stringifyJson(item, 0, deterministic)}\n`).join('');
+    case ENTRY_FORMATS.YAML:
+      return stringifyYaml(value, { indent: indent || 2, sortKeys: deterministic });
+    case ENTRY_FORMATS.CSV:
+      return stringifyCsv(value, { sortKeys: deterministic });
+    default:
+      return stringifyJson(value, indent, deterministic);
+  }
+};
+
+/**
+ * Swaps a .json entry name's extension for the format's
+ * @param {string} name - The entry name, e.g. item-001.json
+ * @param {string} format - One of ENTRY_FORMATS
+ * @returns {string} - e.g. item-001.yaml; names without .json are kept
+ */
+export const withEntryExtension = (name, format) => {
+  return name.replace(/\.json$/i, `.${getEntryFormat(format).extension}`);
+};
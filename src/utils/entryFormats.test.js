@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ENTRY_FORMATS,
+  getEntryFormat,
+  assertEntryFormatOptions,
+  isCustomEntryFormat,
+  serializeEntry,
+  withEntryExtension
+} from './entryFormats';
+
+describe('serializeEntry', () => {
+  const value = { b: 1, a: [true, null] };
+
+  it('writes JSON pretty, minified or with sorted keys', () => {
+    expect(serializeEntry(value)).toBe(JSON.stringify(value, null, 2));
+    expect(serializeEntry(value, ENTRY_FORMATS.JSON, { indent: 4 })).toBe(JSON.stringify(value, null, 4));
+    expect(serializeEntry(value, ENTRY_FORMATS.JSON_MIN)).toBe('{"b":1,"a":[true,null]}');
+    expect(serializeEntry(value, ENTRY_FORMATS.JSON_MIN, { deterministic: true })).toBe('{"a":[true,null],"b":1}');
+  });
+
+  it('writes arrays as NDJSON and rejects anything else', () => {
+    expect(serializeEntry([{ a: 1 }, 2], ENTRY_FORMATS.NDJSON)).toBe('{"a":1}\n2\n');
+    expect(() => serializeEntry(value, ENTRY_FORMATS.NDJSON)).toThrow('NDJSON needs an array, not an object');
+    expect(() => serializeEntry(null, ENTRY_FORMATS.NDJSON)).toThrow('NDJSON needs an array, not null');
+  });
+
+  it('hands YAML and CSV to their writers', () => {
+    expect(serializeEntry(value, ENTRY_FORMATS.YAML, { deterministic: true })).toBe('a:\n  - true\n  - null\nb: 1\n');
+    expect(serializeEntry([{ id: 1 }], ENTRY_FORMATS.CSV)).toBe('id\r\n1\r\n');
+  });
+});
+
+describe('entry format options', () => {
+  it('describes formats and swaps extensions', () => {
+    expect(getEntryFormat(ENTRY_FORMATS.NDJSON)).toMatchObject({ id: 'ndjson', extension: 'ndjson' });
+    expect(() => getEntryFormat('xml')).toThrow('Unsupported output format: xml');
+    expect(withEntryExtension('dir/item.JSON', ENTRY_FORMATS.YAML)).toBe('dir/item.yaml');
+    expect(withEntryExtension('notes.txt', ENTRY_FORMATS.CSV)).toBe('notes.txt');
+  });
+
+  it('checks formats and indent', () => {
+    expect(() => assertEntryFormatOptions({ outputFormat: 'yaml', indent: 10 })).not.toThrow();
+    expect(() => assertEntryFormatOptions({ splitOutputFormat: 'toml' })).toThrow('Unsupported output format: toml');
+    expect(() => assertEntryFormatOptions({ indent: 11 })).toThrow('Indent must be a whole number of spaces from 0 to 10');
+    expect(() => assertEntryFormatOptions({ indent: 1.5 })).toThrow('Indent must be');
+  });
+
+  it('tells whether entries differ from two-space JSON', () => {
+    expect(isCustomEntryFormat({})).toBe(false);
+    expect(isCustomEntryFormat({ indent: 0 })).toBe(true);
+    expect(isCustomEntryFormat({ outputFormat: ENTRY_FORMATS.JSON_MIN })).toBe(true);
+  });
+});
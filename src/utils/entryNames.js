@@ -0,0 +1,144 @@
+/**
+ * Safe, unique entry paths for archives. Every path segment goes through
+ * sanitizeFilename, whole paths are kept within MAX_PATH_BYTES, and names that
+ * would land on the same file when extracted are handled by the collision policy.
+ * Names are compared case-insensitively, as Windows and macOS do.
+ */
+
+import { sanitizeFilename, truncateFilename, MAX_FILENAME_BYTES } from './fileUtils';
+
+/**
+ * Supported values of the `collisionPolicy` option
+ *   suffix     later entries are renamed: item.json, item-1.json, item-2.json
+ *   overwrite  names are kept, so on extraction the last entry replaces the earlier ones
+ *   fail       the archive is not built
+ */
+export const COLLISION_POLICIES = {
+  SUFFIX: 'suffix',
+  OVERWRITE: 'overwrite',
+  FAIL: 'fail'
+};
+
+// Windows' MAX_PATH; measured in UTF-8 bytes, which is stricter than its UTF-16 units
+export const MAX_PATH_BYTES = 260;
+
+const textEncoder = new TextEncoder();
+
+const toKey = (path) => path.replace(/\/$/, '').toLowerCase();
+
+/**
+ * Sanitizes every segment of an entry path and shortens the file name if the
+ * whole path is too long
+ * @param {string} path - The entry path; a trailing / marks a directory
+ * @returns {string} - The safe path
+ */
+export const sanitizeEntryPath = (path) => {
+  const isDirectory = path.endsWith('/');
+  const segments = path.split('/').filter(Boolean).map((segment) => sanitizeFilename(segment) || '_');
+  if (segments.length === 0) {
+    throw new Error(`"${path}" is not a usable entry name`);
+  }
+
+  const directory = segments.slice(0, -1).map((segment) => `${segment}/`).join('');
+  const name = segments[segments.length - 1];
+  const available = MAX_PATH_BYTES - textEncoder.encode(directory).length - (isDirectory ? 1 : 0);
+  if (available < 16) {
+    throw new Error(`"${path}" is nested too deeply to fit in ${MAX_PATH_BYTES} bytes`);
+  }
+
+  return `${directory}${truncateFilename(name, Math.min(available, MAX_FILENAME_BYTES))}${isDirectory ? '/' : ''}`;
+};
+
+/**
+ * Adds -n to a file name, shortening it so the path stays within MAX_PATH_BYTES
+ */
+const addSuffix = (path, number) => {
+  const slash = path.lastIndexOf('/') + 1;
+  const directory = path.slice(0, slash);
+  const available = MAX_PATH_BYTES - textEncoder.encode(directory).length;
+  return `${directory}${truncateFilename(path.slice(slash), Math.min(available, MAX_FILENAME_BYTES), `-${number}`)}`;
+};
+
+/**
+ * Creates the name check for one archive. Each call claims a sanitized path
+ * and returns the name to write it under.
+ * @param {string} policy - One of COLLISION_POLICIES (default suffix)
+ * @param {string[]} reserved - Names the archive writer adds itself, such as manifest.json
+ * @returns {(path: string) => string|null} - The final name; null for a directory already written
+ */
+export const createEntryNameResolver = (policy = COLLISION_POLICIES.SUFFIX, reserved = []) => {
+  if (!Object.values(COLLISION_POLICIES).includes(policy)) {
+    throw new Error(`Unsupported collision policy: ${policy}`);
+  }
+
+  // First path claimed for each key, for error messages
+  const files = new Map(reserved.map((name) => [toKey(name), name]));
+  const reservedKeys = new Set(files.keys());
+  const directories = new Map();
+
+  const claimDirectories = (path) => {
+    const segments = path.split('/').slice(0, -1);
+    for (let length = 1; length <= segments.length; length++) {
+      const directory = `${segments.slice(0, length).join('/')}/`;
+      const key = toKey(directory);
+      if (files.has(key)) {
+        throw new Error(`"${directory}" is a folder, but "${files.get(key)}" is a file`);
+      }
+      if (!directories.has(key)) directories.set(key, directory);
+    }
+  };
+
+  return (path) => {
+    if (path.endsWith('/')) {
+      if (directories.has(toKey(path))) return null;
+      claimDirectories(path);
+      return path;
+    }
+
+    let name = path;
+    const key = toKey(path);
+    const existing = files.get(key) ?? directories.get(key);
+    if (existing !== undefined) {
+      if (policy === COLLISION_POLICIES.FAIL) {
+        throw new Error(`"${path}" clashes with "${existing}"; rename it or choose another collision policy`);
+      }
+      if (policy === COLLISION_POLICIES.OVERWRITE && directories.has(key)) {
+        throw new Error(`"${path}" cannot replace the folder "${existing}"`);
+      }
+      if (policy === COLLISION_POLICIES.OVERWRITE && reservedKeys.has(key)) {
+        throw new Error(`"${path}" cannot replace "${existing}", which the archive writer adds itself`);
+      }
+      if (policy === COLLISION_POLICIES.SUFFIX) {
+        for (let number = 1; files.has(toKey(name)) || directories.has(toKey(name)); number++) {
+          name = addSuffix(path, number);
+        }
+      }
+    }
+
+    claimDirectories(name);
+    if (!files.has(toKey(name))) files.set(toKey(name), name);
+    return name;
+  };
+};
+
+/**
+ * Passes archive entries through with safe, unique names
+ * @param {Iterable|AsyncIterable} entries - Archive entries
+ * @param {Object} options - collisionPolicy, reserved names, and onEntryRenamed({from, to}),
+ *   called for every entry written under another name
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* generateSafeEntries(entries, { collisionPolicy, reserved, onEntryRenamed } = {}) {
+  const resolveName = createEntryNameResolver(collisionPolicy, reserved);
+
+  for await (const entry of entries) {
+    const name = resolveName(sanitizeEntryPath(entry.name));
+    if (name === null) continue;
+    if (name === entry.name) {
+      yield entry;
+      continue;
+    }
+    onEntryRenamed?.({ from: entry.name, to: name });
+    yield { ...entry, name };
+  }
+}
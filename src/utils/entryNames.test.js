@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { COLLISION_POLICIES, MAX_PATH_BYTES, sanitizeEntryPath, createEntryNameResolver, generateSafeEntries } from './entryNames';
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('sanitizeEntryPath', () => {
+  it('sanitizes every segment and keeps directory markers', () => {
+    expect(sanitizeEntryPath('a:b/con/x?.json')).toBe('a_b/_con/x_.json');
+    expect(sanitizeEntryPath('//dir//')).toBe('dir/');
+    expect(() => sanitizeEntryPath('/')).toThrow('"/" is not a usable entry name');
+  });
+
+  it('shortens the file name so the whole path fits', () => {
+    const directory = `${'d'.repeat(200)}/`;
+    const path = sanitizeEntryPath(`${directory}${'n'.repeat(100)}.json`);
+    expect(new TextEncoder().encode(path).length).toBe(MAX_PATH_BYTES);
+    expect(path.endsWith('n.json')).toBe(true);
+    expect(() => sanitizeEntryPath(`${'d'.repeat(250)}/x.json`)).toThrow('is nested too deeply');
+  });
+});
+
+describe('createEntryNameResolver', () => {
+  it('adds numbered suffixes to names that differ only in case', () => {
+    const resolve = createEntryNameResolver();
+    expect(['item.json', 'Item.json', 'ITEM.json', 'item-1.json'].map(resolve))
+      .toEqual(['item.json', 'Item-1.json', 'ITEM-2.json', 'item-1-1.json']);
+  });
+
+  it('keeps names under the overwrite policy, except over folders and reserved names', () => {
+    const resolve = createEntryNameResolver(COLLISION_POLICIES.OVERWRITE, ['manifest.json']);
+    expect(resolve('a.json')).toBe('a.json');
+    expect(resolve('A.json')).toBe('A.json');
+    resolve('dir/b.json');
+    expect(() => resolve('dir')).toThrow('"dir" cannot replace the folder "dir/"');
+    expect(() => resolve('Manifest.json')).toThrow('which the archive writer adds itself');
+  });
+
+  it('stops the archive under the fail policy', () => {
+    const resolve = createEntryNameResolver(COLLISION_POLICIES.FAIL);
+    resolve('a.json');
+    expect(() => resolve('A.JSON')).toThrow('"A.JSON" clashes with "a.json"; rename it or choose another collision policy');
+  });
+
+  it('rejects a folder where a file already is, and unknown policies', () => {
+    const resolve = createEntryNameResolver();
+    resolve('data');
+    expect(() => resolve('data/x.json')).toThrow('"data/" is a folder, but "data" is a file');
+    expect(() => createEntryNameResolver('merge')).toThrow('Unsupported collision policy: merge');
+  });
+
+  it('writes each directory once', () => {
+    const resolve = createEntryNameResolver();
+    expect(resolve('dir/')).toBe('dir/');
+    expect(resolve('DIR/')).toBeNull();
+  });
+});
+
+describe('generateSafeEntries', () => {
+  it('reports every renamed entry', async () => {
+    const renamed = [];
+    const entries = await collect(generateSafeEntries(
+      [{ name: 'a.json', data: '1' }, { name: 'A.json', data: '2' }, { name: 'b?.json', data: '3' }],
+      { reserved: [], onEntryRenamed: (change) => renamed.push(change) }
+    ));
+
+    expect(entries.map(({ name, data }) => [name, data])).toEqual([['a.json', '1'], ['A-1.json', '2'], ['b_.json', '3']]);
+    expect(renamed).toEqual([{ from: 'A.json', to: 'A-1.json' }, { from: 'b?.json', to: 'b_.json' }]);
+  });
+});
@@ -2,14 +2,18 @@
  * File handling utility functions for JSON to ZIP conversion
  */
 
+import { ARCHIVE_FORMATS, getArchiveExtension } from './archiveFormats';
+import { INPUT_FILE_EXTENSIONS, INPUT_MIME_TYPES, getInputFormat, getFileInputFormat, checkInputText, parseInputText } from './inputFormats';
+
 /**
- * Validates if a string is valid JSON
+ * Validates if a string is valid JSON, or JSON Lines with one value per line
  * @param {string} jsonString - The JSON string to validate
+ * @param {string} inputFormat - One of INPUT_FORMATS, e.g. 'json5'; JSON Lines are detected without it
  * @returns {boolean} - True if valid JSON, false otherwise
  */
-export const isValidJson = (jsonString) => {
+export const isValidJson = (jsonString, inputFormat = undefined) => {
   try {
-    JSON.parse(jsonString);
+    parseInputText(jsonString, inputFormat);
     return true;
   } catch (error) {
     return false;
@@ -19,9 +23,10 @@ export const isValidJson = (jsonString) => {
 /**
  * Validates JSON data structure
  * @param {any} data - The data to validate
+ * @param {string} inputFormat - How data given as text is read: one of INPUT_FORMATS
  * @returns {object} - Validation result with isValid and errors
  */
-export const validateJsonData = (data) => {
+export const validateJsonData = (data, inputFormat = undefined) => {
   const errors = [];
   
   if (!data) {
@@ -30,12 +35,12 @@ export const validateJsonData = (data) => {
   }
 
   if (typeof data === 'string') {
-    if (!isValidJson(data)) {
+    if (!isValidJson(data, inputFormat)) {
       errors.push('Invalid JSON format');
       return { isValid: false, errors };
     }
     try {
-      data = JSON.parse(data);
+      data = parseInputText(data, inputFormat).data;
     } catch (error) {
       errors.push('Failed to parse JSON');
       return { isValid: false, errors };
@@ -67,12 +72,14 @@ export const formatFileSize = (bytes) => {
 /**
  * Generates a filename with timestamp
  * @param {string} baseName - Base filename
- * @param {string} extension - File extension
+ * @param {string} extension - File extension, or an archive format from ARCHIVE_FORMATS
+ *   ('gzip' becomes .json.gz, 'tar.gz' stays .tar.gz)
  * @returns {string} - Generated filename
  */
 export const generateFilename = (baseName = 'converted', extension = 'zip') => {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-  return `${baseName}-${timestamp}.${extension}`;
+  const suffix = Object.values(ARCHIVE_FORMATS).includes(extension) ? getArchiveExtension(extension) : extension;
+  return `${baseName}-${timestamp}.${suffix}`;
 };
 
 /**
@@ -125,10 +132,27 @@ export const readFileAsArrayBuffer = (file) => {
  * @param {string[]} allowedTypes - Array of allowed MIME types
  * @returns {boolean} - True if file type is allowed
  */
-export const validateFileType = (file, allowedTypes = ['application/json', 'text/plain']) => {
+export const validateFileType = (file, allowedTypes = ['text/plain', ...INPUT_MIME_TYPES]) => {
   return allowedTypes.includes(file.type);
 };
 
+/**
+ * Checks a file against an accept list of extensions (".zip") and/or MIME types,
+ * the way the file input "accept" attribute does
+ * @param {File} file - The file to check
+ * @param {string[]} acceptedTypes - Extensions and/or MIME types
+ * @returns {boolean} - True if the file matches any entry
+ */
+export const isAcceptedFileType = (file, acceptedTypes = INPUT_FILE_EXTENSIONS) => {
+  const name = file.name.toLowerCase();
+  return acceptedTypes.some((type) => {
+    const accepted = type.trim().toLowerCase();
+    if (accepted.startsWith('.')) return name.endsWith(accepted);
+    if (accepted.endsWith('/*')) return file.type.startsWith(accepted.slice(0, -1));
+    return file.type === accepted;
+  });
+};
+
 /**
  * Validates file size
  * @param {File} file - The file to validate
@@ -154,16 +178,20 @@ export const createFormDataFromJson = (jsonData, fieldName = 'jsonData') => {
 };
 
 /**
- * Parses and validates multiple JSON files
+ * Parses and validates multiple input files: JSON, JSON Lines, or another of INPUT_FORMATS by extension
  * @param {FileList} files - List of files to process
- * @returns {Promise<object[]>} - Promise resolving to array of parsed JSON objects
+ * @returns {Promise<object[]>} - Promise resolving to array of parsed JSON objects;
+ *   a JSON Lines file gives an array of its lines, with format 'ndjson', and a
+ *   YAML stream of several documents an array of its documents
  */
 export const parseMultipleJsonFiles = async (files) => {
   const results = [];
   
   for (const file of files) {
     try {
-      if (!validateFileType(file)) {
+      // Browsers often leave the type of .ndjson, .jsonc, .toml and similar files empty
+      const inputFormat = getFileInputFormat(file);
+      if (!validateFileType(file) && !inputFormat) {
         throw new Error(`Invalid file type: ${file.type}`);
       }
       
@@ -172,15 +200,21 @@ export const parseMultipleJsonFiles = async (files) => {
       }
       
       const content = await readFileAsText(file);
-      const validation = validateJsonData(content);
+      const { errors, data, format } = checkInputText(content, inputFormat);
       
+      if (errors.length > 0) {
+        throw new Error(`Invalid ${getInputFormat(format).label} in ${file.name}: ${errors.join('; ')}`);
+      }
+
+      const validation = validateJsonData(data);
       if (!validation.isValid) {
         throw new Error(`Invalid JSON in ${file.name}: ${validation.errors.join(', ')}`);
       }
       
       results.push({
         filename: file.name,
-        data: JSON.parse(content),
+        data,
+        format,
         size: file.size
       });
     } catch (error) {
@@ -231,16 +265,61 @@ export const isDragEventWithFiles = (event) => {
   return event.dataTransfer?.types?.includes('Files') || false;
 };
 
+// Most file systems allow 255 bytes per name; UTF-8 bytes are never fewer than UTF-16 units
+export const MAX_FILENAME_BYTES = 255;
+
+// Device names Windows reserves, with or without an extension
+const RESERVED_NAME_PATTERN = /^(?:con|prn|aux|nul|com[1-9\u00b9\u00b2\u00b3]|lpt[1-9\u00b9\u00b2\u00b3])(?:\.|$)/i;
+
+// Characters Windows rejects in names, besides control characters
+const UNSAFE_CHARACTERS = '<>:"/\\|?*';
+
+const textEncoder = new TextEncoder();
+
+const getByteLength = (text) => textEncoder.encode(text).length;
+
+const isUnsafeCharacter = (char) => {
+  const code = char.codePointAt(0);
+  return code < 0x20 || code === 0x7f || UNSAFE_CHARACTERS.includes(char);
+};
+
+/**
+ * Shortens a filename to a UTF-8 byte limit, cutting the stem and keeping the extension
+ * @param {string} filename - The filename
+ * @param {number} maxBytes - Longest allowed name in UTF-8 bytes
+ * @param {string} suffix - Added to the stem (e.g. -2) and never cut
+ * @returns {string} - The name with the suffix, e.g. report-2.json
+ */
+export const truncateFilename = (filename, maxBytes = MAX_FILENAME_BYTES, suffix = '') => {
+  const dot = filename.lastIndexOf('.');
+  const extension = dot > 0 && getByteLength(filename.slice(dot)) <= maxBytes / 2 ? filename.slice(dot) : '';
+  const tail = `${suffix}${extension}`;
+
+  let budget = maxBytes - getByteLength(tail);
+  let stem = '';
+  for (const char of filename.slice(0, filename.length - extension.length)) {
+    budget -= getByteLength(char);
+    if (budget < 0) break;
+    stem += char;
+  }
+  // Windows drops trailing dots and spaces, which would change the name
+  return `${tail ? stem : stem.replace(/[\s.]+$/, '')}${tail}`;
+};
+
 /**
- * Sanitizes filename for safe download
+ * Makes a name safe on Windows, macOS and Linux: Unicode is kept in NFC form;
+ * separators, characters Windows rejects and control characters become _;
+ * trailing dots and spaces are removed; reserved device names such as CON or
+ * aux.json get a _ prefix; long names are cut to MAX_FILENAME_BYTES
  * @param {string} filename - The filename to sanitize
- * @returns {string} - Sanitized filename
+ * @returns {string} - Sanitized filename; empty if nothing usable is left
  */
 export const sanitizeFilename = (filename) => {
-  return filename
-    .replace(/[^a-z0-9.-]/gi, '_')
+  const cleaned = Array.from(String(filename).normalize('NFC'), (char) => (isUnsafeCharacter(char) ? '_' : char))
+    .join('')
     .replace(/_{2,}/g, '_')
-    .replace(/^_|_$/g, '');
+    .replace(/^\s+|[\s.]+$/g, '');
+  return truncateFilename(RESERVED_NAME_PATTERN.test(cleaned) ? `_${cleaned}` : cleaned);
 };
 
 /**
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeFilename, truncateFilename } from './fileUtils';
+
+describe('sanitizeFilename', () => {
+  it('replaces characters Windows rejects and trims trailing dots and spaces', () => {
+    expect(sanitizeFilename('a<b>c:d"e/f\\g|h?i*j.json')).toBe('a_b_c_d_e_f_g_h_i_j.json');
+    expect(sanitizeFilename('tab\there\u0000')).toBe('tab_here_');
+    expect(sanitizeFilename('  name. . ')).toBe('name');
+    expect(sanitizeFilename('...')).toBe('');
+  });
+
+  it('prefixes reserved device names', () => {
+    expect(sanitizeFilename('CON')).toBe('_CON');
+    expect(sanitizeFilename('aux.json')).toBe('_aux.json');
+    expect(sanitizeFilename('console.json')).toBe('console.json');
+  });
+
+  it('keeps Unicode in NFC form', () => {
+    expect(sanitizeFilename('Café.json')).toBe('Café.json');
+  });
+});
+
+describe('truncateFilename', () => {
+  it('cuts the stem by UTF-8 bytes and keeps the extension and suffix', () => {
+    expect(truncateFilename('abcdefgh.json', 10)).toBe('abcde.json');
+    expect(truncateFilename('abcdefgh.json', 10, '-2')).toBe('abc-2.json');
+    expect(truncateFilename('ééé.json', 10)).toBe('éé.json');
+  });
+
+  it('drops an extension longer than half the limit', () => {
+    expect(truncateFilename('abcdef.json', 8)).toBe('abcdef.j');
+  });
+
+  it('does not leave a trailing dot or space', () => {
+    expect(truncateFilename('ab .cdefghijklmnop', 4)).toBe('ab');
+  });
+});
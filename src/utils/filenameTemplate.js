@@ -0,0 +1,145 @@
+/**
+ * Filename templates for batch entries (fileNaming: 'template'), e.g.
+ *   {index:04}-{item.id}-{item.name|slug}.json  ->  0001-42-jane-doe.json
+ *
+ * A placeholder is {field[:width][|filter[:argument]]...}:
+ *   field     index (1-based item number) or item, item.path.to.value, item.tags[0]
+ *   :width    zero-pads the value to width characters, e.g. {index:04}
+ *   filters   slug, lower, upper, date:FORMAT (tokens YYYY MM DD HH mm ss, UTC)
+ * Write {{ and }} for literal braces. Rendered names go through sanitizeFilename.
+ */
+
+import { sanitizeFilename } from './fileUtils';
+
+const DATE_TOKENS = {
+  YYYY: (date) => String(date.getUTCFullYear()).padStart(4, '0'),
+  MM: (date) => String(date.getUTCMonth() + 1).padStart(2, '0'),
+  DD: (date) => String(date.getUTCDate()).padStart(2, '0'),
+  HH: (date) => String(date.getUTCHours()).padStart(2, '0'),
+  mm: (date) => String(date.getUTCMinutes()).padStart(2, '0'),
+  ss: (date) => String(date.getUTCSeconds()).padStart(2, '0')
+};
+
+const formatDate = (value, format = 'YYYY-MM-DD') => {
+  const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`"${value}" is not a date`);
+  }
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => DATE_TOKENS[token](date));
+};
+
+const slugify = (value) => value
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const FILTERS = {
+  slug: (value) => slugify(value),
+  lower: (value) => value.toLowerCase(),
+  upper: (value) => value.toUpperCase(),
+  date: (value, format) => formatDate(value, format)
+};
+
+/**
+ * Splits a field such as item.tags[0].name into the keys below `item`
+ */
+const parseFieldPath = (field) => {
+  const match = /^(index|item)((?:\.[^.[\]]+|\[\d+\])*)$/.exec(field);
+  if (!match) {
+    throw new Error(`Unknown field "${field}"; use index or item.path`);
+  }
+  const keys = [...match[2].matchAll(/\.([^.[\]]+)|\[(\d+)\]/g)].map((part) => part[1] ?? Number(part[2]));
+  if (match[1] === 'index' && keys.length > 0) {
+    throw new Error(`"${field}": index has no fields`);
+  }
+  return { root: match[1], keys };
+};
+
+const parsePlaceholder = (body) => {
+  const [head, ...filterSpecs] = body.split('|').map((part) => part.trim());
+  const [field, width] = head.split(':');
+
+  if (width !== undefined && !/^\d+$/.test(width)) {
+    throw new Error(`"{${body}}": the width after ":" must be a number, e.g. {index:04}`);
+  }
+
+  const filters = filterSpecs.map((spec) => {
+    const separator = spec.indexOf(':');
+    const name = separator === -1 ? spec : spec.slice(0, separator);
+    if (!FILTERS[name]) {
+      throw new Error(`Unknown filter "${name}"; use ${Object.keys(FILTERS).join(', ')}`);
+    }
+    return { name, argument: separator === -1 ? undefined : spec.slice(separator + 1) };
+  });
+
+  return { ...parseFieldPath(field.trim()), width: width === undefined ? 0 : Number(width), filters, source: body };
+};
+
+/**
+ * Parses a template once so it can name many items
+ * @param {string} template - The filename template
+ * @returns {(item: *, index: number) => string} - Renders the sanitized name for a zero-based item index
+ */
+export const compileFilenameTemplate = (template) => {
+  if (typeof template !== 'string' || !template.trim()) {
+    throw new Error('The filename template is empty');
+  }
+
+  const parts = [];
+  let literal = '';
+  for (let i = 0; i < template.length; i++) {
+    const char = template[i];
+    if ((char === '{' || char === '}') && template[i + 1] === char) {
+      literal += char;
+      i++;
+    } else if (char === '{') {
+      const end = template.indexOf('}', i);
+      if (end === -1) {
+        throw new Error(`Unclosed "{" at position ${i + 1}`);
+      }
+      if (literal) parts.push(literal);
+      literal = '';
+      parts.push(parsePlaceholder(template.slice(i + 1, end)));
+      i = end;
+    } else if (char === '}') {
+      throw new Error(`Unmatched "}" at position ${i + 1}; write }} for a literal brace`);
+    } else {
+      literal += char;
+    }
+  }
+  if (literal) parts.push(literal);
+
+  const renderPlaceholder = (placeholder, item, index) => {
+    let value = placeholder.root === 'index'
+      ? index + 1
+      : placeholder.keys.reduce((node, key) => (node == null ? undefined : node[key]), item);
+
+    if (value !== null && typeof value === 'object') {
+      throw new Error(`{${placeholder.source}} is an ${Array.isArray(value) ? 'array' : 'object'}; pick a value inside it`);
+    }
+
+    let text = value == null ? '' : String(value);
+    if (placeholder.width) text = text.padStart(placeholder.width, '0');
+    for (const { name, argument } of placeholder.filters) {
+      text = FILTERS[name](text, argument);
+    }
+    return text;
+  };
+
+  return (item, index) => {
+    let name;
+    try {
+      name = parts.map((part) => (typeof part === 'string' ? part : renderPlaceholder(part, item, index))).join('');
+    } catch (error) {
+      throw new Error(`Item ${index + 1}: ${error.message}`);
+    }
+
+    const sanitized = sanitizeFilename(name);
+    if (!sanitized) {
+      throw new Error(`Item ${index + 1}: the template produced an empty filename`);
+    }
+    return sanitized;
+  };
+};
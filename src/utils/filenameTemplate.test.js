@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { compileFilenameTemplate } from './filenameTemplate';
+
+const render = (template, item, index = 0) => compileFilenameTemplate(template)(item, index);
+
+describe('compileFilenameTemplate', () => {
+  it('fills in the index, item fields and filters', () => {
+    const item = { id: 42, name: 'Jane Doé', tags: ['VIP'], created: '2024-03-05T10:20:30Z' };
+    expect(render('{index:04}-{item.id}-{item.name|slug}.json', item, 0)).toBe('0001-42-jane-doe.json');
+    expect(render('{item.tags[0]|lower}-{item.created|date:YYYYMMDD-HHmmss}.json', item)).toBe('vip-20240305-102030.json');
+    expect(render('{item.name|upper|slug}.json', item)).toBe('jane-doe.json');
+  });
+
+  it('reads epoch milliseconds as dates and empty values as nothing', () => {
+    expect(render('{item.at|date}.json', { at: '86400000' })).toBe('1970-01-02.json');
+    expect(render('a{item.missing}.json', {})).toBe('a.json');
+  });
+
+  it('keeps doubled braces as literal ones and sanitizes the result', () => {
+    expect(render('{{{index}}}.json', {})).toBe('{1}.json');
+    expect(render('{item.name}.json', { name: 'a:b?' })).toBe('a_b_.json');
+  });
+
+  it('rejects malformed templates when compiling', () => {
+    expect(() => compileFilenameTemplate(' ')).toThrow('The filename template is empty');
+    expect(() => compileFilenameTemplate('{index')).toThrow('Unclosed "{" at position 1');
+    expect(() => compileFilenameTemplate('a}')).toThrow('Unmatched "}" at position 2');
+    expect(() => compileFilenameTemplate('{id}')).toThrow('Unknown field "id"');
+    expect(() => compileFilenameTemplate('{index.id}')).toThrow('index has no fields');
+    expect(() => compileFilenameTemplate('{index:x}')).toThrow('the width after ":" must be a number');
+    expect(() => compileFilenameTemplate('{item|title}')).toThrow('Unknown filter "title"');
+  });
+
+  it('names the item that cannot be rendered', () => {
+    expect(() => render('{item.meta}.json', { meta: {} }, 2)).toThrow('Item 3: {item.meta} is an object; pick a value inside it');
+    expect(() => render('{item.at|date}.json', { at: 'soon' })).toThrow('Item 1: "soon" is not a date');
+    expect(() => render('{item.name}', { name: ' ' })).toThrow('Item 1: the template produced an empty filename');
+  });
+});
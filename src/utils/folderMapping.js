@@ -0,0 +1,107 @@
+/**
+ * Maps a JSON tree onto a folder hierarchy (the `createFolders` option):
+ * nested objects become directories and their leaves become files, e.g.
+ *   {"users": {"alice": {"age": 30}}}  ->  users/alice/age.json
+ * Subtrees more than `maxDepth` folders deep and, by default, nested arrays are
+ * written whole as one file. A top-level array is always split into numbered files.
+ */
+
+/**
+ * Supported values of the `leafFormat` option
+ *   json  every leaf is a .json file holding the JSON value
+ *   text  strings, numbers and booleans are .txt files holding the bare value
+ */
+export const LEAF_FORMATS = {
+  JSON: 'json',
+  TEXT: 'text'
+};
+
+/**
+ * Supported values of the `arrayMode` option
+ *   file   an array is one .json file
+ *   files  an array is a directory of numbered files, one per item (1.json, 2.json, ...)
+ */
+export const ARRAY_MODES = {
+  FILE: 'file',
+  FILES: 'files'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks the folder mapping options
+ * @param {object} options - Archive options
+ * @returns {{leafFormat: string, maxDepth: number, arrayMode: string}} - The mapping settings
+ */
+export const resolveFolderOptions = (options = {}) => {
+  const { leafFormat = LEAF_FORMATS.JSON, arrayMode = ARRAY_MODES.FILE } = options;
+  const maxDepth = options.maxDepth ?? Infinity;
+
+  if (!Object.values(LEAF_FORMATS).includes(leafFormat)) {
+    throw new Error(`Unsupported leaf format: ${leafFormat}`);
+  }
+  if (!Object.values(ARRAY_MODES).includes(arrayMode)) {
+    throw new Error(`Unsupported array mode: ${arrayMode}`);
+  }
+  if (maxDepth !== Infinity && (!Number.isInteger(maxDepth) || maxDepth < 0)) {
+    throw new Error('Maximum folder depth must be a whole number of levels');
+  }
+
+  return { leafFormat, maxDepth, arrayMode };
+};
+
+/**
+ * Turns an object key into a single path segment. Separators and the
+ * special names "." and ".." would change the hierarchy, so they are replaced.
+ */
+const toPathSegment = (key) => {
+  const segment = String(key).replace(/[/\\]/g, '_');
+  return segment === '' || segment === '.' || segment === '..' ? `_${segment}` : segment;
+};
+
+/**
+ * Generates the archive entries for a JSON tree, directories before their contents
+ * @param {Object|Array} value - The JSON document
+ * @param {object} options - Archive options with leafFormat, maxDepth (most folder levels) and arrayMode
+ * @returns {Generator<{name: string, data?: string, value?: *}>} - Directory entries (name ending in /),
+ *   .txt files with their data, and .json files with the value to serialize
+ */
+export function* generateFolderEntries(value, options) {
+  const { leafFormat, maxDepth, arrayMode } = resolveFolderOptions(options);
+
+  const writeFile = (path, node) => {
+    if (leafFormat === LEAF_FORMATS.TEXT && node !== null && typeof node !== 'object') {
+      return { name: `${path}.txt`, data: String(node) };
+    }
+    return { name: `${path}.json`, value: node };
+  };
+
+  // Yields the children of the directory at `prefix`; a child directory would be `depth` levels down
+  function* writeChildren(prefix, node, depth) {
+    if (Array.isArray(node)) {
+      const width = String(node.length).length;
+      for (let index = 0; index < node.length; index++) {
+        yield writeFile(`${prefix}${String(index + 1).padStart(width, '0')}`, node[index]);
+      }
+      return;
+    }
+
+    for (const [key, child] of Object.entries(node)) {
+      const path = `${prefix}${toPathSegment(key)}`;
+      const opensDirectory = depth <= maxDepth &&
+        (isPlainObject(child) || (Array.isArray(child) && arrayMode === ARRAY_MODES.FILES));
+
+      if (opensDirectory) {
+        yield { name: `${path}/` };
+        yield* writeChildren(`${path}/`, child, depth + 1);
+      } else {
+        yield writeFile(path, child);
+      }
+    }
+  }
+
+  if (value === null || typeof value !== 'object') {
+    throw new Error('Folders need a JSON object or array at the top level');
+  }
+  yield* writeChildren('', value, 1);
+}
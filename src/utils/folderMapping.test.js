@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { generateFolderEntries, resolveFolderOptions, LEAF_FORMATS, ARRAY_MODES } from './folderMapping';
+
+const doc = {
+  users: { alice: { age: 30, tags: ['a', 'b'] } },
+  version: '1',
+  'a/b': { '..': null }
+};
+
+const list = (value, options = {}) => [...generateFolderEntries(value, options)];
+
+describe('generateFolderEntries', () => {
+  it('maps objects to folders and other values to JSON files', () => {
+    expect(list(doc)).toEqual([
+      { name: 'users/' },
+      { name: 'users/alice/' },
+      { name: 'users/alice/age.json', value: 30 },
+      { name: 'users/alice/tags.json', value: ['a', 'b'] },
+      { name: 'version.json', value: '1' },
+      { name: 'a_b/' },
+      { name: 'a_b/_...json', value: null }
+    ]);
+  });
+
+  it('writes bare text leaves and array items as numbered files', () => {
+    expect(list({ tags: ['a', 'b'], n: null }, { leafFormat: LEAF_FORMATS.TEXT, arrayMode: ARRAY_MODES.FILES })).toEqual([
+      { name: 'tags/' },
+      { name: 'tags/1.txt', data: 'a' },
+      { name: 'tags/2.txt', data: 'b' },
+      { name: 'n.json', value: null }
+    ]);
+  });
+
+  it('writes subtrees below maxDepth whole', () => {
+    expect(list(doc, { maxDepth: 1 }).slice(0, 2)).toEqual([
+      { name: 'users/' },
+      { name: 'users/alice.json', value: { age: 30, tags: ['a', 'b'] } }
+    ]);
+    expect(list({ a: { b: 1 } }, { maxDepth: 0 })).toEqual([{ name: 'a.json', value: { b: 1 } }]);
+  });
+
+  it('splits a top-level array into padded numbered files', () => {
+    const names = list(Array.from({ length: 10 }, (_, index) => index)).map((entry) => entry.name);
+    expect(names[0]).toBe('01.json');
+    expect(names[9]).toBe('10.json');
+  });
+
+  it('needs an object or array', () => {
+    expect(() => list('text')).toThrow('Folders need a JSON object or array at the top level');
+  });
+});
+
+describe('resolveFolderOptions', () => {
+  it('rejects unknown settings', () => {
+    expect(resolveFolderOptions()).toEqual({ leafFormat: 'json', maxDepth: Infinity, arrayMode: 'file' });
+    expect(() => resolveFolderOptions({ leafFormat: 'xml' })).toThrow('Unsupported leaf format: xml');
+    expect(() => resolveFolderOptions({ arrayMode: 'zip' })).toThrow('Unsupported array mode: zip');
+    expect(() => resolveFolderOptions({ maxDepth: 1.5 })).toThrow('whole number of levels');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Streaming GZIP (RFC 1952) writer built on the platform raw DEFLATE compressor,
+ * so the member header can carry the original filename and modification time
+ */
+
+import { crc32 } from './crc32';
+import { readStreamChunks, toReadableStream, createStreamFromIterator } from './streamUtils';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const DEFLATE_METHOD = 8;
+const FLAG_NAME = 0x08;
+const OS_UNKNOWN = 255;
+
+/**
+ * Builds the member header; the name is stored as ISO-8859-1 as the RFC requires
+ */
+const createGzipHeader = ({ name, lastModified, compressionLevel }) => {
+  const nameBytes = name
+    ? Array.from(name, (char) => (char.charCodeAt(0) <= 0xff ? char.charCodeAt(0) : 0x5f))
+    : [];
+  const header = new Uint8Array(10 + (name ? nameBytes.length + 1 : 0));
+  const view = new DataView(header.buffer);
+
+  header.set(GZIP_MAGIC, 0);
+  header[2] = DEFLATE_METHOD;
+  header[3] = name ? FLAG_NAME : 0;
+  view.setUint32(4, lastModified == null ? 0 : Math.floor(new Date(lastModified).getTime() / 1000), true);
+  // XFL records the compressor setting: 2 for maximum, 4 for fastest
+  header[8] = compressionLevel >= 9 ? 2 : compressionLevel === 1 ? 4 : 0;
+  header[9] = OS_UNKNOWN;
+  header.set(nameBytes, 10);
+
+  return header;
+};
+
+/**
+ * Generates a GZIP member chunk by chunk
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob|ReadableStream} data - The data to compress
+ * @param {object} options - Header options
+ * @param {string} options.name - Original filename stored in the header
+ * @param {Date|number} options.lastModified - Modification time stored in the header
+ * @param {number} options.compressionLevel - Requested level, recorded in the header
+ * @returns {AsyncGenerator<Uint8Array>} - The compressed chunks
+ */
+export async function* generateGzipChunks(data, options = {}) {
+  yield createGzipHeader(options);
+
+  let crc = 0;
+  let size = 0;
+
+  const stream = toReadableStream(data)
+    .pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        crc = crc32(chunk, crc);
+        size += chunk.length;
+        controller.enqueue(chunk);
+      }
+    }))
+    .pipeThrough(new CompressionStream('deflate-raw'));
+
+  yield* readStreamChunks(stream);
+
+  // Trailer: CRC-32 and the input size modulo 2^32
+  const trailer = new Uint8Array(8);
+  const view = new DataView(trailer.buffer);
+  view.setUint32(0, crc, true);
+  view.setUint32(4, size % 0x100000000, true);
+  yield trailer;
+}
+
+/**
+ * Compresses data into a GZIP stream
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob|ReadableStream} data - The data to compress
+ * @param {object} options - Header options, as for generateGzipChunks
+ * @returns {ReadableStream<Uint8Array>} - The .gz stream
+ */
+export const createGzipStream = (data, options = {}) => {
+  return createStreamFromIterator(generateGzipChunks(data, options));
+};
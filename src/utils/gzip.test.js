@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { createGzipStream } from './gzip';
+
+describe('createGzipStream', () => {
+  it('writes a member the platform can decompress, with the name in the header', async () => {
+    const text = JSON.stringify({ values: Array.from({ length: 100 }, (_, index) => index) });
+    const bytes = new Uint8Array(await new Response(createGzipStream(text, { name: 'data.json', lastModified: 0 })).arrayBuffer());
+
+    expect(Array.from(bytes.subarray(0, 4))).toEqual([0x1f, 0x8b, 8, 0x08]);
+    expect(new TextDecoder().decode(bytes.subarray(10, 20))).toBe('data.json\0');
+
+    const inflated = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    expect(await new Response(inflated).text()).toBe(text);
+  });
+
+  it('stores the name as Latin-1, replacing other characters', async () => {
+    const bytes = new Uint8Array(await new Response(createGzipStream('1', { name: 'é€.json' })).arrayBuffer());
+    expect(Array.from(bytes.subarray(10, 13))).toEqual([0xe9, 0x5f, 0x2e]);
+  });
+});
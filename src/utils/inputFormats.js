@@ -0,0 +1,212 @@
+/**
+ * Input formats the converter reads, and how their files are recognized
+ */
+
+import { parseJsonLinesText, validateJsonLinesText, looksLikeJsonLines } from './jsonLines';
+import { parseLenientJson } from './lenientJson';
+import { parseYamlDocuments } from './yamlParser';
+import { parseToml } from './tomlParser';
+import { parseCsv } from './csv';
+import { parseXml } from './xmlParser';
+
+export const INPUT_FORMATS = {
+  JSON: 'json',
+  JSON_LINES: 'ndjson',
+  JSONC: 'jsonc',
+  JSON5: 'json5',
+  YAML: 'yaml',
+  TOML: 'toml',
+  CSV: 'csv',
+  TSV: 'tsv',
+  XML: 'xml'
+};
+
+// Files in an `incremental` format are read a piece at a time; the others are parsed whole.
+// `domParser` formats are read with the page's DOMParser, which workers do not have.
+const FORMAT_DETAILS = {
+  [INPUT_FORMATS.JSON]: {
+    label: 'JSON',
+    extensions: ['.json'],
+    mimeTypes: ['application/json', 'text/json'],
+    incremental: true
+  },
+  [INPUT_FORMATS.JSON_LINES]: {
+    label: 'JSON Lines',
+    extensions: ['.ndjson', '.jsonl'],
+    mimeTypes: ['application/x-ndjson', 'application/jsonl'],
+    incremental: true
+  },
+  [INPUT_FORMATS.JSONC]: {
+    label: 'JSON with comments (JSONC)',
+    extensions: ['.jsonc'],
+    mimeTypes: []
+  },
+  [INPUT_FORMATS.JSON5]: {
+    label: 'JSON5',
+    extensions: ['.json5'],
+    mimeTypes: ['application/json5']
+  },
+  [INPUT_FORMATS.YAML]: {
+    label: 'YAML',
+    extensions: ['.yaml', '.yml'],
+    mimeTypes: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml']
+  },
+  [INPUT_FORMATS.TOML]: {
+    label: 'TOML',
+    extensions: ['.toml'],
+    mimeTypes: ['application/toml']
+  },
+  [INPUT_FORMATS.CSV]: {
+    label: 'CSV',
+    extensions: ['.csv'],
+    mimeTypes: ['text/csv']
+  },
+  [INPUT_FORMATS.TSV]: {
+    label: 'TSV',
+    extensions: ['.tsv', '.tab'],
+    mimeTypes: ['text/tab-separated-values']
+  },
+  [INPUT_FORMATS.XML]: {
+    label: 'XML',
+    extensions: ['.xml'],
+    mimeTypes: ['application/xml', 'text/xml'],
+    domParser: true
+  }
+};
+
+/**
+ * Looks up an input format
+ * @param {string} format - One of INPUT_FORMATS
+ * @returns {{id: string, label: string, extensions: string[], mimeTypes: string[], incremental?: boolean, domParser?: boolean}}
+ */
+export const getInputFormat = (format = INPUT_FORMATS.JSON) => {
+  const details = FORMAT_DETAILS[format];
+  if (!details) {
+    throw new Error(`Unsupported input format: ${format}`);
+  }
+  return { id: format, ...details };
+};
+
+/**
+ * Lists every input format
+ * @returns {Object[]} - Format descriptions, as returned by getInputFormat
+ */
+export const getSupportedInputFormats = () => {
+  return Object.keys(FORMAT_DETAILS).map((format) => getInputFormat(format));
+};
+
+// Extensions and MIME types of every input format, for file pickers and drop zones
+export const INPUT_FILE_EXTENSIONS = getSupportedInputFormats().flatMap((format) => format.extensions);
+export const INPUT_MIME_TYPES = getSupportedInputFormats().flatMap((format) => format.mimeTypes);
+
+/**
+ * Tells whether files in a format are read incrementally. JSON and JSON Lines
+ * are; the other formats are parsed whole.
+ * @param {string} format - One of INPUT_FORMATS, or undefined for JSON or JSON Lines
+ * @returns {boolean}
+ */
+export const isIncrementalInputFormat = (format) => {
+  return format === undefined || Boolean(getInputFormat(format).incremental);
+};
+
+/**
+ * Tells whether a format is read with DOMParser, so only in the page and not in a worker
+ * @param {string} format - One of INPUT_FORMATS, or undefined for JSON or JSON Lines
+ * @returns {boolean}
+ */
+export const isDomInputFormat = (format) => {
+  return format !== undefined && Boolean(getInputFormat(format).domParser);
+};
+
+/**
+ * Tells whether a format is a lenient JSON dialect, whose original text can
+ * be kept in the archive in place of strict JSON
+ * @param {string} format - One of INPUT_FORMATS
+ * @returns {boolean}
+ */
+export const isLenientInputFormat = (format) => {
+  return format === INPUT_FORMATS.JSONC || format === INPUT_FORMATS.JSON5;
+};
+
+/**
+ * Tells whether a format is a table of delimited text, read as an array of
+ * objects with one key per column
+ * @param {string} format - One of INPUT_FORMATS
+ * @returns {boolean}
+ */
+export const isTabularInputFormat = (format) => {
+  return format === INPUT_FORMATS.CSV || format === INPUT_FORMATS.TSV;
+};
+
+/**
+ * Recognizes an input file by its extension, then its MIME type
+ * @param {File|Blob} file - The input file
+ * @returns {string|undefined} - One of INPUT_FORMATS, or undefined when the file is not recognized
+ */
+export const getFileInputFormat = (file) => {
+  const name = (file.name || '').toLowerCase();
+  const formats = getSupportedInputFormats();
+  return (formats.find((format) => format.extensions.some((extension) => name.endsWith(extension)))
+    ?? formats.find((format) => format.mimeTypes.includes(file.type)))?.id;
+};
+
+/**
+ * Parses input text. Without a format, text that is not one JSON document but
+ * reads as JSON Lines is parsed as JSON Lines. A YAML stream also gives its
+ * documents; empty ones, such as after a trailing ---, are left out. CSV and
+ * TSV give one object per row, keeping every column with its inferred type.
+ * XML gives an object keyed by its root element's name.
+ * @param {string} text - The input text
+ * @param {string} format - One of INPUT_FORMATS, or undefined to detect JSON or JSON Lines
+ * @param {Object} options - Conversion options; XML follows their xml* conventions
+ * @returns {{data: any, format: string, documents?: any[]}} - The parsed value (an array for JSON Lines,
+ *   CSV and TSV, or for a YAML stream of several documents) and the format read
+ */
+export const parseInputText = (text, format = undefined, options = {}) => {
+  if (format === INPUT_FORMATS.JSON_LINES) {
+    return { data: parseJsonLinesText(text), format };
+  }
+  if (isLenientInputFormat(format)) {
+    return { data: parseLenientJson(text, format), format };
+  }
+  if (format === INPUT_FORMATS.YAML) {
+    const documents = parseYamlDocuments(text).filter((document) => document !== null);
+    return { data: documents.length === 1 ? documents[0] : documents, format, documents };
+  }
+  if (format === INPUT_FORMATS.TOML) {
+    return { data: parseToml(text), format };
+  }
+  if (isTabularInputFormat(format)) {
+    return { data: parseCsv(text, { delimiter: format === INPUT_FORMATS.TSV ? '\t' : undefined }), format };
+  }
+  if (format === INPUT_FORMATS.XML) {
+    return { data: parseXml(text, options), format };
+  }
+  getInputFormat(format);
+
+  try {
+    return { data: JSON.parse(text), format: INPUT_FORMATS.JSON };
+  } catch (error) {
+    if (format === undefined && looksLikeJsonLines(text)) {
+      return { data: parseJsonLinesText(text), format: INPUT_FORMATS.JSON_LINES };
+    }
+    throw new SyntaxError(`Invalid JSON format: ${error.message}`);
+  }
+};
+
+/**
+ * Checks input text, reporting every bad line of JSON Lines
+ * @param {string} text - The input text
+ * @param {string} format - One of INPUT_FORMATS, or undefined to detect JSON or JSON Lines
+ * @param {Object} options - Conversion options, as for parseInputText
+ * @returns {{errors: string[], format: string, data?: any}} - The parsed value when there are no errors
+ */
+export const checkInputText = (text, format = undefined, options = {}) => {
+  try {
+    return { errors: [], ...parseInputText(text, format, options) };
+  } catch (error) {
+    const isJsonLines = format === INPUT_FORMATS.JSON_LINES || (format === undefined && looksLikeJsonLines(text));
+    if (!isJsonLines) return { errors: [error.message], format: format ?? INPUT_FORMATS.JSON };
+    return { errors: validateJsonLinesText(text).errors, format: INPUT_FORMATS.JSON_LINES };
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * JSON Lines (NDJSON, .jsonl): one JSON value per line. Blank lines are
+ * skipped, and a value may not span lines. Errors name the line and quote
+ * the start of it.
+ */
+
+import { readStreamChunks, toReadableStream } from './streamUtils';
+
+// Characters of a bad line quoted in its error
+const SNIPPET_LENGTH = 40;
+
+const quoteLine = (line) => {
+  const text = line.trim();
+  return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text;
+};
+
+/**
+ * Parses one line
+ * @param {string} line - The line, without its line break
+ * @param {number} lineNumber - 1-based, for the error message
+ * @returns {any} - The parsed value
+ */
+export const parseJsonLine = (line, lineNumber) => {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    throw new SyntaxError(`Line ${lineNumber}: ${error.message} (${quoteLine(line)})`);
+  }
+};
+
+/**
+ * Splits text into its non-blank lines
+ * @param {string} text - JSON Lines text
+ * @returns {Generator<{line: string, lineNumber: number}>}
+ */
+function* splitLines(text) {
+  const lines = text.replace(/^\uFEFF/, '').split('\n');
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (line.trim()) yield { line, lineNumber: index + 1 };
+  }
+}
+
+/**
+ * Parses JSON Lines text into an array of its values
+ * @param {string} text - JSON Lines text
+ * @returns {any[]} - One value per non-blank line
+ */
+export const parseJsonLinesText = (text) => {
+  const values = [];
+  for (const { line, lineNumber } of splitLines(text)) {
+    values.push(parseJsonLine(line, lineNumber));
+  }
+  return values;
+};
+
+/**
+ * Checks every line of JSON Lines text
+ * @param {string} text - JSON Lines text
+ * @param {number} maxErrors - Errors to report before stopping
+ * @returns {{errors: string[], count: number}} - Line errors, and the number of values read
+ */
+export const validateJsonLinesText = (text, maxErrors = 20) => {
+  const errors = [];
+  let count = 0;
+  for (const { line, lineNumber } of splitLines(text)) {
+    try {
+      parseJsonLine(line, lineNumber);
+      count++;
+    } catch (error) {
+      errors.push(error.message);
+      if (errors.length === maxErrors) break;
+    }
+  }
+  return { errors, count };
+};
+
+/**
+ * Tells whether text that is not a single JSON document reads as JSON Lines:
+ * its first line is a complete value and more lines follow
+ * @param {string} text - The text
+ * @returns {boolean}
+ */
+export const looksLikeJsonLines = (text) => {
+  const lines = splitLines(text);
+  const first = lines.next();
+  if (first.done || lines.next().done) return false;
+  try {
+    JSON.parse(first.value.line);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Yields the values of a JSON Lines file one line at a time, so large log
+ * exports are never held in memory whole
+ * @param {Blob|File|ReadableStream<Uint8Array>} source - JSON Lines text
+ * @returns {AsyncGenerator<any>} - Each parsed line
+ */
+export async function* iterateJsonLines(source) {
+  const decoder = new TextDecoder();
+  let pending = '';
+  let lineNumber = 0;
+
+  for await (const chunk of readStreamChunks(toReadableStream(source))) {
+    pending += decoder.decode(chunk, { stream: true });
+
+    let lineStart = 0;
+    let lineEnd;
+    while ((lineEnd = pending.indexOf('\n', lineStart)) !== -1) {
+      const line = pending.slice(lineStart, lineEnd);
+      lineStart = lineEnd + 1;
+      lineNumber++;
+      if (line.trim()) yield parseJsonLine(line, lineNumber);
+    }
+    pending = pending.slice(lineStart);
+  }
+
+  pending += decoder.decode();
+  lineNumber++;
+  if (pending.trim()) yield parseJsonLine(pending, lineNumber);
+}
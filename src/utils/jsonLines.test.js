@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { parseJsonLinesText, validateJsonLinesText, looksLikeJsonLines, iterateJsonLines } from './jsonLines';
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+// Streams the bytes of text in fixed-size chunks, splitting lines and characters
+const chunkedStream = (text, size) => {
+  const bytes = new TextEncoder().encode(text);
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(bytes.slice(offset, offset + size));
+      offset += size;
+    }
+  });
+};
+
+describe('parseJsonLinesText', () => {
+  it('reads one value per line, skipping blank lines and a BOM', () => {
+    expect(parseJsonLinesText('\uFEFF{"a":1}\r\n\n  \n[2]\n"three"')).toEqual([{ a: 1 }, [2], 'three']);
+    expect(parseJsonLinesText('')).toEqual([]);
+  });
+
+  it('names and quotes the line that fails', () => {
+    expect(() => parseJsonLinesText('1\n\n{"a":\n')).toThrow(/^Line 3: .* \(\{"a":\)$/);
+    expect(() => parseJsonLinesText(`{${'x'.repeat(60)}`)).toThrow(`(${`{${'x'.repeat(39)}`}…)`);
+  });
+});
+
+describe('validateJsonLinesText', () => {
+  it('counts good lines and collects errors up to the limit', () => {
+    const { errors, count } = validateJsonLinesText('1\nx\n2\ny\nz', 2);
+    expect(count).toBe(2);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(/^Line 2: /);
+    expect(errors[1]).toMatch(/^Line 4: /);
+  });
+});
+
+describe('looksLikeJsonLines', () => {
+  it('needs a complete first value and more lines', () => {
+    expect(looksLikeJsonLines('{"a":1}\n{"a":2}')).toBe(true);
+    expect(looksLikeJsonLines('{"a":1}\n')).toBe(false);
+    expect(looksLikeJsonLines('{\n"a": 1\n}')).toBe(false);
+  });
+});
+
+describe('iterateJsonLines', () => {
+  it('yields values across chunk boundaries, with or without a final line break', async () => {
+    const text = '{"name":"Zoë"}\n\n[1,2]\n"last"';
+    expect(await collect(iterateJsonLines(chunkedStream(text, 3)))).toEqual([{ name: 'Zoë' }, [1, 2], 'last']);
+    expect(await collect(iterateJsonLines(new Blob([`${text}\n`])))).toEqual([{ name: 'Zoë' }, [1, 2], 'last']);
+  });
+
+  it('numbers lines the same way as the text parser', async () => {
+    await expect(collect(iterateJsonLines(chunkedStream('1\n\nbad', 2)))).rejects.toThrow(/^Line 3: /);
+  });
+});
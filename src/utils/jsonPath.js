@@ -0,0 +1,202 @@
+/**
+ * Selectors for picking values out of a JSON document, in two syntaxes:
+ *   JSONPath      $.records[*], $..id, $['odd key'][0], $.items[-1]
+ *                 ($ or @ for the root, .name, ['name'], [index], [*], .*, ..)
+ *   JSON Pointer  /records/0 (RFC 6901; ~1 stands for / and ~0 for ~)
+ * Filter expressions and slices are not supported.
+ */
+
+/**
+ * Parses a JSONPath expression into a list of steps
+ */
+const parseJsonPath = (expression) => {
+  const steps = [];
+  let i = 1;
+
+  const fail = (message) => {
+    throw new Error(`Invalid JSONPath "${expression}" at position ${i + 1}: ${message}`);
+  };
+
+  const readName = () => {
+    const match = /^[^.[\]\s]+/.exec(expression.slice(i));
+    if (!match) fail('expected a property name');
+    i += match[0].length;
+    return match[0];
+  };
+
+  const readBracket = () => {
+    const close = expression.indexOf(']', i);
+    if (close === -1) fail('missing "]"');
+    const body = expression.slice(i + 1, close).trim();
+    i = close + 1;
+
+    if (body === '*') return { type: 'wildcard' };
+    if (/^-?\d+$/.test(body)) return { type: 'index', index: Number(body) };
+    const quoted = /^(['"])(.*)\1$/.exec(body);
+    if (quoted) return { type: 'name', name: quoted[2].replace(/\\(.)/g, '$1') };
+    if (body.startsWith('?') || body.includes(':')) fail('filters and slices are not supported');
+    return fail(`unexpected "${body}"`);
+  };
+
+  while (i < expression.length) {
+    if (expression.startsWith('..', i)) {
+      i += 2;
+      let step;
+      if (expression[i] === '[') step = readBracket();
+      else if (expression[i] === '*') {
+        i++;
+        step = { type: 'wildcard' };
+      } else step = { type: 'name', name: readName() };
+      steps.push({ ...step, descendants: true });
+    } else if (expression[i] === '.') {
+      i++;
+      if (expression[i] === '*') {
+        i++;
+        steps.push({ type: 'wildcard' });
+      } else {
+        steps.push({ type: 'name', name: readName() });
+      }
+    } else if (expression[i] === '[') {
+      steps.push(readBracket());
+    } else {
+      fail(`unexpected "${expression[i]}"`);
+    }
+  }
+
+  return steps;
+};
+
+/**
+ * Parses a JSON Pointer into a list of name steps
+ */
+const parseJsonPointer = (pointer) => {
+  if (pointer === '') return [];
+  return pointer.slice(1).split('/').map((token) => ({
+    type: 'pointer',
+    name: token.replace(/~1/g, '/').replace(/~0/g, '~')
+  }));
+};
+
+/**
+ * Parses a JSONPath ($...) or JSON Pointer (/...) selector
+ * @param {string} selector - The selector text
+ * @returns {{kind: 'jsonpath'|'pointer', steps: Object[]}} - The parsed selector
+ */
+export const parseSelector = (selector) => {
+  const text = String(selector ?? '').trim();
+  if (text === '' || text.startsWith('/')) {
+    return { kind: 'pointer', steps: parseJsonPointer(text) };
+  }
+  if (text[0] === '$' || text[0] === '@') {
+    return { kind: 'jsonpath', steps: parseJsonPath(text) };
+  }
+  throw new Error(`"${text}" is not a selector; start a JSONPath with $ or a JSON Pointer with /`);
+};
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Lists the children of a value a step selects, with their keys
+ */
+const selectChildren = (node, step) => {
+  if (!isContainer(node)) return [];
+
+  if (step.type === 'wildcard') {
+    return Array.isArray(node)
+      ? node.map((value, index) => [index, value])
+      : Object.entries(node);
+  }
+  if (step.type === 'index') {
+    if (!Array.isArray(node)) return [];
+    const index = step.index < 0 ? node.length + step.index : step.index;
+    return index >= 0 && index < node.length ? [[index, node[index]]] : [];
+  }
+  if (Array.isArray(node)) {
+    // Pointer tokens and bracketed numbers name array items by position
+    if (step.type !== 'pointer' || !/^(0|[1-9]\d*)$/.test(step.name)) return [];
+    const index = Number(step.name);
+    return index < node.length ? [[index, node[index]]] : [];
+  }
+  return Object.prototype.hasOwnProperty.call(node, step.name) ? [[step.name, node[step.name]]] : [];
+};
+
+/**
+ * Visits a value and all of its descendants, in document order
+ */
+function* walk(value, path) {
+  yield { path, value };
+  if (!isContainer(value)) return;
+  const entries = Array.isArray(value) ? value.map((child, index) => [index, child]) : Object.entries(value);
+  for (const [key, child] of entries) {
+    yield* walk(child, [...path, key]);
+  }
+}
+
+/**
+ * Finds the values a selector matches, in document order
+ * @param {*} document - The parsed JSON document
+ * @param {string|Object} selector - Selector text, or the result of parseSelector
+ * @returns {Array<{path: Array<string|number>, value: *}>} - Each match with its path from the root
+ */
+export const selectMatches = (document, selector) => {
+  const { steps } = typeof selector === 'string' ? parseSelector(selector) : selector;
+  let matches = [{ path: [], value: document }];
+
+  for (const step of steps) {
+    const next = [];
+    for (const match of matches) {
+      const origins = step.descendants ? walk(match.value, match.path) : [match];
+      for (const origin of origins) {
+        for (const [key, value] of selectChildren(origin.value, step)) {
+          next.push({ path: [...origin.path, key], value });
+        }
+      }
+    }
+    matches = next;
+  }
+
+  return matches;
+};
+
+/**
+ * Copies a document without the values at the given paths. Only the
+ * containers along those paths are copied; everything else is shared.
+ * @param {*} document - The parsed JSON document
+ * @param {Array<Array<string|number>>} paths - Paths of the values to leave out
+ * @returns {*} - The remaining document, or undefined if the root itself was removed
+ */
+export const omitPaths = (document, paths) => {
+  const trie = new Map();
+  // Nested maps of the keys along each path; null marks a removed value
+  for (const path of paths) {
+    if (path.length === 0) return undefined;
+    let level = trie;
+    for (const [depth, key] of path.entries()) {
+      if (depth === path.length - 1) {
+        level.set(key, null);
+        break;
+      }
+      // Already inside a removed value
+      if (level.get(key) === null) break;
+      if (!level.has(key)) level.set(key, new Map());
+      level = level.get(key);
+    }
+  }
+
+  const copy = (node, level) => {
+    if (Array.isArray(node)) {
+      return node.flatMap((child, index) => {
+        if (!level.has(index)) return [child];
+        return level.get(index) === null ? [] : [copy(child, level.get(index))];
+      });
+    }
+    const result = {};
+    for (const [key, child] of Object.entries(node)) {
+      if (!level.has(key)) result[key] = child;
+      else if (level.get(key) !== null) result[key] = isContainer(child) ? copy(child, level.get(key)) : child;
+    }
+    return result;
+  };
+
+  return isContainer(document) ? copy(document, trie) : document;
+};
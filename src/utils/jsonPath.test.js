@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { parseSelector, selectMatches, omitPaths } from './jsonPath';
+
+const doc = {
+  records: [
+    { id: 1, tags: ['a'], owner: { id: 10 } },
+    { id: 2, tags: [] }
+  ],
+  'odd key': ['x', 'y'],
+  'a/b': { '~c': true }
+};
+
+const values = (selector) => selectMatches(doc, selector).map(({ value }) => value);
+const paths = (selector) => selectMatches(doc, selector).map(({ path }) => path);
+
+describe('parseSelector', () => {
+  it('tells JSONPath from JSON Pointer', () => {
+    expect(parseSelector('$.records[*]')).toEqual({
+      kind: 'jsonpath',
+      steps: [{ type: 'name', name: 'records' }, { type: 'wildcard' }]
+    });
+    expect(parseSelector('/a~1b/~0c')).toEqual({
+      kind: 'pointer',
+      steps: [{ type: 'pointer', name: 'a/b' }, { type: 'pointer', name: '~c' }]
+    });
+    expect(parseSelector('')).toEqual({ kind: 'pointer', steps: [] });
+  });
+
+  it('rejects what it cannot read', () => {
+    expect(() => parseSelector('records')).toThrow('is not a selector');
+    expect(() => parseSelector('$.records[0')).toThrow('missing "]"');
+    expect(() => parseSelector('$.records[?(@.id)]')).toThrow('filters and slices are not supported');
+    expect(() => parseSelector('$.records[1:2]')).toThrow('filters and slices are not supported');
+    expect(() => parseSelector('$x')).toThrow('Invalid JSONPath "$x" at position 2');
+  });
+});
+
+describe('selectMatches', () => {
+  it('follows names, indexes and wildcards', () => {
+    expect(values('$.records[*].id')).toEqual([1, 2]);
+    expect(values("$['odd key'][-1]")).toEqual(['y']);
+    expect(values('$.records[5]')).toEqual([]);
+    expect(values('$.missing.id')).toEqual([]);
+    expect(paths('$.records.*')).toEqual([['records', 0], ['records', 1]]);
+  });
+
+  it('finds descendants in document order', () => {
+    expect(paths('$..id')).toEqual([
+      ['records', 0, 'id'],
+      ['records', 0, 'owner', 'id'],
+      ['records', 1, 'id']
+    ]);
+  });
+
+  it('reads JSON Pointers, with numeric tokens indexing arrays', () => {
+    expect(values('/records/1/id')).toEqual([2]);
+    expect(values('/a~1b/~0c')).toEqual([true]);
+    expect(values('/records/01')).toEqual([]);
+    expect(values('')).toEqual([doc]);
+  });
+});
+
+describe('omitPaths', () => {
+  it('leaves the matched values out and shares the rest', () => {
+    const result = omitPaths(doc, [['records', 0, 'owner'], ['odd key', 0]]);
+    expect(result.records[0]).toEqual({ id: 1, tags: ['a'] });
+    expect(result['odd key']).toEqual(['y']);
+    expect(result.records[1]).toBe(doc.records[1]);
+    expect(doc.records[0].owner).toEqual({ id: 10 });
+  });
+
+  it('ignores paths inside a value that is already removed', () => {
+    expect(omitPaths(doc, [['records'], ['records', 0, 'id']])).toEqual({ 'odd key': ['x', 'y'], 'a/b': { '~c': true } });
+    expect(omitPaths(doc, [['records', 0, 'id'], ['records']])).not.toHaveProperty('records');
+  });
+
+  it('removes the whole document for the root path', () => {
+    expect(omitPaths(doc, [[]])).toBeUndefined();
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Splits one large document into many entries (the `splitPath` option): every
+ * value the selector matches becomes its own file, optionally in a folder named
+ * by `groupPath` evaluated on the match, and what is left of the document is
+ * saved as _root.json.
+ */
+
+import { parseSelector, selectMatches, omitPaths } from './jsonPath';
+import { sanitizeFilename } from './fileUtils';
+
+export const ROOT_FILENAME = '_root.json';
+
+// Folder for matches whose group selector finds no usable value
+export const UNGROUPED_FOLDER = '_ungrouped';
+
+/**
+ * Checks the split selectors
+ * @param {object} options - Archive options with splitPath and optional groupPath
+ * @returns {{split: Object, group: Object|null}} - The parsed selectors
+ */
+export const resolveSplitOptions = (options = {}) => {
+  if (!String(options.splitPath ?? '').trim()) {
+    throw new Error('Enter a selector such as $.records[*] to split the document');
+  }
+
+  const group = String(options.groupPath ?? '').trim() ? parseSelector(options.groupPath) : null;
+  return { split: parseSelector(options.splitPath), group };
+};
+
+/**
+ * Finds the values to split out. A JSON Pointer names one value, so when it
+ * points at an array its items are split out instead. Matches inside an
+ * earlier match stay part of it.
+ * @param {*} document - The parsed JSON document
+ * @param {string|Object} selector - Selector text, or the result of parseSelector
+ * @returns {Array<{path: Array<string|number>, value: *}>} - The matches in document order
+ */
+export const selectSplitMatches = (document, selector) => {
+  const parsed = typeof selector === 'string' ? parseSelector(selector) : selector;
+  let matches = selectMatches(document, parsed);
+
+  if (parsed.kind === 'pointer' && matches.length === 1 && Array.isArray(matches[0].value)) {
+    const [{ path, value }] = matches;
+    matches = value.map((item, index) => ({ path: [...path, index], value: item }));
+  }
+
+  const taken = new Set();
+  return matches.filter(({ path }) => {
+    const keys = path.map((key) => JSON.stringify(key));
+    for (let length = 0; length <= keys.length; length++) {
+      if (taken.has(keys.slice(0, length).join('/'))) return false;
+    }
+    taken.add(keys.join('/'));
+    return true;
+  });
+};
+
+/**
+ * Generates the entries of a split document: _root.json with the remainder,
+ * then one file per match. Matches carry splitOutputFormat, when set, as their format.
+ * @param {*} document - The parsed JSON document
+ * @param {object} options - Archive options with splitPath and optional groupPath
+ * @param {(count: number) => Function} createNamer - Returns the (item, index) => filename
+ *   function for this many matches
+ * @returns {Generator<{name: string, value: *, format?: string}>}
+ */
+export function* generateSplitEntries(document, options, createNamer) {
+  const { split, group } = resolveSplitOptions(options);
+  const matches = selectSplitMatches(document, split);
+  if (matches.length === 0) {
+    throw new Error(`${options.splitPath} matched nothing in the document`);
+  }
+
+  const nameEntry = createNamer(matches.length);
+  const remainder = omitPaths(document, matches.map(({ path }) => path));
+  if (remainder !== undefined) {
+    yield { name: ROOT_FILENAME, value: remainder };
+  }
+
+  const format = options.splitOutputFormat || undefined;
+  for (const [index, { value }] of matches.entries()) {
+    let name = nameEntry(value, index);
+    if (group) {
+      const key = selectMatches(value, group)[0]?.value;
+      const folder = key === undefined || (key !== null && typeof key === 'object') ? '' : sanitizeFilename(String(key));
+      name = `${folder || UNGROUPED_FOLDER}/${name}`;
+    }
+    yield { name, value, format };
+  }
+}
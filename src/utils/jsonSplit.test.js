@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { resolveSplitOptions, selectSplitMatches, generateSplitEntries, ROOT_FILENAME, UNGROUPED_FOLDER } from './jsonSplit';
+
+const namer = () => (item, index) => `${index + 1}.json`;
+
+describe('selectSplitMatches', () => {
+  it('splits out the items of an array a JSON Pointer names', () => {
+    const doc = { rows: [{ a: 1 }, { a: 2 }] };
+    expect(selectSplitMatches(doc, '/rows')).toEqual([
+      { path: ['rows', 0], value: { a: 1 } },
+      { path: ['rows', 1], value: { a: 2 } }
+    ]);
+  });
+
+  it('keeps matches inside an earlier match as part of it', () => {
+    const doc = { node: { id: 1, child: { node: { id: 2 } } }, other: { node: { id: 3 } } };
+    expect(selectSplitMatches(doc, '$..node').map(({ path }) => path)).toEqual([
+      ['node'],
+      ['other', 'node']
+    ]);
+  });
+});
+
+describe('generateSplitEntries', () => {
+  it('writes the remainder as _root.json, then one entry per match', () => {
+    const doc = { meta: { v: 1 }, records: [{ id: 1 }, { id: 2 }] };
+    const entries = [...generateSplitEntries(doc, { splitPath: '$.records[*]', splitOutputFormat: 'yaml' }, namer)];
+    expect(entries).toEqual([
+      { name: ROOT_FILENAME, value: { meta: { v: 1 }, records: [] } },
+      { name: '1.json', value: { id: 1 }, format: 'yaml' },
+      { name: '2.json', value: { id: 2 }, format: 'yaml' }
+    ]);
+  });
+
+  it('leaves out _root.json when the whole document was split', () => {
+    const entries = [...generateSplitEntries({ id: 1 }, { splitPath: '$' }, namer)];
+    expect(entries).toEqual([{ name: '1.json', value: { id: 1 }, format: undefined }]);
+  });
+
+  it('groups matches into folders by groupPath', () => {
+    const doc = [{ kind: 'a/b' }, { kind: { nested: true } }, {}];
+    const names = [...generateSplitEntries(doc, { splitPath: '$[*]', groupPath: '$.kind' }, namer)]
+      .map(({ name }) => name)
+      .filter((name) => name !== ROOT_FILENAME);
+    expect(names).toEqual(['a_b/1.json', `${UNGROUPED_FOLDER}/2.json`, `${UNGROUPED_FOLDER}/3.json`]);
+  });
+
+  it('reports missing selectors and empty results', () => {
+    expect(() => resolveSplitOptions({})).toThrow('Enter a selector');
+    expect(() => [...generateSplitEntries({ a: 1 }, { splitPath: '$.b[*]' }, namer)]).toThrow('$.b[*] matched nothing in the document');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Incremental JSON reading for inputs too large to parse in one go
+ */
+
+import { readStreamChunks, toReadableStream } from './streamUtils';
+
+/**
+ * Yields the elements of a top-level JSON array one at a time. Only the
+ * current element is held in memory, so multi-hundred-megabyte files can be
+ * split without loading them whole.
+ * @param {Blob|File|ReadableStream<Uint8Array>} source - JSON text whose root is an array
+ * @returns {AsyncGenerator<any>} - Each parsed array element
+ */
+export async function* iterateJsonArrayItems(source) {
+  const decoder = new TextDecoder();
+  let started = false;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let item = '';
+  let index = 0;
+
+  const parseItem = () => {
+    const text = item.trim();
+    item = '';
+    if (!text) return { empty: true };
+    try {
+      return { value: JSON.parse(text) };
+    } catch (error) {
+      throw new Error(`Invalid JSON in array item ${index}: ${error.message}`);
+    }
+  };
+
+  for await (const chunk of readStreamChunks(toReadableStream(source))) {
+    const text = decoder.decode(chunk, { stream: true });
+    let sliceStart = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (!started) {
+        // \s also matches a leading byte order mark
+        if (/\s/.test(char)) continue;
+        if (char !== '[') {
+          throw new Error('Expected a JSON array at the root of the document');
+        }
+        started = true;
+        sliceStart = i + 1;
+        continue;
+      }
+
+      if (finished) {
+        if (!/\s/.test(char)) {
+          throw new Error('Unexpected content after the end of the JSON array');
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if ((char === '}' || char === ']') && depth > 0) {
+        depth--;
+      } else if (depth === 0 && (char === ',' || char === ']')) {
+        item += text.slice(sliceStart, i);
+        sliceStart = i + 1;
+
+        const parsed = parseItem();
+        if (parsed.empty) {
+          // Only "[]" may close without an element
+          if (char === ',' || index > 0) {
+            throw new Error(`Missing value in array at item ${index}`);
+          }
+        } else {
+          index++;
+          yield parsed.value;
+        }
+
+        if (char === ']') finished = true;
+      }
+    }
+
+    if (started && !finished) {
+      item += text.slice(sliceStart);
+    }
+  }
+
+  if (!finished) {
+    throw new Error('Unexpected end of JSON input');
+  }
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { iterateJsonArrayItems } from './jsonStream';
+
+// Splits text into tiny chunks so items and strings cross chunk boundaries
+const chunkedStream = (text, size = 3) => {
+  const bytes = new TextEncoder().encode(text);
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(bytes.slice(offset, offset + size));
+      offset += size;
+    }
+  });
+};
+
+const collect = async (source) => {
+  const items = [];
+  for await (const item of iterateJsonArrayItems(source)) items.push(item);
+  return items;
+};
+
+describe('iterateJsonArrayItems', () => {
+  it('yields each element of a root array', async () => {
+    const items = [{ a: '[1, 2]' }, 'quote \\" and }', [1, [2, { b: null }]], 3.5, true, 'é'];
+    expect(await collect(chunkedStream(`\uFEFF [${items.map((item) => JSON.stringify(item)).join(' ,\n')}] \n`))).toEqual(items);
+  });
+
+  it('reads an empty array and a Blob', async () => {
+    expect(await collect(new Blob(['[ ]']))).toEqual([]);
+    expect(await collect(new Blob(['[1,2]']))).toEqual([1, 2]);
+  });
+
+  it('rejects other roots, bad items and trailing content', async () => {
+    await expect(collect(new Blob(['{"a": 1}']))).rejects.toThrow('Expected a JSON array at the root');
+    await expect(collect(new Blob(['[1, {bad}]']))).rejects.toThrow('Invalid JSON in array item 1');
+    await expect(collect(new Blob(['[1] 2']))).rejects.toThrow('Unexpected content after the end of the JSON array');
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Lenient JSON readers for configuration files. JSONC, as VS Code writes it,
+ * is JSON with comments and trailing commas. JSON5 also allows single-quoted
+ * strings, unquoted keys, hex numbers, leading or trailing decimal points,
+ * explicit plus signs, Infinity and NaN.
+ */
+
+export const LENIENT_DIALECTS = {
+  JSONC: 'jsonc',
+  JSON5: 'json5'
+};
+
+const DIALECT_LABELS = {
+  [LENIENT_DIALECTS.JSONC]: 'JSONC',
+  [LENIENT_DIALECTS.JSON5]: 'JSON5'
+};
+
+const JSON_WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+// JSON5 also allows these, and any other Unicode space separator
+const JSON5_WHITESPACE = new Set(['\v', '\f', '\u00a0', '\u2028', '\u2029', '\ufeff']);
+const SPACE_SEPARATOR = /\p{Zs}/u;
+
+const LINE_TERMINATORS = new Set(['\n', '\r', '\u2028', '\u2029']);
+
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const JSON5_ESCAPES = { ...JSON_ESCAPES, "'": "'", v: '\v' };
+
+const LITERALS = [['true', true], ['false', false], ['null', null]];
+const JSON5_LITERALS = [...LITERALS, ['Infinity', Infinity], ['NaN', NaN]];
+
+const JSON_NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][-+]?\d+)?/y;
+const JSON5_NUMBER = /([-+]?)(?:(Infinity|NaN)|0[xX]([\da-fA-F]+)|((?:0|[1-9]\d*)(?:\.\d*)?(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?))/y;
+
+const IDENTIFIER = /[$_\p{ID_Start}][$_\u200c\u200d\p{ID_Continue}]*/uy;
+
+const isDigit = (char) => char >= '0' && char <= '9';
+
+// Assigning "__proto__" would replace the object's prototype instead of adding a key, as JSON.parse does
+const setProperty = (object, key, value) => {
+  if (key === '__proto__') {
+    Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+  } else {
+    object[key] = value;
+  }
+};
+
+/**
+ * Parses JSONC or JSON5 text
+ * @param {string} text - The text
+ * @param {string} dialect - One of LENIENT_DIALECTS (default JSON5)
+ * @returns {any} - The parsed value; as with JSON.parse, duplicate keys keep the last value
+ */
+export const parseLenientJson = (text, dialect = LENIENT_DIALECTS.JSON5) => {
+  const label = DIALECT_LABELS[dialect];
+  if (!label) {
+    throw new Error(`Unsupported JSON dialect: ${dialect}`);
+  }
+  const json5 = dialect === LENIENT_DIALECTS.JSON5;
+  const escapes = json5 ? JSON5_ESCAPES : JSON_ESCAPES;
+  let pos = 0;
+
+  const fail = (message, at = pos) => {
+    const before = text.slice(0, at);
+    const line = before.split('\n').length;
+    const column = at - before.lastIndexOf('\n');
+    throw new SyntaxError(`Invalid ${label}: ${message} at line ${line}, column ${column}`);
+  };
+
+  const unexpected = () => {
+    if (pos >= text.length) fail('Unexpected end of input');
+    fail(`Unexpected character ${JSON.stringify(text[pos])}`);
+  };
+
+  const isWhitespace = (char) => JSON_WHITESPACE.has(char) ||
+    (json5 && (JSON5_WHITESPACE.has(char) || SPACE_SEPARATOR.test(char)));
+
+  const skipSpace = () => {
+    while (pos < text.length) {
+      const char = text[pos];
+      if (isWhitespace(char)) {
+        pos++;
+      } else if (char === '/' && text[pos + 1] === '/') {
+        pos += 2;
+        while (pos < text.length && !LINE_TERMINATORS.has(text[pos])) pos++;
+      } else if (char === '/' && text[pos + 1] === '*') {
+        const end = text.indexOf('*/', pos + 2);
+        if (end === -1) fail('Unterminated comment');
+        pos = end + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const readHex = (length) => {
+    const hex = text.slice(pos, pos + length);
+    if (hex.length < length || !/^[\da-fA-F]+$/.test(hex)) fail('Invalid escape sequence');
+    pos += length;
+    return String.fromCharCode(parseInt(hex, 16));
+  };
+
+  const parseEscape = () => {
+    const char = text[pos];
+    if (char === undefined) fail('Unterminated string');
+    if (char === 'u') {
+      pos++;
+      return readHex(4);
+    }
+    if (escapes[char] !== undefined) {
+      pos++;
+      return escapes[char];
+    }
+    if (!json5) fail('Invalid escape sequence');
+
+    if (char === 'x') {
+      pos++;
+      return readHex(2);
+    }
+    if (char === '0' && !isDigit(text[pos + 1])) {
+      pos++;
+      return '\0';
+    }
+    if (isDigit(char)) fail('Invalid escape sequence');
+    // A backslash before a line break continues the string on the next line
+    if (char === '\r' && text[pos + 1] === '\n') {
+      pos += 2;
+      return '';
+    }
+    pos++;
+    return LINE_TERMINATORS.has(char) ? '' : char;
+  };
+
+  const parseString = () => {
+    const quote = text[pos++];
+    let result = '';
+    let chunkStart = pos;
+
+    for (;;) {
+      if (pos >= text.length) fail('Unterminated string');
+      const char = text[pos];
+      if (char === quote) {
+        result += text.slice(chunkStart, pos);
+        pos++;
+        return result;
+      }
+      if (char === '\\') {
+        result += text.slice(chunkStart, pos);
+        pos++;
+        result += parseEscape();
+        chunkStart = pos;
+      } else if (char === '\n' || char === '\r' || (!json5 && char < ' ')) {
+        fail('Unescaped control character in string');
+      } else {
+        pos++;
+      }
+    }
+  };
+
+  const parseNumber = () => {
+    const pattern = json5 ? JSON5_NUMBER : JSON_NUMBER;
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    if (!match) unexpected();
+    pos = pattern.lastIndex;
+    if (!json5) return Number(match[0]);
+
+    const [, sign, special, hex, decimal] = match;
+    const magnitude = special ? Number(special) : hex ? parseInt(hex, 16) : Number(decimal);
+    return sign === '-' ? -magnitude : magnitude;
+  };
+
+  const parseKey = () => {
+    const char = text[pos];
+    if (char === '"' || (json5 && char === "'")) return parseString();
+    if (json5) {
+      IDENTIFIER.lastIndex = pos;
+      const match = IDENTIFIER.exec(text);
+      if (match) {
+        pos = IDENTIFIER.lastIndex;
+        return match[0];
+      }
+    }
+    return unexpected();
+  };
+
+  // Trailing commas are allowed in both dialects
+  const parseObject = () => {
+    pos++;
+    const result = {};
+    skipSpace();
+    while (text[pos] !== '}') {
+      const key = parseKey();
+      skipSpace();
+      if (text[pos] !== ':') unexpected();
+      pos++;
+      setProperty(result, key, parseValue());
+      skipSpace();
+      if (text[pos] === ',') {
+        pos++;
+        skipSpace();
+      } else if (text[pos] !== '}') {
+        unexpected();
+      }
+    }
+    pos++;
+    return result;
+  };
+
+  const parseArray = () => {
+    pos++;
+    const result = [];
+    skipSpace();
+    while (text[pos] !== ']') {
+      result.push(parseValue());
+      skipSpace();
+      if (text[pos] === ',') {
+        pos++;
+        skipSpace();
+      } else if (text[pos] !== ']') {
+        unexpected();
+      }
+    }
+    pos++;
+    return result;
+  };
+
+  const parseValue = () => {
+    skipSpace();
+    const char = text[pos];
+    if (char === '{') return parseObject();
+    if (char === '[') return parseArray();
+    if (char === '"' || (json5 && char === "'")) return parseString();
+
+    for (const [word, value] of json5 ? JSON5_LITERALS : LITERALS) {
+      if (text.startsWith(word, pos)) {
+        pos += word.length;
+        return value;
+      }
+    }
+    if (char === '-' || isDigit(char) || (json5 && (char === '+' || char === '.' || char === 'I' || char === 'N'))) {
+      return parseNumber();
+    }
+    return unexpected();
+  };
+
+  if (text.charCodeAt(0) === 0xfeff) pos = 1;
+  const value = parseValue();
+  skipSpace();
+  if (pos < text.length) unexpected();
+  return value;
+};
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { LENIENT_DIALECTS, parseLenientJson } from './lenientJson';
+
+const { JSONC, JSON5 } = LENIENT_DIALECTS;
+
+describe('parseLenientJson as JSONC', () => {
+  it('allows comments and trailing commas', () => {
+    const text = `{
+      // editor settings
+      "tabSize": 2, /* spaces */
+      "rulers": [80, 120,],
+    }`;
+    expect(parseLenientJson(text, JSONC)).toEqual({ tabSize: 2, rulers: [80, 120] });
+  });
+
+  it('keeps JSON strings and numbers otherwise strict', () => {
+    expect(() => parseLenientJson("{'a': 1}", JSONC)).toThrow('Invalid JSONC: Unexpected character "\'" at line 1, column 2');
+    expect(() => parseLenientJson('{a: 1}', JSONC)).toThrow('Unexpected character "a"');
+    expect(() => parseLenientJson('[0x10]', JSONC)).toThrow('Unexpected character "x"');
+    expect(() => parseLenientJson('"\\v"', JSONC)).toThrow('Invalid escape sequence');
+    expect(() => parseLenientJson('"a\tb"', JSONC)).toThrow('Unescaped control character in string');
+  });
+});
+
+describe('parseLenientJson as JSON5', () => {
+  it('reads the JSON5 extensions', () => {
+    const text = `{
+      unquoted: 'single',
+      $id: "line \\
+continued",
+      hex: 0xFF,
+      half: .5,
+      whole: 2.,
+      plus: +1,
+      big: -Infinity,
+      escapes: '\\x41\\0\\v',
+    }`;
+    expect(parseLenientJson(text)).toEqual({
+      unquoted: 'single',
+      $id: 'line continued',
+      hex: 255,
+      half: 0.5,
+      whole: 2,
+      plus: 1,
+      big: -Infinity,
+      escapes: 'A\0\v'
+    });
+    expect(parseLenientJson('NaN', JSON5)).toBeNaN();
+  });
+
+  it('keeps __proto__ as an ordinary key, and the last of duplicate keys', () => {
+    const value = parseLenientJson('{"__proto__": {"polluted": true}, a: 1, a: 2}');
+    expect(Object.keys(value)).toEqual(['__proto__', 'a']);
+    expect(value.a).toBe(2);
+    expect(({}).polluted).toBeUndefined();
+  });
+
+  it('skips a BOM and Unicode spaces', () => {
+    expect(parseLenientJson('\uFEFF\u00a0[1,\u20032]')).toEqual([1, 2]);
+  });
+});
+
+describe('parseLenientJson errors', () => {
+  it('reports the line and column', () => {
+    expect(() => parseLenientJson('{\n  a: 1\n  b: 2\n}')).toThrow('Invalid JSON5: Unexpected character "b" at line 3, column 3');
+    expect(() => parseLenientJson('[1, 2')).toThrow('Unexpected end of input');
+    expect(() => parseLenientJson('[1] 2')).toThrow('Unexpected character "2"');
+    expect(() => parseLenientJson('/* open', JSONC)).toThrow('Unterminated comment');
+    expect(() => parseLenientJson("'abc")).toThrow('Unterminated string');
+    expect(() => parseLenientJson('[1,,2]')).toThrow('Unexpected character ","');
+  });
+
+  it('rejects unknown dialects', () => {
+    expect(() => parseLenientJson('{}', 'hjson')).toThrow('Unsupported JSON dialect: hjson');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Integrity manifest embedded in archives: manifest.json lists each file's
+ * path, size and SHA-256, and SHA256SUMS holds the same hashes in the
+ * format `sha256sum -c` reads
+ */
+
+import { createSha256, toHex } from './sha256';
+import { toUint8Array } from './streamUtils';
+import { resolveSourceDate } from './deterministic';
+import { SIGNATURE_FILENAME, createManifestSignature } from './signing';
+
+const textEncoder = new TextEncoder();
+
+export const MANIFEST_FILENAME = 'manifest.json';
+export const CHECKSUMS_FILENAME = 'SHA256SUMS';
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Hashes entry data on its way into the archive. Bytes are hashed up front;
+ * Blobs and streams are hashed as the writer reads them, so the digest is
+ * ready once the writer asks for the next entry.
+ */
+const hashEntryData = async (data, record) => {
+  if (data instanceof Blob || data instanceof ReadableStream) {
+    const hasher = createSha256();
+    const stream = (data instanceof Blob ? data.stream() : data).pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        hasher.update(chunk);
+        record.size += chunk.length;
+        controller.enqueue(chunk);
+      },
+      flush() {
+        record.sha256 = toHex(hasher.digest());
+      }
+    }));
+    return { data: stream, size: data instanceof Blob ? data.size : undefined };
+  }
+
+  const bytes = await toUint8Array(data);
+  record.size = bytes.length;
+  record.sha256 = toHex(createSha256().update(bytes).digest());
+  return { data: bytes, size: bytes.length };
+};
+
+/**
+ * Formats SHA256SUMS lines: "<hash>  <path>"
+ * @param {Array<{path: string, sha256: string}>} records - Hashed files
+ * @returns {string} - The checksum file contents
+ */
+export const formatChecksums = (records) => {
+  return records.map(({ path, sha256 }) => `${sha256}  ${path}\n`).join('');
+};
+
+/**
+ * Passes entries through while hashing their data, then appends manifest.json
+ * (plus its signature and SHA256SUMS) after the last one. Without any of the
+ * options, entries are returned untouched.
+ * @param {Iterable|AsyncIterable} entries - Entry sources ({name, data, ...})
+ * @param {object} options - Archive options
+ * @param {boolean} options.includeManifest - Append manifest.json
+ * @param {boolean} options.includeChecksums - Append SHA256SUMS (also covers manifest.json)
+ * @param {CryptoKey} options.signingKey - Sign manifest.json into manifest.json.sig (implies includeManifest)
+ * @returns {Iterable|AsyncIterable} - Entries to write
+ */
+export const withIntegrityManifest = (entries, options = {}) => {
+  if (!options.includeManifest && !options.includeChecksums && !options.signingKey) return entries;
+  return generateManifestEntries(entries, options);
+};
+
+async function* generateManifestEntries(entries, options) {
+  const records = [];
+  const reserved = new Set([MANIFEST_FILENAME, CHECKSUMS_FILENAME, SIGNATURE_FILENAME]);
+
+  for await (const entry of entries) {
+    const name = entry.name.replace(/\\/g, '/').replace(/^\/+/, '');
+    if (reserved.has(name)) {
+      throw new Error(`"${name}" is reserved for the integrity manifest`);
+    }
+    if (name.endsWith('/')) {
+      yield entry;
+      continue;
+    }
+
+    const record = { path: name, size: 0, sha256: null };
+    records.push(record);
+    yield { ...entry, ...(await hashEntryData(entry.data, record)) };
+  }
+
+  const lastModified = options.deterministic ? resolveSourceDate(options) : new Date();
+  const checksums = [...records];
+
+  if (options.includeManifest || options.signingKey) {
+    const manifest = textEncoder.encode(JSON.stringify({
+      version: MANIFEST_VERSION,
+      algorithm: 'SHA-256',
+      generated: lastModified.toISOString(),
+      files: records
+    }, null, 2));
+
+    checksums.push({ path: MANIFEST_FILENAME, sha256: toHex(createSha256().update(manifest).digest()) });
+    yield { name: MANIFEST_FILENAME, data: manifest, lastModified };
+
+    if (options.signingKey) {
+      yield { name: SIGNATURE_FILENAME, data: await createManifestSignature(manifest, options.signingKey), lastModified };
+    }
+  }
+
+  if (options.includeChecksums) {
+    yield { name: CHECKSUMS_FILENAME, data: formatChecksums(checksums), lastModified };
+  }
+}
+
+/**
+ * Parses manifest.json, checking the fields verification relies on
+ * @param {string} text - The manifest contents
+ * @returns {{version: number, algorithm: string, generated: string, files: Array<{path: string, size: number, sha256: string}>}}
+ */
+export const parseManifest = (text) => {
+  const manifest = JSON.parse(text);
+
+  if (!manifest || manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.files)) {
+    throw new Error(`Unsupported ${MANIFEST_FILENAME}: expected version ${MANIFEST_VERSION} with a files list`);
+  }
+  if (manifest.algorithm !== 'SHA-256') {
+    throw new Error(`Unsupported manifest hash algorithm: ${manifest.algorithm}`);
+  }
+
+  return manifest;
+};
+
+/**
+ * Parses SHA256SUMS into a map of path to hash; binary-mode markers ("*path") are accepted
+ * @param {string} text - The checksum file contents
+ * @returns {Map<string, string>} - Expected hashes by path
+ */
+export const parseChecksums = (text) => {
+  const checksums = new Map();
+
+  for (const line of text.split('\n')) {
+    const match = /^([0-9a-f]{64}) [ *](.+)$/i.exec(line.replace(/\r$/, ''));
+    if (match) checksums.set(match[2], match[1].toLowerCase());
+  }
+
+  return checksums;
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { withIntegrityManifest, parseManifest, parseChecksums, formatChecksums, MANIFEST_FILENAME, CHECKSUMS_FILENAME } from './manifest';
+
+const collect = async (entries) => {
+  const written = [];
+  for await (const entry of entries) {
+    written.push({ name: entry.name, text: await new Response(entry.data).text() });
+  }
+  return written;
+};
+
+describe('withIntegrityManifest', () => {
+  it('returns the entries untouched without the options', () => {
+    const entries = [{ name: 'a.json', data: '1' }];
+    expect(withIntegrityManifest(entries)).toBe(entries);
+  });
+
+  it('appends a manifest and checksums covering every file, including streamed ones', async () => {
+    const written = await collect(withIntegrityManifest([
+      { name: 'a.json', data: 'abc' },
+      { name: 'folder/' },
+      { name: 'folder/b.json', data: new Blob(['abc']) }
+    ], { includeManifest: true, includeChecksums: true }));
+
+    expect(written.map((entry) => entry.name)).toEqual(['a.json', 'folder/', 'folder/b.json', MANIFEST_FILENAME, CHECKSUMS_FILENAME]);
+
+    const abc = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+    const manifest = parseManifest(written[3].text);
+    expect(manifest.files).toEqual([
+      { path: 'a.json', size: 3, sha256: abc },
+      { path: 'folder/b.json', size: 3, sha256: abc }
+    ]);
+
+    const checksums = parseChecksums(written[4].text);
+    expect([...checksums.keys()]).toEqual(['a.json', 'folder/b.json', MANIFEST_FILENAME]);
+  });
+
+  it('refuses entries that would replace the integrity files', async () => {
+    await expect(collect(withIntegrityManifest([{ name: '/manifest.json', data: '{}' }], { includeChecksums: true })))
+      .rejects.toThrow('"manifest.json" is reserved for the integrity manifest');
+  });
+});
+
+describe('integrity file parsing', () => {
+  it('reads SHA256SUMS lines in text and binary mode', () => {
+    const hash = 'A'.repeat(64);
+    expect(parseChecksums(`${hash}  a.json\r\n${hash} *b c.json\nnot a checksum line\n`))
+      .toEqual(new Map([['a.json', 'a'.repeat(64)], ['b c.json', 'a'.repeat(64)]]));
+    expect(formatChecksums([{ path: 'a.json', sha256: 'ff' }])).toBe('ff  a.json\n');
+  });
+
+  it('rejects manifests it cannot verify', () => {
+    expect(() => parseManifest('{"version":2,"files":[]}')).toThrow('expected version 1 with a files list');
+    expect(() => parseManifest('{"version":1,"algorithm":"MD5","files":[]}')).toThrow('Unsupported manifest hash algorithm: MD5');
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Password strength estimation for archive encryption
+ */
+
+const COMMON_PASSWORDS = new Set([
+  'password', 'passw0rd', '123456', '12345678', '123456789', 'qwerty', 'abc123',
+  'letmein', 'welcome', 'admin', 'iloveyou', 'monkey', 'dragon', 'secret', 'changeme'
+]);
+
+const SEQUENCES = ['abcdefghijklmnopqrstuvwxyz', 'qwertyuiopasdfghjklzxcvbnm', '01234567890'];
+
+/**
+ * Strength levels, indexed by score
+ */
+export const PASSWORD_STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+const getCharsetSize = (password) => {
+  let size = 0;
+  if (/[a-z]/.test(password)) size += 26;
+  if (/[A-Z]/.test(password)) size += 26;
+  if (/[0-9]/.test(password)) size += 10;
+  if (/[^a-zA-Z0-9]/.test(password)) size += 33;
+  return size;
+};
+
+/**
+ * Counts characters that continue a run (aaa) or a keyboard/alphabet sequence (abc, 123)
+ */
+const countPredictableCharacters = (password) => {
+  const lower = password.toLowerCase();
+  let count = 0;
+
+  for (let i = 2; i < lower.length; i++) {
+    const run = lower[i] === lower[i - 1] && lower[i] === lower[i - 2];
+    const sequence = SEQUENCES.some((chars) => chars.includes(lower.slice(i - 2, i + 1)));
+    if (run || sequence) count++;
+  }
+
+  return count;
+};
+
+/**
+ * Estimates password strength from its length, character variety and patterns
+ * @param {string} password - The password to rate
+ * @returns {{score: number, label: string, entropyBits: number}} - Score from 0 (very weak) to 4 (very strong)
+ */
+export const estimatePasswordStrength = (password = '') => {
+  if (!password) {
+    return { score: 0, label: PASSWORD_STRENGTH_LABELS[0], entropyBits: 0 };
+  }
+
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    return { score: 0, label: PASSWORD_STRENGTH_LABELS[0], entropyBits: 0 };
+  }
+
+  const effectiveLength = Math.max(password.length - countPredictableCharacters(password), 1);
+  const entropyBits = Math.round(effectiveLength * Math.log2(getCharsetSize(password) || 1));
+
+  let score;
+  if (entropyBits < 28) score = 0;
+  else if (entropyBits < 36) score = 1;
+  else if (entropyBits < 60) score = 2;
+  else if (entropyBits < 80) score = 3;
+  else score = 4;
+
+  return { score, label: PASSWORD_STRENGTH_LABELS[score], entropyBits };
+};
@@ -0,0 +1,295 @@
+/**
+ * Conversion recipes: named sets of conversion options kept in local storage,
+ * exported and imported as JSON files, and looked up by name through the
+ * `recipe` option. One recipe can be the default the converter starts with.
+ * Passwords and signing keys are never part of a recipe.
+ */
+
+import { getArchiveFormat } from './archiveFormats';
+import { assertEntryFormatOptions } from './entryFormats';
+import { COLLISION_POLICIES } from './entryNames';
+import { assertXmlOptions } from './xmlParser';
+
+export const RECIPE_FILE_TYPE = 'panthera-recipes';
+export const RECIPE_FILE_VERSION = 1;
+
+const STORAGE_KEY = 'panthera.recipes';
+
+const MAX_NAME_LENGTH = 80;
+
+// The conversion options a recipe captures
+export const RECIPE_OPTION_KEYS = [
+  'format',
+  'compression',
+  'compressionLevel',
+  'createSeparateFiles',
+  'fileNaming',
+  'fileNameTemplate',
+  'createFolders',
+  'splitPath',
+  'groupPath',
+  'extractBinaries',
+  'outputFormat',
+  'indent',
+  'splitOutputFormat',
+  'collisionPolicy',
+  'leafFormat',
+  'maxDepth',
+  'arrayMode',
+  'deterministic',
+  'includeManifest',
+  'includeChecksums',
+  'maxVolumeSize',
+  'volumeMode',
+  'preserveSource',
+  'xmlAttributePrefix',
+  'xmlTextKey',
+  'xmlNamespaces',
+  'xmlArrays'
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isSameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const getStorage = () => (typeof localStorage === 'undefined' ? null : localStorage);
+
+/**
+ * An empty recipe library
+ * @returns {{recipes: Array<{name: string, options: Object}>, defaultRecipe: string|null}}
+ */
+export const createRecipeLibrary = () => ({ recipes: [], defaultRecipe: null });
+
+/**
+ * Checks a recipe name: 1 to 80 characters after trimming
+ * @param {string} name - The recipe name
+ * @returns {string} - The trimmed name
+ */
+export const normalizeRecipeName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Give the recipe a name');
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new Error(`Recipe names are limited to ${MAX_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+};
+
+/**
+ * Keeps the options a recipe captures and checks their values
+ * @param {Object} options - Conversion options
+ * @returns {Object} - The recipe options; unset options are left out
+ */
+export const pickRecipeOptions = (options = {}) => {
+  if (!isPlainObject(options)) {
+    throw new Error('Recipe options must be an object');
+  }
+
+  const picked = {};
+  for (const key of RECIPE_OPTION_KEYS) {
+    const value = options[key];
+    if (value === undefined) continue;
+    if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new Error(`Recipe option "${key}" must be a string, number or boolean`);
+    }
+    picked[key] = value;
+  }
+
+  if (picked.format !== undefined) getArchiveFormat(picked.format);
+  assertEntryFormatOptions(picked);
+  if (picked.collisionPolicy !== undefined && !Object.values(COLLISION_POLICIES).includes(picked.collisionPolicy)) {
+    throw new Error(`Unsupported collision policy: ${picked.collisionPolicy}`);
+  }
+  assertXmlOptions(picked);
+
+  return picked;
+};
+
+/**
+ * Creates a recipe from the current conversion options
+ * @param {string} name - The recipe name
+ * @param {Object} options - Conversion options; secrets and callbacks are dropped
+ * @returns {{name: string, options: Object}}
+ */
+export const createRecipe = (name, options) => ({
+  name: normalizeRecipeName(name),
+  options: pickRecipeOptions(options)
+});
+
+/**
+ * Finds a recipe by name, ignoring case
+ * @param {Object} library - The recipe library
+ * @param {string} name - The recipe name
+ * @returns {{name: string, options: Object}|undefined}
+ */
+export const findRecipe = (library, name) => {
+  if (typeof name !== 'string') return undefined;
+  return library.recipes.find((recipe) => isSameName(recipe.name, name.trim()));
+};
+
+/**
+ * The recipe marked as default
+ * @param {Object} library - The recipe library
+ * @returns {{name: string, options: Object}|undefined}
+ */
+export const getDefaultRecipe = (library) => {
+  return library.defaultRecipe ? findRecipe(library, library.defaultRecipe) : undefined;
+};
+
+/**
+ * Adds a recipe, replacing one with the same name
+ * @param {Object} library - The recipe library
+ * @param {{name: string, options: Object}} recipe - The recipe to add
+ * @returns {Object} - The updated library
+ */
+export const addRecipe = (library, recipe) => {
+  const existing = findRecipe(library, recipe.name);
+  const recipes = existing
+    ? library.recipes.map((item) => (item === existing ? recipe : item))
+    : [...library.recipes, recipe];
+  // A renamed-by-case default keeps pointing at the replacement
+  const defaultRecipe = existing && library.defaultRecipe && isSameName(library.defaultRecipe, recipe.name)
+    ? recipe.name
+    : library.defaultRecipe;
+  return { recipes, defaultRecipe };
+};
+
+/**
+ * Deletes a recipe; deleting the default recipe leaves no default
+ * @param {Object} library - The recipe library
+ * @param {string} name - The recipe name
+ * @returns {Object} - The updated library
+ */
+export const removeRecipe = (library, name) => ({
+  recipes: library.recipes.filter((recipe) => !isSameName(recipe.name, name)),
+  defaultRecipe: library.defaultRecipe && isSameName(library.defaultRecipe, name) ? null : library.defaultRecipe
+});
+
+/**
+ * Marks a recipe as the default, or clears the default with null
+ * @param {Object} library - The recipe library
+ * @param {string|null} name - The recipe name
+ * @returns {Object} - The updated library
+ */
+export const setDefaultRecipe = (library, name) => {
+  if (name === null) return { ...library, defaultRecipe: null };
+
+  const recipe = findRecipe(library, name);
+  if (!recipe) {
+    throw new Error(`Unknown recipe: ${name}`);
+  }
+  return { ...library, defaultRecipe: recipe.name };
+};
+
+/**
+ * Adds imported recipes; those with the name of an existing recipe replace it.
+ * The imported default is used only when the library has none.
+ * @param {Object} library - The recipe library
+ * @param {Object} imported - Recipes read by parseRecipeFile
+ * @returns {Object} - The updated library
+ */
+export const mergeRecipes = (library, imported) => {
+  const merged = imported.recipes.reduce(addRecipe, library);
+  if (merged.defaultRecipe || !imported.defaultRecipe) return merged;
+  return setDefaultRecipe(merged, imported.defaultRecipe);
+};
+
+/**
+ * Serializes recipes as a file that parseRecipeFile reads back
+ * @param {Object} library - The recipe library
+ * @returns {string} - JSON text
+ */
+export const serializeRecipeFile = (library) => JSON.stringify({
+  type: RECIPE_FILE_TYPE,
+  version: RECIPE_FILE_VERSION,
+  defaultRecipe: library.defaultRecipe,
+  recipes: library.recipes
+}, null, 2);
+
+/**
+ * Reads a recipe file, or a single {name, options} recipe
+ * @param {string} text - JSON text
+ * @returns {Object} - A recipe library
+ */
+export const parseRecipeFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The recipe file is not valid JSON: ${error.message}`);
+  }
+  if (!isPlainObject(data)) {
+    throw new Error('The recipe file must hold a JSON object');
+  }
+
+  if (data.type === undefined && data.name !== undefined) {
+    return { recipes: [createRecipe(data.name, data.options)], defaultRecipe: null };
+  }
+  if (data.type !== RECIPE_FILE_TYPE || !Array.isArray(data.recipes)) {
+    throw new Error('This is not a recipe file');
+  }
+  if (data.version !== RECIPE_FILE_VERSION) {
+    throw new Error(`Unsupported recipe file version: ${data.version}`);
+  }
+
+  const library = data.recipes.reduce((result, recipe, index) => {
+    if (!isPlainObject(recipe)) {
+      throw new Error(`Recipe ${index + 1} must be an object`);
+    }
+    try {
+      return addRecipe(result, createRecipe(recipe.name, recipe.options));
+    } catch (error) {
+      throw new Error(`Recipe ${index + 1}: ${error.message}`);
+    }
+  }, createRecipeLibrary());
+
+  if (typeof data.defaultRecipe !== 'string' || !findRecipe(library, data.defaultRecipe)) return library;
+  return setDefaultRecipe(library, data.defaultRecipe);
+};
+
+/**
+ * Reads the saved recipes. Unreadable storage gives an empty library rather
+ * than breaking the page, with the reason in loadError.
+ * @param {Storage} storage - Where recipes are kept (default localStorage)
+ * @returns {Object} - The recipe library
+ */
+export const loadRecipes = (storage = getStorage()) => {
+  try {
+    const text = storage?.getItem(STORAGE_KEY);
+    return text ? parseRecipeFile(text) : createRecipeLibrary();
+  } catch (error) {
+    return { ...createRecipeLibrary(), loadError: `Saved recipes could not be read: ${error.message}` };
+  }
+};
+
+/**
+ * Saves the recipes
+ * @param {Object} library - The recipe library
+ * @param {Storage} storage - Where recipes are kept (default localStorage)
+ */
+export const saveRecipes = (library, storage = getStorage()) => {
+  if (!storage) {
+    throw new Error('Recipes cannot be saved: local storage is not available');
+  }
+  storage.setItem(STORAGE_KEY, serializeRecipeFile(library));
+};
+
+/**
+ * Expands the `recipe` option: the named recipe's options, overridden by any
+ * options given alongside it
+ * @param {Object} options - Conversion options, optionally with recipe: '<name>'
+ * @param {Object} library - The recipe library (default the saved recipes)
+ * @returns {Object} - The conversion options without `recipe`
+ */
+export const applyRecipe = (options = {}, library = undefined) => {
+  const { recipe: name, ...overrides } = options;
+  if (name === undefined || name === null || name === '') return overrides;
+
+  const recipe = findRecipe(library ?? loadRecipes(), name);
+  if (!recipe) {
+    throw new Error(`Unknown recipe: ${name}`);
+  }
+  const given = Object.entries(overrides).filter(([, value]) => value !== undefined);
+  return { ...recipe.options, ...Object.fromEntries(given) };
+};
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RECIPE_FILE_TYPE,
+  RECIPE_FILE_VERSION,
+  createRecipeLibrary,
+  createRecipe,
+  pickRecipeOptions,
+  addRecipe,
+  removeRecipe,
+  setDefaultRecipe,
+  getDefaultRecipe,
+  mergeRecipes,
+  serializeRecipeFile,
+  parseRecipeFile,
+  loadRecipes,
+  saveRecipes,
+  applyRecipe
+} from './recipes';
+
+const createStorage = (items = {}) => ({
+  getItem: (key) => items[key] ?? null,
+  setItem: (key, value) => {
+    items[key] = value;
+  }
+});
+
+const library = [
+  createRecipe('Logs', { format: 'tar.gz', outputFormat: 'ndjson' }),
+  createRecipe('Images', { extractBinaries: true })
+].reduce(addRecipe, createRecipeLibrary());
+
+describe('createRecipe', () => {
+  it('keeps only recipe options and drops secrets', () => {
+    expect(createRecipe('  Nightly ', { format: 'zip', password: 'secret', signingKey: 'key', indent: undefined })).toEqual({
+      name: 'Nightly',
+      options: { format: 'zip' }
+    });
+  });
+
+  it('checks names and option values', () => {
+    expect(() => createRecipe(' ', {})).toThrow('Give the recipe a name');
+    expect(() => createRecipe('x'.repeat(81), {})).toThrow('limited to 80 characters');
+    expect(() => pickRecipeOptions({ format: 'rar' })).toThrow();
+    expect(() => pickRecipeOptions({ splitPath: ['$'] })).toThrow('Recipe option "splitPath" must be a string, number or boolean');
+    expect(() => pickRecipeOptions({ collisionPolicy: 'merge' })).toThrow('Unsupported collision policy: merge');
+    expect(() => pickRecipeOptions({ xmlArrays: 'some' })).toThrow('Unsupported XML array mode: some');
+  });
+});
+
+describe('recipe library', () => {
+  it('replaces recipes by name, ignoring case, and keeps the default pointing at them', () => {
+    const updated = addRecipe(setDefaultRecipe(library, 'logs'), createRecipe('LOGS', { format: 'zip' }));
+    expect(updated.recipes.map(({ name }) => name)).toEqual(['LOGS', 'Images']);
+    expect(getDefaultRecipe(updated)).toEqual({ name: 'LOGS', options: { format: 'zip' } });
+    expect(removeRecipe(updated, 'logs')).toEqual({ recipes: [library.recipes[1]], defaultRecipe: null });
+    expect(() => setDefaultRecipe(library, 'Missing')).toThrow('Unknown recipe: Missing');
+  });
+
+  it('merges imported recipes and takes their default only when there is none', () => {
+    const imported = { recipes: [createRecipe('images', { indent: 4 }), createRecipe('New', {})], defaultRecipe: 'New' };
+    const merged = mergeRecipes(library, imported);
+    expect(merged.recipes.map(({ name, options }) => [name, options])).toEqual([
+      ['Logs', { format: 'tar.gz', outputFormat: 'ndjson' }],
+      ['images', { indent: 4 }],
+      ['New', {}]
+    ]);
+    expect(merged.defaultRecipe).toBe('New');
+    expect(mergeRecipes(setDefaultRecipe(library, 'Logs'), imported).defaultRecipe).toBe('Logs');
+  });
+});
+
+describe('recipe files', () => {
+  it('round-trips a library', () => {
+    const withDefault = setDefaultRecipe(library, 'Images');
+    const text = serializeRecipeFile(withDefault);
+    expect(JSON.parse(text)).toMatchObject({ type: RECIPE_FILE_TYPE, version: RECIPE_FILE_VERSION });
+    expect(parseRecipeFile(text)).toEqual(withDefault);
+  });
+
+  it('reads a single recipe and ignores an unknown default', () => {
+    expect(parseRecipeFile('{"name": "One", "options": {"indent": 0}}')).toEqual({
+      recipes: [{ name: 'One', options: { indent: 0 } }],
+      defaultRecipe: null
+    });
+    const text = JSON.stringify({ type: RECIPE_FILE_TYPE, version: 1, defaultRecipe: 'Gone', recipes: [] });
+    expect(parseRecipeFile(text).defaultRecipe).toBeNull();
+  });
+
+  it('says what is wrong with a file it cannot read', () => {
+    expect(() => parseRecipeFile('{')).toThrow('The recipe file is not valid JSON');
+    expect(() => parseRecipeFile('[]')).toThrow('The recipe file must hold a JSON object');
+    expect(() => parseRecipeFile('{"type": "other"}')).toThrow('This is not a recipe file');
+    expect(() => parseRecipeFile(JSON.stringify({ type: RECIPE_FILE_TYPE, version: 2, recipes: [] })))
+      .toThrow('Unsupported recipe file version: 2');
+    expect(() => parseRecipeFile(JSON.stringify({ type: RECIPE_FILE_TYPE, version: 1, recipes: [{ name: 'A' }, 'B'] })))
+      .toThrow('Recipe 2 must be an object');
+    expect(() => parseRecipeFile(JSON.stringify({ type: RECIPE_FILE_TYPE, version: 1, recipes: [{ name: '' }] })))
+      .toThrow('Recipe 1: Give the recipe a name');
+  });
+
+  it('saves to and loads from storage, reporting unreadable data', () => {
+    const storage = createStorage();
+    expect(loadRecipes(storage)).toEqual(createRecipeLibrary());
+    saveRecipes(library, storage);
+    expect(loadRecipes(storage)).toEqual(library);
+
+    expect(loadRecipes(createStorage({ 'panthera.recipes': 'oops' })).loadError)
+      .toMatch(/^Saved recipes could not be read: The recipe file is not valid JSON/);
+    expect(() => saveRecipes(library, null)).toThrow('local storage is not available');
+  });
+});
+
+describe('applyRecipe', () => {
+  it('fills in the recipe options under the ones given', () => {
+    expect(applyRecipe({ recipe: 'logs', outputFormat: 'json', indent: undefined }, library)).toEqual({
+      format: 'tar.gz',
+      outputFormat: 'json'
+    });
+  });
+
+  it('passes options without a recipe through and rejects unknown names', () => {
+    expect(applyRecipe({ recipe: '', indent: 2 }, library)).toEqual({ indent: 2 });
+    expect(() => applyRecipe({ recipe: 'Missing' }, library)).toThrow('Unknown recipe: Missing');
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { sha256, createSha256, toHex } from './sha256';
+
+const encoder = new TextEncoder();
+
+describe('sha256', () => {
+  it.each([
+    ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+    ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+    ['abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq', '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1']
+  ])('hashes %j', (text, expected) => {
+    expect(toHex(sha256(encoder.encode(text)))).toBe(expected);
+  });
+
+  it('gives the same digest for data fed in chunks of any size', async () => {
+    const bytes = Uint8Array.from({ length: 1000 }, (_, index) => (index * 31) & 0xff);
+    const expected = toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+
+    for (const size of [1, 55, 64, 65, 999]) {
+      const hasher = createSha256();
+      for (let offset = 0; offset < bytes.length; offset += size) hasher.update(bytes.subarray(offset, offset + size));
+      expect(toHex(hasher.digest())).toBe(expected);
+    }
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Detached manifest signatures with ECDSA P-256 or Ed25519 keys via WebCrypto.
+ * The signature covers the exact manifest.json bytes, which in turn list the
+ * SHA-256 of every file, so one signature vouches for the whole archive.
+ */
+
+const textEncoder = new TextEncoder();
+
+export const SIGNATURE_FILENAME = 'manifest.json.sig';
+export const SIGNATURE_VERSION = 1;
+
+/**
+ * Supported signing algorithms
+ */
+export const SIGNATURE_ALGORITHMS = {
+  ECDSA_P256: 'ECDSA-P256',
+  ED25519: 'Ed25519'
+};
+
+// WebCrypto parameters per algorithm
+const ALGORITHM_PARAMS = {
+  [SIGNATURE_ALGORITHMS.ECDSA_P256]: {
+    key: { name: 'ECDSA', namedCurve: 'P-256' },
+    sign: { name: 'ECDSA', hash: 'SHA-256' },
+    jwk: { kty: 'EC', crv: 'P-256' }
+  },
+  [SIGNATURE_ALGORITHMS.ED25519]: {
+    key: { name: 'Ed25519' },
+    sign: { name: 'Ed25519' },
+    jwk: { kty: 'OKP', crv: 'Ed25519' }
+  }
+};
+
+const getAlgorithmParams = (algorithm) => {
+  const params = ALGORITHM_PARAMS[algorithm];
+  if (!params) {
+    throw new Error(`Unsupported signature algorithm: ${algorithm}`);
+  }
+  return params;
+};
+
+/**
+ * Names the signature algorithm of a CryptoKey
+ * @param {CryptoKey} key - A signing or verification key
+ * @returns {string} - One of SIGNATURE_ALGORITHMS
+ */
+export const getKeyAlgorithm = (key) => {
+  if (key.algorithm.name === 'Ed25519') return SIGNATURE_ALGORITHMS.ED25519;
+  if (key.algorithm.name === 'ECDSA' && key.algorithm.namedCurve === 'P-256') return SIGNATURE_ALGORITHMS.ECDSA_P256;
+  throw new Error(`Unsupported signing key: ${key.algorithm.name}`);
+};
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text.replace(/\s+/g, '')), (char) => char.charCodeAt(0));
+
+/**
+ * Generates an extractable signing key pair
+ * @param {string} algorithm - One of SIGNATURE_ALGORITHMS
+ * @returns {Promise<CryptoKeyPair>}
+ */
+export const generateSigningKeyPair = async (algorithm = SIGNATURE_ALGORITHMS.ECDSA_P256) => {
+  return crypto.subtle.generateKey(getAlgorithmParams(algorithm).key, true, ['sign', 'verify']);
+};
+
+/**
+ * Exports a key as a JWK object
+ * @param {CryptoKey} key - Public or private key
+ * @returns {Promise<JsonWebKey>}
+ */
+export const exportKeyJwk = async (key) => {
+  const { kty, crv, x, y, d } = await crypto.subtle.exportKey('jwk', key);
+  return d ? { kty, crv, x, y, d } : { kty, crv, x, y };
+};
+
+/**
+ * Exports a key as PEM: PKCS#8 for private keys, SPKI for public keys
+ * @param {CryptoKey} key - Public or private key
+ * @returns {Promise<string>}
+ */
+export const exportKeyPem = async (key) => {
+  const isPrivate = key.type === 'private';
+  const label = isPrivate ? 'PRIVATE KEY' : 'PUBLIC KEY';
+  const der = new Uint8Array(await crypto.subtle.exportKey(isPrivate ? 'pkcs8' : 'spki', key));
+  const lines = toBase64(der).match(/.{1,64}/g);
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+};
+
+const importJwk = async (jwk) => {
+  const algorithm = Object.keys(ALGORITHM_PARAMS)
+    .find((name) => ALGORITHM_PARAMS[name].jwk.kty === jwk.kty && ALGORITHM_PARAMS[name].jwk.crv === jwk.crv);
+  if (!algorithm) {
+    throw new Error(`Unsupported JWK key type: ${jwk.kty} ${jwk.crv ?? ''}`.trim());
+  }
+
+  const usages = jwk.d ? ['sign'] : ['verify'];
+  // Drop key_ops / alg hints from other tools, which WebCrypto checks against the usages
+  const { kty, crv, x, y, d } = jwk;
+  return crypto.subtle.importKey('jwk', { kty, crv, x, y, d }, ALGORITHM_PARAMS[algorithm].key, true, usages);
+};
+
+const importPem = async (pem) => {
+  const match = /-----BEGIN (PRIVATE|PUBLIC) KEY-----([\s\S]+?)-----END \1 KEY-----/.exec(pem);
+  if (!match) {
+    throw new Error('Expected a PEM "PRIVATE KEY" (PKCS#8) or "PUBLIC KEY" (SPKI) block');
+  }
+
+  const isPrivate = match[1] === 'PRIVATE';
+  const der = fromBase64(match[2]);
+
+  // PEM does not name the curve up front, so try each algorithm in turn
+  for (const { key } of Object.values(ALGORITHM_PARAMS)) {
+    try {
+      return await crypto.subtle.importKey(isPrivate ? 'pkcs8' : 'spki', der, key, true, [isPrivate ? 'sign' : 'verify']);
+    } catch {
+      // Not this algorithm
+    }
+  }
+  throw new Error('The PEM key is not an ECDSA P-256 or Ed25519 key');
+};
+
+/**
+ * Imports a key from JWK (JSON text or object) or PEM text
+ * @param {string|JsonWebKey} source - The key material
+ * @returns {Promise<CryptoKey>} - A private key for signing or a public key for verification
+ */
+export const importSigningKey = async (source) => {
+  if (typeof source === 'object' && source !== null) return importJwk(source);
+
+  const text = String(source ?? '').trim();
+  if (text.startsWith('{')) {
+    let jwk;
+    try {
+      jwk = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JWK: ${error.message}`);
+    }
+    return importJwk(jwk);
+  }
+  return importPem(text);
+};
+
+/**
+ * Derives the public key of a private key (WebCrypto cannot do this directly,
+ * but the public coordinates are part of the private JWK)
+ * @param {CryptoKey} privateKey - An extractable private key
+ * @returns {Promise<CryptoKey>}
+ */
+export const getPublicKey = async (privateKey) => {
+  if (privateKey.type === 'public') return privateKey;
+  const jwk = await exportKeyJwk(privateKey);
+  delete jwk.d;
+  return importJwk(jwk);
+};
+
+/**
+ * Fingerprints a key as the SHA-256 of its public SPKI encoding, in the
+ * "SHA256:<base64>" form OpenSSH uses
+ * @param {CryptoKey} key - Public or extractable private key
+ * @returns {Promise<string>}
+ */
+export const getKeyFingerprint = async (key) => {
+  const publicKey = await getPublicKey(key);
+  const spki = await crypto.subtle.exportKey('spki', publicKey);
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', spki));
+  return `SHA256:${toBase64(digest).replace(/=+$/, '')}`;
+};
+
+/**
+ * Signs manifest bytes and builds the detached signature file. The signer's
+ * public key is embedded so the archive can be checked on its own; whether
+ * that key is trusted is up to the reader (compare the fingerprint).
+ * @param {Uint8Array} manifest - The exact manifest.json bytes
+ * @param {CryptoKey} privateKey - ECDSA P-256 or Ed25519 private key
+ * @returns {Promise<string>} - JSON contents of manifest.json.sig
+ */
+export const createManifestSignature = async (manifest, privateKey) => {
+  const algorithm = getKeyAlgorithm(privateKey);
+  const publicKey = await getPublicKey(privateKey);
+  const signature = new Uint8Array(await crypto.subtle.sign(getAlgorithmParams(algorithm).sign, privateKey, manifest));
+
+  return JSON.stringify({
+    version: SIGNATURE_VERSION,
+    algorithm,
+    publicKey: await exportKeyJwk(publicKey),
+    fingerprint: await getKeyFingerprint(publicKey),
+    signature: toBase64(signature)
+  }, null, 2);
+};
+
+/**
+ * Checks a detached signature against the manifest bytes
+ * @param {Uint8Array|string} manifest - The manifest.json contents
+ * @param {string} signatureText - The manifest.json.sig contents
+ * @param {Object} options - Verification options
+ * @param {CryptoKey} options.trustedKey - Only accept signatures by this key
+ * @returns {Promise<{valid: boolean, algorithm: string, fingerprint: string, trusted: boolean|null, message: string}>}
+ *   trusted is null when no trusted key was given
+ */
+export const verifyManifestSignature = async (manifest, signatureText, options = {}) => {
+  const document = JSON.parse(signatureText);
+  if (!document || document.version !== SIGNATURE_VERSION || !document.publicKey || !document.signature) {
+    throw new Error(`Unsupported ${SIGNATURE_FILENAME}: expected version ${SIGNATURE_VERSION} with a key and signature`);
+  }
+
+  const publicKey = await importJwk(document.publicKey);
+  const algorithm = getKeyAlgorithm(publicKey);
+  if (document.algorithm !== algorithm) {
+    throw new Error(`${SIGNATURE_FILENAME} names ${document.algorithm} but holds a ${algorithm} key`);
+  }
+
+  const fingerprint = await getKeyFingerprint(publicKey);
+  const trusted = options.trustedKey ? fingerprint === await getKeyFingerprint(options.trustedKey) : null;
+  const bytes = typeof manifest === 'string' ? textEncoder.encode(manifest) : manifest;
+  const valid = await crypto.subtle.verify(getAlgorithmParams(algorithm).sign, publicKey, fromBase64(document.signature), bytes);
+
+  let message = `Signed with ${algorithm} key ${fingerprint}`;
+  if (!valid) message = 'The signature does not match manifest.json';
+  else if (trusted === false) message = `Signed by ${fingerprint}, which is not the trusted key`;
+
+  return { valid, algorithm, fingerprint, trusted, message };
+};
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SIGNATURE_ALGORITHMS,
+  generateSigningKeyPair,
+  exportKeyPem,
+  exportKeyJwk,
+  importSigningKey,
+  getKeyFingerprint,
+  createManifestSignature,
+  verifyManifestSignature
+} from './signing';
+import { createJsonZip, verifyArchive, SIGNATURE_STATUSES } from '../services/archiveService';
+
+const manifest = new TextEncoder().encode('{"version":1,"files":[]}');
+
+describe.each(Object.values(SIGNATURE_ALGORITHMS))('%s signatures', (algorithm) => {
+  it('verify against the manifest they were made for', async () => {
+    const { privateKey, publicKey } = await generateSigningKeyPair(algorithm);
+    const signature = await createManifestSignature(manifest, privateKey);
+
+    const result = await verifyManifestSignature(manifest, signature, { trustedKey: publicKey });
+    expect(result).toMatchObject({ valid: true, algorithm, trusted: true, fingerprint: await getKeyFingerprint(publicKey) });
+
+    const changed = await verifyManifestSignature('{"version":1,"files":[{}]}', signature);
+    expect(changed).toMatchObject({ valid: false, trusted: null, message: 'The signature does not match manifest.json' });
+  });
+
+  it('report a signer other than the trusted key', async () => {
+    const signer = await generateSigningKeyPair(algorithm);
+    const other = await generateSigningKeyPair(algorithm);
+    const signature = await createManifestSignature(manifest, signer.privateKey);
+    expect(await verifyManifestSignature(manifest, signature, { trustedKey: other.publicKey })).toMatchObject({ valid: true, trusted: false });
+  });
+
+  it('import keys exported as PEM and JWK', async () => {
+    const { privateKey, publicKey } = await generateSigningKeyPair(algorithm);
+    const fingerprint = await getKeyFingerprint(publicKey);
+
+    expect(await getKeyFingerprint(await importSigningKey(await exportKeyPem(privateKey)))).toBe(fingerprint);
+    expect(await getKeyFingerprint(await importSigningKey(await exportKeyPem(publicKey)))).toBe(fingerprint);
+    expect(await getKeyFingerprint(await importSigningKey(JSON.stringify(await exportKeyJwk(privateKey))))).toBe(fingerprint);
+  });
+});
+
+describe('importSigningKey', () => {
+  it('rejects text that is not a supported key', async () => {
+    await expect(importSigningKey('{oops')).rejects.toThrow('Invalid JWK');
+    await expect(importSigningKey({ kty: 'RSA' })).rejects.toThrow('Unsupported JWK key type: RSA');
+    await expect(importSigningKey('ssh-ed25519 AAAA')).rejects.toThrow('Expected a PEM');
+  });
+});
+
+describe('signed archives', () => {
+  it('verify as signed', async () => {
+    const { privateKey } = await generateSigningKeyPair(SIGNATURE_ALGORITHMS.ED25519);
+    const archive = await createJsonZip({ a: 1 }, 'signed.zip', { signingKey: privateKey });
+    const { valid, signature } = await verifyArchive(archive);
+    expect(valid).toBe(true);
+    expect(signature.status).toBe(SIGNATURE_STATUSES.SIGNED);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Saves a ReadableStream to disk without buffering it in memory, using the
+ * File System Access API or the download service worker where available
+ */
+
+import { createByteCounter, readStreamChunks } from './streamUtils';
+import { downloadBlob } from './fileUtils';
+
+// Served from /public so it can intercept downloads for the whole origin
+const DOWNLOAD_SERVICE_WORKER_URL = '/download-sw.js';
+
+// How long to wait for a freshly registered worker to activate
+const SERVICE_WORKER_TIMEOUT = 3000;
+
+let serviceWorkerPromise = null;
+
+/**
+ * Checks whether the File System Access save picker is available
+ * @returns {boolean} - True if showSaveFilePicker can be used
+ */
+export const isFileSystemAccessSupported = () => {
+  return typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function';
+};
+
+/**
+ * Registers (once) and returns the active download service worker
+ * @returns {Promise<ServiceWorker|null>} - The worker, or null if unavailable or it fails to register
+ */
+export const getDownloadServiceWorker = () => {
+  if (!serviceWorkerPromise) {
+    serviceWorkerPromise = (async () => {
+      if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || !window.isSecureContext) {
+        return null;
+      }
+      try {
+        await navigator.serviceWorker.register(DOWNLOAD_SERVICE_WORKER_URL);
+        const registration = await Promise.race([
+          navigator.serviceWorker.ready,
+          new Promise((resolve) => setTimeout(() => resolve(null), SERVICE_WORKER_TIMEOUT))
+        ]);
+        return registration?.active || null;
+      } catch {
+        return null;
+      }
+    })();
+  }
+  return serviceWorkerPromise;
+};
+
+const requestSaveHandle = (filename, mimeType) => {
+  const extension = filename.includes('.') ? `.${filename.split('.').pop()}` : '';
+  return window.showSaveFilePicker({
+    suggestedName: filename,
+    types: extension ? [{ accept: { [mimeType]: [extension] } }] : undefined
+  });
+};
+
+/**
+ * Hands the stream to the service worker, which answers a navigation to a
+ * one-off URL with it. Chunks are sent only when the worker asks for them.
+ */
+const saveWithServiceWorker = (worker, stream, filename, mimeType) => {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const chunks = readStreamChunks(stream);
+    const url = new URL(`download-stream/${crypto.randomUUID()}/${encodeURIComponent(filename)}`, window.location.origin).href;
+    let frame = null;
+
+    const cleanup = () => {
+      channel.port1.close();
+      frame?.remove();
+    };
+
+    channel.port1.onmessage = async ({ data }) => {
+      try {
+        if (data.type === 'ready') {
+          frame = document.createElement('iframe');
+          frame.hidden = true;
+          frame.src = url;
+          document.body.appendChild(frame);
+        } else if (data.type === 'pull') {
+          const { done, value } = await chunks.next();
+          if (done) {
+            channel.port1.postMessage({ type: 'end' });
+            // Keep the frame until the browser has taken over the download
+            setTimeout(cleanup, 1000);
+            resolve();
+          } else {
+            channel.port1.postMessage({ type: 'chunk', chunk: value });
+          }
+        } else if (data.type === 'cancel') {
+          await chunks.return();
+          cleanup();
+          reject(new DOMException('Download cancelled', 'AbortError'));
+        }
+      } catch (error) {
+        channel.port1.postMessage({ type: 'error', message: error.message });
+        cleanup();
+        reject(error);
+      }
+    };
+
+    worker.postMessage({ type: 'register-download', url, filename, mimeType }, [channel.port2]);
+  });
+};
+
+/**
+ * Saves a stream as a file, trying the service worker, then the File System
+ * Access API, and finally falling back to an in-memory Blob download
+ * @param {ReadableStream<Uint8Array>} stream - The file contents
+ * @param {string} filename - Suggested filename
+ * @param {Object} options - Save options
+ * @param {string} options.mimeType - Content type (default application/zip)
+ * @param {(bytes: number) => void} options.onProgress - Called with the bytes written so far
+ * @returns {Promise<{method: string, size: number}>} - How the file was saved and its size
+ */
+export const saveStream = async (stream, filename, { mimeType = 'application/zip', onProgress } = {}) => {
+  let size = 0;
+  const counted = stream.pipeThrough(
+    createByteCounter((bytes) => {
+      size = bytes;
+      onProgress?.(bytes);
+    })
+  );
+
+  const worker = await getDownloadServiceWorker();
+  if (worker) {
+    await saveWithServiceWorker(worker, counted, filename, mimeType);
+    return { method: 'service-worker', size };
+  }
+
+  if (isFileSystemAccessSupported()) {
+    let handle = null;
+    try {
+      handle = await requestSaveHandle(filename, mimeType);
+    } catch (error) {
+      // The picker needs a recent user gesture; anything but a user cancel falls through
+      if (error.name === 'AbortError') {
+        await counted.cancel();
+        throw error;
+      }
+    }
+
+    if (handle) {
+      await counted.pipeTo(await handle.createWritable());
+      return { method: 'file-system-access', size };
+    }
+  }
+
+  const blob = await new Response(counted).blob();
+  downloadBlob(blob, filename);
+  return { method: 'blob', size: blob.size };
+};
+
+// Browsers drop downloads started in quick succession, so space them out
+const VOLUME_DOWNLOAD_INTERVAL = 500;
+
+/**
+ * Downloads the volumes of a split archive one file at a time, as each is produced
+ * @param {ReadableStream<{name: string, data: Blob}>} volumes - The volumes in order
+ * @param {Object} options - Save options
+ * @param {(bytes: number) => void} options.onProgress - Called with the bytes saved so far
+ * @returns {Promise<{method: string, size: number, files: string[]}>} - How the files were saved,
+ *   their total size and their names in order
+ */
+export const saveVolumes = async (volumes, { onProgress } = {}) => {
+  const files = [];
+  let size = 0;
+
+  for await (const { name, data } of readStreamChunks(volumes)) {
+    if (files.length > 0) {
+      await new Promise((resolve) => setTimeout(resolve, VOLUME_DOWNLOAD_INTERVAL));
+    }
+    downloadBlob(data, name);
+    files.push(name);
+    size += data.size;
+    onProgress?.(size);
+  }
+
+  return { method: 'blob', size, files };
+};
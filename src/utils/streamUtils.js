@@ -0,0 +1,95 @@
+/**
+ * Helpers for working with WHATWG streams
+ */
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Iterates the chunks of a ReadableStream (for browsers without async-iterable streams)
+ * @param {ReadableStream} stream - The stream to read
+ * @returns {AsyncGenerator<any>} - Yields each chunk in order
+ */
+export async function* readStreamChunks(stream) {
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Converts string, ArrayBuffer, typed array, Blob or stream data into bytes
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob|ReadableStream} data - The entry data
+ * @returns {Promise<Uint8Array>} - Promise resolving to the raw bytes
+ */
+export const toUint8Array = async (data) => {
+  if (data == null) return new Uint8Array(0);
+  if (typeof data === 'string') return textEncoder.encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+  if (data instanceof ReadableStream) return new Uint8Array(await new Response(data).arrayBuffer());
+  throw new Error(`Unsupported entry data type: ${typeof data}`);
+};
+
+/**
+ * Wraps string, byte, Blob or stream data in a byte ReadableStream
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob|ReadableStream} data - The source data
+ * @returns {ReadableStream<Uint8Array>} - Stream of the data's bytes
+ */
+export const toReadableStream = (data) => {
+  if (data instanceof ReadableStream) return data;
+  if (data instanceof Blob) return data.stream();
+  if (data == null) return new Blob([]).stream();
+  if (typeof data === 'string') return new Blob([textEncoder.encode(data)]).stream();
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return new Blob([data]).stream();
+  throw new Error(`Unsupported stream source: ${typeof data}`);
+};
+
+/**
+ * Creates a pull-based ReadableStream from an async iterator, so the
+ * producer only runs as fast as the consumer reads
+ * @param {AsyncIterator<any>} iterator - The source iterator
+ * @returns {ReadableStream} - Stream of the iterator's values
+ */
+export const createStreamFromIterator = (iterator) => {
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await iterator.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    async cancel(reason) {
+      await iterator.return?.(reason);
+    }
+  });
+};
+
+/**
+ * Creates a pass-through stream that reports the running byte count
+ * @param {(bytes: number) => void} onProgress - Called after every chunk
+ * @returns {TransformStream<Uint8Array, Uint8Array>} - The counting stream
+ */
+export const createByteCounter = (onProgress) => {
+  let bytes = 0;
+  return new TransformStream({
+    transform(chunk, controller) {
+      bytes += chunk.byteLength;
+      onProgress(bytes);
+      controller.enqueue(chunk);
+    }
+  });
+};
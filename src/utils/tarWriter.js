@@ -0,0 +1,215 @@
+/**
+ * Client-side POSIX tar writer: ustar headers, with pax extended headers
+ * for names and sizes the ustar fields cannot hold
+ */
+
+import { toUint8Array, readStreamChunks, createStreamFromIterator } from './streamUtils';
+import { resolveSourceDate, orderEntries } from './deterministic';
+import { withIntegrityManifest } from './manifest';
+
+const textEncoder = new TextEncoder();
+
+const BLOCK_SIZE = 512;
+
+const TYPE_FLAGS = {
+  FILE: '0',
+  DIRECTORY: '5',
+  PAX_HEADER: 'x'
+};
+
+const FILE_MODE = 0o644;
+const DIRECTORY_MODE = 0o755;
+
+// Largest value of the 11-digit octal size field (8 GiB - 1)
+const USTAR_MAX_SIZE = 0o77777777777;
+const USTAR_NAME_LENGTH = 100;
+
+/**
+ * Writes a zero-padded octal number terminated by NUL
+ */
+const writeOctal = (block, offset, length, value) => {
+  writeString(block, offset, length, value.toString(8).padStart(length - 1, '0'));
+};
+
+const writeString = (block, offset, length, value) => {
+  block.set(textEncoder.encode(value).subarray(0, length), offset);
+};
+
+/**
+ * Builds one 512-byte ustar header block
+ */
+const createHeaderBlock = ({ name, mode, size, mtime, typeFlag }) => {
+  const block = new Uint8Array(BLOCK_SIZE);
+
+  writeString(block, 0, 100, name);
+  writeOctal(block, 100, 8, mode);
+  writeOctal(block, 108, 8, 0);
+  writeOctal(block, 116, 8, 0);
+  writeOctal(block, 124, 12, size);
+  writeOctal(block, 136, 12, mtime);
+  writeString(block, 156, 1, typeFlag);
+  writeString(block, 257, 6, 'ustar');
+  writeString(block, 263, 2, '00');
+
+  // The checksum is computed with its own field filled with spaces
+  block.fill(0x20, 148, 156);
+  const checksum = block.reduce((total, byte) => total + byte, 0);
+  writeString(block, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+
+  return block;
+};
+
+/**
+ * Formats one "<length> <key>=<value>\n" pax record; the length counts itself
+ */
+const formatPaxRecord = (key, value) => {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = textEncoder.encode(body).length;
+  let length = bodyLength + String(bodyLength).length;
+  if (String(length).length > String(bodyLength).length) length++;
+  return `${length}${body}`;
+};
+
+/**
+ * Makes a name the ustar field can hold: ASCII only, at most 100 bytes
+ */
+const toUstarName = (name, isDirectory) => {
+  const ascii = name.replace(/[^\x20-\x7e]/g, '_');
+  if (ascii.length <= USTAR_NAME_LENGTH) return ascii;
+  const suffix = isDirectory ? '/' : '';
+  return ascii.slice(0, USTAR_NAME_LENGTH - suffix.length) + suffix;
+};
+
+const padToBlock = (size) => new Uint8Array((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+
+/**
+ * Emits the pax header (when needed) and ustar header of one entry
+ */
+function* writeEntryHeaders(entry) {
+  const records = [];
+  const nameBytes = textEncoder.encode(entry.name);
+
+  if (nameBytes.length > USTAR_NAME_LENGTH || /[^\x20-\x7e]/.test(entry.name)) {
+    records.push(formatPaxRecord('path', entry.name));
+  }
+  if (entry.size > USTAR_MAX_SIZE) {
+    records.push(formatPaxRecord('size', entry.size));
+  }
+  if (entry.comment) {
+    records.push(formatPaxRecord('comment', entry.comment));
+  }
+
+  if (records.length > 0) {
+    const paxData = textEncoder.encode(records.join(''));
+    const baseName = entry.name.replace(/\/$/, '').split('/').pop();
+    yield createHeaderBlock({
+      name: toUstarName(`PaxHeaders/${baseName}`, false),
+      mode: FILE_MODE,
+      size: paxData.length,
+      mtime: entry.mtime,
+      typeFlag: TYPE_FLAGS.PAX_HEADER
+    });
+    yield paxData;
+    yield padToBlock(paxData.length);
+  }
+
+  yield createHeaderBlock({
+    name: toUstarName(entry.name, entry.isDirectory),
+    mode: entry.isDirectory ? DIRECTORY_MODE : FILE_MODE,
+    size: entry.size > USTAR_MAX_SIZE ? 0 : entry.size,
+    mtime: entry.mtime,
+    typeFlag: entry.isDirectory ? TYPE_FLAGS.DIRECTORY : TYPE_FLAGS.FILE
+  });
+}
+
+/**
+ * Returns the stream to copy for data whose size is known before reading:
+ * Blobs and Files, or streams with a declared `size`
+ */
+const getSizedStream = (source) => {
+  if (source.data instanceof Blob) return { stream: source.data.stream(), size: source.data.size };
+  if (source.data instanceof ReadableStream && Number.isInteger(source.size)) {
+    return { stream: source.data, size: source.size };
+  }
+  return null;
+};
+
+/**
+ * Generates the tar bytes chunk by chunk. Blob and File data (or a stream
+ * with a declared `size`) is streamed; other data is converted to bytes
+ * first because headers need the size.
+ * @param {Iterable|AsyncIterable} entries - Entry sources ({name, data, size, lastModified, comment})
+ * @param {object} options - Archive options (deterministic, sourceDateEpoch, includeManifest, includeChecksums)
+ * @returns {AsyncGenerator<Uint8Array>} - Archive chunks in order
+ */
+export async function* generateTarChunks(entries, options = {}) {
+  const fixedDate = options.deterministic ? resolveSourceDate(options) : null;
+  let count = 0;
+
+  for await (const source of withIntegrityManifest(orderEntries(entries, options), options)) {
+    const name = source.name.replace(/\\/g, '/').replace(/^\/+/, '');
+    if (!name) {
+      throw new Error('Archive entries require a name');
+    }
+
+    const isDirectory = name.endsWith('/');
+    const sized = isDirectory ? null : getSizedStream(source);
+    const data = isDirectory || sized ? null : await toUint8Array(source.data);
+    const entry = {
+      name,
+      isDirectory,
+      comment: source.comment,
+      size: sized ? sized.size : (data?.length ?? 0),
+      mtime: Math.floor(new Date(fixedDate ?? source.lastModified ?? Date.now()).getTime() / 1000)
+    };
+
+    yield* writeEntryHeaders(entry);
+
+    if (sized) {
+      let written = 0;
+      for await (const chunk of readStreamChunks(sized.stream)) {
+        written += chunk.length;
+        yield chunk;
+      }
+      if (written !== entry.size) {
+        throw new Error(`Entry "${name}" changed size while it was being archived`);
+      }
+    } else if (entry.size > 0) {
+      yield data;
+    }
+
+    yield padToBlock(entry.size);
+    count++;
+  }
+
+  if (count === 0) {
+    throw new Error('At least one entry is required to create an archive');
+  }
+
+  // End of archive: two zero-filled blocks
+  yield new Uint8Array(BLOCK_SIZE * 2);
+}
+
+/**
+ * Creates a ReadableStream of a tar archive, pulling entries lazily
+ * @param {Iterable|AsyncIterable} entries - Entry sources; data may be a string, bytes, Blob/File or ReadableStream
+ * @param {object} options - Archive options, as for generateTarChunks
+ * @returns {ReadableStream<Uint8Array>} - The archive stream
+ */
+export const createTarStream = (entries, options = {}) => {
+  return createStreamFromIterator(generateTarChunks(entries, options));
+};
+
+/**
+ * Builds a complete tar archive in memory
+ * @param {Array<{name: string, data: any, lastModified?: Date|number, comment?: string}>} entries - Archive entries
+ * @param {object} options - Archive options, as for generateTarChunks
+ * @returns {Promise<Blob>} - Promise resolving to the archive blob
+ */
+export const createTarArchive = async (entries, options = {}) => {
+  const chunks = [];
+  for await (const chunk of generateTarChunks(entries, options)) {
+    chunks.push(chunk);
+  }
+  return new Blob(chunks, { type: 'application/x-tar' });
+};
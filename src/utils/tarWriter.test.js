@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { createTarArchive } from './tarWriter';
+
+const decoder = new TextDecoder();
+
+const readString = (block, offset, length) => decoder.decode(block.subarray(offset, offset + length)).replace(/\0.*$/s, '');
+
+/**
+ * Lists a tar archive's records, applying pax paths to the entry that follows
+ */
+const readTar = (bytes) => {
+  const records = [];
+  let paxPath = null;
+  for (let offset = 0; offset + 512 <= bytes.length; ) {
+    const block = bytes.subarray(offset, offset + 512);
+    if (block.every((byte) => byte === 0)) break;
+
+    const checksum = parseInt(readString(block, 148, 8), 8);
+    const computed = block.reduce((total, byte, index) => total + (index >= 148 && index < 156 ? 0x20 : byte), 0);
+    const size = parseInt(readString(block, 124, 12), 8);
+    const type = readString(block, 156, 1);
+    const data = bytes.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === 'x') {
+      paxPath = decoder.decode(data).match(/ path=(.*)\n/)?.[1] ?? null;
+      continue;
+    }
+    records.push({ name: paxPath ?? readString(block, 0, 100), type, text: decoder.decode(data), checksumValid: checksum === computed, magic: readString(block, 257, 6) });
+    paxPath = null;
+  }
+  return records;
+};
+
+describe('createTarArchive', () => {
+  it('writes ustar headers, file data and directories', async () => {
+    const bytes = new Uint8Array(await (await createTarArchive([
+      { name: 'folder/' },
+      { name: 'folder/a.json', data: '{"a":1}' }
+    ])).arrayBuffer());
+
+    expect(bytes.length % 512).toBe(0);
+    expect(bytes.subarray(-1024).every((byte) => byte === 0)).toBe(true);
+    expect(readTar(bytes)).toEqual([
+      { name: 'folder/', type: '5', text: '', checksumValid: true, magic: 'ustar' },
+      { name: 'folder/a.json', type: '0', text: '{"a":1}', checksumValid: true, magic: 'ustar' }
+    ]);
+  });
+
+  it('keeps long and non-ASCII names in pax headers', async () => {
+    const longName = `${'nested/'.repeat(20)}file.json`;
+    const bytes = new Uint8Array(await (await createTarArchive([
+      { name: longName, data: '1' },
+      { name: 'données.json', data: '2' }
+    ])).arrayBuffer());
+    expect(readTar(bytes).map((record) => record.name)).toEqual([longName, 'données.json']);
+  });
+
+  it('needs at least one entry', async () => {
+    await expect(createTarArchive([])).rejects.toThrow('At least one entry is required');
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * TOML input (TOML 1.0), as in Cargo.toml and pyproject.toml. JSON has no
+ * date type, so dates and times are kept as the strings they are written as.
+ */
+
+const BARE_KEY = /[A-Za-z0-9_-]+/y;
+
+// Each value pattern is tried in turn; a match must end where the value does
+const VALUE_PATTERNS = [
+  [/\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[-+]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(?:\.\d+)?/y, (text) => text],
+  [/true|false/y, (text) => text === 'true'],
+  [/[-+]?(?:inf|nan)/y, (text) => (text.endsWith('nan') ? NaN : text.startsWith('-') ? -Infinity : Infinity)],
+  [/0x[\da-fA-F](?:_?[\da-fA-F])*/y, (text) => parseInt(text.slice(2).replace(/_/g, ''), 16)],
+  [/0o[0-7](?:_?[0-7])*/y, (text) => parseInt(text.slice(2).replace(/_/g, ''), 8)],
+  [/0b[01](?:_?[01])*/y, (text) => parseInt(text.slice(2).replace(/_/g, ''), 2)],
+  [/[-+]?(?:0|[1-9](?:_?\d)*)(?:\.\d(?:_?\d)*)?(?:[eE][-+]?\d(?:_?\d)*)?/y, (text) => Number(text.replace(/_/g, ''))]
+];
+
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+const UNICODE_ESCAPE_LENGTHS = { u: 4, U: 8 };
+
+const isTable = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Assigning "__proto__" would replace the object's prototype instead of adding a key
+const setProperty = (object, key, value) => {
+  if (key === '__proto__') {
+    Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+  } else {
+    object[key] = value;
+  }
+};
+
+/**
+ * Parses a TOML document
+ * @param {string} input - The TOML text
+ * @returns {Object} - The root table
+ */
+export const parseToml = (input) => {
+  const text = input.replace(/\r\n/g, '\n');
+  let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const root = {};
+  // Tables opened by a [header], made by dotted keys, or written inline; arrays made by [[header]]
+  const headerTables = new WeakSet();
+  const dottedTables = new WeakSet();
+  const inlineTables = new WeakSet();
+  const tableArrays = new WeakSet();
+  let current = root;
+
+  const fail = (message, at = pos) => {
+    const before = text.slice(0, at);
+    const line = before.split('\n').length;
+    const column = at - before.lastIndexOf('\n');
+    throw new SyntaxError(`Invalid TOML: ${message} at line ${line}, column ${column}`);
+  };
+
+  const unexpected = () => {
+    if (pos >= text.length) fail('Unexpected end of input');
+    fail(`Unexpected character ${JSON.stringify(text[pos])}`);
+  };
+
+  const skipSpace = () => {
+    while (text[pos] === ' ' || text[pos] === '\t') pos++;
+  };
+
+  const skipComment = () => {
+    if (text[pos] === '#') {
+      while (pos < text.length && text[pos] !== '\n') pos++;
+    }
+  };
+
+  // Arrays may span lines, with comments between their values
+  const skipArraySpace = () => {
+    for (;;) {
+      skipSpace();
+      skipComment();
+      if (text[pos] !== '\n') return;
+      pos++;
+    }
+  };
+
+  const expectLineEnd = () => {
+    skipSpace();
+    skipComment();
+    if (pos < text.length && text[pos] !== '\n') unexpected();
+    pos++;
+  };
+
+  const isValueEnd = (at) => at >= text.length || ' \t\n,]}#'.includes(text[at]);
+
+  const parseEscape = () => {
+    const start = pos - 1;
+    const char = text[pos++];
+    if (Object.hasOwn(ESCAPES, char)) return ESCAPES[char];
+
+    const length = UNICODE_ESCAPE_LENGTHS[char];
+    const hex = length ? text.slice(pos, pos + length) : '';
+    const code = parseInt(hex, 16);
+    if (!length || hex.length < length || !/^[\da-fA-F]+$/.test(hex) || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+      fail('Invalid escape sequence', start);
+    }
+    pos += length;
+    return String.fromCodePoint(code);
+  };
+
+  // Basic ("...") and literal ('...') strings, and their multi-line forms
+  const parseString = () => {
+    const quote = text[pos];
+    const delimiter = quote.repeat(3);
+    const multiline = text.startsWith(delimiter, pos);
+    pos += multiline ? 3 : 1;
+    // A line break right after the opening delimiter is not part of the string
+    if (multiline && text[pos] === '\n') pos++;
+
+    let result = '';
+    for (;;) {
+      if (pos >= text.length) fail('Unterminated string');
+      const char = text[pos];
+      if (char === quote && (!multiline || text.startsWith(delimiter, pos))) {
+        if (!multiline) {
+          pos++;
+          return result;
+        }
+        // Up to two quotes may come right before the closing delimiter
+        let extra = 0;
+        while (extra < 2 && text[pos + 3 + extra] === quote) extra++;
+        pos += 3 + extra;
+        return result + quote.repeat(extra);
+      }
+      if (char === '\\' && quote === '"') {
+        pos++;
+        // In multi-line strings, a backslash at the end of a line trims the break and the indentation after it
+        let next = pos;
+        while (text[next] === ' ' || text[next] === '\t') next++;
+        if (multiline && text[next] === '\n') {
+          pos = next;
+          while (text[pos] === ' ' || text[pos] === '\t' || text[pos] === '\n') pos++;
+        } else {
+          result += parseEscape();
+        }
+        continue;
+      }
+      if (char === '\n' ? !multiline : char < ' ' && char !== '\t') {
+        fail(char === '\n' ? 'Unterminated string' : 'Control characters must be escaped');
+      }
+      result += char;
+      pos++;
+    }
+  };
+
+  // A key of one or more dot-separated parts: bare, "basic" or 'literal'
+  const parseKey = () => {
+    const parts = [];
+    for (;;) {
+      skipSpace();
+      const char = text[pos];
+      if (char === '"' || char === "'") {
+        if (text.startsWith(char.repeat(3), pos)) fail('Multi-line strings cannot be keys');
+        parts.push(parseString());
+      } else {
+        BARE_KEY.lastIndex = pos;
+        const match = BARE_KEY.exec(text);
+        if (!match) unexpected();
+        parts.push(match[0]);
+        pos = BARE_KEY.lastIndex;
+      }
+      skipSpace();
+      if (text[pos] !== '.') return parts;
+      pos++;
+    }
+  };
+
+  // Steps into a sub-table, creating it when missing; `viaHeader` also steps into the last table of an array
+  const descend = (table, key, path, viaHeader) => {
+    if (!Object.hasOwn(table, key)) {
+      const child = {};
+      setProperty(table, key, child);
+      if (!viaHeader) dottedTables.add(child);
+      return child;
+    }
+
+    let child = table[key];
+    if (viaHeader && tableArrays.has(child)) child = child[child.length - 1];
+    if (!isTable(child) || inlineTables.has(child) || (!viaHeader && headerTables.has(child))) {
+      fail(`${path} is already defined`);
+    }
+    return child;
+  };
+
+  const assignKeyValue = (table) => {
+    const start = pos;
+    const keys = parseKey();
+    let target = table;
+    keys.slice(0, -1).forEach((key, index) => {
+      target = descend(target, key, keys.slice(0, index + 1).join('.'), false);
+    });
+    if (text[pos] !== '=') unexpected();
+    pos++;
+    skipSpace();
+    const value = parseValue();
+
+    const last = keys[keys.length - 1];
+    if (Object.hasOwn(target, last)) fail(`${keys.join('.')} is already defined`, start);
+    setProperty(target, last, value);
+  };
+
+  const parseArray = () => {
+    pos++;
+    const result = [];
+    for (;;) {
+      skipArraySpace();
+      if (text[pos] === ']') break;
+      result.push(parseValue());
+      skipArraySpace();
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] !== ']') {
+        unexpected();
+      }
+    }
+    pos++;
+    return result;
+  };
+
+  // Inline tables sit on one line, have no trailing comma and cannot be extended later
+  const parseInlineTable = () => {
+    pos++;
+    const table = {};
+    skipSpace();
+    if (text[pos] === '}') {
+      pos++;
+    } else {
+      for (;;) {
+        assignKeyValue(table);
+        skipSpace();
+        if (text[pos] === '}') {
+          pos++;
+          break;
+        }
+        if (text[pos] !== ',') unexpected();
+        pos++;
+      }
+    }
+    inlineTables.add(table);
+    return table;
+  };
+
+  const parseValue = () => {
+    const char = text[pos];
+    if (char === '"' || char === "'") return parseString();
+    if (char === '[') return parseArray();
+    if (char === '{') return parseInlineTable();
+
+    for (const [pattern, convert] of VALUE_PATTERNS) {
+      pattern.lastIndex = pos;
+      const match = pattern.exec(text);
+      if (match && isValueEnd(pattern.lastIndex)) {
+        pos = pattern.lastIndex;
+        return convert(match[0]);
+      }
+    }
+    return unexpected();
+  };
+
+  // [table] and [[array.of.tables]]
+  const parseHeader = () => {
+    const start = pos;
+    const isArray = text.startsWith('[[', pos);
+    pos += isArray ? 2 : 1;
+    const keys = parseKey();
+    if (!text.startsWith(isArray ? ']]' : ']', pos)) unexpected();
+    pos += isArray ? 2 : 1;
+
+    let table = root;
+    keys.slice(0, -1).forEach((key, index) => {
+      table = descend(table, key, keys.slice(0, index + 1).join('.'), true);
+    });
+    const last = keys[keys.length - 1];
+    const path = keys.join('.');
+
+    if (isArray) {
+      if (!Object.hasOwn(table, last)) {
+        const tables = [];
+        setProperty(table, last, tables);
+        tableArrays.add(tables);
+      }
+      if (!tableArrays.has(table[last])) fail(`${path} is not an array of tables`, start);
+      current = {};
+      table[last].push(current);
+    } else if (Object.hasOwn(table, last)) {
+      current = table[last];
+      if (!isTable(current) || headerTables.has(current) || dottedTables.has(current) || inlineTables.has(current)) {
+        fail(`Table ${path} is defined twice`, start);
+      }
+    } else {
+      current = {};
+      setProperty(table, last, current);
+    }
+    headerTables.add(current);
+  };
+
+  while (pos < text.length) {
+    skipSpace();
+    if (text[pos] === '[') {
+      parseHeader();
+    } else if (pos < text.length && text[pos] !== '\n' && text[pos] !== '#') {
+      assignKeyValue(current);
+    }
+    expectLineEnd();
+  }
+  return root;
+};
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { parseToml } from './tomlParser';
+
+describe('parseToml', () => {
+  it('reads tables, dotted keys and arrays of tables', () => {
+    const text = `
+# Cargo-style manifest
+title = "demo"
+
+[package]
+name = "app"
+version.major = 1
+
+[dependencies.serde]
+features = ["derive"]
+
+[[bin]]
+name = "one"
+
+[[bin]]
+name = "two"
+`;
+    expect(parseToml(text)).toEqual({
+      title: 'demo',
+      package: { name: 'app', version: { major: 1 } },
+      dependencies: { serde: { features: ['derive'] } },
+      bin: [{ name: 'one' }, { name: 'two' }]
+    });
+  });
+
+  it('reads every kind of value', () => {
+    const text = [
+      'int = +1_000',
+      'hex = 0xDEAD_BEEF',
+      'oct = 0o755',
+      'bin = 0b1010',
+      'float = -3.5e2',
+      'inf = -inf',
+      'bool = false',
+      'date = 1979-05-27T07:32:00Z',
+      'local = 07:32:00',
+      'point = { x = 1, y = 2 }',
+      'mixed = [ 1, "two",',
+      '  [3], # comment',
+      ']'
+    ].join('\n');
+    expect(parseToml(text)).toEqual({
+      int: 1000,
+      hex: 0xdeadbeef,
+      oct: 0o755,
+      bin: 10,
+      float: -350,
+      inf: -Infinity,
+      bool: false,
+      date: '1979-05-27T07:32:00Z',
+      local: '07:32:00',
+      point: { x: 1, y: 2 },
+      mixed: [1, 'two', [3]]
+    });
+    expect(parseToml('n = nan').n).toBeNaN();
+  });
+
+  it('reads basic, literal and multi-line strings', () => {
+    const text = [
+      'basic = "tab\\t\\u00e9"',
+      "literal = 'C:\\path'",
+      'multi = """',
+      'one \\',
+      '  two"""',
+      "raw = '''",
+      "keep \\n'''"
+    ].join('\n');
+    expect(parseToml(text)).toEqual({ basic: 'tab\t\u00e9', literal: 'C:\\path', multi: 'one two', raw: 'keep \\n' });
+  });
+
+  it('rejects keys and tables defined twice', () => {
+    expect(() => parseToml('a = 1\na = 2')).toThrow('Invalid TOML: a is already defined at line 2, column 1');
+    expect(() => parseToml('[a]\n[a]')).toThrow('Table a is defined twice');
+    expect(() => parseToml('a.b = 1\n[a]')).toThrow('Table a is defined twice');
+    expect(() => parseToml('p = { x = 1 }\np.y = 2')).toThrow('p is already defined');
+    expect(() => parseToml('a = []\n[[a]]')).toThrow('a is not an array of tables');
+  });
+
+  it('reports syntax errors with their position', () => {
+    expect(() => parseToml('a = "open')).toThrow('Unterminated string');
+    expect(() => parseToml('a = 1 b = 2')).toThrow('Unexpected character "b" at line 1, column 7');
+    expect(() => parseToml('a = "\\q"')).toThrow('Invalid escape sequence');
+    expect(() => parseToml('a = 01')).toThrow('Unexpected character "0"');
+  });
+
+  it('keeps __proto__ as an ordinary key', () => {
+    const value = parseToml('[__proto__]\npolluted = true');
+    expect(Object.keys(value)).toEqual(['__proto__']);
+    expect(({}).polluted).toBeUndefined();
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * XML input, read with the browser's DOMParser. The root element becomes an
+ * object with one key, its name; each element holds its attributes, its
+ * child elements by name, and its text, following configurable conventions.
+ * Comments and processing instructions are left out.
+ */
+
+export const XML_NAMESPACE_MODES = {
+  // Qualified names as written (soap:Body), with xmlns declarations kept as attributes
+  PREFIX: 'prefix',
+  // Local names only (Body)
+  STRIP: 'strip',
+  // Names qualified by their namespace URI ({http://schemas.xmlsoap.org/soap/envelope/}Body)
+  URI: 'uri'
+};
+
+export const XML_ARRAY_MODES = {
+  // Child elements that repeat under one parent become an array
+  REPEATED: 'repeated',
+  // Every child element becomes an array, so the shape does not depend on the count
+  ALWAYS: 'always'
+};
+
+export const DEFAULT_XML_OPTIONS = {
+  xmlAttributePrefix: '@',
+  xmlTextKey: '#text',
+  xmlNamespaces: XML_NAMESPACE_MODES.PREFIX,
+  xmlArrays: XML_ARRAY_MODES.REPEATED
+};
+
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+
+// Assigning "__proto__" would replace the object's prototype instead of adding a key
+const setProperty = (object, key, value) => {
+  Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+};
+
+/**
+ * Checks the XML conventions among conversion options; unset ones keep their defaults
+ * @param {Object} options - Conversion options
+ */
+export const assertXmlOptions = (options = {}) => {
+  const { xmlAttributePrefix, xmlTextKey, xmlNamespaces, xmlArrays } = options;
+  if (xmlAttributePrefix !== undefined && typeof xmlAttributePrefix !== 'string') {
+    throw new Error('The XML attribute prefix must be a string');
+  }
+  if (xmlTextKey !== undefined && (typeof xmlTextKey !== 'string' || xmlTextKey === '')) {
+    throw new Error('The XML text key must be a non-empty string');
+  }
+  if (xmlNamespaces !== undefined && !Object.values(XML_NAMESPACE_MODES).includes(xmlNamespaces)) {
+    throw new Error(`Unsupported XML namespace mode: ${xmlNamespaces}`);
+  }
+  if (xmlArrays !== undefined && !Object.values(XML_ARRAY_MODES).includes(xmlArrays)) {
+    throw new Error(`Unsupported XML array mode: ${xmlArrays}`);
+  }
+};
+
+// Parser errors are reported as a document holding a <parsererror> element, in a namespace that differs by browser
+let parserErrorNamespace;
+const getParserErrorNamespace = (parser) => {
+  if (parserErrorNamespace === undefined) {
+    parserErrorNamespace = parser.parseFromString('<', 'application/xml').getElementsByTagName('parsererror')[0]?.namespaceURI ?? null;
+  }
+  return parserErrorNamespace;
+};
+
+const describeParserError = (error) => {
+  // Chrome wraps the message in a <div> between a heading and a page rendering
+  const message = (error.getElementsByTagName('div')[0] ?? error).textContent;
+  return message.trim().split('\n')[0];
+};
+
+/**
+ * Parses XML text into a JSON value
+ * @param {string} text - The XML text
+ * @param {Object} options - Conventions, among the conversion options
+ * @param {string} options.xmlAttributePrefix - Put before attribute names (default '@')
+ * @param {string} options.xmlTextKey - Key of an element's text when it also has attributes or children (default '#text')
+ * @param {string} options.xmlNamespaces - One of XML_NAMESPACE_MODES (default prefix)
+ * @param {string} options.xmlArrays - One of XML_ARRAY_MODES (default repeated)
+ * @returns {Object} - {<root name>: <root element>}. An element with nothing but text is
+ *   that text, and an empty one null; text around child elements is joined and trimmed.
+ */
+export const parseXml = (text, options = {}) => {
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('XML can only be read in the page, where DOMParser is available');
+  }
+  assertXmlOptions(options);
+  const { xmlAttributePrefix, xmlTextKey, xmlNamespaces, xmlArrays } = { ...DEFAULT_XML_OPTIONS, ...options };
+
+  const parser = new DOMParser();
+  const document = parser.parseFromString(text, 'application/xml');
+  const namespace = getParserErrorNamespace(parser);
+  const [error] = namespace === null
+    ? document.getElementsByTagName('parsererror')
+    : document.getElementsByTagNameNS(namespace, 'parsererror');
+  if (error) {
+    throw new SyntaxError(`Invalid XML: ${describeParserError(error)}`);
+  }
+
+  const nameOf = (node) => {
+    if (xmlNamespaces === XML_NAMESPACE_MODES.STRIP) return node.localName;
+    if (xmlNamespaces === XML_NAMESPACE_MODES.URI && node.namespaceURI) return `{${node.namespaceURI}}${node.localName}`;
+    return node.nodeName;
+  };
+
+  const addChild = (object, key, value) => {
+    if (!Object.hasOwn(object, key)) {
+      setProperty(object, key, xmlArrays === XML_ARRAY_MODES.ALWAYS ? [value] : value);
+    } else if (Array.isArray(object[key])) {
+      // Element values are never arrays, so an array is one made for repeats
+      object[key].push(value);
+    } else {
+      setProperty(object, key, [object[key], value]);
+    }
+  };
+
+  const convertElement = (element) => {
+    const result = {};
+    for (const attribute of element.attributes) {
+      if (attribute.namespaceURI === XMLNS_NAMESPACE && xmlNamespaces !== XML_NAMESPACE_MODES.PREFIX) continue;
+      setProperty(result, `${xmlAttributePrefix}${nameOf(attribute)}`, attribute.value);
+    }
+
+    let content = '';
+    let hasElements = false;
+    for (const child of element.childNodes) {
+      if (child.nodeType === ELEMENT_NODE) {
+        hasElements = true;
+        addChild(result, nameOf(child), convertElement(child));
+      } else if (child.nodeType === TEXT_NODE || child.nodeType === CDATA_SECTION_NODE) {
+        content += child.data;
+      }
+    }
+
+    if (!hasElements && Object.keys(result).length === 0) return content === '' ? null : content;
+    // Indentation between child elements is not text
+    const textValue = hasElements ? content.trim() : content;
+    if (textValue.trim() !== '') setProperty(result, xmlTextKey, textValue);
+    return result;
+  };
+
+  const root = document.documentElement;
+  const result = {};
+  setProperty(result, nameOf(root), convertElement(root));
+  return result;
+};
@@ -0,0 +1,74 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { XML_NAMESPACE_MODES, XML_ARRAY_MODES, assertXmlOptions, parseXml } from './xmlParser';
+
+describe('parseXml', () => {
+  it('turns elements, attributes and text into JSON', () => {
+    const text = `<?xml version="1.0"?>
+      <!-- catalog -->
+      <catalog version="2">
+        <book id="1"><title>Dune</title><price currency="EUR">9.99</price></book>
+        <book id="2"><title><![CDATA[A & B]]></title><note/></book>
+        <?render skip?>
+      </catalog>`;
+    expect(parseXml(text)).toEqual({
+      catalog: {
+        '@version': '2',
+        book: [
+          { '@id': '1', title: 'Dune', price: { '@currency': 'EUR', '#text': '9.99' } },
+          { '@id': '2', title: 'A & B', note: null }
+        ]
+      }
+    });
+  });
+
+  it('keeps text around child elements, trimmed', () => {
+    expect(parseXml('<p> Hello <b>there</b> world </p>')).toEqual({ p: { b: 'there', '#text': 'Hello  world' } });
+    expect(parseXml('<p>  spaced  </p>')).toEqual({ p: '  spaced  ' });
+  });
+
+  it('follows the attribute prefix, text key and array conventions', () => {
+    const options = { xmlAttributePrefix: '', xmlTextKey: 'value', xmlArrays: XML_ARRAY_MODES.ALWAYS };
+    expect(parseXml('<list><item n="1">a</item></list>', options)).toEqual({
+      list: { item: [{ n: '1', value: 'a' }] }
+    });
+  });
+
+  describe('namespaces', () => {
+    const text = '<soap:Envelope xmlns:soap="urn:soap" xmlns="urn:body"><soap:Body><Item/></soap:Body></soap:Envelope>';
+
+    it('keeps prefixes and xmlns attributes by default', () => {
+      expect(parseXml(text)).toEqual({
+        'soap:Envelope': { '@xmlns:soap': 'urn:soap', '@xmlns': 'urn:body', 'soap:Body': { Item: null } }
+      });
+    });
+
+    it('strips them or qualifies names by URI', () => {
+      expect(parseXml(text, { xmlNamespaces: XML_NAMESPACE_MODES.STRIP })).toEqual({ Envelope: { Body: { Item: null } } });
+      expect(parseXml(text, { xmlNamespaces: XML_NAMESPACE_MODES.URI })).toEqual({
+        '{urn:soap}Envelope': { '{urn:soap}Body': { '{urn:body}Item': null } }
+      });
+    });
+  });
+
+  it('keeps __proto__ as an ordinary key', () => {
+    const { root } = parseXml('<root><__proto__><polluted>true</polluted></__proto__></root>');
+    expect(Object.keys(root)).toEqual(['__proto__']);
+    expect(({}).polluted).toBeUndefined();
+  });
+
+  it('reports malformed XML', () => {
+    expect(() => parseXml('<a><b></a>')).toThrow(/^Invalid XML: /);
+    expect(() => parseXml('')).toThrow(/^Invalid XML: /);
+  });
+});
+
+describe('assertXmlOptions', () => {
+  it('rejects unknown conventions', () => {
+    expect(() => assertXmlOptions({ xmlAttributePrefix: 1 })).toThrow('The XML attribute prefix must be a string');
+    expect(() => assertXmlOptions({ xmlTextKey: '' })).toThrow('The XML text key must be a non-empty string');
+    expect(() => assertXmlOptions({ xmlNamespaces: 'keep' })).toThrow('Unsupported XML namespace mode: keep');
+    expect(() => assertXmlOptions({ xmlArrays: 'never' })).toThrow('Unsupported XML array mode: never');
+    expect(() => assertXmlOptions({})).not.toThrow();
+  });
+});
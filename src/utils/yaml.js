@@ -0,0 +1,82 @@
+/**
+ * YAML output for JSON values: block style, with strings quoted only where a
+ * plain scalar would read back as something else
+ */
+
+// Plain scalars YAML 1.1 or 1.2 readers would turn into null, booleans or numbers
+const RESERVED_PATTERN = /^(?:~|null|true|false|yes|no|on|off|y|n)$/i;
+const NUMBER_PATTERN = /^[-+]?(?:\d[\d_]*(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?$|^[-+]?\.(?:inf|nan)$|^0(?:x[0-9a-f]+|o[0-7]+)$/i;
+const INDICATOR_PATTERN = /^[\s\-?:,[\]{}#&*!|>'"%@`]/;
+
+// Sequence items are always indented by the width of "- " so nested mappings line up
+const SEQUENCE_INDENT = '  ';
+
+// Line breaks, tabs and other characters a plain scalar cannot carry
+const hasControlCharacters = (text) => [...text].some((char) => {
+  const code = char.codePointAt(0);
+  return code < 0x20 || (code >= 0x7f && code <= 0x9f) || code === 0x2028 || code === 0x2029 || code === 0xfeff;
+});
+
+const needsQuotes = (text) => text === '' ||
+  RESERVED_PATTERN.test(text) ||
+  NUMBER_PATTERN.test(text) ||
+  INDICATOR_PATTERN.test(text) ||
+  hasControlCharacters(text) ||
+  /\s$/.test(text) ||
+  /:(?:\s|$)|\s#/.test(text);
+
+// JSON string escapes are valid in YAML double-quoted scalars. JSON leaves DEL,
+// C1 controls, U+2028/U+2029 and the BOM raw, which YAML needs escaped.
+const quote = (text) => JSON.stringify(text)
+  .replace(/[\u007f-\u009f\u2028\u2029\ufeff]/g, (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+const formatString = (text) => (needsQuotes(text) ? quote(text) : text);
+
+const isBlock = (value) => value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+
+const formatInline = (value) => {
+  if (Array.isArray(value)) return '[]';
+  if (value !== null && typeof value === 'object') return '{}';
+  if (typeof value === 'string') return formatString(value);
+  return String(value);
+};
+
+function* blockLines(value, pad, options) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (isBlock(item)) {
+        const [first, ...rest] = blockLines(item, pad + SEQUENCE_INDENT, options);
+        yield `${pad}- ${first.trimStart()}`;
+        yield* rest;
+      } else {
+        yield `${pad}- ${formatInline(item)}`;
+      }
+    }
+    return;
+  }
+
+  const keys = options.sortKeys ? Object.keys(value).sort() : Object.keys(value);
+  for (const key of keys) {
+    const child = value[key];
+    if (isBlock(child)) {
+      yield `${pad}${formatString(key)}:`;
+      yield* blockLines(child, pad + options.unit, options);
+    } else {
+      yield `${pad}${formatString(key)}: ${formatInline(child)}`;
+    }
+  }
+}
+
+/**
+ * Serializes a JSON value as a YAML document
+ * @param {*} value - The value to serialize
+ * @param {Object} options - Output options
+ * @param {number} options.indent - Spaces per mapping level (default 2)
+ * @param {boolean} options.sortKeys - Emit mapping keys in sorted order
+ * @returns {string} - YAML text ending in a newline
+ */
+export const stringifyYaml = (value, { indent = 2, sortKeys = false } = {}) => {
+  if (!isBlock(value)) return `${formatInline(value)}\n`;
+  const options = { unit: ' '.repeat(Math.max(indent, 1)), sortKeys };
+  return `${[...blockLines(value, '', options)].join('\n')}\n`;
+};
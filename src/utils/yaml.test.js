@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { stringifyYaml } from './yaml';
+
+describe('stringifyYaml', () => {
+  it('writes nested mappings and sequences in block style', () => {
+    expect(stringifyYaml({
+      name: 'app',
+      tags: ['a', { id: 1, ok: true }],
+      empty: { list: [], map: {} },
+      none: null
+    })).toBe([
+      'name: app',
+      'tags:',
+      '  - a',
+      '  - id: 1',
+      '    ok: true',
+      'empty:',
+      '  list: []',
+      '  map: {}',
+      'none: null',
+      ''
+    ].join('\n'));
+  });
+
+  it('quotes strings that would read back as something else', () => {
+    expect(stringifyYaml({
+      a: 'yes',
+      b: '1.5',
+      c: '',
+      d: '- item',
+      e: 'key: value',
+      f: 'line\nbreak',
+      g: 'trailing ',
+      h: '\u2028',
+      i: 'plain text'
+    })).toBe([
+      'a: "yes"',
+      'b: "1.5"',
+      'c: ""',
+      'd: "- item"',
+      'e: "key: value"',
+      'f: "line\\nbreak"',
+      'g: "trailing "',
+      'h: "\\u2028"',
+      'i: plain text',
+      ''
+    ].join('\n'));
+    expect(stringifyYaml({ on: 1 })).toBe('"on": 1\n');
+  });
+
+  it('honours indent and sortKeys, and writes scalars on one line', () => {
+    expect(stringifyYaml({ b: { d: 1 }, a: 2 }, { indent: 4, sortKeys: true })).toBe('a: 2\nb:\n    d: 1\n');
+    expect(stringifyYaml('true')).toBe('"true"\n');
+    expect(stringifyYaml([])).toBe('[]\n');
+  });
+});
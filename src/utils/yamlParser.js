@@ -0,0 +1,619 @@
+/**
+ * YAML input, read with the YAML 1.2 core schema: block and flow styles,
+ * quoted and block scalars, multi-document streams, anchors and aliases, and
+ * merge keys (<<). Standard tags such as !!str convert a scalar; other tags are
+ * ignored. Explicit (?) and collection keys are not supported.
+ */
+
+// Nested aliases can describe exponentially large documents; this caps the nodes they add
+const MAX_ALIAS_NODES = 1000000;
+
+const MERGE_KEY = '<<';
+
+const NULL_PATTERN = /^(?:~|null|Null|NULL|)$/;
+const TRUE_PATTERN = /^(?:true|True|TRUE)$/;
+const FALSE_PATTERN = /^(?:false|False|FALSE)$/;
+const DECIMAL_PATTERN = /^[-+]?(?:\.\d+|\d+(?:\.\d*)?)(?:[eE][-+]?\d+)?$/;
+const OCTAL_PATTERN = /^0o([0-7]+)$/;
+const HEX_PATTERN = /^0x([\da-fA-F]+)$/;
+const INFINITY_PATTERN = /^([-+]?)\.(?:inf|Inf|INF)$/;
+const NAN_PATTERN = /^\.(?:nan|NaN|NAN)$/;
+
+const ANCHOR_NAME = /[^\s,[\]{}]+/y;
+const TAG = /!<[^>]*>|![^\s,[\]{}]*/y;
+const VERBATIM_CORE_TAG = /^!<tag:yaml\.org,2002:(\w+)>$/;
+
+const ESCAPES = {
+  0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\u0085', _: '\u00a0', L: '\u2028', P: '\u2029'
+};
+const HEX_ESCAPE_LENGTHS = { x: 2, u: 4, U: 8 };
+
+// Tags that require a scalar of a given type
+const TYPED_TAGS = {
+  '!!int': Number.isInteger,
+  '!!float': (value) => typeof value === 'number',
+  '!!bool': (value) => typeof value === 'boolean',
+  '!!null': (value) => value === null
+};
+
+const FLOW_INDICATORS = ',[]{}';
+
+const isPlainMapping = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Assigning "__proto__" would replace the object's prototype instead of adding a key
+const setProperty = (object, key, value) => {
+  if (key === '__proto__') {
+    Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+  } else {
+    object[key] = value;
+  }
+};
+
+/**
+ * Resolves a plain scalar the way the core schema does: null, booleans and
+ * numbers; anything else is a string
+ */
+const resolvePlainScalar = (text) => {
+  if (NULL_PATTERN.test(text)) return null;
+  if (TRUE_PATTERN.test(text)) return true;
+  if (FALSE_PATTERN.test(text)) return false;
+  if (DECIMAL_PATTERN.test(text)) return Number(text);
+
+  let match;
+  if ((match = OCTAL_PATTERN.exec(text))) return parseInt(match[1], 8);
+  if ((match = HEX_PATTERN.exec(text))) return parseInt(match[1], 16);
+  if ((match = INFINITY_PATTERN.exec(text))) return match[1] === '-' ? -Infinity : Infinity;
+  if (NAN_PATTERN.test(text)) return NaN;
+  return text;
+};
+
+/**
+ * Parses a YAML stream
+ * @param {string} input - The YAML text
+ * @returns {any[]} - One value per document; an empty document is null
+ */
+export const parseYamlDocuments = (input) => {
+  const text = input.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  let pos = 0;
+  let anchors = new Map();
+  const nodeSizes = new WeakMap();
+  let aliasNodes = 0;
+
+  const lineStartOf = (at) => (at === 0 ? 0 : text.lastIndexOf('\n', at - 1) + 1);
+  const columnOf = (at) => at - lineStartOf(at);
+
+  const fail = (message, at = pos) => {
+    const before = text.slice(0, at);
+    const line = before.split('\n').length;
+    throw new SyntaxError(`Invalid YAML: ${message} at line ${line}, column ${columnOf(at) + 1}`);
+  };
+
+  const unexpected = () => {
+    if (pos >= text.length) fail('Unexpected end of input');
+    fail(`Unexpected character ${JSON.stringify(text[pos])}`);
+  };
+
+  const isLineEnd = (at) => at >= text.length || text[at] === '\n';
+  const isBlankAt = (at) => isLineEnd(at) || text[at] === ' ' || text[at] === '\t';
+  const isCommentAt = (at) => text[at] === '#' && (at === 0 || /\s/.test(text[at - 1]));
+  const isDocumentMarker = (at) => columnOf(at) === 0 &&
+    (text.startsWith('---', at) || text.startsWith('...', at)) && isBlankAt(at + 3);
+  const isSequenceEntry = (at) => text[at] === '-' && isBlankAt(at + 1);
+  const atLineIndentation = () => text.slice(lineStartOf(pos), pos).trim() === '';
+
+  const skipInlineSpace = () => {
+    while (text[pos] === ' ' || text[pos] === '\t') pos++;
+  };
+
+  const skipComment = () => {
+    if (isCommentAt(pos)) {
+      while (!isLineEnd(pos)) pos++;
+    }
+  };
+
+  // Requires the rest of the line to be blank or a comment; stops at the line break
+  const expectLineEnd = () => {
+    skipInlineSpace();
+    skipComment();
+    if (!isLineEnd(pos)) unexpected();
+  };
+
+  // Moves from a line end past blank and comment lines to the next content
+  const skipToContent = () => {
+    for (;;) {
+      skipInlineSpace();
+      skipComment();
+      if (pos >= text.length || text[pos] !== '\n') break;
+      pos++;
+    }
+    if (pos < text.length && text.slice(lineStartOf(pos), pos).includes('\t')) {
+      fail('Tabs cannot be used for indentation');
+    }
+  };
+
+  const skipFlowSpace = () => {
+    for (;;) {
+      skipInlineSpace();
+      skipComment();
+      if (text[pos] !== '\n') return;
+      pos++;
+    }
+  };
+
+  const nodeSize = (value) => {
+    if (value === null || typeof value !== 'object') return 1;
+    let size = nodeSizes.get(value);
+    if (size === undefined) {
+      size = 1;
+      for (const child of Object.values(value)) size += nodeSize(child);
+      nodeSizes.set(value, size);
+    }
+    return size;
+  };
+
+  const parseAlias = () => {
+    const start = pos++;
+    ANCHOR_NAME.lastIndex = pos;
+    const match = ANCHOR_NAME.exec(text);
+    if (!match) fail('Missing alias name');
+    pos = ANCHOR_NAME.lastIndex;
+    if (!anchors.has(match[0])) fail(`Unknown alias *${match[0]}`, start);
+
+    const value = anchors.get(match[0]);
+    aliasNodes += nodeSize(value);
+    if (aliasNodes > MAX_ALIAS_NODES) fail('Aliases expand to too many nodes', start);
+    return value;
+  };
+
+  // Anchors and tags, in either order, each followed by space
+  const parseProperties = (skipSpace) => {
+    const properties = {};
+    for (;;) {
+      if (text[pos] === '&' && properties.anchor === undefined) {
+        ANCHOR_NAME.lastIndex = ++pos;
+        const match = ANCHOR_NAME.exec(text);
+        if (!match) fail('Missing anchor name');
+        properties.anchor = match[0];
+        pos = ANCHOR_NAME.lastIndex;
+      } else if (text[pos] === '!' && properties.tag === undefined) {
+        TAG.lastIndex = pos;
+        const [tag] = TAG.exec(text);
+        const verbatim = VERBATIM_CORE_TAG.exec(tag);
+        properties.tag = verbatim ? `!!${verbatim[1]}` : tag;
+        pos = TAG.lastIndex;
+      } else {
+        return properties;
+      }
+      skipSpace();
+    }
+  };
+
+  const finishNode = (value, properties) => {
+    if (properties.anchor !== undefined) anchors.set(properties.anchor, value);
+    return value;
+  };
+
+  // Quoted scalars are always strings; tags convert them like plain ones
+  const resolveScalar = (scalar, plain, tag, at) => {
+    if (tag === '!!str' || tag === '!') return scalar;
+    if (tag === '!!binary') return scalar.replace(/\s/g, '');
+
+    const check = TYPED_TAGS[tag];
+    if (check) {
+      const value = resolvePlainScalar(scalar.trim());
+      if (!check(value)) fail(`${JSON.stringify(scalar)} is not a valid ${tag}`, at);
+      return value;
+    }
+    return plain ? resolvePlainScalar(scalar) : scalar;
+  };
+
+  const parseEscape = () => {
+    const start = pos - 1;
+    const char = text[pos++];
+    if (Object.hasOwn(ESCAPES, char)) return ESCAPES[char];
+
+    const length = HEX_ESCAPE_LENGTHS[char];
+    const hex = length ? text.slice(pos, pos + length) : '';
+    if (!length || hex.length < length || !/^[\da-fA-F]+$/.test(hex) || parseInt(hex, 16) > 0x10ffff) {
+      fail('Invalid escape sequence', start);
+    }
+    pos += length;
+    return String.fromCodePoint(parseInt(hex, 16));
+  };
+
+  // Line breaks in quoted scalars fold to a space; blank lines are kept as line breaks
+  const parseQuoted = () => {
+    const quote = text[pos++];
+    let result = '';
+    // Escaped characters are not trimmed at a line break
+    let kept = 0;
+
+    for (;;) {
+      if (pos >= text.length) fail('Unterminated string');
+      const char = text[pos];
+      if (char === quote) {
+        if (quote === "'" && text[pos + 1] === "'") {
+          result += "'";
+          pos += 2;
+          continue;
+        }
+        pos++;
+        return result;
+      }
+      if (char === '\\' && quote === '"') {
+        pos++;
+        if (text[pos] === '\n') {
+          pos++;
+          skipInlineSpace();
+        } else {
+          result += parseEscape();
+        }
+        kept = result.length;
+        continue;
+      }
+      if (char === '\n') {
+        result = result.slice(0, kept) + result.slice(kept).replace(/[ \t]+$/, '');
+        let breaks = 0;
+        while (text[pos] === '\n') {
+          breaks++;
+          pos++;
+          skipInlineSpace();
+        }
+        result += breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+        kept = result.length;
+        continue;
+      }
+      result += char;
+      pos++;
+    }
+  };
+
+  const checkPlainStart = () => {
+    const char = text[pos];
+    if (FLOW_INDICATORS.includes(char) || char === '@' || char === '`' || char === '|' || char === '>' ||
+      ((char === '?' || char === ':' || char === '-') && isBlankAt(pos + 1))) {
+      unexpected();
+    }
+  };
+
+  // A plain scalar ends at a comment, or at ": " where a key would end
+  const readPlainLine = (flow) => {
+    const start = pos;
+    while (!isLineEnd(pos) && !isCommentAt(pos)) {
+      const char = text[pos];
+      if (flow && FLOW_INDICATORS.includes(char)) break;
+      if (char === ':' && (isBlankAt(pos + 1) || (flow && FLOW_INDICATORS.includes(text[pos + 1])))) break;
+      pos++;
+    }
+    return text.slice(start, pos).trim();
+  };
+
+  // Continuation lines must sit deeper than `indent`; in flow context any indentation will do
+  const parsePlainScalar = (indent, flow) => {
+    checkPlainStart();
+    let result = readPlainLine(flow);
+
+    while (isLineEnd(pos) && pos < text.length) {
+      let next = pos;
+      let breaks = 0;
+      while (text[next] === '\n') {
+        breaks++;
+        next++;
+        while (text[next] === ' ' || text[next] === '\t') next++;
+      }
+      if (next >= text.length || isCommentAt(next) || isDocumentMarker(next) ||
+        (flow ? FLOW_INDICATORS.includes(text[next]) || text[next] === ':' : columnOf(next) <= indent)) {
+        break;
+      }
+      pos = next;
+      const line = readPlainLine(flow);
+      result += breaks === 1 ? ` ${line}` : `${'\n'.repeat(breaks - 1)}${line}`;
+    }
+    return result;
+  };
+
+  // Literal (|) and folded (>) scalars, with chomping (+, -) and indentation indicators
+  const parseBlockScalar = (indent) => {
+    const folded = text[pos++] === '>';
+    let chomping = 'clip';
+    let explicitIndent = 0;
+    for (let i = 0; i < 2; i++) {
+      if (text[pos] === '-' || text[pos] === '+') {
+        chomping = text[pos++] === '-' ? 'strip' : 'keep';
+      } else if (text[pos] >= '1' && text[pos] <= '9') {
+        explicitIndent = Number(text[pos++]);
+      }
+    }
+    expectLineEnd();
+
+    let contentIndent = explicitIndent ? Math.max(indent, 0) + explicitIndent : null;
+    let result = '';
+    let emptyLines = 0;
+    let readContent = false;
+    let moreIndented = false;
+
+    // pos stays on the line break that ends the scalar's last line
+    while (pos + 1 < text.length) {
+      const lineStart = pos + 1;
+      let lineEnd = text.indexOf('\n', lineStart);
+      if (lineEnd === -1) lineEnd = text.length;
+      const line = text.slice(lineStart, lineEnd);
+      const spaces = line.length - line.replace(/^ +/, '').length;
+      const blank = line.trim() === '';
+
+      if (!blank || (contentIndent !== null && spaces > contentIndent)) {
+        if (isDocumentMarker(lineStart)) break;
+        if (contentIndent === null) {
+          if (spaces <= indent) break;
+          contentIndent = spaces;
+        }
+        if (spaces < contentIndent) break;
+
+        const content = line.slice(contentIndent);
+        if (!folded) {
+          result += '\n'.repeat(readContent ? emptyLines + 1 : emptyLines);
+        } else if (content[0] === ' ' || content[0] === '\t') {
+          moreIndented = true;
+          result += '\n'.repeat(readContent ? emptyLines + 1 : emptyLines);
+        } else if (moreIndented) {
+          moreIndented = false;
+          result += '\n'.repeat(emptyLines + 1);
+        } else if (emptyLines === 0) {
+          if (readContent) result += ' ';
+        } else {
+          result += '\n'.repeat(emptyLines);
+        }
+        result += content;
+        readContent = true;
+        emptyLines = 0;
+      } else {
+        emptyLines++;
+      }
+      pos = lineEnd;
+    }
+
+    if (chomping === 'keep') {
+      result += '\n'.repeat(readContent ? emptyLines + 1 : emptyLines);
+    } else if (chomping === 'clip' && readContent) {
+      result += '\n';
+    }
+    return result;
+  };
+
+  const createMapping = () => ({ value: {}, keys: new Set() });
+
+  // Keys may not repeat; merged keys fill in only what the mapping does not set itself
+  const addMappingEntry = (mapping, key, merge, value, at) => {
+    if (merge) {
+      for (const source of Array.isArray(value) ? value : [value]) {
+        if (!isPlainMapping(source)) fail('A merge key (<<) needs a mapping or a list of mappings', at);
+        for (const [name, item] of Object.entries(source)) {
+          if (!Object.hasOwn(mapping.value, name)) setProperty(mapping.value, name, item);
+        }
+      }
+      return;
+    }
+    if (mapping.keys.has(key)) fail(`Duplicate key ${JSON.stringify(key)}`, at);
+    mapping.keys.add(key);
+    setProperty(mapping.value, key, value);
+  };
+
+  const parseFlowKey = () => {
+    const char = text[pos];
+    if (char === '"' || char === "'") return { key: parseQuoted(), plain: false };
+    if (char === '[' || char === '{' || char === '*' || char === '&' || char === '!') {
+      fail('Only plain or quoted scalars can be keys');
+    }
+    return { key: parsePlainScalar(-1, true), plain: true };
+  };
+
+  const parseFlowNode = () => {
+    const properties = parseProperties(skipFlowSpace);
+    const start = pos;
+    const char = text[pos];
+    let value;
+    if (char === '[' || char === '{') {
+      value = parseFlowCollection();
+    } else if (char === '"' || char === "'") {
+      value = resolveScalar(parseQuoted(), false, properties.tag, start);
+    } else if (char === '*') {
+      value = parseAlias();
+    } else if (char === ',' || char === ']' || char === '}') {
+      value = resolveScalar('', true, properties.tag, start);
+    } else {
+      value = resolveScalar(parsePlainScalar(-1, true), true, properties.tag, start);
+    }
+    return finishNode(value, properties);
+  };
+
+  // [a, b] and {a: 1}, which may span lines; a "key: value" item in a sequence is a one-entry mapping
+  const parseFlowCollection = () => {
+    const isSequence = text[pos++] === '[';
+    const close = isSequence ? ']' : '}';
+    const result = isSequence ? [] : createMapping();
+    skipFlowSpace();
+
+    while (text[pos] !== close) {
+      if (pos >= text.length) fail(`Missing "${close}"`);
+      const start = pos;
+      if (isSequence) {
+        const item = parseFlowNode();
+        skipFlowSpace();
+        if (text[pos] === ':') {
+          pos++;
+          skipFlowSpace();
+          const pair = createMapping();
+          const value = text[pos] === ',' || text[pos] === ']' ? null : parseFlowNode();
+          addMappingEntry(pair, String(item), false, value, start);
+          result.push(pair.value);
+        } else {
+          result.push(item);
+        }
+      } else {
+        const { key, plain } = parseFlowKey();
+        skipFlowSpace();
+        let value = null;
+        if (text[pos] === ':') {
+          pos++;
+          skipFlowSpace();
+          if (text[pos] !== ',' && text[pos] !== '}') value = parseFlowNode();
+        }
+        addMappingEntry(result, key, plain && key === MERGE_KEY, value, start);
+      }
+
+      skipFlowSpace();
+      if (text[pos] === ',') {
+        pos++;
+        skipFlowSpace();
+      } else if (text[pos] !== close) {
+        unexpected();
+      }
+    }
+    pos++;
+    return isSequence ? result : result.value;
+  };
+
+  // Tells whether the current line starts with an implicit key: a one-line scalar followed by ": "
+  const startsMappingEntry = () => {
+    const start = pos;
+    try {
+      if (text[pos] === '?' && isBlankAt(pos + 1)) return true;
+      if (text[pos] === '"' || text[pos] === "'") {
+        parseQuoted();
+        if (text.slice(start, pos).includes('\n')) return false;
+      } else {
+        if ('[{*&!|>%@`#'.includes(text[pos])) return false;
+        readPlainLine(false);
+      }
+      skipInlineSpace();
+      return text[pos] === ':' && isBlankAt(pos + 1);
+    } catch {
+      return false;
+    } finally {
+      pos = start;
+    }
+  };
+
+  const parseMappingKey = () => {
+    if (text[pos] === '?') fail('Explicit keys (?) are not supported');
+    const plain = text[pos] !== '"' && text[pos] !== "'";
+    const key = plain ? readPlainLine(false) : parseQuoted();
+    skipInlineSpace();
+    pos++;
+    return { key, plain };
+  };
+
+  const parseBlockMapping = (column) => {
+    const mapping = createMapping();
+    for (;;) {
+      const start = pos;
+      const { key, plain } = parseMappingKey();
+      const value = parseBlockNode(column, 'value');
+      addMappingEntry(mapping, key, plain && key === MERGE_KEY, value, start);
+
+      skipToContent();
+      if (pos >= text.length || isDocumentMarker(pos) || columnOf(pos) < column) break;
+      if (columnOf(pos) > column) fail('Bad indentation of a mapping entry');
+      if (!startsMappingEntry()) fail('Expected a mapping key');
+    }
+    return mapping.value;
+  };
+
+  const parseBlockSequence = (column) => {
+    const items = [];
+    for (;;) {
+      pos++;
+      items.push(parseBlockNode(column, 'item'));
+
+      skipToContent();
+      if (pos >= text.length || isDocumentMarker(pos) || columnOf(pos) < column) break;
+      if (columnOf(pos) > column) fail('Bad indentation of a sequence entry');
+      // A sequence that is a mapping value may sit at the mapping's indentation
+      if (!isSequenceEntry(pos)) break;
+    }
+    return items;
+  };
+
+  /**
+   * Reads the node that follows a "key:", a "- " or a document start. `indent`
+   * is the column of the parent collection; `context` is 'document', 'value'
+   * or 'item'. Only sequence items may hold a mapping or sequence on the same
+   * line ("- a: 1", "- - a").
+   */
+  const parseBlockNode = (indent, context) => {
+    skipInlineSpace();
+    let startsLine = atLineIndentation();
+    const properties = parseProperties(skipInlineSpace);
+
+    if (isLineEnd(pos) || isCommentAt(pos)) {
+      skipToContent();
+      const column = columnOf(pos);
+      const sameIndentSequence = context === 'value' && column === indent && isSequenceEntry(pos);
+      if (pos >= text.length || isDocumentMarker(pos) || (column <= indent && !sameIndentSequence)) {
+        return finishNode(resolveScalar('', true, properties.tag, pos), properties);
+      }
+      startsLine = true;
+    }
+
+    const column = columnOf(pos);
+    const collectionAllowed = startsLine || context === 'item';
+    if (isSequenceEntry(pos)) {
+      if (!collectionAllowed) fail('A sequence cannot start here');
+      return finishNode(parseBlockSequence(column), properties);
+    }
+    if (startsMappingEntry()) {
+      if (!collectionAllowed) fail('A mapping cannot start here');
+      return finishNode(parseBlockMapping(column), properties);
+    }
+
+    const start = pos;
+    const char = text[pos];
+    let value;
+    if (char === '|' || char === '>') {
+      return finishNode(resolveScalar(parseBlockScalar(indent), false, properties.tag, start), properties);
+    }
+    if (char === '[' || char === '{') {
+      value = parseFlowCollection();
+    } else if (char === '"' || char === "'") {
+      value = resolveScalar(parseQuoted(), false, properties.tag, start);
+    } else if (char === '*') {
+      value = parseAlias();
+    } else {
+      value = resolveScalar(parsePlainScalar(indent, false), true, properties.tag, start);
+    }
+    expectLineEnd();
+    return finishNode(value, properties);
+  };
+
+  const documents = [];
+  for (;;) {
+    skipToContent();
+    // Directives such as %YAML 1.2 change nothing here
+    while (text[pos] === '%' && columnOf(pos) === 0) {
+      while (!isLineEnd(pos)) pos++;
+      skipToContent();
+    }
+    if (pos >= text.length) break;
+
+    if (isDocumentMarker(pos) && text[pos] === '.') {
+      pos += 3;
+      expectLineEnd();
+      continue;
+    }
+    if (isDocumentMarker(pos)) pos += 3;
+
+    // Anchors are local to their document
+    anchors = new Map();
+    documents.push(parseBlockNode(-1, 'document'));
+
+    skipToContent();
+    if (pos >= text.length) break;
+    if (!isDocumentMarker(pos)) unexpected();
+    if (text[pos] === '.') {
+      pos += 3;
+      expectLineEnd();
+    }
+  }
+  return documents;
+};
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { parseYamlDocuments } from './yamlParser';
+
+const parseOne = (text) => {
+  const documents = parseYamlDocuments(text);
+  expect(documents).toHaveLength(1);
+  return documents[0];
+};
+
+describe('parseYamlDocuments', () => {
+  it('reads block mappings and sequences', () => {
+    const text = [
+      'name: app # trailing comment',
+      'ports:',
+      '  - 80',
+      '  - 443',
+      'env:',
+      '  - name: A',
+      '    value: "1"',
+      'nested:',
+      '  deep:',
+      '    key: value',
+      'empty:'
+    ].join('\n');
+    expect(parseOne(text)).toEqual({
+      name: 'app',
+      ports: [80, 443],
+      env: [{ name: 'A', value: '1' }],
+      nested: { deep: { key: 'value' } },
+      empty: null
+    });
+  });
+
+  it('resolves plain scalars with the core schema', () => {
+    expect(parseOne('[~, null, True, FALSE, 0o17, 0x1F, -1.5e3, .inf, -.Inf, yes, 007, 1_000]')).toEqual([
+      null, null, true, false, 15, 31, -1500, Infinity, -Infinity, 'yes', 7, '1_000'
+    ]);
+    expect(parseOne('.nan')).toBeNaN();
+  });
+
+  it('reads flow collections and quoted scalars', () => {
+    expect(parseOne('{a: [1, {b: c}], "d": \'it\'\'s\', e: "tab\\there\\u00e9"}')).toEqual({
+      a: [1, { b: 'c' }],
+      d: "it's",
+      e: 'tab\there\u00e9'
+    });
+  });
+
+  it('reads literal and folded block scalars with chomping', () => {
+    const text = [
+      'literal: |',
+      '  line one',
+      '  line two',
+      'folded: >-',
+      '  folded',
+      '  text',
+      '',
+      '  paragraph',
+      'kept: |+',
+      '  keep',
+      '',
+      'end: 1'
+    ].join('\n');
+    expect(parseOne(text)).toEqual({
+      literal: 'line one\nline two\n',
+      folded: 'folded text\nparagraph',
+      kept: 'keep\n\n',
+      end: 1
+    });
+  });
+
+  it('expands anchors, aliases and merge keys', () => {
+    const text = [
+      'base: &base',
+      '  a: 1',
+      '  b: 2',
+      'copy: *base',
+      'derived:',
+      '  <<: *base',
+      '  b: 3'
+    ].join('\n');
+    expect(parseOne(text)).toEqual({ base: { a: 1, b: 2 }, copy: { a: 1, b: 2 }, derived: { a: 1, b: 3 } });
+  });
+
+  it('applies standard tags', () => {
+    expect(parseOne('[!!str 123, !!float 1, !custom x]')).toEqual(['123', 1, 'x']);
+    expect(() => parseYamlDocuments('!!int abc')).toThrow('"abc" is not a valid !!int');
+  });
+
+  it('splits a stream into documents', () => {
+    const text = '%YAML 1.2\n---\na: 1\n---\n- 2\n...\n---\n';
+    expect(parseYamlDocuments(text)).toEqual([{ a: 1 }, [2], null]);
+    expect(parseYamlDocuments('')).toEqual([]);
+    expect(parseYamlDocuments('\uFEFFa: 1\r\n')).toEqual([{ a: 1 }]);
+  });
+
+  it('keeps anchors local to their document', () => {
+    expect(() => parseYamlDocuments('a: &x 1\n---\nb: *x')).toThrow('Unknown alias *x at line 3');
+  });
+
+  it('keeps __proto__ as an ordinary key', () => {
+    const value = parseOne('__proto__: {polluted: true}');
+    expect(Object.keys(value)).toEqual(['__proto__']);
+    expect(({}).polluted).toBeUndefined();
+  });
+
+  it('reports errors with their position', () => {
+    expect(() => parseYamlDocuments('a: 1\na: 2')).toThrow('Invalid YAML: Duplicate key "a" at line 2, column 1');
+    expect(() => parseYamlDocuments('a:\n\t- 1')).toThrow('Tabs cannot be used for indentation');
+    expect(() => parseYamlDocuments('? a\n: 1')).toThrow('Explicit keys (?) are not supported');
+    expect(() => parseYamlDocuments('[1, 2')).toThrow('Unexpected end of input at line 1, column 6');
+    expect(() => parseYamlDocuments('a: "open')).toThrow('Unterminated string');
+    expect(() => parseYamlDocuments('<<: 1')).toThrow('A merge key (<<) needs a mapping or a list of mappings');
+  });
+
+  it('caps what nested aliases expand to', () => {
+    const lines = ['a0: &a0 [x, x, x, x, x, x, x, x, x, x]'];
+    for (let level = 1; level <= 7; level++) {
+      const previous = `*a${level - 1}`;
+      lines.push(`a${level}: &a${level} [${Array(10).fill(previous).join(', ')}]`);
+    }
+    expect(() => parseYamlDocuments(lines.join('\n'))).toThrow('Aliases expand to too many nodes');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * WinZip AES (AE-2) entry encryption: PBKDF2-SHA1 key derivation and
+ * HMAC-SHA1 authentication via WebCrypto, AES-CTR keystream from ./aes
+ */
+
+import { aesCtrLittleEndian } from './aes';
+import { EXTRA_FIELDS } from './zipFormat';
+
+const textEncoder = new TextEncoder();
+
+// Key and salt sizes per AES strength code
+const AES_STRENGTHS = {
+  1: { bits: 128, keyLength: 16, saltLength: 8 },
+  2: { bits: 192, keyLength: 24, saltLength: 12 },
+  3: { bits: 256, keyLength: 32, saltLength: 16 }
+};
+
+const PBKDF2_ITERATIONS = 1000;
+const PASSWORD_VERIFIER_LENGTH = 2;
+const AUTH_CODE_LENGTH = 10;
+const AES_VENDOR_ID = 0x4541; // "AE"
+
+/**
+ * AE-x vendor versions: AE-1 keeps the CRC, AE-2 zeroes it
+ */
+export const AES_VENDOR_VERSIONS = {
+  AE1: 1,
+  AE2: 2
+};
+
+/**
+ * Supported values of the `encryption` option
+ */
+export const ENCRYPTION_METHODS = {
+  'aes-128': 1,
+  'aes-192': 2,
+  'aes-256': 3
+};
+
+/**
+ * Resolves the `password` / `encryption` options. A password alone implies AES-256.
+ * @param {object} options - Archive options
+ * @returns {{password: string, strength: number}|null} - Encryption settings, or null when disabled
+ */
+export const resolveEncryptionOptions = (options = {}) => {
+  const encryption = options.encryption || (options.password ? 'aes-256' : 'none');
+  if (encryption === 'none') return null;
+
+  if (!(encryption in ENCRYPTION_METHODS)) {
+    throw new Error(`Unsupported encryption method: ${encryption}`);
+  }
+  if (!options.password) {
+    throw new Error(`A password is required for ${encryption} encryption`);
+  }
+
+  return { password: options.password, strength: ENCRYPTION_METHODS[encryption] };
+};
+
+const deriveKeys = async (password, salt, keyLength) => {
+  const material = await crypto.subtle.importKey('raw', textEncoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-1', salt, iterations: PBKDF2_ITERATIONS },
+    material,
+    (keyLength * 2 + PASSWORD_VERIFIER_LENGTH) * 8
+  ));
+
+  return {
+    encryptionKey: bits.subarray(0, keyLength),
+    authenticationKey: bits.subarray(keyLength, keyLength * 2),
+    verifier: bits.subarray(keyLength * 2)
+  };
+};
+
+const computeAuthCode = async (authenticationKey, ciphertext) => {
+  const key = await crypto.subtle.importKey('raw', authenticationKey, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, ciphertext));
+  return mac.subarray(0, AUTH_CODE_LENGTH);
+};
+
+/**
+ * Compares two byte arrays without exiting early on the first difference
+ */
+const bytesEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a[i] ^ b[i];
+  }
+  return difference === 0;
+};
+
+/**
+ * Encrypts an entry's (already compressed) data
+ * @param {Uint8Array} data - Compressed entry data
+ * @param {string} password - The archive password
+ * @param {number} strength - AES strength code (default 3, AES-256)
+ * @returns {Promise<Uint8Array>} - Salt, password verifier, ciphertext and auth code
+ */
+export const encryptAesEntry = async (data, password, strength = 3) => {
+  const { keyLength, saltLength } = AES_STRENGTHS[strength];
+  const salt = crypto.getRandomValues(new Uint8Array(saltLength));
+  const { encryptionKey, authenticationKey, verifier } = await deriveKeys(password, salt, keyLength);
+  const ciphertext = aesCtrLittleEndian(encryptionKey, data);
+  const authCode = await computeAuthCode(authenticationKey, ciphertext);
+
+  const output = new Uint8Array(saltLength + PASSWORD_VERIFIER_LENGTH + ciphertext.length + AUTH_CODE_LENGTH);
+  output.set(salt, 0);
+  output.set(verifier, saltLength);
+  output.set(ciphertext, saltLength + PASSWORD_VERIFIER_LENGTH);
+  output.set(authCode, output.length - AUTH_CODE_LENGTH);
+
+  return output;
+};
+
+/**
+ * Verifies and decrypts an AE-x entry payload
+ * @param {Uint8Array} data - The stored entry data
+ * @param {string} password - The archive password
+ * @param {number} strength - AES strength code from the extra field
+ * @returns {Promise<Uint8Array>} - The compressed entry data
+ */
+export const decryptAesEntry = async (data, password, strength = 3) => {
+  const { keyLength, saltLength } = AES_STRENGTHS[strength];
+  const ciphertextStart = saltLength + PASSWORD_VERIFIER_LENGTH;
+  const ciphertextEnd = data.length - AUTH_CODE_LENGTH;
+
+  if (ciphertextEnd < ciphertextStart) {
+    throw new Error('Corrupt encrypted entry');
+  }
+
+  const { encryptionKey, authenticationKey, verifier } = await deriveKeys(password, data.subarray(0, saltLength), keyLength);
+  if (!bytesEqual(verifier, data.subarray(saltLength, ciphertextStart))) {
+    throw new Error('Incorrect password');
+  }
+
+  const ciphertext = data.subarray(ciphertextStart, ciphertextEnd);
+  const authCode = await computeAuthCode(authenticationKey, ciphertext);
+  if (!bytesEqual(authCode, data.subarray(ciphertextEnd))) {
+    throw new Error('Encrypted data failed authentication; the archive may have been tampered with');
+  }
+
+  return aesCtrLittleEndian(encryptionKey, ciphertext);
+};
+
+/**
+ * Builds the 0x9901 AES extra field
+ * @param {number} actualMethod - Compression method applied before encryption
+ * @param {number} strength - AES strength code (default 3, AES-256)
+ * @returns {Uint8Array} - The extra field bytes
+ */
+export const createAesExtraField = (actualMethod, strength = 3) => {
+  const field = new Uint8Array(11);
+  const view = new DataView(field.buffer);
+
+  view.setUint16(0, EXTRA_FIELDS.AES, true);
+  view.setUint16(2, 7, true);
+  view.setUint16(4, AES_VENDOR_VERSIONS.AE2, true);
+  view.setUint16(6, AES_VENDOR_ID, true);
+  view.setUint8(8, strength);
+  view.setUint16(9, actualMethod, true);
+
+  return field;
+};
+
+/**
+ * Parses the data of a 0x9901 AES extra field
+ * @param {Uint8Array} data - Extra field data, without the 4-byte header
+ * @returns {{vendorVersion: number, strength: number, bits: number, actualMethod: number}} - AES parameters
+ */
+export const parseAesExtraField = (data) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  if (data.length < 7 || view.getUint16(2, true) !== AES_VENDOR_ID) {
+    throw new Error('Corrupt AES extra field');
+  }
+
+  const strength = view.getUint8(4);
+  if (!AES_STRENGTHS[strength]) {
+    throw new Error(`Unsupported AES strength: ${strength}`);
+  }
+
+  return {
+    vendorVersion: view.getUint16(0, true),
+    strength,
+    bits: AES_STRENGTHS[strength].bits,
+    actualMethod: view.getUint16(5, true)
+  };
+};
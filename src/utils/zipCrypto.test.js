@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { expandAesKey, encryptAesBlock, aesCtrLittleEndian } from './aes';
+import { resolveEncryptionOptions, encryptAesEntry, decryptAesEntry } from './zipCrypto';
+import { createZipArchive } from './zipWriter';
+import { readZipArchive, readZipEntryAsText } from './zipReader';
+
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map((byte) => parseInt(byte, 16)));
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+describe('AES', () => {
+  // FIPS-197 appendix C
+  it.each([
+    ['000102030405060708090a0b0c0d0e0f', '69c4e0d86a7b0430d8cdb78070b4c55a'],
+    ['000102030405060708090a0b0c0d0e0f1011121314151617', 'dda97ca4864cdfe06eaf70a0ec0d7191'],
+    ['000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f', '8ea2b7ca516745bfeafc49904b496089']
+  ])('encrypts the reference block with key %s', (key, expected) => {
+    const output = new Uint8Array(16);
+    encryptAesBlock(expandAesKey(fromHex(key)), fromHex('00112233445566778899aabbccddeeff'), output);
+    expect(toHex(output)).toBe(expected);
+  });
+
+  it('undoes CTR mode by applying it again', () => {
+    const key = fromHex('2b7e151628aed2a6abf7158809cf4f3c');
+    const data = new TextEncoder().encode('not a multiple of the block size');
+    expect(aesCtrLittleEndian(key, aesCtrLittleEndian(key, data))).toEqual(data);
+  });
+
+  it('rejects other key lengths', () => {
+    expect(() => expandAesKey(new Uint8Array(20))).toThrow('Invalid AES key length: 160 bits');
+  });
+});
+
+describe('WinZip AES entries', () => {
+  it('resolves a password alone to AES-256', () => {
+    expect(resolveEncryptionOptions({ password: 'pw' })).toEqual({ password: 'pw', strength: 3 });
+    expect(resolveEncryptionOptions({})).toBeNull();
+    expect(() => resolveEncryptionOptions({ encryption: 'aes-128' })).toThrow('A password is required for aes-128 encryption');
+    expect(() => resolveEncryptionOptions({ encryption: 'zipcrypto', password: 'pw' })).toThrow('Unsupported encryption method: zipcrypto');
+  });
+
+  it('decrypts with the right password and rejects a wrong one or tampering', async () => {
+    const data = new TextEncoder().encode('secret payload');
+    const encrypted = await encryptAesEntry(data, 'correct horse', 1);
+    expect(await decryptAesEntry(encrypted, 'correct horse', 1)).toEqual(data);
+    await expect(decryptAesEntry(encrypted, 'wrong', 1)).rejects.toThrow('Incorrect password');
+
+    encrypted[encrypted.length - 11] ^= 1;
+    await expect(decryptAesEntry(encrypted, 'correct horse', 1)).rejects.toThrow('failed authentication');
+  });
+
+  it.each(['aes-128', 'aes-192', 'aes-256'])('round-trips a %s archive', async (encryption) => {
+    const archive = await createZipArchive([{ name: 'a.json', data: '{"secret":true}' }], { password: 'pw', encryption });
+    const { entries: [entry] } = await readZipArchive(archive);
+
+    expect(entry.aes.bits).toBe(Number(encryption.slice(4)));
+    expect(await readZipEntryAsText(archive, entry, { password: 'pw' })).toBe('{"secret":true}');
+    await expect(readZipEntryAsText(archive, entry)).rejects.toThrow('is encrypted; a password is required');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * ZIP record layouts and limits shared by the archive writer and reader
+ */
+
+// Record signatures
+export const SIGNATURES = {
+  LOCAL_FILE_HEADER: 0x04034b50,
+  CENTRAL_DIRECTORY: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+  ZIP64_END_OF_CENTRAL_DIRECTORY: 0x06064b50,
+  ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR: 0x07064b50,
+  DATA_DESCRIPTOR: 0x08074b50,
+  // Start of the first volume of a split archive
+  SPLIT_ARCHIVE: 0x08074b50,
+  // Replaces SPLIT_ARCHIVE when a split archive fits in one volume
+  SINGLE_SEGMENT: 0x30304b50
+};
+
+// General purpose bit flags
+export const FLAGS = {
+  ENCRYPTED: 0x0001,
+  DATA_DESCRIPTOR: 0x0008,
+  UTF8: 0x0800
+};
+
+// Extra field header IDs
+export const EXTRA_FIELDS = {
+  ZIP64: 0x0001,
+  AES: 0x9901
+};
+
+/**
+ * Compression method codes written to the headers
+ */
+export const ZIP_METHODS = {
+  STORE: 0,
+  DEFLATE: 8
+};
+
+// Display names for compression method codes
+export const ZIP_METHOD_NAMES = {
+  0: 'Stored',
+  8: 'Deflated',
+  9: 'Deflate64',
+  12: 'BZIP2',
+  14: 'LZMA',
+  93: 'Zstandard',
+  95: 'XZ',
+  99: 'AES'
+};
+
+// Method code marking WinZip AES-encrypted entries; the real method is in the extra field
+export const AES_METHOD = 99;
+
+// Fixed record sizes, excluding variable-length trailers
+export const RECORD_SIZES = {
+  LOCAL_FILE_HEADER: 30,
+  CENTRAL_DIRECTORY: 46,
+  END_OF_CENTRAL_DIRECTORY: 22,
+  ZIP64_END_OF_CENTRAL_DIRECTORY: 56,
+  ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR: 20
+};
+
+// Values at or above these no longer fit the classic fields
+export const ZIP32_LIMITS = {
+  SIZE: 0xffffffff,
+  ENTRIES: 0xffff,
+  DISKS: 0xffff
+};
+
+// "Version needed to extract" per feature
+export const VERSIONS = {
+  DEFAULT: 10,
+  DEFLATE: 20,
+  ZIP64: 45,
+  AES: 51
+};
+
+/**
+ * Converts a date to MS-DOS time and date fields
+ * @param {Date|number} value - Date or epoch milliseconds
+ * @param {boolean} utc - Use UTC fields instead of local time, so the result
+ *   does not depend on the machine's time zone
+ * @returns {{time: number, date: number}} - Packed DOS time and date
+ */
+export const toDosDateTime = (value = new Date(), utc = false) => {
+  const date = value instanceof Date ? value : new Date(value);
+  const fields = utc
+    ? [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+    : [date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()];
+  const [fullYear, month, day, hours, minutes, seconds] = fields;
+  const year = Math.min(Math.max(fullYear, 1980), 2107);
+
+  return {
+    time: (hours << 11) | (minutes << 5) | Math.floor(seconds / 2),
+    date: ((year - 1980) << 9) | ((month + 1) << 5) | day
+  };
+};
+
+/**
+ * Converts MS-DOS time and date fields back to a Date
+ * @param {number} time - Packed DOS time
+ * @param {number} date - Packed DOS date
+ * @returns {Date} - Local date
+ */
+export const fromDosDateTime = (time, date) => {
+  return new Date(
+    ((date >> 9) & 0x7f) + 1980,
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    (time >> 11) & 0x1f,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  );
+};
@@ -0,0 +1,340 @@
+/**
+ * Client-side ZIP archive reader with ZIP64 support
+ */
+
+import { crc32 } from './crc32';
+import { decryptAesEntry, parseAesExtraField, AES_VENDOR_VERSIONS } from './zipCrypto';
+import {
+  SIGNATURES,
+  FLAGS,
+  EXTRA_FIELDS,
+  ZIP_METHODS,
+  AES_METHOD,
+  RECORD_SIZES,
+  ZIP32_LIMITS,
+  fromDosDateTime
+} from './zipFormat';
+
+const textDecoder = new TextDecoder();
+
+// EOCD record plus the largest possible archive comment
+const MAX_END_RECORD_SEARCH = RECORD_SIZES.END_OF_CENTRAL_DIRECTORY + 0xffff;
+
+// Where each volume starts in Blobs made by joinZipVolumes
+const joinedVolumeStarts = new WeakMap();
+
+/**
+ * Wraps the supported archive inputs in a Blob so parts can be sliced lazily
+ */
+const toBlob = (source) => {
+  if (source instanceof Blob) return source;
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) return new Blob([source]);
+  throw new Error('Archive source must be a Blob, File, ArrayBuffer or typed array');
+};
+
+const readBytes = async (blob, start, length) => {
+  if (start < 0 || start + length > blob.size) {
+    throw new Error('Unexpected end of archive');
+  }
+  return new Uint8Array(await blob.slice(start, start + length).arrayBuffer());
+};
+
+const readUint64 = (view, offset) => Number(view.getBigUint64(offset, true));
+
+/**
+ * Joins the volumes of a spanned archive (.z01, .z02, ..., .zip) so they can be
+ * read as one archive; pass the result to readZipArchive and the entry readers
+ * @param {Blob[]} volumes - The volumes in disk order
+ * @returns {Blob} - The joined archive
+ */
+export const joinZipVolumes = (volumes) => {
+  const joined = new Blob(volumes, { type: 'application/zip' });
+  const starts = [];
+  let offset = 0;
+
+  for (const volume of volumes) {
+    starts.push(offset);
+    offset += volume.size;
+  }
+
+  joinedVolumeStarts.set(joined, starts);
+  return joined;
+};
+
+/**
+ * Converts a volume-relative offset into a position in the (joined) archive
+ */
+const toArchiveOffset = (volumeStarts, disk, offset) => {
+  if (disk >= volumeStarts.length) {
+    throw new Error(`Volume ${disk + 1} of the spanned archive is missing`);
+  }
+  return volumeStarts[disk] + offset;
+};
+
+/**
+ * Locates the end of central directory record by scanning backwards past any comment
+ */
+const findEndOfCentralDirectory = async (blob) => {
+  const searchLength = Math.min(blob.size, MAX_END_RECORD_SEARCH);
+  const searchStart = blob.size - searchLength;
+  const bytes = await readBytes(blob, searchStart, searchLength);
+  const view = new DataView(bytes.buffer);
+
+  for (let i = bytes.length - RECORD_SIZES.END_OF_CENTRAL_DIRECTORY; i >= 0; i--) {
+    if (view.getUint32(i, true) === SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+      const commentLength = view.getUint16(i + 20, true);
+      return {
+        offset: searchStart + i,
+        diskNumber: view.getUint16(i + 4, true),
+        directoryDisk: view.getUint16(i + 6, true),
+        entryCount: view.getUint16(i + 10, true),
+        directorySize: view.getUint32(i + 12, true),
+        directoryOffset: view.getUint32(i + 16, true),
+        comment: textDecoder.decode(bytes.subarray(i + 22, i + 22 + commentLength))
+      };
+    }
+  }
+
+  throw new Error('Not a ZIP archive: end of central directory not found');
+};
+
+/**
+ * Replaces the classic end record values with those from the ZIP64 record
+ */
+const readZip64EndOfCentralDirectory = async (blob, endRecord, volumeStarts) => {
+  const locatorOffset = endRecord.offset - RECORD_SIZES.ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR;
+  if (locatorOffset < 0) return null;
+
+  const locator = new DataView((await readBytes(blob, locatorOffset, RECORD_SIZES.ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR)).buffer);
+  if (locator.getUint32(0, true) !== SIGNATURES.ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR) return null;
+
+  const recordOffset = toArchiveOffset(volumeStarts, locator.getUint32(4, true), readUint64(locator, 8));
+  const record = new DataView((await readBytes(blob, recordOffset, RECORD_SIZES.ZIP64_END_OF_CENTRAL_DIRECTORY)).buffer);
+  if (record.getUint32(0, true) !== SIGNATURES.ZIP64_END_OF_CENTRAL_DIRECTORY) {
+    throw new Error('Corrupt archive: ZIP64 end of central directory not found');
+  }
+
+  return {
+    ...endRecord,
+    diskNumber: record.getUint32(16, true),
+    directoryDisk: record.getUint32(20, true),
+    entryCount: readUint64(record, 32),
+    directorySize: readUint64(record, 40),
+    directoryOffset: readUint64(record, 48)
+  };
+};
+
+/**
+ * Splits an extra field block into a map of header ID to data
+ */
+const parseExtraFields = (bytes) => {
+  const fields = {};
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  while (offset + 4 <= bytes.length) {
+    const id = view.getUint16(offset, true);
+    const size = view.getUint16(offset + 2, true);
+    fields[id] = bytes.subarray(offset + 4, offset + 4 + size);
+    offset += 4 + size;
+  }
+
+  return fields;
+};
+
+/**
+ * Reads the 64-bit values that overflowed the classic fields, in spec order
+ */
+const applyZip64ExtraField = (entry, data) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let offset = 0;
+  const next = () => {
+    const value = readUint64(view, offset);
+    offset += 8;
+    return value;
+  };
+
+  if (entry.uncompressedSize === ZIP32_LIMITS.SIZE) entry.uncompressedSize = next();
+  if (entry.compressedSize === ZIP32_LIMITS.SIZE) entry.compressedSize = next();
+  if (entry.localHeaderOffset === ZIP32_LIMITS.SIZE) entry.localHeaderOffset = next();
+  if (entry.disk === ZIP32_LIMITS.DISKS) entry.disk = view.getUint32(offset, true);
+  entry.zip64 = true;
+};
+
+const parseCentralDirectory = (bytes, entryCount) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const entries = [];
+  let offset = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== SIGNATURES.CENTRAL_DIRECTORY) {
+      throw new Error(`Corrupt archive: bad central directory header at entry ${i}`);
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const nameStart = offset + RECORD_SIZES.CENTRAL_DIRECTORY;
+    const extraStart = nameStart + nameLength;
+    const commentStart = extraStart + extraLength;
+
+    const entry = {
+      name: textDecoder.decode(bytes.subarray(nameStart, extraStart)),
+      comment: textDecoder.decode(bytes.subarray(commentStart, commentStart + commentLength)),
+      versionMadeBy: view.getUint16(offset + 4, true),
+      versionNeeded: view.getUint16(offset + 6, true),
+      flags: view.getUint16(offset + 8, true),
+      method: view.getUint16(offset + 10, true),
+      lastModified: fromDosDateTime(view.getUint16(offset + 12, true), view.getUint16(offset + 14, true)),
+      crc: view.getUint32(offset + 16, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      uncompressedSize: view.getUint32(offset + 24, true),
+      disk: view.getUint16(offset + 34, true),
+      externalAttributes: view.getUint32(offset + 38, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+      extraFields: parseExtraFields(bytes.subarray(extraStart, commentStart)),
+      zip64: false
+    };
+
+    if (entry.extraFields[EXTRA_FIELDS.ZIP64]) {
+      applyZip64ExtraField(entry, entry.extraFields[EXTRA_FIELDS.ZIP64]);
+    }
+
+    entry.isDirectory = entry.name.endsWith('/');
+    entry.encrypted = (entry.flags & FLAGS.ENCRYPTED) !== 0;
+    entry.aes = entry.method === AES_METHOD && entry.extraFields[EXTRA_FIELDS.AES]
+      ? parseAesExtraField(entry.extraFields[EXTRA_FIELDS.AES])
+      : null;
+    // Compression method of the data once decrypted
+    entry.compressionMethod = entry.aes ? entry.aes.actualMethod : entry.method;
+    entries.push(entry);
+
+    offset = commentStart + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Reads an archive's central directory without decompressing any entries
+ * @param {Blob|ArrayBuffer|Uint8Array} source - The ZIP archive, or volumes joined by joinZipVolumes
+ * @returns {Promise<{entries: object[], comment: string, zip64: boolean, volumeCount: number}>} - Entry metadata
+ */
+export const readZipArchive = async (source) => {
+  const blob = toBlob(source);
+  const volumeStarts = joinedVolumeStarts.get(blob) || [0];
+  let endRecord = await findEndOfCentralDirectory(blob);
+  let zip64 = false;
+
+  const zip64Record = await readZip64EndOfCentralDirectory(blob, endRecord, volumeStarts);
+  if (zip64Record) {
+    endRecord = zip64Record;
+    zip64 = true;
+  } else if (
+    endRecord.entryCount === ZIP32_LIMITS.ENTRIES ||
+    endRecord.directoryOffset === ZIP32_LIMITS.SIZE
+  ) {
+    throw new Error('Corrupt archive: ZIP64 values present without a ZIP64 record');
+  }
+
+  const volumeCount = endRecord.diskNumber + 1;
+  if (volumeCount !== volumeStarts.length) {
+    throw new Error(volumeStarts.length === 1
+      ? `This is the last of ${volumeCount} volumes of a spanned archive; open all of them together`
+      : `The spanned archive has ${volumeCount} volumes but ${volumeStarts.length} were given`);
+  }
+
+  const directoryOffset = toArchiveOffset(volumeStarts, endRecord.directoryDisk, endRecord.directoryOffset);
+  const directory = await readBytes(blob, directoryOffset, endRecord.directorySize);
+  const entries = parseCentralDirectory(directory, endRecord.entryCount);
+  for (const entry of entries) {
+    entry.localHeaderOffset = toArchiveOffset(volumeStarts, entry.disk, entry.localHeaderOffset);
+  }
+
+  return {
+    entries,
+    comment: endRecord.comment,
+    zip64: zip64 || entries.some((entry) => entry.zip64),
+    volumeCount
+  };
+};
+
+/**
+ * Decompresses bytes with raw DEFLATE using the platform DecompressionStream
+ * @param {Uint8Array} bytes - The deflated bytes
+ * @returns {Promise<Uint8Array>} - Promise resolving to the inflated bytes
+ */
+export const inflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Reads the stored (possibly compressed) bytes of an entry
+ * @param {Blob|ArrayBuffer|Uint8Array} source - The ZIP archive
+ * @param {object} entry - Entry metadata from readZipArchive
+ * @returns {Promise<Uint8Array>} - The entry payload as stored in the archive
+ */
+export const readRawEntryData = async (source, entry) => {
+  const blob = toBlob(source);
+  const header = new DataView((await readBytes(blob, entry.localHeaderOffset, RECORD_SIZES.LOCAL_FILE_HEADER)).buffer);
+
+  if (header.getUint32(0, true) !== SIGNATURES.LOCAL_FILE_HEADER) {
+    throw new Error(`Corrupt archive: bad local header for "${entry.name}"`);
+  }
+
+  const dataOffset = entry.localHeaderOffset + RECORD_SIZES.LOCAL_FILE_HEADER +
+    header.getUint16(26, true) + header.getUint16(28, true);
+
+  return readBytes(blob, dataOffset, entry.compressedSize);
+};
+
+/**
+ * Extracts and verifies a single entry
+ * @param {Blob|ArrayBuffer|Uint8Array} source - The ZIP archive
+ * @param {object} entry - Entry metadata from readZipArchive
+ * @param {object} options - Read options
+ * @param {string} options.password - Password for AES-encrypted entries
+ * @returns {Promise<Uint8Array>} - The uncompressed entry data
+ */
+export const readZipEntry = async (source, entry, options = {}) => {
+  if (entry.encrypted && !entry.aes) {
+    throw new Error(`Entry "${entry.name}" uses an unsupported encryption method`);
+  }
+  if (entry.aes && !options.password) {
+    throw new Error(`Entry "${entry.name}" is encrypted; a password is required`);
+  }
+
+  let raw = await readRawEntryData(source, entry);
+  if (entry.aes) {
+    raw = await decryptAesEntry(raw, options.password, entry.aes.strength);
+  }
+
+  let data;
+  if (entry.compressionMethod === ZIP_METHODS.STORE) {
+    data = raw;
+  } else if (entry.compressionMethod === ZIP_METHODS.DEFLATE) {
+    data = await inflateRaw(raw);
+  } else {
+    throw new Error(`Entry "${entry.name}" uses unsupported compression method ${entry.compressionMethod}`);
+  }
+
+  // AE-2 entries carry no CRC; the auth code has already been checked
+  const hasCrc = !entry.aes || entry.aes.vendorVersion === AES_VENDOR_VERSIONS.AE1;
+  if (hasCrc && crc32(data) !== entry.crc) {
+    throw new Error(`CRC-32 mismatch in "${entry.name}"`);
+  }
+
+  return data;
+};
+
+/**
+ * Extracts an entry and decodes it as UTF-8 text
+ * @param {Blob|ArrayBuffer|Uint8Array} source - The ZIP archive
+ * @param {object} entry - Entry metadata from readZipArchive
+ * @param {object} options - Read options, as for readZipEntry
+ * @returns {Promise<string>} - The entry contents
+ */
+export const readZipEntryAsText = async (source, entry, options = {}) => {
+  return textDecoder.decode(await readZipEntry(source, entry, options));
+};
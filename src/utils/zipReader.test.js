@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { readZipArchive, readZipEntry, readZipEntryAsText } from './zipReader';
+import { createZipArchive } from './zipWriter';
+import { ZIP_METHODS } from './zipFormat';
+
+const entries = [
+  { name: 'data/a.json', data: JSON.stringify({ a: 'x'.repeat(500) }) },
+  { name: 'données/é.json', data: '"é"' },
+  { name: 'empty/' }
+];
+
+describe('ZIP reader', () => {
+  it.each([
+    ['stored', { compression: 'STORE' }, ZIP_METHODS.STORE],
+    ['deflated', {}, ZIP_METHODS.DEFLATE]
+  ])('reads back %s entries', async (_, options, method) => {
+    const archive = await createZipArchive(entries, { ...options, comment: 'made in a test' });
+    const { entries: read, comment, zip64 } = await readZipArchive(archive);
+
+    expect(comment).toBe('made in a test');
+    expect(zip64).toBe(false);
+    expect(read.map((entry) => entry.name)).toEqual(['data/a.json', 'données/é.json', 'empty/']);
+    expect(read.map((entry) => entry.isDirectory)).toEqual([false, false, true]);
+    expect(read[0].compressionMethod).toBe(method);
+    expect(await readZipEntryAsText(archive, read[0])).toBe(entries[0].data);
+    expect(await readZipEntryAsText(archive, read[1])).toBe('"é"');
+  });
+
+  it('reads ZIP64 archives', async () => {
+    const archive = await createZipArchive(entries, { zip64: true });
+    const { entries: read, zip64 } = await readZipArchive(archive);
+    expect(zip64).toBe(true);
+    expect(await readZipEntryAsText(await archive.arrayBuffer(), read[1])).toBe('"é"');
+  });
+
+  it('detects corrupted data with the CRC', async () => {
+    const bytes = new Uint8Array(await (await createZipArchive([{ name: 'a.txt', data: 'hello' }], { compression: 'STORE' })).arrayBuffer());
+    const { entries: [entry] } = await readZipArchive(bytes);
+    bytes[30 + 'a.txt'.length] ^= 0xff;
+    await expect(readZipEntry(bytes, entry)).rejects.toThrow('CRC-32 mismatch in "a.txt"');
+  });
+
+  it('rejects data that is not a ZIP archive', async () => {
+    await expect(readZipArchive(new Blob(['not a zip file at all, just text']))).rejects.toThrow('Not a ZIP archive');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Streaming ZIP writer: entries are compressed and emitted one at a time,
+ * followed by a data descriptor, so the archive is never held in memory
+ */
+
+import { crc32 } from './crc32';
+import { SIGNATURES, FLAGS, ZIP_METHODS, ZIP32_LIMITS } from './zipFormat';
+import {
+  resolveCompressionMethod,
+  requiresZip64,
+  describeEntry,
+  prepareEntry,
+  getVersionNeeded,
+  createLocalFileHeader,
+  createDataDescriptor,
+  createCentralDirectory
+} from './zipWriter';
+import { resolveEncryptionOptions } from './zipCrypto';
+import { assertDeterministicOptions, orderEntries } from './deterministic';
+import { withIntegrityManifest } from './manifest';
+import { readStreamChunks, toReadableStream, createStreamFromIterator } from './streamUtils';
+
+// Entries this large may overflow 32-bit sizes once DEFLATE framing is added
+const ZIP64_STREAM_THRESHOLD = 0xff000000;
+
+/**
+ * Returns the byte size of entry data when it is known before reading
+ */
+const getKnownSize = (data) => {
+  if (data == null) return 0;
+  if (data instanceof Blob) return data.size;
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return data.byteLength;
+  // UTF-8 uses at most three bytes per UTF-16 code unit
+  if (typeof data === 'string') return data.length * 3;
+  return null;
+};
+
+/**
+ * Emits the compressed data and data descriptor of one entry
+ */
+async function* writeStreamedEntry(entry, data) {
+  let crc = 0;
+  let uncompressedSize = 0;
+  let compressedSize = 0;
+
+  let stream = toReadableStream(entry.isDirectory ? null : data).pipeThrough(
+    new TransformStream({
+      transform(chunk, controller) {
+        crc = crc32(chunk, crc);
+        uncompressedSize += chunk.length;
+        controller.enqueue(chunk);
+      }
+    })
+  );
+
+  if (entry.method === ZIP_METHODS.DEFLATE) {
+    stream = stream.pipeThrough(new CompressionStream('deflate-raw'));
+  }
+
+  for await (const chunk of readStreamChunks(stream)) {
+    compressedSize += chunk.length;
+    yield chunk;
+  }
+
+  if (!entry.zip64 && (uncompressedSize >= ZIP32_LIMITS.SIZE || compressedSize >= ZIP32_LIMITS.SIZE)) {
+    throw new Error(`Entry "${entry.name}" exceeds the ZIP limits; enable the zip64 option`);
+  }
+
+  Object.assign(entry, { crc, uncompressedSize, compressedSize });
+  yield createDataDescriptor(entry);
+}
+
+/**
+ * Emits the already-encrypted payload of an entry, then releases it
+ */
+async function* writeEncryptedEntry(entry) {
+  yield entry.payload;
+  entry.payload = null;
+}
+
+/**
+ * Prepares one entry for writing
+ * @param {object} source - Entry source ({name, data, size, lastModified, comment})
+ * @param {number} method - Compression method from resolveCompressionMethod
+ * @param {boolean} encrypted - Whether entries are AES-encrypted
+ * @param {object} options - Archive options
+ * @returns {Promise<{entry: object, header: Uint8Array, body: AsyncGenerator<Uint8Array>}>} - The entry
+ *   metadata, its local header, and the chunks that follow it; sizes and CRC are final once body is drained
+ */
+export const openZipEntry = async (source, method, encrypted, options) => {
+  if (encrypted) {
+    // The auth code covers the whole ciphertext, so encrypted entries are
+    // buffered one at a time; memory stays bounded by the largest entry
+    const entry = await prepareEntry(source, method, options);
+    return { entry, header: createLocalFileHeader(entry), body: writeEncryptedEntry(entry) };
+  }
+
+  const entry = describeEntry(source, method, options);
+  const knownSize = Number.isInteger(source.size) ? source.size : getKnownSize(source.data);
+
+  entry.flags |= FLAGS.DATA_DESCRIPTOR;
+  // Streams of unknown length get 64-bit descriptors unless ZIP64 is disabled
+  entry.zip64 = options.zip64 === false
+    ? false
+    : requiresZip64(knownSize === null || knownSize >= ZIP64_STREAM_THRESHOLD, options, `Entry "${entry.name}"`);
+  entry.versionNeeded = getVersionNeeded(entry);
+
+  return { entry, header: createLocalFileHeader(entry), body: writeStreamedEntry(entry, source.data) };
+};
+
+/**
+ * Generates the archive bytes chunk by chunk
+ * @param {Iterable|AsyncIterable} entries - Entry sources ({name, data, lastModified, comment});
+ *   `size` may declare the byte length of stream data
+ * @param {object} options - Archive options, as for createZipArchive
+ * @param {object} layout - Volume layout when writing a split archive (see zipVolumes);
+ *   the bytes then start with the split signature and offsets are volume-relative
+ * @returns {AsyncGenerator<Uint8Array>} - Archive chunks in order
+ */
+export async function* generateZipChunks(entries, options = {}, layout = null) {
+  assertDeterministicOptions(options);
+  const method = resolveCompressionMethod(options);
+  const encrypted = resolveEncryptionOptions(options) !== null;
+  const written = [];
+  let offset = 0;
+
+  if (layout) {
+    const signature = new Uint8Array(4);
+    new DataView(signature.buffer).setUint32(0, SIGNATURES.SPLIT_ARCHIVE, true);
+    yield signature;
+    offset += signature.length;
+  }
+
+  for await (const source of withIntegrityManifest(orderEntries(entries, options), options)) {
+    const { entry, header, body } = await openZipEntry(source, method, encrypted, options);
+
+    // Local headers are never split across volumes
+    layout?.place(offset, header.length);
+    const location = layout ? layout.locate(offset) : { disk: 0, offset };
+    written.push({ entry, ...location });
+
+    yield header;
+    offset += header.length;
+    for await (const chunk of body) {
+      offset += chunk.length;
+      yield chunk;
+    }
+  }
+
+  if (written.length === 0) {
+    throw new Error('At least one entry is required to create an archive');
+  }
+
+  yield* createCentralDirectory(written, offset, options, layout);
+}
+
+/**
+ * Creates a ReadableStream of a ZIP archive. Entries are pulled from the
+ * source lazily, so peak memory stays bounded by the largest chunk.
+ * @param {Iterable|AsyncIterable} entries - Entry sources; data may be a string, bytes, Blob/File or ReadableStream
+ * @param {object} options - Archive options, as for createZipArchive
+ * @returns {ReadableStream<Uint8Array>} - The archive stream
+ */
+export const createZipStream = (entries, options = {}) => {
+  return createStreamFromIterator(generateZipChunks(entries, options));
+};
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { createZipStream } from './zipStream';
+import { readZipArchive, readZipEntryAsText } from './zipReader';
+
+describe('createZipStream', () => {
+  it('writes an archive the reader can open from strings, blobs and streams', async () => {
+    const entries = [
+      { name: 'text.json', data: '{"a":1}' },
+      { name: 'blob.json', data: new Blob(['[1,2,3]']) },
+      { name: 'stream.json', data: new Blob(['"streamed"']).stream() }
+    ];
+    const archive = await new Response(createZipStream(entries)).blob();
+
+    const { entries: read } = await readZipArchive(archive);
+    expect(read.map((entry) => entry.name)).toEqual(['text.json', 'blob.json', 'stream.json']);
+    expect(await Promise.all(read.map((entry) => readZipEntryAsText(archive, entry)))).toEqual(['{"a":1}', '[1,2,3]', '"streamed"']);
+  });
+
+  it('pulls entries from an async generator', async () => {
+    async function* generate() {
+      for (let i = 0; i < 3; i++) yield { name: `item-${i}.json`, data: String(i) };
+    }
+    const archive = await new Response(createZipStream(generate(), { compression: 'STORE' })).blob();
+    const { entries } = await readZipArchive(archive);
+    expect(await readZipEntryAsText(archive, entries[2])).toBe('2');
+  });
+
+  it('fails the stream without entries', async () => {
+    await expect(new Response(createZipStream([])).blob()).rejects.toThrow('At least one entry is required');
+  });
+});
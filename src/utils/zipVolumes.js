@@ -0,0 +1,267 @@
+/**
+ * Multi-volume ZIP output for upload targets with a file size cap:
+ *   spanned      one archive split across name.z01, name.z02, ..., name.zip
+ *                (PKWARE split format, opened by 7-Zip, WinZip and `zip -s 0`)
+ *   independent  name.part01.zip, name.part02.zip, ... each a complete archive
+ *                holding whole entries
+ */
+
+import { SIGNATURES, RECORD_SIZES } from './zipFormat';
+import { resolveCompressionMethod, createCentralDirectory, createCentralDirectoryHeader } from './zipWriter';
+import { generateZipChunks, openZipEntry } from './zipStream';
+import { resolveEncryptionOptions } from './zipCrypto';
+import { assertDeterministicOptions, orderEntries } from './deterministic';
+import { withIntegrityManifest } from './manifest';
+import { createStreamFromIterator } from './streamUtils';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Supported values of the `volumeMode` option
+ */
+export const VOLUME_MODES = {
+  SPANNED: 'spanned',
+  INDEPENDENT: 'independent'
+};
+
+// Smallest volume Info-ZIP accepts; also keeps headers well inside a volume
+export const MIN_VOLUME_SIZE = 64 * 1024;
+
+// Largest end records: ZIP64 end record and locator plus the classic end record
+const MAX_END_RECORDS_SIZE = RECORD_SIZES.ZIP64_END_OF_CENTRAL_DIRECTORY +
+  RECORD_SIZES.ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR +
+  RECORD_SIZES.END_OF_CENTRAL_DIRECTORY;
+
+/**
+ * Checks the `maxVolumeSize` / `volumeMode` options
+ * @param {object} options - Archive options
+ * @returns {{maxVolumeSize: number, volumeMode: string}|null} - Volume settings, or null when not splitting
+ */
+export const resolveVolumeOptions = (options = {}) => {
+  if (options.maxVolumeSize == null) return null;
+
+  const { maxVolumeSize, volumeMode = VOLUME_MODES.SPANNED } = options;
+  if (!Number.isInteger(maxVolumeSize) || maxVolumeSize < MIN_VOLUME_SIZE) {
+    throw new Error(`Volume size must be a whole number of bytes, at least ${MIN_VOLUME_SIZE}`);
+  }
+  if (!Object.values(VOLUME_MODES).includes(volumeMode)) {
+    throw new Error(`Unsupported volume mode: ${volumeMode}`);
+  }
+
+  return { maxVolumeSize, volumeMode };
+};
+
+/**
+ * Tracks where volume boundaries fall in the archive byte stream. Volumes are
+ * full-sized except where a record would straddle a boundary; that volume is
+ * closed early so the record starts the next one.
+ * @param {number} volumeSize - Maximum bytes per volume
+ * @returns {{place: Function, locate: Function, nextBoundary: Function}} - The layout passed to the ZIP writer
+ */
+export const createVolumeLayout = (volumeSize) => {
+  // Absolute offset at which each volume starts
+  const starts = [0];
+
+  const extendTo = (offset) => {
+    while (offset >= starts[starts.length - 1] + volumeSize) {
+      starts.push(starts[starts.length - 1] + volumeSize);
+    }
+  };
+
+  const locate = (offset) => {
+    extendTo(offset);
+    let disk = starts.length - 1;
+    while (starts[disk] > offset) disk--;
+    return { disk, offset: offset - starts[disk] };
+  };
+
+  const nextBoundary = (offset) => {
+    const { disk } = locate(offset);
+    return disk + 1 < starts.length ? starts[disk + 1] : starts[disk] + volumeSize;
+  };
+
+  const place = (offset, length) => {
+    const { offset: used } = locate(offset);
+    if (used > 0 && used + length > volumeSize && length <= volumeSize) {
+      starts.push(offset);
+    }
+    if (starts.length > 0xffff) {
+      throw new Error('A split archive cannot have more than 65,535 volumes; use a larger volume size');
+    }
+  };
+
+  return { place, locate, nextBoundary };
+};
+
+/**
+ * Cuts the chunks of a split archive into volumes at the layout's boundaries
+ */
+async function* collectSpannedVolumes(chunks, layout) {
+  let parts = [];
+  let disk = 0;
+  let offset = 0;
+
+  for await (const chunk of chunks) {
+    let position = 0;
+    while (position < chunk.length) {
+      const location = layout.locate(offset);
+      if (location.disk !== disk) {
+        yield { index: disk, last: false, data: new Blob(parts) };
+        parts = [];
+        disk = location.disk;
+      }
+
+      const take = Math.min(chunk.length - position, layout.nextBoundary(offset) - offset);
+      parts.push(chunk.subarray(position, position + take));
+      position += take;
+      offset += take;
+    }
+  }
+
+  if (disk === 0) {
+    // Everything fit in one volume: mark it as an ordinary archive
+    const marker = new Uint8Array(4);
+    new DataView(marker.buffer).setUint32(0, SIGNATURES.SINGLE_SEGMENT, true);
+    parts[0] = marker;
+  }
+  yield { index: disk, last: true, data: new Blob(parts) };
+}
+
+/**
+ * Writes one archive split across volumes of at most maxVolumeSize bytes
+ */
+async function* generateSpannedVolumes(entries, options, maxVolumeSize) {
+  const layout = createVolumeLayout(maxVolumeSize);
+  yield* collectSpannedVolumes(generateZipChunks(entries, options, layout), layout);
+}
+
+/**
+ * Writes entries into consecutive complete archives. Each entry is compressed
+ * before it is placed, so a part is closed as soon as the next entry would
+ * push it over the limit; memory stays bounded by one part.
+ */
+async function* generateIndependentVolumes(entries, options, maxVolumeSize) {
+  assertDeterministicOptions(options);
+  const method = resolveCompressionMethod(options);
+  const encrypted = resolveEncryptionOptions(options) !== null;
+  const endRecordsSize = MAX_END_RECORDS_SIZE + textEncoder.encode(options.comment || '').length;
+
+  const createPart = () => ({ chunks: [], written: [], size: 0, directorySize: 0 });
+  const finishPart = (part) => new Blob([...part.chunks, ...createCentralDirectory(part.written, part.size, options)]);
+
+  let part = createPart();
+  let index = 0;
+
+  for await (const source of withIntegrityManifest(orderEntries(entries, options), options)) {
+    const { entry, header, body } = await openZipEntry(source, method, encrypted, options);
+    const chunks = [header];
+    let size = header.length;
+    for await (const chunk of body) {
+      chunks.push(chunk);
+      size += chunk.length;
+    }
+
+    const directorySize = createCentralDirectoryHeader(entry, 0, options).length;
+    if (size + directorySize + endRecordsSize > maxVolumeSize) {
+      throw new Error(
+        `Entry "${entry.name}" is ${size} bytes once compressed and cannot fit in a ${maxVolumeSize}-byte volume; ` +
+        'use spanned volumes or a larger volume size'
+      );
+    }
+
+    if (part.written.length > 0 && part.size + size + part.directorySize + directorySize + endRecordsSize > maxVolumeSize) {
+      yield { index: index++, last: false, data: finishPart(part) };
+      part = createPart();
+    }
+
+    part.written.push({ entry, offset: part.size });
+    part.chunks.push(...chunks);
+    part.size += size;
+    part.directorySize += directorySize;
+  }
+
+  if (part.written.length === 0) {
+    throw new Error('At least one entry is required to create an archive');
+  }
+  yield { index, last: true, data: finishPart(part) };
+}
+
+/**
+ * Generates a ZIP archive as a series of volumes. A volume is emitted once
+ * the next one has started, so `last` is known when it arrives.
+ * @param {Iterable|AsyncIterable} entries - Entry sources, as for generateZipChunks
+ * @param {object} options - Archive options, plus maxVolumeSize (bytes) and
+ *   volumeMode ('spanned', the default, or 'independent')
+ * @returns {AsyncGenerator<{index: number, last: boolean, data: Blob}>} - Volumes in order
+ */
+export async function* generateZipVolumes(entries, options = {}) {
+  const { maxVolumeSize, volumeMode } = resolveVolumeOptions(options);
+
+  if (volumeMode === VOLUME_MODES.INDEPENDENT) {
+    yield* generateIndependentVolumes(entries, options, maxVolumeSize);
+  } else {
+    yield* generateSpannedVolumes(entries, options, maxVolumeSize);
+  }
+}
+
+/**
+ * Creates a ReadableStream of ZIP volumes
+ * @param {Iterable|AsyncIterable} entries - Entry sources, as for generateZipChunks
+ * @param {object} options - Archive options, as for generateZipVolumes
+ * @returns {ReadableStream<{index: number, last: boolean, data: Blob}>} - The volumes
+ */
+export const createZipVolumeStream = (entries, options = {}) => {
+  return createStreamFromIterator(generateZipVolumes(entries, options));
+};
+
+/**
+ * Names a volume after the archive: name.z01 ... name.zip for spanned archives,
+ * name.part01.zip ... for independent ones. A lone volume keeps the archive name.
+ * @param {string} filename - The archive filename, e.g. data.zip
+ * @param {{index: number, last: boolean}} volume - The volume's position
+ * @param {string} volumeMode - One of VOLUME_MODES
+ * @returns {string} - The volume filename
+ */
+export const getVolumeFilename = (filename, { index, last }, volumeMode = VOLUME_MODES.SPANNED) => {
+  if (index === 0 && last) return filename;
+
+  const baseName = filename.replace(/\.zip$/i, '');
+  const number = String(index + 1).padStart(2, '0');
+
+  if (volumeMode === VOLUME_MODES.INDEPENDENT) return `${baseName}.part${number}.zip`;
+  return last ? `${baseName}.zip` : `${baseName}.z${number}`;
+};
+
+/**
+ * Extensions of the numbered parts of a spanned archive, .z01 to .z99
+ */
+export const SPANNED_VOLUME_EXTENSIONS = Array.from({ length: 99 }, (_, index) => `.z${String(index + 1).padStart(2, '0')}`);
+
+/**
+ * Orders the files of a spanned archive: .z01, .z02, ... then the .zip
+ * @param {File[]} files - The volumes, in any order
+ * @returns {File[]|null} - The volumes in disk order, or null if the files are not a spanned set
+ */
+export const orderSpannedVolumes = (files) => {
+  const volumeNumber = (file) => {
+    const match = /\.z(\d{2,})$/i.exec(file.name);
+    if (match) return Number(match[1]);
+    return /\.zip$/i.test(file.name) ? Infinity : null;
+  };
+
+  const numbered = files.map((file) => ({ file, number: volumeNumber(file) }));
+  if (numbered.some(({ number }) => number === null) || !numbered.some(({ number }) => Number.isFinite(number))) {
+    return null;
+  }
+  if (numbered.filter(({ number }) => number === Infinity).length !== 1) {
+    throw new Error('A spanned archive needs exactly one .zip volume alongside its .z01, .z02, ... parts');
+  }
+
+  const ordered = numbered.sort((a, b) => a.number - b.number);
+  ordered.slice(0, -1).forEach(({ number }, index) => {
+    if (number !== index + 1) {
+      throw new Error(`Volume .z${String(index + 1).padStart(2, '0')} is missing`);
+    }
+  });
+  return ordered.map(({ file }) => file);
+};
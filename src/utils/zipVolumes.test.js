@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { resolveVolumeOptions, getVolumeFilename, orderSpannedVolumes, VOLUME_MODES, MIN_VOLUME_SIZE } from './zipVolumes';
+import { readZipArchive } from './zipReader';
+import { createJsonZipVolumes, extractJsonFromZip, EXTRACT_SHAPES } from '../services/archiveService';
+
+// Stored uncompressed, the items need several volumes
+const items = Array.from({ length: 6 }, (_, index) => ({ index, payload: String(index).repeat(40000) }));
+
+const writeVolumes = async (options) => {
+  const files = [];
+  const stream = createJsonZipVolumes(items, 'data.zip', { createSeparateFiles: true, compression: 'STORE', maxVolumeSize: MIN_VOLUME_SIZE, ...options });
+  for await (const { name, data } of stream) files.push(new File([data], name));
+  return files;
+};
+
+describe('spanned volumes', () => {
+  it('split the archive into .z01, .z02, ... and .zip, and extract in any order', async () => {
+    const files = await writeVolumes({ volumeMode: VOLUME_MODES.SPANNED });
+
+    expect(files.length).toBeGreaterThan(2);
+    expect(files.map((file) => file.name)).toEqual([...files.slice(0, -1).map((_, index) => `data.z0${index + 1}`), 'data.zip']);
+    expect(files.every((file) => file.size <= MIN_VOLUME_SIZE)).toBe(true);
+
+    const { data } = await extractJsonFromZip([...files].reverse(), { shape: EXTRACT_SHAPES.ARRAY });
+    expect(data).toEqual(items);
+  });
+
+  it('need every volume', async () => {
+    const files = await writeVolumes({ volumeMode: VOLUME_MODES.SPANNED });
+    await expect(extractJsonFromZip(files.slice(1))).rejects.toThrow('Volume .z01 is missing');
+    await expect(readZipArchive(files[files.length - 1])).rejects.toThrow('open all of them together');
+  });
+});
+
+describe('independent volumes', () => {
+  it('are complete archives holding whole entries', async () => {
+    const files = await writeVolumes({ volumeMode: VOLUME_MODES.INDEPENDENT });
+
+    expect(files.map((file) => file.name)).toEqual(files.map((_, index) => `data.part0${index + 1}.zip`));
+    for (const file of files) {
+      expect(file.size).toBeLessThanOrEqual(MIN_VOLUME_SIZE);
+      expect((await readZipArchive(file)).volumeCount).toBe(1);
+    }
+    expect((await extractJsonFromZip(files, { shape: EXTRACT_SHAPES.ARRAY })).data).toEqual(items);
+  });
+});
+
+describe('volume options and names', () => {
+  it('check the size and mode', () => {
+    expect(resolveVolumeOptions({})).toBeNull();
+    expect(resolveVolumeOptions({ maxVolumeSize: MIN_VOLUME_SIZE })).toEqual({ maxVolumeSize: MIN_VOLUME_SIZE, volumeMode: VOLUME_MODES.SPANNED });
+    expect(() => resolveVolumeOptions({ maxVolumeSize: 1000 })).toThrow(`at least ${MIN_VOLUME_SIZE}`);
+    expect(() => resolveVolumeOptions({ maxVolumeSize: MIN_VOLUME_SIZE, volumeMode: 'rar' })).toThrow('Unsupported volume mode: rar');
+  });
+
+  it('keep the archive name for a single volume', () => {
+    expect(getVolumeFilename('data.zip', { index: 0, last: true })).toBe('data.zip');
+    expect(getVolumeFilename('data.zip', { index: 1, last: false })).toBe('data.z02');
+    expect(getVolumeFilename('data.zip', { index: 1, last: true }, VOLUME_MODES.INDEPENDENT)).toBe('data.part02.zip');
+  });
+
+  it('recognize spanned sets only', () => {
+    const named = (...names) => names.map((name) => ({ name }));
+    expect(orderSpannedVolumes(named('a.zip', 'a.z02', 'a.z01')).map((file) => file.name)).toEqual(['a.z01', 'a.z02', 'a.zip']);
+    expect(orderSpannedVolumes(named('a.zip', 'b.zip'))).toBeNull();
+    expect(() => orderSpannedVolumes(named('a.z01', 'a.z02'))).toThrow('exactly one .zip volume');
+  });
+});
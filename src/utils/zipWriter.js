@@ -0,0 +1,466 @@
+/**
+ * Client-side ZIP archive writer (PKWARE APPNOTE 6.3 subset)
+ */
+
+import { crc32 } from './crc32';
+import { resolveEncryptionOptions, encryptAesEntry, createAesExtraField } from './zipCrypto';
+import { resolveSourceDate, assertDeterministicOptions, orderEntries } from './deterministic';
+import { withIntegrityManifest } from './manifest';
+import { toUint8Array } from './streamUtils';
+import {
+  SIGNATURES,
+  FLAGS,
+  EXTRA_FIELDS,
+  ZIP_METHODS,
+  AES_METHOD,
+  RECORD_SIZES,
+  ZIP32_LIMITS,
+  VERSIONS,
+  toDosDateTime
+} from './zipFormat';
+
+const textEncoder = new TextEncoder();
+
+// "Made by" MS-DOS, spec version 4.5
+const VERSION_MADE_BY = VERSIONS.ZIP64;
+
+// "Made by" Unix, used by deterministic archives so permissions are explicit
+const VERSION_MADE_BY_UNIX = (3 << 8) | VERSIONS.ZIP64;
+
+// MS-DOS directory attribute
+const DIRECTORY_ATTRIBUTE = 0x10;
+
+// Unix mode in the high 16 bits: rw-r--r-- files, rwxr-xr-x directories
+const UNIX_FILE_ATTRIBUTES = (0o100644 << 16) >>> 0;
+const UNIX_DIRECTORY_ATTRIBUTES = ((0o40755 << 16) | DIRECTORY_ATTRIBUTE) >>> 0;
+
+export { ZIP_METHODS, toDosDateTime, toUint8Array };
+
+/**
+ * Compresses bytes with raw DEFLATE using the platform CompressionStream
+ * @param {Uint8Array} bytes - The bytes to compress
+ * @returns {Promise<Uint8Array>} - Promise resolving to the deflated bytes
+ */
+export const deflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Resolves the `compression` / `compressionLevel` options to a method code
+ * @param {object} options - Archive options
+ * @returns {number} - One of ZIP_METHODS
+ */
+export const resolveCompressionMethod = (options = {}) => {
+  const compression = String(options.compression || 'DEFLATE').toUpperCase();
+
+  if (!(compression in ZIP_METHODS)) {
+    throw new Error(`Unsupported compression method: ${options.compression}`);
+  }
+
+  if (options.compressionLevel === 0) return ZIP_METHODS.STORE;
+  return ZIP_METHODS[compression];
+};
+
+/**
+ * Maps a DEFLATE level (1-9) onto the general purpose flag bits 1-2.
+ * The platform compressor has a fixed level, so this only records intent.
+ */
+const getDeflateLevelFlags = (level = 6) => {
+  if (level >= 8) return 0x0002;
+  if (level === 2) return 0x0004;
+  if (level === 1) return 0x0006;
+  return 0;
+};
+
+/**
+ * Decides whether ZIP64 records are needed for a value.
+ * `zip64: true` forces them, `zip64: false` refuses to write an oversized archive.
+ */
+export const requiresZip64 = (exceeded, options, what) => {
+  if (options.zip64 === true) return true;
+  if (exceeded && options.zip64 === false) {
+    throw new Error(`${what} exceeds the ZIP limits and ZIP64 is disabled`);
+  }
+  return exceeded;
+};
+
+/**
+ * Builds a ZIP64 extended information extra field from 64-bit values
+ */
+const createZip64ExtraField = (values) => {
+  const field = new Uint8Array(4 + values.length * 8);
+  const view = new DataView(field.buffer);
+
+  view.setUint16(0, EXTRA_FIELDS.ZIP64, true);
+  view.setUint16(2, values.length * 8, true);
+  values.forEach((value, index) => {
+    view.setBigUint64(4 + index * 8, BigInt(value), true);
+  });
+
+  return field;
+};
+
+/**
+ * Joins extra field blocks, skipping empty ones
+ */
+const concatExtraFields = (...fields) => {
+  const present = fields.filter((field) => field && field.length > 0);
+  const extra = new Uint8Array(present.reduce((total, field) => total + field.length, 0));
+  let offset = 0;
+  for (const field of present) {
+    extra.set(field, offset);
+    offset += field.length;
+  }
+  return extra;
+};
+
+/**
+ * Normalizes an entry's name and resolves the header fields known before its data
+ * @param {{name: string, lastModified?: Date|number, comment?: string}} source - Entry description
+ * @param {number} method - Requested compression method
+ * @param {object} options - Archive options
+ * @returns {object} - Entry metadata shared by the buffered and streaming writers
+ */
+export const describeEntry = (source, method, options = {}) => {
+  const name = source.name.replace(/\\/g, '/').replace(/^\/+/, '');
+  if (!name) {
+    throw new Error('Archive entries require a name');
+  }
+
+  const isDirectory = name.endsWith('/');
+  const entryMethod = isDirectory ? ZIP_METHODS.STORE : method;
+  const entry = {
+    name,
+    isDirectory,
+    nameBytes: textEncoder.encode(name),
+    commentBytes: textEncoder.encode(source.comment || ''),
+    method: entryMethod,
+    flags: FLAGS.UTF8 | (entryMethod === ZIP_METHODS.DEFLATE ? getDeflateLevelFlags(options.compressionLevel) : 0),
+    versionMadeBy: VERSION_MADE_BY,
+    externalAttributes: isDirectory ? DIRECTORY_ATTRIBUTE : 0,
+    // Extra fields other than ZIP64, which is computed per header
+    extra: new Uint8Array(0),
+    dosDateTime: toDosDateTime(source.lastModified ?? options.lastModified ?? new Date())
+  };
+
+  if (options.deterministic) {
+    entry.versionMadeBy = VERSION_MADE_BY_UNIX;
+    entry.externalAttributes = isDirectory ? UNIX_DIRECTORY_ATTRIBUTES : UNIX_FILE_ATTRIBUTES;
+    entry.dosDateTime = toDosDateTime(resolveSourceDate(options), true);
+  }
+
+  return entry;
+};
+
+/**
+ * Resolves "version needed to extract" for an entry
+ */
+export const getVersionNeeded = (entry) => {
+  if (entry.method === AES_METHOD) return VERSIONS.AES;
+  if (entry.zip64) return VERSIONS.ZIP64;
+  if (entry.method === ZIP_METHODS.DEFLATE || entry.isDirectory) return VERSIONS.DEFLATE;
+  return VERSIONS.DEFAULT;
+};
+
+/**
+ * Compresses, checksums and (when a password is set) encrypts a single entry
+ * @param {{name: string, data?: any, lastModified?: Date|number, comment?: string}} source - Entry to add
+ * @param {number} method - Requested compression method
+ * @param {object} options - Archive options
+ * @returns {Promise<object>} - Entry metadata with its final payload
+ */
+export const prepareEntry = async (source, method, options) => {
+  const entry = describeEntry(source, method, options);
+  const raw = entry.isDirectory ? new Uint8Array(0) : await toUint8Array(source.data);
+  const encryption = entry.isDirectory ? null : resolveEncryptionOptions(options);
+  let payload = raw;
+
+  if (entry.method === ZIP_METHODS.DEFLATE) {
+    const deflated = await deflateRaw(raw);
+    // Incompressible data is stored as-is rather than grown
+    if (deflated.length < raw.length) {
+      payload = deflated;
+    } else {
+      entry.method = ZIP_METHODS.STORE;
+      entry.flags = FLAGS.UTF8;
+    }
+  }
+
+  entry.crc = crc32(raw);
+
+  if (encryption) {
+    // WinZip AE-2: the real method moves to the extra field and the CRC is
+    // zeroed, since the HMAC already authenticates the data
+    payload = await encryptAesEntry(payload, encryption.password, encryption.strength);
+    entry.extra = createAesExtraField(entry.method, encryption.strength);
+    entry.method = AES_METHOD;
+    entry.flags |= FLAGS.ENCRYPTED;
+    entry.crc = 0;
+  }
+
+  entry.payload = payload;
+  entry.uncompressedSize = raw.length;
+  entry.compressedSize = payload.length;
+  entry.zip64 = requiresZip64(
+    raw.length >= ZIP32_LIMITS.SIZE || payload.length >= ZIP32_LIMITS.SIZE,
+    options,
+    `Entry "${entry.name}"`
+  );
+  entry.versionNeeded = getVersionNeeded(entry);
+
+  return entry;
+};
+
+/**
+ * Builds a local file header. Entries flagged with a data descriptor get
+ * zeroed CRC and sizes; the real values follow the data.
+ * @param {object} entry - Prepared entry metadata
+ * @returns {Uint8Array} - The header bytes
+ */
+export const createLocalFileHeader = (entry) => {
+  const deferred = (entry.flags & FLAGS.DATA_DESCRIPTOR) !== 0;
+  const uncompressedSize = deferred ? 0 : entry.uncompressedSize;
+  const compressedSize = deferred ? 0 : entry.compressedSize;
+
+  // Both sizes move to the extra field once either one overflows
+  const extra = concatExtraFields(
+    entry.zip64 ? createZip64ExtraField([uncompressedSize, compressedSize]) : null,
+    entry.extra
+  );
+  const header = new Uint8Array(RECORD_SIZES.LOCAL_FILE_HEADER + entry.nameBytes.length + extra.length);
+  const view = new DataView(header.buffer);
+
+  view.setUint32(0, SIGNATURES.LOCAL_FILE_HEADER, true);
+  view.setUint16(4, entry.versionNeeded, true);
+  view.setUint16(6, entry.flags, true);
+  view.setUint16(8, entry.method, true);
+  view.setUint16(10, entry.dosDateTime.time, true);
+  view.setUint16(12, entry.dosDateTime.date, true);
+  view.setUint32(14, deferred ? 0 : entry.crc, true);
+  view.setUint32(18, entry.zip64 ? ZIP32_LIMITS.SIZE : compressedSize, true);
+  view.setUint32(22, entry.zip64 ? ZIP32_LIMITS.SIZE : uncompressedSize, true);
+  view.setUint16(26, entry.nameBytes.length, true);
+  view.setUint16(28, extra.length, true);
+  header.set(entry.nameBytes, 30);
+  header.set(extra, 30 + entry.nameBytes.length);
+
+  return header;
+};
+
+/**
+ * Builds the data descriptor that follows a streamed entry's data
+ * @param {object} entry - Entry metadata with final CRC and sizes
+ * @returns {Uint8Array} - The descriptor bytes (64-bit sizes for ZIP64 entries)
+ */
+export const createDataDescriptor = (entry) => {
+  const sizeBytes = entry.zip64 ? 8 : 4;
+  const descriptor = new Uint8Array(8 + sizeBytes * 2);
+  const view = new DataView(descriptor.buffer);
+
+  view.setUint32(0, SIGNATURES.DATA_DESCRIPTOR, true);
+  view.setUint32(4, entry.crc, true);
+  if (entry.zip64) {
+    view.setBigUint64(8, BigInt(entry.compressedSize), true);
+    view.setBigUint64(16, BigInt(entry.uncompressedSize), true);
+  } else {
+    view.setUint32(8, entry.compressedSize, true);
+    view.setUint32(12, entry.uncompressedSize, true);
+  }
+
+  return descriptor;
+};
+
+/**
+ * Builds an entry's central directory header
+ * @param {object} entry - Entry metadata with final CRC and sizes
+ * @param {number} offset - Local header offset, relative to the start of its volume
+ * @param {object} options - Archive options
+ * @param {number} disk - Volume the local header starts on (0 unless the archive is split)
+ * @returns {Uint8Array} - The header bytes
+ */
+export const createCentralDirectoryHeader = (entry, offset, options, disk = 0) => {
+  const offsetOverflow = requiresZip64(offset >= ZIP32_LIMITS.SIZE, options, 'Archive size');
+
+  // Only the overflowing fields are stored in the extra field, in this order
+  const zip64Values = [];
+  if (entry.zip64) zip64Values.push(entry.uncompressedSize, entry.compressedSize);
+  if (offsetOverflow) zip64Values.push(offset);
+
+  const extra = concatExtraFields(
+    zip64Values.length > 0 ? createZip64ExtraField(zip64Values) : null,
+    entry.extra
+  );
+  const header = new Uint8Array(
+    RECORD_SIZES.CENTRAL_DIRECTORY + entry.nameBytes.length + extra.length + entry.commentBytes.length
+  );
+  const view = new DataView(header.buffer);
+
+  view.setUint32(0, SIGNATURES.CENTRAL_DIRECTORY, true);
+  view.setUint16(4, entry.versionMadeBy, true);
+  view.setUint16(6, offsetOverflow ? Math.max(VERSIONS.ZIP64, entry.versionNeeded) : entry.versionNeeded, true);
+  view.setUint16(8, entry.flags, true);
+  view.setUint16(10, entry.method, true);
+  view.setUint16(12, entry.dosDateTime.time, true);
+  view.setUint16(14, entry.dosDateTime.date, true);
+  view.setUint32(16, entry.crc, true);
+  view.setUint32(20, entry.zip64 ? ZIP32_LIMITS.SIZE : entry.compressedSize, true);
+  view.setUint32(24, entry.zip64 ? ZIP32_LIMITS.SIZE : entry.uncompressedSize, true);
+  view.setUint16(28, entry.nameBytes.length, true);
+  view.setUint16(30, extra.length, true);
+  view.setUint16(32, entry.commentBytes.length, true);
+  view.setUint16(34, disk, true);
+  view.setUint16(36, 0, true);
+  view.setUint32(38, entry.externalAttributes, true);
+  view.setUint32(42, offsetOverflow ? ZIP32_LIMITS.SIZE : offset, true);
+  header.set(entry.nameBytes, 46);
+  header.set(extra, 46 + entry.nameBytes.length);
+  header.set(entry.commentBytes, 46 + entry.nameBytes.length + extra.length);
+
+  return header;
+};
+
+const createZip64EndOfCentralDirectory = (entryCount, directorySize, directory, end) => {
+  const record = new Uint8Array(
+    RECORD_SIZES.ZIP64_END_OF_CENTRAL_DIRECTORY + RECORD_SIZES.ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR
+  );
+  const view = new DataView(record.buffer);
+
+  view.setUint32(0, SIGNATURES.ZIP64_END_OF_CENTRAL_DIRECTORY, true);
+  // Size of the remaining record, excluding the leading 12 bytes
+  view.setBigUint64(4, BigInt(RECORD_SIZES.ZIP64_END_OF_CENTRAL_DIRECTORY - 12), true);
+  view.setUint16(12, VERSION_MADE_BY, true);
+  view.setUint16(14, VERSIONS.ZIP64, true);
+  view.setUint32(16, end.disk, true);
+  view.setUint32(20, directory.disk, true);
+  view.setBigUint64(24, BigInt(end.entriesOnDisk), true);
+  view.setBigUint64(32, BigInt(entryCount), true);
+  view.setBigUint64(40, BigInt(directorySize), true);
+  view.setBigUint64(48, BigInt(directory.offset), true);
+
+  // Locator pointing back at the record above
+  const locator = RECORD_SIZES.ZIP64_END_OF_CENTRAL_DIRECTORY;
+  view.setUint32(locator, SIGNATURES.ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR, true);
+  view.setUint32(locator + 4, end.disk, true);
+  view.setBigUint64(locator + 8, BigInt(end.offset), true);
+  view.setUint32(locator + 16, end.disk + 1, true);
+
+  return record;
+};
+
+const createEndOfCentralDirectory = (entryCount, directorySize, directory, end, commentBytes, zip64) => {
+  const record = new Uint8Array(RECORD_SIZES.END_OF_CENTRAL_DIRECTORY + commentBytes.length);
+  const view = new DataView(record.buffer);
+
+  view.setUint32(0, SIGNATURES.END_OF_CENTRAL_DIRECTORY, true);
+  view.setUint16(4, end.disk, true);
+  view.setUint16(6, directory.disk, true);
+  view.setUint16(8, zip64 ? ZIP32_LIMITS.ENTRIES : end.entriesOnDisk, true);
+  view.setUint16(10, zip64 ? ZIP32_LIMITS.ENTRIES : entryCount, true);
+  view.setUint32(12, zip64 ? ZIP32_LIMITS.SIZE : directorySize, true);
+  view.setUint32(16, zip64 ? ZIP32_LIMITS.SIZE : directory.offset, true);
+  view.setUint16(20, commentBytes.length, true);
+  record.set(commentBytes, 22);
+
+  return record;
+};
+
+// Places every record on volume 0 at its absolute offset
+const SINGLE_VOLUME_LAYOUT = {
+  place: () => {},
+  locate: (offset) => ({ disk: 0, offset })
+};
+
+/**
+ * Builds the central directory and end records for already-written entries
+ * @param {Array<{entry: object, offset: number, disk?: number}>} written - Prepared entries and
+ *   their local header offsets (relative to the volume given by disk)
+ * @param {number} directoryOffset - Byte offset where the central directory starts
+ * @param {object} options - Archive options
+ * @param {object} layout - Volume layout of a split archive ({place, locate}, see zipVolumes);
+ *   records are kept whole within a volume and offsets made volume-relative
+ * @returns {Uint8Array[]} - Central directory headers followed by the end records
+ */
+export const createCentralDirectory = (written, directoryOffset, options = {}, layout = null) => {
+  const { place, locate } = layout || SINGLE_VOLUME_LAYOUT;
+  const headers = written.map(({ entry, offset, disk }) => createCentralDirectoryHeader(entry, offset, options, disk));
+  const directorySize = headers.reduce((total, part) => total + part.length, 0);
+
+  let position = directoryOffset;
+  const headerDisks = headers.map((header) => {
+    place(position, header.length);
+    const { disk } = locate(position);
+    position += header.length;
+    return disk;
+  });
+  const directory = locate(directoryOffset);
+
+  const zip64 = requiresZip64(
+    written.length >= ZIP32_LIMITS.ENTRIES ||
+      directorySize >= ZIP32_LIMITS.SIZE ||
+      directory.offset >= ZIP32_LIMITS.SIZE,
+    options,
+    'Archive directory'
+  );
+
+  const commentBytes = textEncoder.encode(options.comment || '');
+  const zip64Size = zip64
+    ? RECORD_SIZES.ZIP64_END_OF_CENTRAL_DIRECTORY + RECORD_SIZES.ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR
+    : 0;
+
+  // The end records must sit together on the last volume
+  place(position, zip64Size + RECORD_SIZES.END_OF_CENTRAL_DIRECTORY + commentBytes.length);
+  const endLocation = locate(position);
+  const end = {
+    ...endLocation,
+    entriesOnDisk: headerDisks.filter((disk) => disk === endLocation.disk).length
+  };
+
+  const trailer = createEndOfCentralDirectory(written.length, directorySize, directory, end, commentBytes, zip64);
+
+  return zip64
+    ? [...headers, createZip64EndOfCentralDirectory(written.length, directorySize, directory, end), trailer]
+    : [...headers, trailer];
+};
+
+/**
+ * Builds a ZIP archive from a list of entries. ZIP64 records are added
+ * automatically once sizes, offsets or the entry count exceed the classic limits.
+ * @param {Array<{name: string, data?: any, lastModified?: Date|number, comment?: string}>} entries - Files to add; names ending in "/" are directories
+ * @param {object} options - Archive options
+ * @param {string} options.compression - 'DEFLATE' (default) or 'STORE'
+ * @param {number} options.compressionLevel - 0 stores, 1-9 deflates (default 6)
+ * @param {boolean} options.zip64 - true forces ZIP64 records, false rejects oversized archives
+ * @param {string} options.password - Encrypts every file entry (WinZip AE-2)
+ * @param {string} options.encryption - 'aes-256' (default with a password), 'aes-192', 'aes-128' or 'none'
+ * @param {string} options.comment - Optional archive comment
+ * @param {boolean} options.deterministic - Sort entries and fix timestamps and attributes for byte-identical output
+ * @param {number} options.sourceDateEpoch - Entry timestamp in deterministic mode, in seconds (default 1980-01-01)
+ * @param {boolean} options.includeManifest - Append a manifest.json with each file's size and SHA-256
+ * @param {boolean} options.includeChecksums - Append a SHA256SUMS file
+ * @returns {Promise<Blob>} - Promise resolving to the ZIP blob
+ */
+export const createZipArchive = async (entries, options = {}) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('At least one entry is required to create an archive');
+  }
+
+  assertDeterministicOptions(options);
+  const method = resolveCompressionMethod(options);
+  const localParts = [];
+  const written = [];
+  let offset = 0;
+
+  for await (const source of withIntegrityManifest(orderEntries(entries, options), options)) {
+    const entry = await prepareEntry(source, method, options);
+    const localHeader = createLocalFileHeader(entry);
+
+    written.push({ entry, offset });
+    localParts.push(localHeader, entry.payload);
+    offset += localHeader.length + entry.payload.length;
+  }
+
+  return new Blob([...localParts, ...createCentralDirectory(written, offset, options)], {
+    type: 'application/zip'
+  });
+};
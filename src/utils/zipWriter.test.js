@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { createZipArchive, resolveCompressionMethod, ZIP_METHODS } from './zipWriter';
+import { SIGNATURES } from './zipFormat';
+import { crc32 } from './crc32';
+
+const encoder = new TextEncoder();
+
+const readBytes = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+const findSignature = (bytes, signature) => {
+  const view = new DataView(bytes.buffer);
+  for (let offset = bytes.length - 4; offset >= 0; offset--) {
+    if (view.getUint32(offset, true) === signature) return offset;
+  }
+  return -1;
+};
+
+describe('resolveCompressionMethod', () => {
+  it('deflates by default and stores at level 0', () => {
+    expect(resolveCompressionMethod()).toBe(ZIP_METHODS.DEFLATE);
+    expect(resolveCompressionMethod({ compression: 'store' })).toBe(ZIP_METHODS.STORE);
+    expect(resolveCompressionMethod({ compressionLevel: 0 })).toBe(ZIP_METHODS.STORE);
+  });
+
+  it('rejects unknown methods', () => {
+    expect(() => resolveCompressionMethod({ compression: 'BZIP2' })).toThrow('Unsupported compression method: BZIP2');
+  });
+});
+
+describe('createZipArchive', () => {
+  it('writes stored entries with their CRC and a central directory', async () => {
+    const bytes = await readBytes(await createZipArchive([
+      { name: 'a.json', data: '{"a":1}' },
+      { name: 'folder/' }
+    ], { compression: 'STORE' }));
+    const view = new DataView(bytes.buffer);
+
+    expect(view.getUint32(0, true)).toBe(SIGNATURES.LOCAL_FILE_HEADER);
+    expect(view.getUint16(8, true)).toBe(ZIP_METHODS.STORE);
+    expect(view.getUint32(14, true)).toBe(crc32(encoder.encode('{"a":1}')));
+    expect(new TextDecoder().decode(bytes.subarray(30, 36))).toBe('a.json');
+
+    const end = findSignature(bytes, SIGNATURES.END_OF_CENTRAL_DIRECTORY);
+    expect(end).toBe(bytes.length - 22);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+  });
+
+  it('adds ZIP64 records when forced', async () => {
+    const bytes = await readBytes(await createZipArchive([{ name: 'a.json', data: '1' }], { zip64: true }));
+    expect(findSignature(bytes, SIGNATURES.ZIP64_END_OF_CENTRAL_DIRECTORY)).toBeGreaterThan(0);
+    expect(findSignature(bytes, SIGNATURES.ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR)).toBeGreaterThan(0);
+  });
+
+  it('needs at least one entry', async () => {
+    await expect(createZipArchive([])).rejects.toThrow('At least one entry is required');
+  });
+});
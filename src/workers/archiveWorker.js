@@ -0,0 +1,193 @@
+/**
+ * Background worker for JSON parsing, validation and archive building.
+ *
+ * Requests carry an id and a type:
+ *   run    {operation, payload}  start a task ('validate', 'parse', 'format', 'plan' or 'build')
+ *   pull                         read the next chunk of a 'build' task
+ *   cancel                       abort a task
+ * Replies are 'result', 'progress', 'renamed', 'chunk', 'done' or 'error' with the same id;
+ * 'renamed' ({from, to}) reports a build entry written under another name.
+ * Text and archive chunks cross the boundary as transferred ArrayBuffers; the
+ * volumes of a split archive arrive as {name, data: Blob} chunks instead.
+ */
+
+import { createJsonZipStream, createJsonZipVolumes, planJsonArchive } from '../services/archiveService';
+import { readStreamChunks } from '../utils/streamUtils';
+import { parseJsonText, validateJsonText, formatJsonText, decodeConversionText } from './jsonOperations';
+import { getFileInputFormat } from '../utils/inputFormats';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Archive readers of running 'build' tasks, by id
+const builds = new Map();
+
+// Ids of request/response tasks cancelled while still running
+const cancelled = new Set();
+
+const serializeError = (error) => ({ name: error.name || 'Error', message: error.message });
+
+/**
+ * Returns a buffer that can be transferred without detaching memory other chunks still use
+ */
+const toTransferable = (chunk) => {
+  if (chunk.byteOffset === 0 && chunk.byteLength === chunk.buffer.byteLength) return chunk;
+  return chunk.slice();
+};
+
+/**
+ * Reads a file as text, reporting progress and stopping if the task is cancelled
+ */
+const readFileText = async (id, file) => {
+  const decoder = new TextDecoder();
+  let text = '';
+  let loaded = 0;
+
+  for await (const chunk of readStreamChunks(file.stream())) {
+    if (cancelled.has(id)) {
+      throw new DOMException('The operation was cancelled', 'AbortError');
+    }
+    text += decoder.decode(chunk, { stream: true });
+    loaded += chunk.length;
+    self.postMessage({ id, type: 'progress', phase: 'read', loaded, total: file.size });
+  }
+
+  return text + decoder.decode();
+};
+
+/**
+ * Rebuilds JSON text sent by the client as an encoded buffer or a File/Blob
+ */
+const readSourceText = (id, source) => {
+  if (source.kind === 'file') return readFileText(id, source.file);
+  return textDecoder.decode(source.buffer);
+};
+
+/**
+ * The input format of a source: the one requested, else a file's extension;
+ * undefined leaves it to be detected from the text
+ */
+const getSourceFormat = (source, inputFormat) => {
+  return inputFormat ?? (source.kind === 'file' ? getFileInputFormat(source.file) : undefined);
+};
+
+/**
+ * Rebuilds a conversion source; files stay files so the archive writer can read them incrementally
+ */
+const decodeSource = (source, options) => {
+  if (source.kind === 'file') return source.file;
+  if (source.kind === 'text') return decodeConversionText(textDecoder.decode(source.buffer), options);
+  return source.data;
+};
+
+const operations = {
+  validate: async (id, { source, inputFormat }) => {
+    return validateJsonText(await readSourceText(id, source), getSourceFormat(source, inputFormat));
+  },
+
+  parse: async (id, { source, inputFormat }) => {
+    if (source.kind === 'data') return source.data;
+    return parseJsonText(await readSourceText(id, source), getSourceFormat(source, inputFormat));
+  },
+
+  format: async (id, { source, indent, inputFormat }) => {
+    const text = formatJsonText(await readSourceText(id, source), indent, getSourceFormat(source, inputFormat));
+    const buffer = textEncoder.encode(text).buffer;
+    return { result: { buffer }, transfer: [buffer] };
+  },
+
+  plan: async (id, { source, filename, options }) => {
+    const plan = await planJsonArchive(decodeSource(source, options), filename, options);
+    for (const entry of plan.entries) {
+      entry.data = toTransferable(entry.data);
+    }
+    return { result: plan, transfer: plan.entries.map((entry) => entry.data.buffer) };
+  }
+};
+
+const startBuild = (id, { source, filename, options }) => {
+  const data = decodeSource(source, options);
+  const buildOptions = {
+    ...options,
+    onEntryRenamed: ({ from, to }) => self.postMessage({ id, type: 'renamed', from, to })
+  };
+  const stream = options.maxVolumeSize != null
+    ? createJsonZipVolumes(data, filename, buildOptions)
+    : createJsonZipStream(data, filename, buildOptions);
+  builds.set(id, { reader: stream.getReader(), bytesWritten: 0 });
+};
+
+const runTask = async (id, operation, payload) => {
+  if (operation === 'build') {
+    startBuild(id, payload);
+    return;
+  }
+
+  const handler = operations[operation];
+  if (!handler) {
+    throw new Error(`Unknown worker operation: ${operation}`);
+  }
+
+  try {
+    const outcome = await handler(id, payload);
+    if (cancelled.has(id)) return;
+
+    if (outcome && outcome.transfer) {
+      self.postMessage({ id, type: 'result', result: outcome.result }, outcome.transfer);
+    } else {
+      self.postMessage({ id, type: 'result', result: outcome });
+    }
+  } finally {
+    cancelled.delete(id);
+  }
+};
+
+const pullChunk = async (id) => {
+  const build = builds.get(id);
+  if (!build) return;
+
+  const { done, value } = await build.reader.read();
+  if (!builds.has(id)) return;
+
+  if (done) {
+    builds.delete(id);
+    self.postMessage({ id, type: 'done', result: { size: build.bytesWritten } });
+    return;
+  }
+
+  if (value.data instanceof Blob) {
+    // A volume: Blobs are cloned by reference, so there is nothing to transfer
+    build.bytesWritten += value.data.size;
+    self.postMessage({ id, type: 'progress', phase: 'build', loaded: build.bytesWritten });
+    self.postMessage({ id, type: 'chunk', chunk: value });
+    return;
+  }
+
+  const chunk = toTransferable(value);
+  build.bytesWritten += chunk.byteLength;
+  self.postMessage({ id, type: 'progress', phase: 'build', loaded: build.bytesWritten });
+  self.postMessage({ id, type: 'chunk', chunk }, [chunk.buffer]);
+};
+
+const cancelTask = async (id) => {
+  const build = builds.get(id);
+  builds.delete(id);
+  if (build) {
+    await build.reader.cancel('Cancelled');
+  } else {
+    cancelled.add(id);
+  }
+};
+
+self.onmessage = async (event) => {
+  const { id, type, operation, payload } = event.data;
+
+  try {
+    if (type === 'run') await runTask(id, operation, payload);
+    else if (type === 'pull') await pullChunk(id);
+    else if (type === 'cancel') await cancelTask(id);
+  } catch (error) {
+    builds.delete(id);
+    self.postMessage({ id, type: 'error', error: serializeError(error) });
+  }
+};
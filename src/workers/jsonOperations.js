@@ -0,0 +1,70 @@
+/**
+ * JSON tasks shared by the archive worker and its main-thread fallback
+ */
+
+import { validateJsonData } from '../utils/fileUtils';
+import { INPUT_FORMATS, isIncrementalInputFormat, parseInputText, checkInputText } from '../utils/inputFormats';
+import { ENTRY_FORMATS, serializeEntry } from '../utils/entryFormats';
+
+/**
+ * Summarizes a parsed value for display, e.g. "array of 120 items"
+ */
+const describeValue = (value) => {
+  if (Array.isArray(value)) return { type: 'array', size: value.length };
+  if (value === null) return { type: 'null', size: 0 };
+  if (typeof value === 'object') return { type: 'object', size: Object.keys(value).length };
+  return { type: typeof value, size: 0 };
+};
+
+/**
+ * Parses JSON or JSON Lines text, turning syntax errors into a readable message
+ * @param {string} text - The JSON text
+ * @param {string} inputFormat - One of INPUT_FORMATS, or undefined to detect JSON Lines
+ * @param {Object} options - Conversion options, as for parseInputText
+ * @returns {any} - The parsed value; JSON Lines give an array of their lines
+ */
+export const parseJsonText = (text, inputFormat = undefined, options = {}) => parseInputText(text, inputFormat, options).data;
+
+/**
+ * Turns converter text into a conversion source: the parsed value, or for
+ * formats parsed whole the text itself as a file, so the archive writer can
+ * keep JSONC / JSON5 text (preserveSource) and split YAML streams by document
+ * @param {string} text - The JSON text
+ * @param {Object} options - Conversion options (inputFormat, preserveSource)
+ * @returns {any|Blob} - The parsed value, or the text as a Blob
+ */
+export const decodeConversionText = (text, options = {}) => {
+  if (!isIncrementalInputFormat(options.inputFormat)) {
+    return new Blob([text], { type: 'text/plain' });
+  }
+  return parseJsonText(text, options.inputFormat, options);
+};
+
+/**
+ * Validates JSON text with a single parse; JSON Lines report every bad line
+ * @param {string} text - The JSON text
+ * @param {string} inputFormat - One of INPUT_FORMATS, or undefined to detect JSON Lines
+ * @param {Object} options - Conversion options, as for parseInputText
+ * @returns {{isValid: boolean, errors: string[], inputFormat: string, type?: string, size?: number}} - Validation result
+ */
+export const validateJsonText = (text, inputFormat = undefined, options = {}) => {
+  const { errors, data, format } = checkInputText(text, inputFormat, options);
+  if (errors.length > 0) {
+    return { isValid: false, errors, inputFormat: format };
+  }
+  return { ...validateJsonData(data), ...describeValue(data), inputFormat: format };
+};
+
+/**
+ * Re-indents JSON text; JSON Lines keep one compact value per line
+ * @param {string} text - The JSON text
+ * @param {number} indent - Spaces per level
+ * @param {string} inputFormat - One of INPUT_FORMATS, or undefined to detect JSON Lines
+ * @param {Object} options - Conversion options, as for parseInputText
+ * @returns {string} - The formatted text
+ */
+export const formatJsonText = (text, indent = 2, inputFormat = undefined, options = {}) => {
+  const { data, format } = parseInputText(text, inputFormat, options);
+  if (format === INPUT_FORMATS.JSON_LINES) return serializeEntry(data, ENTRY_FORMATS.NDJSON);
+  return JSON.stringify(data, null, indent);
+};
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { validateJsonText, formatJsonText, parseJsonText, decodeConversionText } from './jsonOperations';
+
+describe('validateJsonText', () => {
+  it('describes valid documents', () => {
+    expect(validateJsonText('{"a":1}')).toEqual({ isValid: true, errors: [], type: 'object', size: 1, inputFormat: 'json' });
+    expect(validateJsonText('[1,2]')).toMatchObject({ isValid: true, type: 'array', size: 2 });
+  });
+
+  it('reports syntax errors and non-container roots', () => {
+    const invalid = validateJsonText('{bad');
+    expect(invalid.isValid).toBe(false);
+    expect(invalid.errors[0]).toMatch(/^Invalid JSON format: /);
+    expect(validateJsonText('1').errors).toEqual(['JSON must be an object or array']);
+  });
+
+  it('detects JSON Lines and reports the bad line', () => {
+    expect(validateJsonText('{"a":1}\n{"b":2}\n')).toMatchObject({ isValid: true, inputFormat: 'ndjson', size: 2 });
+    const invalid = validateJsonText('{"a":1}\n{bad\n[]\n', 'ndjson');
+    expect(invalid.isValid).toBe(false);
+    expect(invalid.errors[0]).toMatch(/^Line 2: .*\(\{bad\)$/);
+  });
+});
+
+describe('formatJsonText', () => {
+  it('re-indents JSON and keeps JSON Lines one value per line', () => {
+    expect(formatJsonText('{"a":[1]}', 4)).toBe('{\n    "a": [\n        1\n    ]\n}');
+    expect(formatJsonText('{"a": 1}\n{"b": [1, 2]}', 2, 'ndjson')).toBe('{"a":1}\n{"b":[1,2]}\n');
+  });
+});
+
+describe('parseJsonText', () => {
+  it('gives JSON Lines as an array of their lines', () => {
+    expect(parseJsonText('{"a":1}\n{"b":2}')).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+});
+
+describe('decodeConversionText', () => {
+  it('parses incremental formats and keeps others as text', async () => {
+    expect(decodeConversionText('[1]', { inputFormat: 'json' })).toEqual([1]);
+    const blob = decodeConversionText('a: 1', { inputFormat: 'yaml' });
+    expect(blob).toBeInstanceOf(Blob);
+    expect(await blob.text()).toBe('a: 1');
+  });
+});